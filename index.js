@@ -40,7 +40,8 @@ app.use((req, res, next) => {
   }
   next();
 });
-app.use(express.json());
+// Keep the raw body so payment webhooks can verify their HMAC signature
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use('/uploads', express.static('uploads'));
 
 // Test route
@@ -59,6 +60,7 @@ mongoose.connect(mongoUri).then(() => {
 const RealtimeSyncService = require('./src/services/realtimeSyncService');
 const realtimeSyncService = new RealtimeSyncService(io);
 global.realtimeSyncService = realtimeSyncService;
+const displayBoardService = require('./src/services/displayBoardService');
 
 // Socket.IO connection handling
 io.on('connection', (socket) => {
@@ -90,6 +92,16 @@ io.on('connection', (socket) => {
     console.log(`👤 Patient ${patientId} joined their room:`, socket.id);
   });
 
+  // Waiting-room displays join with the signed link issued by admin
+  socket.on('join-display', ({ scope, id, sig } = {}) => {
+    if (!displayBoardService.verify(scope, id, sig)) {
+      socket.emit('display-error', { message: 'Invalid display link' });
+      return;
+    }
+    socket.join(displayBoardService.socketRoom(scope, id));
+    console.log(`📺 Display joined ${scope} ${id}:`, socket.id);
+  });
+
   socket.on('disconnect', () => {
     console.log('🔌 Client disconnected:', socket.id);
   });
@@ -150,6 +162,18 @@ console.log("Diagnosis routes loaded, registering...");
 app.use("/api/diagnosis", diagnosisRoutes);
 console.log("Diagnosis routes registered successfully");
 
+console.log("Loading display board routes...");
+const displayRoutes = require("./src/routes/display.js");
+console.log("Display board routes loaded, registering...");
+app.use("/api/display", displayRoutes);
+console.log("Display board routes registered successfully");
+
+console.log("Loading lab routes...");
+const labRoutes = require("./src/routes/lab.js");
+console.log("Lab routes loaded, registering...");
+app.use("/api/lab", labRoutes);
+console.log("Lab routes registered successfully");
+
 console.log("Loading debug routes...");
 const debugRoutes = require("./src/routes/debug.js");
 console.log("Debug routes loaded, registering...");
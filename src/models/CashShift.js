@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+
+// Receptionist cash-drawer shift. Opened with a float; every counter payment (and reversal of one) taken
+// while it is open is appended to `payments`. Closing records the counted amounts per payment method
+// against what the entries say should be there; an admin then approves the reconciliation.
+// Lifecycle: open -> closed -> approved.
+const shiftEntrySchema = new mongoose.Schema({
+  token_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Token',
+    required: true
+  },
+  // reversal = a payment taken back out (appointment marked unpaid/refunded at the desk)
+  type: {
+    type: String,
+    enum: ['payment', 'reversal'],
+    default: 'payment'
+  },
+  method: {
+    type: String,
+    enum: ['cash', 'card', 'upi', 'other'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  reference: {
+    type: String,
+    default: ''
+  },
+  recorded_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const reconciliationSchema = new mongoose.Schema({
+  method: {
+    type: String,
+    enum: ['cash', 'card', 'upi', 'other'],
+    required: true
+  },
+  expected: { type: Number, default: 0 },
+  counted: { type: Number, default: 0 },
+  // counted - expected: negative is a shortage, positive an excess
+  difference: { type: Number, default: 0 }
+}, { _id: false });
+
+const cashShiftSchema = new mongoose.Schema({
+  receptionist_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed', 'approved'],
+    default: 'open'
+  },
+  opening_float: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  opening_note: {
+    type: String,
+    default: ''
+  },
+  opened_at: {
+    type: Date,
+    default: Date.now
+  },
+  payments: [shiftEntrySchema],
+  closed_at: {
+    type: Date,
+    default: null
+  },
+  closing_note: {
+    type: String,
+    default: ''
+  },
+  reconciliation: [reconciliationSchema],
+  total_expected: { type: Number, default: 0 },
+  total_counted: { type: Number, default: 0 },
+  total_difference: { type: Number, default: 0 },
+  // Set when any method is off by more than the allowed tolerance
+  has_discrepancy: {
+    type: Boolean,
+    default: false
+  },
+  approved_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  approved_at: {
+    type: Date,
+    default: null
+  },
+  review_note: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// A receptionist has at most one open drawer
+cashShiftSchema.index({ receptionist_id: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+cashShiftSchema.index({ receptionist_id: 1, opened_at: -1 });
+cashShiftSchema.index({ status: 1, has_discrepancy: 1, opened_at: -1 });
+
+module.exports = mongoose.model('CashShift', cashShiftSchema);
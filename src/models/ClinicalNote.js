@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+
+// What a doctor records for one consultation. Shared by the quick consultation form and the full
+// Diagnosis form so both write the same fields (numeric vitals, ICD coded assessment).
+const noteContentSchema = new mongoose.Schema({
+  chief_complaint: { type: String, default: '', trim: true },
+  history_of_present_illness: { type: String, default: '', trim: true },
+  past_medical_history: { type: String, default: '', trim: true },
+  family_history: { type: String, default: '', trim: true },
+  social_history: { type: String, default: '', trim: true },
+  vital_signs: {
+    blood_pressure: {
+      systolic: { type: Number, default: null },
+      diastolic: { type: Number, default: null }
+    },
+    heart_rate: { type: Number, default: null },
+    temperature: { type: Number, default: null },
+    respiratory_rate: { type: Number, default: null },
+    oxygen_saturation: { type: Number, default: null },
+    weight: { type: Number, default: null },
+    height: { type: Number, default: null }
+  },
+  physical_examination: {
+    general_appearance: { type: String, default: '', trim: true },
+    cardiovascular: { type: String, default: '', trim: true },
+    respiratory: { type: String, default: '', trim: true },
+    gastrointestinal: { type: String, default: '', trim: true },
+    neurological: { type: String, default: '', trim: true },
+    musculoskeletal: { type: String, default: '', trim: true },
+    skin: { type: String, default: '', trim: true },
+    other: { type: String, default: '', trim: true }
+  },
+  assessment: {
+    primary_diagnosis: { type: String, default: '', trim: true },
+    primary_icd_code: { type: String, default: '', trim: true },
+    secondary_diagnoses: [{
+      _id: false,
+      diagnosis: { type: String, trim: true },
+      icd_code: { type: String, trim: true }
+    }],
+    differential_diagnosis: [{
+      _id: false,
+      diagnosis: { type: String, trim: true },
+      reasoning: { type: String, trim: true }
+    }]
+  },
+  treatment_plan: { type: String, default: '', trim: true },
+  medications: [{
+    _id: false,
+    name: { type: String, trim: true },
+    dosage: { type: String, default: '', trim: true },
+    frequency: { type: String, default: '', trim: true },
+    duration: { type: String, default: '', trim: true },
+    instructions: { type: String, default: '', trim: true }
+  }],
+  follow_up: { type: String, default: '', trim: true },
+  notes: { type: String, default: '', trim: true }
+}, { _id: false });
+
+// Unified, versioned clinical note - one per appointment. Every save appends a full snapshot to
+// versions (who/when/which form). Once signed the content is locked and later changes are addenda.
+const clinicalNoteSchema = new mongoose.Schema({
+  token_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Token',
+    required: true
+  },
+  patient_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  family_member_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FamilyMember',
+    default: null
+  },
+  doctor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Structured Diagnosis this note is kept in step with (lab orders, prescriptions and referrals link to it)
+  diagnosis_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Diagnosis',
+    default: null
+  },
+  // Legacy ConsultationRecord merged in by src/scripts/migrateClinicalNotes.js
+  consultation_record_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  content: {
+    type: noteContentSchema,
+    default: () => ({})
+  },
+  version: {
+    type: Number,
+    default: 0
+  },
+  versions: [{
+    version: { type: Number, required: true },
+    content: noteContentSchema,
+    source: {
+      type: String,
+      enum: ['consultation', 'diagnosis', 'migration'],
+      required: true
+    },
+    edited_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    edited_at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['draft', 'signed'],
+    default: 'draft'
+  },
+  signed_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  signed_at: {
+    type: Date,
+    default: null
+  },
+  addenda: [{
+    text: { type: String, required: true, trim: true },
+    author_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    created_at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  consultation_date: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+clinicalNoteSchema.index({ token_id: 1 }, { unique: true });
+clinicalNoteSchema.index({ patient_id: 1, consultation_date: -1 });
+clinicalNoteSchema.index({ doctor_id: 1, consultation_date: -1 });
+clinicalNoteSchema.index({ diagnosis_id: 1 });
+
+module.exports = mongoose.model('ClinicalNote', clinicalNoteSchema);
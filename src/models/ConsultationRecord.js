@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 
+// Legacy quick-consultation record, superseded by ClinicalNote. Kept so src/scripts/migrateClinicalNotes.js can read it.
 const consultationRecordSchema = new mongoose.Schema({
   appointment_id: {
     type: mongoose.Schema.Types.ObjectId,
@@ -24,6 +24,42 @@ const departmentSchema = new mongoose.Schema({
     type: String,
     trim: true
   }],
+  // Controlled overbooking for urgent walk-ins: over-capacity tokens allowed per doctor session,
+  // the roles allowed to issue them, and whether priority_flag tokens are seen first
+  overbooking_policy: {
+    max_overbooked_per_session: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    allowed_roles: [{
+      type: String,
+      enum: ['receptionist', 'doctor', 'admin']
+    }],
+    priority_jumps_queue: {
+      type: Boolean,
+      default: true
+    }
+  },
+  // How daily token numbers are scoped and labelled (see tokenNumberService)
+  token_numbering: {
+    scheme: {
+      type: String,
+      enum: ['global', 'department', 'doctor', 'session']
+    },
+    prefix: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      default: ''
+    },
+    padding: {
+      type: Number,
+      min: 1,
+      max: 6,
+      default: 3
+    }
+  },
   head_of_department: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
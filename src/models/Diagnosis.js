@@ -98,6 +98,11 @@ const diagnosisSchema = new mongoose.Schema({
       required: true,
       trim: true
     },
+    primary_icd_code: {
+      type: String,
+      default: '',
+      trim: true
+    },
     secondary_diagnoses: [{
       diagnosis: { type: String, trim: true },
       icd_code: { type: String, trim: true }
@@ -138,28 +143,31 @@ const diagnosisSchema = new mongoose.Schema({
     }]
   },
   
-  // Investigations
+  // Investigations (fulfilled through LabOrder; abnormal marks results the lab flagged)
   investigations: {
     laboratory: [{
       test_name: { type: String, required: true, trim: true },
       ordered_date: { type: Date, default: Date.now },
-      status: { type: String, enum: ['ordered', 'completed', 'pending'], default: 'ordered' },
+      status: { type: String, enum: ['ordered', 'completed', 'pending', 'cancelled'], default: 'ordered' },
       results: { type: String, default: '', trim: true },
-      normal_range: { type: String, default: '', trim: true }
+      normal_range: { type: String, default: '', trim: true },
+      abnormal: { type: Boolean, default: false }
     }],
     imaging: [{
       study_type: { type: String, required: true, trim: true },
       body_part: { type: String, required: true, trim: true },
       ordered_date: { type: Date, default: Date.now },
-      status: { type: String, enum: ['ordered', 'completed', 'pending'], default: 'ordered' },
-      findings: { type: String, default: '', trim: true }
+      status: { type: String, enum: ['ordered', 'completed', 'pending', 'cancelled'], default: 'ordered' },
+      findings: { type: String, default: '', trim: true },
+      abnormal: { type: Boolean, default: false }
     }],
     other_tests: [{
       test_name: { type: String, required: true, trim: true },
       description: { type: String, default: '', trim: true },
       ordered_date: { type: Date, default: Date.now },
-      status: { type: String, enum: ['ordered', 'completed', 'pending'], default: 'ordered' },
-      results: { type: String, default: '', trim: true }
+      status: { type: String, enum: ['ordered', 'completed', 'pending', 'cancelled'], default: 'ordered' },
+      results: { type: String, default: '', trim: true },
+      abnormal: { type: Boolean, default: false }
     }]
   },
   
@@ -50,11 +50,20 @@ const doctorScheduleSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    // Tokens holding a place in this slot (maintained by slotReservationService)
     appointments: [{
       type: mongoose.Schema.Types.ObjectId,
-      ref: 'Appointment'
+      ref: 'Token'
     }]
   }],
+  // Over-capacity tokens per session (maintained by slotReservationService)
+  overbooked_tokens: [{
+    session_code: String,
+    token_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Token'
+    }
+  }],
   leave_reason: {
     type: String,
     default: ''
@@ -99,7 +108,35 @@ const doctorScheduleSchema = new mongoose.Schema({
       type: Number,
       default: 10
     }
-  }
+  },
+  // Per-date overrides for session templates (keyed by SessionTemplate.code)
+  session_overrides: [{
+    code: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true
+    },
+    available: {
+      type: Boolean,
+      default: true
+    },
+    max_patients: {
+      type: Number
+    }
+  }],
+  // Set when the day was written out from a weekly ScheduleRule (e.g. on first booking);
+  // session_codes keeps the rule's session list (empty = every session)
+  rule_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScheduleRule',
+    default: null
+  },
+  session_codes: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }]
 }, {
   timestamps: true
 });
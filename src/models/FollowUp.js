@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// A follow-up visit a doctor prescribed when completing a consultation ("review in 7 days").
+// Booking the same doctor between window_start and window_end links the new token here and
+// charges the doctor's followup_fee; pending follow-ups past window_end become 'missed'.
+const followUpSchema = new mongoose.Schema({
+  patient_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  family_member_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FamilyMember',
+    default: null
+  },
+  doctor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  department_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    default: null
+  },
+  // Consultation the follow-up was prescribed in
+  source_token_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Token',
+    required: true
+  },
+  diagnosis_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Diagnosis',
+    default: null
+  },
+  interval_days: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  due_date: {
+    type: Date,
+    required: true
+  },
+  window_start: {
+    type: Date,
+    required: true
+  },
+  window_end: {
+    type: Date,
+    required: true
+  },
+  notes: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'booked', 'completed', 'missed', 'cancelled'],
+    default: 'pending'
+  },
+  booked_token_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Token',
+    default: null
+  },
+  booked_at: {
+    type: Date,
+    default: null
+  },
+  notified_at: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+followUpSchema.index({ source_token_id: 1 }, { unique: true });
+followUpSchema.index({ patient_id: 1, doctor_id: 1, status: 1 });
+followUpSchema.index({ status: 1, window_end: 1 });
+followUpSchema.index({ due_date: 1 });
+
+module.exports = mongoose.model('FollowUp', followUpSchema);
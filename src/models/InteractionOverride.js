@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// Audit record of a doctor prescribing despite interaction/allergy warnings, with their reason
+const interactionOverrideSchema = new mongoose.Schema({
+  doctor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  patient_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  family_member_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FamilyMember',
+    default: null
+  },
+  token_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Token',
+    default: null
+  },
+  // What was being prescribed when the warnings were overridden
+  context_type: {
+    type: String,
+    enum: ['prescription', 'diagnosis'],
+    required: true
+  },
+  context_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  warnings: [{
+    rule_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InteractionRule',
+      default: null
+    },
+    type: String,
+    severity: String,
+    drug: String,
+    matched: String,
+    message: String
+  }],
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+interactionOverrideSchema.index({ doctor_id: 1, createdAt: -1 });
+interactionOverrideSchema.index({ patient_id: 1, createdAt: -1 });
+interactionOverrideSchema.index({ context_type: 1, context_id: 1 });
+
+module.exports = mongoose.model('InteractionOverride', interactionOverrideSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Locally maintained prescribing-safety rule, checked when a doctor prescribes (see interactionService).
+// drug_terms are matched against the medication's name, generic name and class; match_terms against
+// the other drug (drug_drug), the patient's recorded allergies (drug_allergy) or chronic conditions
+// (drug_condition). Terms match whole words, case-insensitively.
+const interactionRuleSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['drug_drug', 'drug_allergy', 'drug_condition'],
+    required: true
+  },
+  drug_terms: {
+    type: [String],
+    required: true,
+    validate: [terms => terms.length > 0, 'At least one drug term is required']
+  },
+  match_terms: {
+    type: [String],
+    required: true,
+    validate: [terms => terms.length > 0, 'At least one match term is required']
+  },
+  severity: {
+    type: String,
+    enum: ['minor', 'moderate', 'major', 'contraindicated'],
+    default: 'moderate'
+  },
+  message: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  recommendation: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  is_active: {
+    type: Boolean,
+    default: true
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+interactionRuleSchema.index({ type: 1, is_active: 1 });
+
+module.exports = mongoose.model('InteractionRule', interactionRuleSchema);
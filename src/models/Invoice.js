@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+
+// Tax invoice or credit note, stored as issued so reprints match the original. Invoices are created as
+// drafts and only numbered when issued, keeping each per-financial-year series (INV/2025-26/000001,
+// CN/2025-26/000001) gapless. Line amounts are GST-inclusive; taxable value and CGST/SGST are derived.
+// Lifecycle: draft -> issued -> paid -> partially_refunded/refunded, or issued -> void.
+const lineItemSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['consultation', 'follow_up_fee', 'video_fee', 'lab'],
+    required: true
+  },
+  description: { type: String, required: true },
+  sac_code: { type: String, default: '' },
+  quantity: { type: Number, default: 1 },
+  unit_price: { type: Number, required: true },
+  taxable_value: { type: Number, required: true },
+  gst_rate: { type: Number, default: 0 },
+  cgst: { type: Number, default: 0 },
+  sgst: { type: Number, default: 0 },
+  amount: { type: Number, required: true },
+  lab_order_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LabOrder',
+    default: null
+  }
+}, { _id: false });
+
+const invoiceSchema = new mongoose.Schema({
+  document_type: {
+    type: String,
+    enum: ['invoice', 'credit_note'],
+    default: 'invoice'
+  },
+  // appointment = consultation/video/follow-up fees; lab = investigation charges billed later
+  category: {
+    type: String,
+    enum: ['appointment', 'lab'],
+    default: 'appointment'
+  },
+  invoice_number: {
+    type: String,
+    default: null
+  },
+  financial_year: {
+    type: String,
+    default: null
+  },
+  sequence: {
+    type: Number,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'issued', 'paid', 'partially_refunded', 'refunded', 'void'],
+    default: 'draft'
+  },
+  token_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Token',
+    required: true
+  },
+  patient_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  family_member_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FamilyMember',
+    default: null
+  },
+  doctor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Credit notes: the invoice being credited and the refund that caused it
+  original_invoice_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    default: null
+  },
+  refund_reference: {
+    type: String,
+    default: null
+  },
+  reason: {
+    type: String,
+    default: ''
+  },
+  issued_at: {
+    type: Date,
+    default: null
+  },
+  // Snapshots taken at issue time so later profile/fee changes never alter a printed invoice
+  supplier: {
+    name: String,
+    address: String,
+    gstin: String,
+    state_code: String
+  },
+  billed_to: {
+    name: String,
+    email: String,
+    phone: String,
+    patient_code: String
+  },
+  service: {
+    doctor_name: String,
+    department: String,
+    appointment_date: Date,
+    time_slot: String,
+    appointment_type: String,
+    token_number: String
+  },
+  line_items: [lineItemSchema],
+  taxable_total: { type: Number, default: 0 },
+  cgst_total: { type: Number, default: 0 },
+  sgst_total: { type: Number, default: 0 },
+  tax_total: { type: Number, default: 0 },
+  grand_total: { type: Number, default: 0 },
+  amount_paid: { type: Number, default: 0 },
+  credited_amount: { type: Number, default: 0 },
+  payment: {
+    method: { type: String, default: '' },
+    reference: { type: String, default: '' },
+    paid_at: { type: Date, default: null }
+  },
+  voided_at: {
+    type: Date,
+    default: null
+  },
+  voided_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+invoiceSchema.index({ invoice_number: 1 }, { unique: true, partialFilterExpression: { invoice_number: { $type: 'string' } } });
+// One appointment invoice per token; credit notes are unique per refund
+invoiceSchema.index({ token_id: 1 }, { unique: true, partialFilterExpression: { document_type: 'invoice', category: 'appointment' } });
+invoiceSchema.index({ refund_reference: 1 }, { unique: true, partialFilterExpression: { refund_reference: { $type: 'string' } } });
+invoiceSchema.index({ patient_id: 1, createdAt: -1 });
+invoiceSchema.index({ financial_year: 1, document_type: 1, sequence: 1 });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+
+// A laboratory/imaging/other investigation ordered in a consultation and worked through by lab staff:
+// ordered -> sample_collected -> in_progress -> completed (or cancelled). Orders written into a
+// Diagnosis keep diagnosis_item_id so status and results are mirrored back onto that entry.
+const labOrderSchema = new mongoose.Schema({
+  patient_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  family_member_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FamilyMember',
+    default: null
+  },
+  doctor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  token_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Token',
+    default: null
+  },
+  diagnosis_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Diagnosis',
+    default: null
+  },
+  // _id of the entry in Diagnosis.investigations[category]
+  diagnosis_item_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  category: {
+    type: String,
+    enum: ['laboratory', 'imaging', 'other_tests'],
+    required: true
+  },
+  // Test name, or imaging study type
+  test_name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  body_part: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  instructions: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  urgency: {
+    type: String,
+    enum: ['routine', 'urgent', 'stat'],
+    default: 'routine'
+  },
+  status: {
+    type: String,
+    enum: ['ordered', 'sample_collected', 'in_progress', 'completed', 'cancelled'],
+    default: 'ordered'
+  },
+  status_history: [{
+    status: String,
+    changed_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changed_at: {
+      type: Date,
+      default: Date.now
+    },
+    note: {
+      type: String,
+      default: ''
+    }
+  }],
+  // Per-parameter results; any flag other than normal marks the order abnormal
+  result_values: [{
+    parameter: { type: String, required: true, trim: true },
+    value: { type: String, default: '', trim: true },
+    unit: { type: String, default: '', trim: true },
+    reference_range: { type: String, default: '', trim: true },
+    flag: {
+      type: String,
+      enum: ['normal', 'low', 'high', 'abnormal', 'critical'],
+      default: 'normal'
+    }
+  }],
+  // Free-text result or imaging findings
+  result_summary: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  is_abnormal: {
+    type: Boolean,
+    default: false
+  },
+  files: [{
+    url: { type: String, required: true },
+    public_id: { type: String, default: '' },
+    file_name: { type: String, default: '' },
+    mime_type: { type: String, default: '' },
+    uploaded_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    uploaded_at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  reported_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reported_at: {
+    type: Date,
+    default: null
+  },
+  // Amount billed for the investigation (GST-inclusive); charged orders are invoiced separately from the visit
+  charge: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  invoice_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+labOrderSchema.index({ status: 1, urgency: 1, createdAt: 1 });
+labOrderSchema.index({ patient_id: 1, createdAt: -1 });
+labOrderSchema.index({ doctor_id: 1, createdAt: -1 });
+labOrderSchema.index({ diagnosis_id: 1, diagnosis_item_id: 1 }, { unique: true, partialFilterExpression: { diagnosis_item_id: { $type: 'objectId' } } });
+
+module.exports = mongoose.model('LabOrder', labOrderSchema);
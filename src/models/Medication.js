@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Medication master list doctors prescribe from. Defaults here pre-fill a prescription line;
+// the line itself keeps a copy of name/strength/form so old prescriptions survive catalogue edits.
+const medicationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  generic_name: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  // Pharmacological class (e.g. "penicillin", "NSAID"), matched by interaction and allergy rules
+  drug_class: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  // e.g. "500 mg", "5 mg/5 ml"
+  strength: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  form: {
+    type: String,
+    enum: ['tablet', 'capsule', 'syrup', 'suspension', 'injection', 'ointment', 'cream', 'drops', 'inhaler', 'powder', 'other'],
+    default: 'tablet'
+  },
+  default_route: {
+    type: String,
+    enum: ['oral', 'sublingual', 'topical', 'inhalation', 'intravenous', 'intramuscular', 'subcutaneous', 'ophthalmic', 'otic', 'nasal', 'rectal', 'other'],
+    default: 'oral'
+  },
+  // Unit a dose is counted in (tablet, ml, puff, drop, ...)
+  dose_unit: {
+    type: String,
+    default: 'tablet',
+    trim: true
+  },
+  is_active: {
+    type: Boolean,
+    default: true
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+medicationSchema.index({ name: 1, strength: 1, form: 1 }, { unique: true });
+medicationSchema.index({ is_active: 1 });
+
+module.exports = mongoose.model('Medication', medicationSchema);
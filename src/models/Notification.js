@@ -47,7 +47,7 @@ const notificationSchema = new mongoose.Schema({
   },
   related_type: {
     type: String,
-    enum: ['appointment', 'leave_request', 'schedule', 'payment'],
+    enum: ['appointment', 'leave_request', 'schedule', 'payment', 'waitlist', 'followup', 'referral', 'prescription', 'lab_order'],
     default: null
   },
   // Additional data for the notification
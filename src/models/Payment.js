@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+// Payment ledger: one document per checkout attempt (gateway order) for an appointment. Amounts are in
+// rupees. events records every webhook/verification applied so replays are ignored.
+const paymentSchema = new mongoose.Schema({
+  token_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Token',
+    required: true
+  },
+  patient_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  gateway: {
+    type: String,
+    enum: ['razorpay', 'stub'],
+    required: true
+  },
+  order_id: {
+    type: String,
+    required: true
+  },
+  payment_id: {
+    type: String,
+    default: null
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  status: {
+    type: String,
+    enum: ['created', 'captured', 'failed', 'refunded'],
+    default: 'created'
+  },
+  method: {
+    type: String,
+    default: ''
+  },
+  signature_verified: {
+    type: Boolean,
+    default: false
+  },
+  captured_at: {
+    type: Date,
+    default: null
+  },
+  failed_at: {
+    type: Date,
+    default: null
+  },
+  failure_reason: {
+    type: String,
+    default: ''
+  },
+  // Captured after the appointment stopped awaiting payment (paid another way, or cancelled): never applied
+  // to the appointment and refunded in full
+  unapplied: {
+    type: Boolean,
+    default: false
+  },
+  refunded_amount: {
+    type: Number,
+    default: 0
+  },
+  // Gateway refunds against this payment; refunded_amount only counts processed ones
+  refunds: [{
+    refund_id: { type: String, required: true },
+    amount: { type: Number, required: true },
+    status: { type: String, enum: ['pending', 'processed', 'failed'], default: 'pending' },
+    reason: { type: String, default: '' },
+    failure_reason: { type: String, default: '' },
+    created_at: { type: Date, default: Date.now },
+    processed_at: { type: Date, default: null }
+  }],
+  events: [{
+    event_id: { type: String, required: true },
+    event: { type: String, required: true },
+    received_at: { type: Date, default: Date.now }
+  }]
+}, {
+  timestamps: true
+});
+
+paymentSchema.index({ order_id: 1 }, { unique: true });
+paymentSchema.index({ payment_id: 1 }, { unique: true, partialFilterExpression: { payment_id: { $type: 'string' } } });
+paymentSchema.index({ token_id: 1, createdAt: -1 });
+paymentSchema.index({ patient_id: 1, createdAt: -1 });
+paymentSchema.index({ 'refunds.status': 1 });
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+
+// One medication line of a prescription. Name/strength/form are copied from the Medication master so
+// the prescription reads the same after the catalogue changes; end_date is when the current supply
+// (first fill or latest refill) runs out.
+const prescriptionItemSchema = new mongoose.Schema({
+  medication_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medication',
+    default: null
+  },
+  medication_name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  strength: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  form: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  dose_amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  dose_unit: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  route: {
+    type: String,
+    enum: ['oral', 'sublingual', 'topical', 'inhalation', 'intravenous', 'intramuscular', 'subcutaneous', 'ophthalmic', 'otic', 'nasal', 'rectal', 'other'],
+    default: 'oral'
+  },
+  // Frequency code, see prescriptionService FREQUENCIES (OD, BD, TDS, ...)
+  frequency: {
+    type: String,
+    required: true
+  },
+  duration_value: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  duration_unit: {
+    type: String,
+    enum: ['days', 'weeks', 'months'],
+    default: 'days'
+  },
+  // Units to dispense per fill; null for as-needed lines
+  quantity: {
+    type: Number,
+    default: null
+  },
+  refills_allowed: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  refills_used: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  instructions: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  start_date: {
+    type: Date,
+    required: true
+  },
+  end_date: {
+    type: Date,
+    required: true
+  },
+  last_refilled_at: {
+    type: Date,
+    default: null
+  }
+});
+
+// Structured prescription issued in a consultation (Token). Printable as a signed PDF.
+const prescriptionSchema = new mongoose.Schema({
+  // RX-2026-000123
+  prescription_number: {
+    type: String,
+    required: true
+  },
+  token_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Token',
+    required: true
+  },
+  patient_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  family_member_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FamilyMember',
+    default: null
+  },
+  doctor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  diagnosis_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Diagnosis',
+    default: null
+  },
+  items: {
+    type: [prescriptionItemSchema],
+    validate: [items => items.length > 0, 'A prescription needs at least one medication']
+  },
+  notes: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  },
+  cancelled_at: {
+    type: Date,
+    default: null
+  },
+  cancel_reason: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+prescriptionSchema.index({ prescription_number: 1 }, { unique: true });
+prescriptionSchema.index({ token_id: 1 });
+prescriptionSchema.index({ patient_id: 1, status: 1, createdAt: -1 });
+prescriptionSchema.index({ doctor_id: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Prescription', prescriptionSchema);
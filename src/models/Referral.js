@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+// A doctor sending a patient on to another department or a named doctor. The patient books straight
+// into the referral (optionally with priority); status follows the booking:
+// pending -> booked -> seen, and either doctor can close it at any point.
+const referralSchema = new mongoose.Schema({
+  patient_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  family_member_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FamilyMember',
+    default: null
+  },
+  referring_doctor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Consultation the referral was made from
+  source_token_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Token',
+    required: true
+  },
+  diagnosis_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Diagnosis',
+    default: null
+  },
+  to_department_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    required: true
+  },
+  // Null when any doctor of the department may take the patient
+  to_doctor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  urgency: {
+    type: String,
+    enum: ['routine', 'urgent', 'emergency'],
+    default: 'routine'
+  },
+  // Book the patient as a priority token
+  priority: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'booked', 'seen', 'closed'],
+    default: 'pending'
+  },
+  booked_token_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Token',
+    default: null
+  },
+  booked_at: {
+    type: Date,
+    default: null
+  },
+  seen_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  seen_at: {
+    type: Date,
+    default: null
+  },
+  closed_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  closed_at: {
+    type: Date,
+    default: null
+  },
+  closing_note: {
+    type: String,
+    default: '',
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+referralSchema.index({ referring_doctor_id: 1, status: 1, createdAt: -1 });
+referralSchema.index({ to_doctor_id: 1, status: 1, createdAt: -1 });
+referralSchema.index({ to_department_id: 1, status: 1, createdAt: -1 });
+referralSchema.index({ patient_id: 1, status: 1 });
+
+module.exports = mongoose.model('Referral', referralSchema);
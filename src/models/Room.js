@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Physical consulting room in a department. Doctors are placed in rooms per session through
+// RoomAssignment; available_from/until is the room's daily opening window used for utilization.
+const roomSchema = new mongoose.Schema({
+  department_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    required: true
+  },
+  // Shown on tokens and display boards (e.g. "Room 3", "OPD-2A")
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  floor: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  available_from: {
+    type: String,
+    default: '08:00',
+    match: TIME_PATTERN
+  },
+  available_until: {
+    type: String,
+    default: '20:00',
+    match: TIME_PATTERN
+  },
+  is_active: {
+    type: Boolean,
+    default: true
+  },
+  notes: {
+    type: String,
+    default: ''
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+roomSchema.index({ department_id: 1, name: 1 }, { unique: true });
+roomSchema.index({ is_active: 1 });
+
+module.exports = mongoose.model('Room', roomSchema);
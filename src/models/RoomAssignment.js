@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const DAYS_OF_WEEK = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// A doctor's session (SessionTemplate code) held in a room on the given weekdays between
+// effective_from and effective_until. A one-day assignment has both dates equal; when several
+// assignments cover the same session and date, the one starting latest wins.
+const roomAssignmentSchema = new mongoose.Schema({
+  room_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: true
+  },
+  doctor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  session_code: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  days_of_week: {
+    type: [{ type: String, enum: DAYS_OF_WEEK }],
+    default: DAYS_OF_WEEK
+  },
+  effective_from: {
+    type: Date,
+    required: true
+  },
+  effective_until: {
+    type: Date,
+    default: null
+  },
+  is_active: {
+    type: Boolean,
+    default: true
+  },
+  notes: {
+    type: String,
+    default: ''
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+roomAssignmentSchema.index({ room_id: 1, is_active: 1 });
+roomAssignmentSchema.index({ doctor_id: 1, session_code: 1, is_active: 1 });
+
+module.exports = mongoose.model('RoomAssignment', roomAssignmentSchema);
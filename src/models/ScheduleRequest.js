@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// A doctor's request to cancel a working day or move it to another date. Admin approval applies
+// the change to DoctorSchedule and cancels the tokens still booked on the original date.
+const scheduleRequestSchema = new mongoose.Schema({
+  doctor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['cancel', 'reschedule'],
+    required: true
+  },
+  // Explicit schedule the request was raised from; null for days generated from a weekly rule
+  schedule_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DoctorSchedule',
+    default: null
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Reschedule target
+  new_schedule: {
+    date: {
+      type: Date,
+      default: null
+    },
+    is_available: {
+      type: Boolean,
+      default: true
+    },
+    working_hours: {
+      start_time: {
+        type: String,
+        match: TIME_PATTERN
+      },
+      end_time: {
+        type: String,
+        match: TIME_PATTERN
+      }
+    },
+    break_time: {
+      start_time: {
+        type: String,
+        match: TIME_PATTERN
+      },
+      end_time: {
+        type: String,
+        match: TIME_PATTERN
+      }
+    },
+    slot_duration: Number,
+    max_patients_per_slot: Number,
+    leave_reason: String
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  status_history: [{
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+      required: true
+    },
+    changed_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changed_at: {
+      type: Date,
+      default: Date.now
+    },
+    comment: {
+      type: String,
+      default: ''
+    }
+  }],
+  admin_comments: [{
+    author_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    comment: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    created_at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Snapshot of the active tokens on the original date when the request was raised
+  affected_tokens: [{
+    token_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Token'
+    },
+    token_number: String,
+    patient_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    patient_name: String,
+    time_slot: String,
+    session_type: String,
+    status: String
+  }],
+  // Tokens actually cancelled when the request was approved
+  cancelled_token_ids: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Token'
+  }],
+  reviewed_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewed_at: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+scheduleRequestSchema.index({ status: 1, createdAt: -1 });
+scheduleRequestSchema.index({ doctor_id: 1, date: 1, status: 1 });
+
+module.exports = mongoose.model('ScheduleRequest', scheduleRequestSchema);
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+
+const DAYS_OF_WEEK = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Recurring weekly schedule for a doctor (e.g. "Mon/Wed/Fri morning, every other Saturday afternoon").
+// Days are materialized on the fly by scheduleRuleService; an explicit DoctorSchedule document for a
+// date always wins over the rule, so leave and one-off changes keep working as before.
+const scheduleRuleSchema = new mongoose.Schema({
+  doctor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    default: 'Weekly schedule'
+  },
+  entries: [{
+    day_of_week: {
+      type: String,
+      enum: DAYS_OF_WEEK,
+      required: true
+    },
+    // SessionTemplate codes worked on this day; empty means every session the doctor has that day
+    session_codes: [{
+      type: String,
+      lowercase: true,
+      trim: true
+    }],
+    // 1 = every week, 2 = every other week (counted from the week of effective_from), ...
+    every_n_weeks: {
+      type: Number,
+      default: 1,
+      min: 1
+    }
+  }],
+  effective_from: {
+    type: Date,
+    required: true
+  },
+  effective_until: {
+    type: Date,
+    default: null
+  },
+  working_hours: {
+    start_time: {
+      type: String,
+      default: '09:00',
+      match: TIME_PATTERN
+    },
+    end_time: {
+      type: String,
+      default: '17:00',
+      match: TIME_PATTERN
+    }
+  },
+  break_time: {
+    start_time: {
+      type: String,
+      default: '13:00',
+      match: TIME_PATTERN
+    },
+    end_time: {
+      type: String,
+      default: '14:00',
+      match: TIME_PATTERN
+    }
+  },
+  slot_duration: {
+    type: Number,
+    default: 30 // minutes
+  },
+  max_patients_per_slot: {
+    type: Number,
+    default: 1
+  },
+  // Per-date exceptions: a day off inside the pattern, or an extra/different day outside it
+  exceptions: [{
+    date: {
+      type: Date,
+      required: true
+    },
+    is_available: {
+      type: Boolean,
+      default: false
+    },
+    // Sessions worked on an available exception day; empty means every session
+    session_codes: [{
+      type: String,
+      lowercase: true,
+      trim: true
+    }],
+    reason: {
+      type: String,
+      default: ''
+    }
+  }],
+  is_active: {
+    type: Boolean,
+    default: true
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+scheduleRuleSchema.pre('validate', function(next) {
+  if (this.effective_until && this.effective_from && this.effective_until < this.effective_from) {
+    return next(new Error('effective_until must not be before effective_from'));
+  }
+  next();
+});
+
+scheduleRuleSchema.index({ doctor_id: 1, is_active: 1 });
+scheduleRuleSchema.index({ doctor_id: 1, effective_from: 1, effective_until: 1 });
+
+const ScheduleRule = mongoose.model('ScheduleRule', scheduleRuleSchema);
+
+ScheduleRule.DAYS_OF_WEEK = DAYS_OF_WEEK;
+
+module.exports = ScheduleRule;
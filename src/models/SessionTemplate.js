@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const DAYS_OF_WEEK = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Named consulting session (e.g. "Evening Clinic 18:00-21:00") owned by a doctor or a department.
+// Doctor templates take precedence over department templates; when neither exists the
+// built-in morning/afternoon defaults from bookingUtils apply.
+const sessionTemplateSchema = new mongoose.Schema({
+  doctor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  department_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    default: null
+  },
+  // Stable identifier stored on tokens as session_type (e.g. 'morning', 'evening', 'early_ot')
+  code: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    match: /^[a-z0-9_-]+$/
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  start_time: {
+    type: String,
+    required: true,
+    match: TIME_PATTERN
+  },
+  end_time: {
+    type: String,
+    required: true,
+    match: TIME_PATTERN
+  },
+  max_patients: {
+    type: Number,
+    default: 10,
+    min: 0
+  },
+  // Booking closes this many minutes before start_time on the same day
+  booking_cutoff_minutes: {
+    type: Number,
+    default: 60,
+    min: 0
+  },
+  days_of_week: {
+    type: [{ type: String, enum: DAYS_OF_WEEK }],
+    default: DAYS_OF_WEEK
+  },
+  is_active: {
+    type: Boolean,
+    default: true
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+sessionTemplateSchema.pre('validate', function(next) {
+  if (!this.doctor_id === !this.department_id) {
+    return next(new Error('Session template must belong to either a doctor or a department'));
+  }
+  if (this.start_time && this.end_time && this.start_time >= this.end_time) {
+    return next(new Error('Session start_time must be before end_time'));
+  }
+  next();
+});
+
+sessionTemplateSchema.index({ doctor_id: 1, is_active: 1 });
+sessionTemplateSchema.index({ department_id: 1, is_active: 1 });
+sessionTemplateSchema.index({ doctor_id: 1, department_id: 1, code: 1 }, { unique: true });
+
+const SessionTemplate = mongoose.model('SessionTemplate', sessionTemplateSchema);
+
+SessionTemplate.DAYS_OF_WEEK = DAYS_OF_WEEK;
+
+module.exports = SessionTemplate;
@@ -58,7 +58,9 @@ passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 const counterSchema = new mongoose.Schema({
   key: { type: String, required: true, unique: true }, // Use key field for the counter identifier
   count: { type: Number, default: 0 },
-  seq: { type: Number, default: 0 } // Additional sequence field for compatibility
+  seq: { type: Number, default: 0 }, // Additional sequence field for compatibility
+  // Invoice series: the document holding the latest number until it has been written onto it
+  reserved_for: { type: mongoose.Schema.Types.ObjectId, default: null }
 }, {
   timestamps: true
 });
@@ -119,7 +121,7 @@ const userSchema = new mongoose.Schema({
   profileImage: { type: String },
   role: {
     type: String,
-    enum: ['patient', 'doctor', 'receptionist', 'admin'],
+    enum: ['patient', 'doctor', 'receptionist', 'admin', 'lab'],
     default: 'patient'
   },
   patientId: { type: String, unique: true, sparse: true },
@@ -477,20 +479,131 @@ const tokenSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Live ETA from waitTimeService; the first ETA of the day is kept to measure prediction accuracy
+  estimated_start_at: {
+    type: Date,
+    default: null
+  },
+  first_estimated_at: {
+    type: Date,
+    default: null
+  },
+  first_estimated_start_at: {
+    type: Date,
+    default: null
+  },
   payment_status: {
     type: String,
-    enum: ['paid', 'pending', 'refunded'],
+    // partial = part of the fee taken at the desk (paid_amount holds the total so far)
+    enum: ['paid', 'pending', 'partial', 'refunded'],
     default: 'pending'
   },
+  // Set once a gateway payment is verified (see paymentService); payment_reference is the gateway payment id
+  paid_amount: {
+    type: Number,
+    default: null
+  },
+  payment_method: {
+    type: String,
+    default: ''
+  },
+  payment_reference: {
+    type: String,
+    default: ''
+  },
+  paid_at: {
+    type: Date,
+    default: null
+  },
+  // Counter payments: the receptionist's cash-drawer shift that took the money
+  cash_shift_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CashShift',
+    default: null
+  },
   priority_flag: {
     type: Boolean,
     default: false
   },
+  // Issued over the session's capacity under the department's overbooking policy
+  is_overbooked: {
+    type: Boolean,
+    default: false
+  },
+  overbooked_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  overbooking_reason: {
+    type: String,
+    default: ''
+  },
+  // Queue engine state (see queueService). Null position = not placed yet, ordered by slot time.
+  queue_position: {
+    type: Number,
+    default: null
+  },
+  // Reception check-in; null = not arrived
+  checked_in_at: {
+    type: Date,
+    default: null
+  },
+  check_in_method: {
+    type: String,
+    enum: ['qr', 'manual'],
+    default: null
+  },
+  checked_in_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Checked in more than the grace period (CHECKIN_GRACE_MINUTES) after the slot time
+  is_late_arrival: {
+    type: Boolean,
+    default: false
+  },
+  late_by_minutes: {
+    type: Number,
+    default: 0
+  },
+  skipped_at: {
+    type: Date,
+    default: null
+  },
+  skip_count: {
+    type: Number,
+    default: 0
+  },
+  recalled_at: {
+    type: Date,
+    default: null
+  },
   created_by: {
     type: String,
     enum: ['patient', 'receptionist', 'whatsapp_bot'],
     default: 'patient'
   },
+  // Fee charged for this visit when it differs from the doctor's consultation_fee (follow-ups)
+  consultation_fee: {
+    type: Number,
+    default: null
+  },
+  is_followup: {
+    type: Boolean,
+    default: false
+  },
+  followup_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FollowUp',
+    default: null
+  },
+  referral_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Referral',
+    default: null
+  },
   emergency_redirected: {
     type: Boolean,
     default: false
@@ -498,18 +611,27 @@ const tokenSchema = new mongoose.Schema({
   token_pdf_url: {
     type: String
   },
+  // Display number, unique within token_scope (see tokenNumberService)
   token_number: {
+    type: String
+  },
+  // Position within the scope's daily sequence (3 for T003 / CARD-003)
+  token_sequence: {
+    type: Number,
+    default: null
+  },
+  // Counter key the number was issued from (scheme, department/doctor/session and day)
+  token_scope: {
     type: String,
-    unique: true,
-    sparse: true
+    default: null
   },
   cancellation_reason: {
     type: String,
     default: ''
   },
+  // SessionTemplate code (built-in: 'morning', 'afternoon'; legacy: 'evening')
   session_type: {
     type: String,
-    enum: ['morning', 'afternoon', 'evening'],
     required: true
   },
   session_time_range: {
@@ -615,18 +737,33 @@ const tokenSchema = new mongoose.Schema({
     enum: ['none', 'pending', 'processed', 'failed'],
     default: 'none'
   },
+  // Total of processed refunds; partial refunds accumulate until it reaches the amount paid
   refund_amount: {
     type: Number,
     default: 0
   },
+  // Gateway refunds sent but not yet settled, reserved so concurrent refunds cannot exceed the amount paid
+  refund_pending_amount: {
+    type: Number,
+    default: 0
+  },
+  // 'original' = back to the gateway payment instrument (see paymentService.refund)
   refund_method: {
     type: String,
-    enum: ['wallet', 'upi', 'card', 'cash'],
+    enum: ['wallet', 'upi', 'card', 'cash', 'original'],
     default: 'wallet'
   },
   refund_reference: {
     type: String,
     default: ''
+  },
+  refund_reason: {
+    type: String,
+    default: ''
+  },
+  refunded_at: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -636,7 +773,10 @@ const tokenSchema = new mongoose.Schema({
 tokenSchema.index({ doctor_id: 1, booking_date: 1 });
 tokenSchema.index({ patient_id: 1, booking_date: 1 });
 tokenSchema.index({ status: 1 });
-tokenSchema.index({ token_number: 1 }, { unique: true });
+tokenSchema.index(
+  { token_scope: 1, token_number: 1 },
+  { unique: true, partialFilterExpression: { token_scope: { $type: 'string' } } }
+);
 
 const User = mongoose.model('User', userSchema);
 const Counter = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+// A patient (or one of their family members) waiting for a place in a full doctor session.
+// When a token in that session is cancelled, the oldest waiting entry is offered the freed slot;
+// the slot is held in DoctorSchedule.booked_slots under the entry's id until it is claimed or the hold expires.
+const waitlistEntrySchema = new mongoose.Schema({
+  patient_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  family_member_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FamilyMember',
+    default: null
+  },
+  doctor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  department_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  // SessionTemplate code (same value as Token.session_type)
+  session_code: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  symptoms: {
+    type: String,
+    default: 'Not provided'
+  },
+  appointment_type: {
+    type: String,
+    enum: ['in-person', 'video'],
+    default: 'in-person'
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'booked', 'expired', 'declined', 'cancelled'],
+    default: 'waiting'
+  },
+  // Slot held for this entry while an offer is open
+  offered_slot_time: {
+    type: String,
+    default: null
+  },
+  offered_at: {
+    type: Date,
+    default: null
+  },
+  hold_expires_at: {
+    type: Date,
+    default: null
+  },
+  token_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Token',
+    default: null
+  },
+  closed_at: {
+    type: Date,
+    default: null
+  },
+  closed_reason: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+waitlistEntrySchema.index({ doctor_id: 1, date: 1, session_code: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ patient_id: 1, status: 1 });
+waitlistEntrySchema.index({ status: 1, hold_expires_at: 1 });
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// Patient wallet ledger. Append-only: every change to User.patient_info.wallet_balance is one entry with
+// the balance right after it; corrections are new entries, never edits. Amounts are in rupees, always
+// positive, with `direction` giving the sign.
+const walletTransactionSchema = new mongoose.Schema({
+  patient_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['refund_credit', 'booking_debit', 'booking_reversal', 'admin_adjustment'],
+    required: true
+  },
+  direction: {
+    type: String,
+    enum: ['credit', 'debit'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  balance_after: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  token_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Token',
+    default: null
+  },
+  // Human-readable reference shown to the patient (WAL########)
+  reference: {
+    type: String,
+    required: true
+  },
+  reason: {
+    type: String,
+    default: ''
+  },
+  // Who caused the entry: the patient, an admin (adjustments) or the system (refunds)
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  created_by_role: {
+    type: String,
+    enum: ['patient', 'admin', 'system'],
+    default: 'system'
+  }
+}, {
+  timestamps: true
+});
+
+walletTransactionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Wallet transactions are append-only'));
+  }
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(operation => {
+  walletTransactionSchema.pre(operation, function(next) {
+    next(new Error('Wallet transactions are append-only'));
+  });
+});
+
+walletTransactionSchema.index({ patient_id: 1, createdAt: -1 });
+walletTransactionSchema.index({ reference: 1 }, { unique: true });
+walletTransactionSchema.index({ token_id: 1 });
+
+module.exports = mongoose.model('WalletTransaction', walletTransactionSchema);
@@ -8,6 +8,33 @@ const LeaveRequest = require('../models/LeaveRequest');
 const Department = require('../models/Department');
 const DoctorSchedule = require('../models/DoctorSchedule');
 const Feedback = require('../models/Feedback');
+const SessionTemplate = require('../models/SessionTemplate');
+const sessionTemplateService = require('../services/sessionTemplateService');
+const ScheduleRule = require('../models/ScheduleRule');
+const scheduleRuleService = require('../services/scheduleRuleService');
+const slotReservationService = require('../services/slotReservationService');
+const waitlistService = require('../services/waitlistService');
+const ScheduleRequest = require('../models/ScheduleRequest');
+const scheduleRequestService = require('../services/scheduleRequestService');
+const overbookingService = require('../services/overbookingService');
+const tokenNumberService = require('../services/tokenNumberService');
+const waitTimeService = require('../services/waitTimeService');
+const followUpService = require('../services/followUpService');
+const displayBoardService = require('../services/displayBoardService');
+const Room = require('../models/Room');
+const RoomAssignment = require('../models/RoomAssignment');
+const roomService = require('../services/roomService');
+const Medication = require('../models/Medication');
+const prescriptionService = require('../services/prescriptionService');
+const InteractionRule = require('../models/InteractionRule');
+const InteractionOverride = require('../models/InteractionOverride');
+const interactionService = require('../services/interactionService');
+const paymentService = require('../services/paymentService');
+const walletService = require('../services/walletService');
+const Invoice = require('../models/Invoice');
+const invoiceService = require('../services/invoiceService');
+const cashShiftService = require('../services/cashShiftService');
+const { parseTime } = require('../utils/bookingUtils');
 
 // Schedule Request Schema (in-memory for now, can be moved to a separate model later)
 // Using global to share with doctor routes
@@ -138,7 +165,7 @@ router.patch('/users/:id', adminMiddleware, async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    if (role && ['patient', 'doctor', 'receptionist', 'admin'].includes(role)) {
+    if (role && ['patient', 'doctor', 'receptionist', 'admin', 'lab'].includes(role)) {
       user.role = role;
     }
 
@@ -1138,6 +1165,55 @@ router.put('/patients/:patientId', adminMiddleware, async (req, res) => {
   }
 });
 
+// Admin: Wallet balance and full transaction history for a patient
+router.get('/patients/:patientId/wallet', adminMiddleware, async (req, res) => {
+  try {
+    const { patientId } = req.params;
+    const or = [{ patientId }];
+    if (mongoose.isValidObjectId(patientId)) or.push({ _id: patientId });
+    const patient = await User.findOne({ role: 'patient', $or: or }).select('name patientId');
+    if (!patient) {
+      return res.status(404).json({ message: 'Patient not found' });
+    }
+
+    const { page, limit, type } = req.query;
+    const wallet = await walletService.listTransactions(patient._id, { page, limit, type });
+    res.json({ patient: { id: patient._id, patientId: patient.patientId, name: patient.name }, ...wallet });
+  } catch (error) {
+    console.error('Admin get wallet error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Admin: Credit (positive amount) or debit (negative amount) a patient's wallet. The reason and the
+// admin are kept on the ledger entry as the audit trail.
+router.post('/patients/:patientId/wallet/adjustments', adminMiddleware, async (req, res) => {
+  try {
+    const { patientId } = req.params;
+    const { amount, reason } = req.body;
+    const or = [{ patientId }];
+    if (mongoose.isValidObjectId(patientId)) or.push({ _id: patientId });
+    const patient = await User.findOne({ role: 'patient', $or: or }).select('_id');
+    if (!patient) {
+      return res.status(404).json({ message: 'Patient not found' });
+    }
+
+    const result = await walletService.adjust(patient._id, amount, reason, req.user);
+    if (!result.success) {
+      return res.status(result.status).json({ message: result.message, balance: result.balance });
+    }
+    console.log(`💰 Wallet adjustment ${result.transaction.reference} by admin ${req.user._id}: ${amount} (${reason})`);
+    res.status(201).json({
+      message: 'Wallet adjusted',
+      transaction: walletService.formatTransaction(result.transaction),
+      balance: result.balance
+    });
+  } catch (error) {
+    console.error('Admin wallet adjustment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Admin: Cancel an appointment for a patient
 router.put('/patients/:patientId/appointments/:appointmentId/cancel', adminMiddleware, async (req, res) => {
   try {
@@ -1174,21 +1250,19 @@ router.put('/patients/:patientId/appointments/:appointmentId/cancel', adminMiddl
     appointment.cancelled_by = 'admin';
     appointment.cancelled_at = new Date();
 
-    // Auto-refund if payment made online/cashless
-    if (appointment.payment_status === 'paid') {
-      appointment.payment_status = 'refunded';
-      appointment.refund_reason = `Auto-refund: ${appointment.cancellation_reason}`;
-      appointment.refunded_at = new Date();
-      appointment.refund_amount = appointment.fee || 500;
-      // Preserve original method when present; fall back to 'original'
-      appointment.refund_method = appointment.paymentMethod || 'original';
+    await appointment.save();
+    await slotReservationService.releaseToken(appointment);
+
+    // Auto-refund if payment made online/cashless (back through the gateway, else to the wallet)
+    const refundInfo = await paymentService.refundCancelled(appointment, `Auto-refund: ${appointment.cancellation_reason}`);
+    if (refundInfo.amount > 0) {
       try {
         const notificationService = require('../services/notificationService');
         await notificationService.sendRefundNotification({
-          patientName: appointment.patient_id?.name || 'Patient',
-          patientEmail: appointment.patient_id?.email,
-          amount: appointment.refund_amount,
-          reason: appointment.refund_reason,
+          patientName: patient.name || 'Patient',
+          patientEmail: patient.email,
+          amount: refundInfo.amount,
+          reason: `Auto-refund: ${appointment.cancellation_reason}`,
           appointmentDate: appointment.booking_date,
           doctorName: appointment.doctor_id?.name || 'Doctor'
         });
@@ -1197,16 +1271,8 @@ router.put('/patients/:patientId/appointments/:appointmentId/cancel', adminMiddl
       }
     }
 
-    await appointment.save();
-
     // Send WhatsApp cancellation confirmation
     const whatsappBotService = require('../services/whatsappBotService');
-    const refundInfo = {
-      eligible: appointment.payment_status === 'refunded',
-      amount: appointment.refund_amount || 0,
-      method: appointment.refund_method || 'original',
-      status: appointment.payment_status === 'refunded' ? 'processed' : 'none'
-    };
     whatsappBotService.sendCancellationConfirmation(appointment._id, refundInfo).then(() => {
       console.log('✅ WhatsApp cancellation confirmation sent successfully');
     }).catch((error) => {
@@ -1578,8 +1644,8 @@ router.post('/users', adminMiddleware, async (req, res) => {
     }
 
     // Validate role
-    if (!['doctor', 'receptionist'].includes(role)) {
-      return res.status(400).json({ message: 'Invalid role. Only doctor and receptionist can be created.' });
+    if (!['doctor', 'receptionist', 'lab'].includes(role)) {
+      return res.status(400).json({ message: 'Invalid role. Only doctor, receptionist and lab staff can be created.' });
     }
 
     // Check if user already exists
@@ -1745,8 +1811,8 @@ router.post('/users-direct', adminMiddleware, async (req, res) => {
     const { name, email, phone, role, department, specialization, experience_years } = req.body;
 
     // Validate role
-    if (!['doctor', 'receptionist'].includes(role)) {
-      return res.status(400).json({ message: 'Invalid role. Only doctor and receptionist can be created.' });
+    if (!['doctor', 'receptionist', 'lab'].includes(role)) {
+      return res.status(400).json({ message: 'Invalid role. Only doctor, receptionist and lab staff can be created.' });
     }
 
     // Check if user already exists
@@ -1897,6 +1963,217 @@ router.put('/departments/:id', adminMiddleware, async (req, res) => {
   }
 });
 
+// Get a department's overbooking/emergency policy
+router.get('/departments/:id/overbooking-policy', adminMiddleware, async (req, res) => {
+  try {
+    const department = await Department.findById(req.params.id).select('name overbooking_policy');
+    if (!department) {
+      return res.status(404).json({ message: 'Department not found' });
+    }
+    res.json({ departmentId: department._id, department: department.name, policy: overbookingService.getPolicy(department) });
+  } catch (error) {
+    console.error('Get overbooking policy error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update a department's overbooking/emergency policy
+router.put('/departments/:id/overbooking-policy', adminMiddleware, async (req, res) => {
+  try {
+    const { errors, update } = overbookingService.normalizePolicyPayload(req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({ message: errors[0], errors });
+    }
+
+    const department = await Department.findByIdAndUpdate(req.params.id, { $set: update }, { new: true, runValidators: true })
+      .select('name overbooking_policy');
+    if (!department) {
+      return res.status(404).json({ message: 'Department not found' });
+    }
+
+    res.json({
+      message: 'Overbooking policy updated successfully',
+      departmentId: department._id,
+      department: department.name,
+      policy: overbookingService.getPolicy(department)
+    });
+  } catch (error) {
+    console.error('Update overbooking policy error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a department's token numbering scheme
+router.get('/departments/:id/token-numbering', adminMiddleware, async (req, res) => {
+  try {
+    const department = await Department.findById(req.params.id).select('name token_numbering');
+    if (!department) {
+      return res.status(404).json({ message: 'Department not found' });
+    }
+    res.json({
+      departmentId: department._id,
+      department: department.name,
+      numbering: tokenNumberService.getScheme(department),
+      examples: tokenNumberService.preview(department)
+    });
+  } catch (error) {
+    console.error('Get token numbering error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update a department's token numbering scheme (applies to tokens issued from now on)
+router.put('/departments/:id/token-numbering', adminMiddleware, async (req, res) => {
+  try {
+    const { errors, update } = tokenNumberService.normalizeSchemePayload(req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({ message: errors[0], errors });
+    }
+
+    const department = await Department.findByIdAndUpdate(req.params.id, { $set: update }, { new: true, runValidators: true })
+      .select('name token_numbering');
+    if (!department) {
+      return res.status(404).json({ message: 'Department not found' });
+    }
+
+    res.json({
+      message: 'Token numbering updated successfully',
+      departmentId: department._id,
+      department: department.name,
+      numbering: tokenNumberService.getScheme(department),
+      examples: tokenNumberService.preview(department)
+    });
+  } catch (error) {
+    console.error('Update token numbering error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Overbooking usage report (?from=YYYY-MM-DD&to=YYYY-MM-DD&departmentId=), defaults to the last 30 days
+router.get('/reports/overbooking', adminMiddleware, async (req, res) => {
+  try {
+    const { from, to, departmentId } = req.query;
+
+    const end = to ? scheduleRuleService.toDay(to) : scheduleRuleService.toDay(new Date());
+    const start = from ? scheduleRuleService.toDay(from) : new Date(end.getTime() - 29 * 24 * 60 * 60 * 1000);
+    if (!start || !end || start > end) {
+      return res.status(400).json({ message: 'Invalid date range' });
+    }
+    const endExclusive = new Date(end);
+    endExclusive.setDate(endExclusive.getDate() + 1);
+
+    let departmentName = null;
+    if (departmentId) {
+      const department = await Department.findById(departmentId).select('name');
+      if (!department) {
+        return res.status(404).json({ message: 'Department not found' });
+      }
+      departmentName = department.name;
+    }
+
+    const report = await overbookingService.getUsageReport({ from: start, to: endExclusive, departmentName });
+
+    res.json({
+      from: scheduleRuleService.dateKey(start),
+      to: scheduleRuleService.dateKey(end),
+      department: departmentName,
+      ...report
+    });
+  } catch (error) {
+    console.error('Overbooking report error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Signed waiting-room display links for every department and its doctors
+router.get('/display-links', adminMiddleware, async (req, res) => {
+  try {
+    const departments = await Department.find({ isActive: { $ne: false } }).select('name').sort({ name: 1 });
+    const doctors = await User.find({ role: 'doctor', isActive: { $ne: false } }).select('name doctor_info.department').sort({ name: 1 });
+
+    res.json({
+      departments: departments.map(department => ({
+        departmentId: department._id,
+        name: department.name,
+        ...displayBoardService.getLink('department', department._id.toString()),
+        doctors: doctors
+          .filter(doctor => doctor.doctor_info?.department?.toString() === department._id.toString())
+          .map(doctor => ({
+            doctorId: doctor._id,
+            name: doctor.name,
+            ...displayBoardService.getLink('doctor', doctor._id.toString())
+          }))
+      }))
+    });
+  } catch (error) {
+    console.error('Display links error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Wait time prediction accuracy: first ETA given to each patient vs when they were actually called in
+router.get('/reports/wait-time-accuracy', adminMiddleware, async (req, res) => {
+  try {
+    const { from, to, doctorId } = req.query;
+
+    const end = to ? scheduleRuleService.toDay(to) : scheduleRuleService.toDay(new Date());
+    const start = from ? scheduleRuleService.toDay(from) : new Date(end.getTime() - 29 * 24 * 60 * 60 * 1000);
+    if (!start || !end || start > end) {
+      return res.status(400).json({ message: 'Invalid date range' });
+    }
+    if (doctorId && !isValidObjectId(doctorId)) {
+      return res.status(400).json({ message: 'Invalid doctor ID' });
+    }
+    const endExclusive = new Date(end);
+    endExclusive.setDate(endExclusive.getDate() + 1);
+
+    const report = await waitTimeService.getAccuracyReport({ from: start, to: endExclusive, doctorId: doctorId || null });
+
+    res.json({
+      from: scheduleRuleService.dateKey(start),
+      to: scheduleRuleService.dateKey(end),
+      ...report
+    });
+  } catch (error) {
+    console.error('Wait time accuracy report error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Follow-up adherence for follow-ups due in a range (?from=YYYY-MM-DD&to=YYYY-MM-DD&doctorId=&departmentId=), defaults to the last 30 days
+router.get('/reports/follow-up-adherence', adminMiddleware, async (req, res) => {
+  try {
+    const { from, to, doctorId, departmentId } = req.query;
+
+    const end = to ? scheduleRuleService.toDay(to) : scheduleRuleService.toDay(new Date());
+    const start = from ? scheduleRuleService.toDay(from) : new Date(end.getTime() - 29 * 24 * 60 * 60 * 1000);
+    if (!start || !end || start > end) {
+      return res.status(400).json({ message: 'Invalid date range' });
+    }
+    if ((doctorId && !isValidObjectId(doctorId)) || (departmentId && !isValidObjectId(departmentId))) {
+      return res.status(400).json({ message: 'Invalid doctor or department ID' });
+    }
+    const endExclusive = new Date(end);
+    endExclusive.setDate(endExclusive.getDate() + 1);
+
+    const report = await followUpService.getAdherenceReport({
+      from: start,
+      to: endExclusive,
+      doctorId: doctorId || null,
+      departmentId: departmentId || null
+    });
+
+    res.json({
+      from: scheduleRuleService.dateKey(start),
+      to: scheduleRuleService.dateKey(end),
+      ...report
+    });
+  } catch (error) {
+    console.error('Follow-up adherence report error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Delete department
 // Update department status (activate/deactivate)
 router.patch('/departments/:id/status', adminMiddleware, async (req, res) => {
@@ -1969,21 +2246,17 @@ router.get('/doctor-schedules/:doctorId', adminMiddleware, async (req, res) => {
       return res.status(404).json({ message: 'Doctor not found' });
     }
 
-    const query = { doctor_id: doctorId };
-    
-    if (startDate && endDate) {
-      query.date = {
-        $gte: new Date(startDate),
-        $lte: new Date(endDate)
-      };
-    }
-
-    const schedules = await DoctorSchedule.find(query).sort({ date: 1 });
+    // With a date range, days generated from weekly schedule rules are included as well
+    const schedules = startDate && endDate
+      ? await scheduleRuleService.getSchedulesInRange(doctorId, new Date(startDate), new Date(endDate))
+      : await DoctorSchedule.find({ doctor_id: doctorId }).sort({ date: 1 });
 
     res.json({
       doctor: doctor.name,
       schedules: schedules.map(schedule => ({
         id: schedule._id,
+        ruleId: schedule.rule_id || null,
+        isVirtual: !!schedule.is_virtual,
         date: schedule.date,
         isAvailable: schedule.is_available,
         workingHours: schedule.working_hours,
@@ -1994,7 +2267,8 @@ router.get('/doctor-schedules/:doctorId', adminMiddleware, async (req, res) => {
         leaveReason: schedule.leave_reason,
         notes: schedule.notes,
         morningSession: schedule.morning_session,
-        afternoonSession: schedule.afternoon_session
+        afternoonSession: schedule.afternoon_session,
+        sessionOverrides: schedule.session_overrides
       }))
     });
   } catch (error) {
@@ -2017,7 +2291,8 @@ router.post('/doctor-schedules/:doctorId', adminMiddleware, async (req, res) =>
       leaveReason,
       notes,
       morningSession,
-      afternoonSession
+      afternoonSession,
+      sessionOverrides
     } = req.body;
 
     // Verify doctor exists
@@ -2047,6 +2322,15 @@ router.post('/doctor-schedules/:doctorId', adminMiddleware, async (req, res) =>
       };
     };
 
+    // Per-date overrides for template sessions ({ code, available, maxPatients })
+    const normalizeOverrides = (overrides) => overrides
+      .filter(o => o && o.code)
+      .map(o => ({
+        code: o.code,
+        available: o.available ?? true,
+        max_patients: o.maxPatients ?? o.max_patients
+      }));
+
     if (schedule) {
       // Update existing schedule
       schedule.is_available = isAvailable !== undefined ? isAvailable : schedule.is_available;
@@ -2059,6 +2343,7 @@ router.post('/doctor-schedules/:doctorId', adminMiddleware, async (req, res) =>
       // Update session data
       schedule.morning_session = normalizeSession(morningSession, schedule.morning_session);
       schedule.afternoon_session = normalizeSession(afternoonSession, schedule.afternoon_session);
+      if (Array.isArray(sessionOverrides)) schedule.session_overrides = normalizeOverrides(sessionOverrides);
       
       await schedule.save();
     } else {
@@ -2091,7 +2376,8 @@ router.post('/doctor-schedules/:doctorId', adminMiddleware, async (req, res) =>
           start_time: '14:00',
           end_time: '18:00',
           max_patients: 10
-        })
+        }),
+        session_overrides: normalizeOverrides(sessionOverrides || [])
       });
       
       await schedule.save();
@@ -2110,7 +2396,8 @@ router.post('/doctor-schedules/:doctorId', adminMiddleware, async (req, res) =>
         leaveReason: schedule.leave_reason,
         notes: schedule.notes,
         morningSession: schedule.morning_session,
-        afternoonSession: schedule.afternoon_session
+        afternoonSession: schedule.afternoon_session,
+        sessionOverrides: schedule.session_overrides
       }
     });
   } catch (error) {
@@ -2119,94 +2406,653 @@ router.post('/doctor-schedules/:doctorId', adminMiddleware, async (req, res) =>
   }
 });
 
-// Delete doctor schedule
-router.delete('/doctor-schedules/:scheduleId', adminMiddleware, async (req, res) => {
+// Delete doctor schedule
+router.delete('/doctor-schedules/:scheduleId', adminMiddleware, async (req, res) => {
+  try {
+    const { scheduleId } = req.params;
+
+    const schedule = await DoctorSchedule.findByIdAndDelete(scheduleId);
+
+    if (!schedule) {
+      return res.status(404).json({ message: 'Schedule not found' });
+    }
+
+    res.json({ message: 'Doctor schedule deleted successfully' });
+  } catch (error) {
+    console.error('Delete doctor schedule error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Bulk delete schedules for a doctor
+router.post('/doctor-schedules/:doctorId/bulk-delete', adminMiddleware, async (req, res) => {
+  try {
+    console.log('Bulk delete endpoint hit:', {
+      doctorId: req.params.doctorId,
+      body: req.body,
+      method: req.method,
+      url: req.url
+    });
+    
+    const { doctorId } = req.params;
+    const { deleteType, startDate, endDate, scheduleIds } = req.body;
+
+    // Verify doctor exists
+    const doctor = await User.findById(doctorId).select('name role');
+    if (!doctor || doctor.role !== 'doctor') {
+      return res.status(404).json({ message: 'Doctor not found' });
+    }
+
+    let deletedCount = 0;
+
+    if (deleteType === 'range') {
+      // Delete schedules by date range
+      const start = new Date(startDate);
+      const end = new Date(endDate);
+      start.setHours(0, 0, 0, 0);
+      end.setHours(23, 59, 59, 999);
+
+      const result = await DoctorSchedule.deleteMany({
+        doctor_id: doctorId,
+        date: { $gte: start, $lte: end }
+      });
+
+      deletedCount = result.deletedCount;
+    } else if (deleteType === 'selected') {
+      // Delete selected schedules by IDs
+      if (!scheduleIds || scheduleIds.length === 0) {
+        return res.status(400).json({ message: 'No schedules selected for deletion' });
+      }
+
+      // Convert string IDs to ObjectIds
+      const objectIds = scheduleIds.map(id => {
+        try {
+          return new mongoose.Types.ObjectId(id);
+        } catch (error) {
+          console.error('Invalid ObjectId:', id);
+          return null;
+        }
+      }).filter(id => id !== null);
+
+      if (objectIds.length === 0) {
+        return res.status(400).json({ message: 'No valid schedule IDs provided' });
+      }
+
+      const result = await DoctorSchedule.deleteMany({
+        doctor_id: doctorId,
+        _id: { $in: objectIds }
+      });
+
+      deletedCount = result.deletedCount;
+    } else {
+      return res.status(400).json({ message: 'Invalid delete type' });
+    }
+
+    res.json({
+      message: `Successfully deleted ${deletedCount} schedules for Dr. ${doctor.name}`,
+      deletedCount
+    });
+  } catch (error) {
+    console.error('Bulk delete doctor schedules error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ===== SESSION TEMPLATES =====
+
+// List session templates for a doctor or department
+router.get('/session-templates', adminMiddleware, async (req, res) => {
+  try {
+    const { doctorId, departmentId } = req.query;
+    const query = {};
+    if (doctorId) query.doctor_id = doctorId;
+    if (departmentId) {
+      query.department_id = departmentId;
+      if (!doctorId) query.doctor_id = null;
+    }
+
+    const templates = await SessionTemplate.find(query)
+      .populate('doctor_id', 'name')
+      .populate('department_id', 'name')
+      .sort({ start_time: 1 });
+
+    const response = {
+      templates: templates.map(t => ({
+        ...sessionTemplateService.formatTemplate(t),
+        doctorName: t.doctor_id?.name || null,
+        departmentName: t.department_id?.name || null
+      }))
+    };
+
+    // Show what a doctor actually gets after falling back to department/defaults
+    if (doctorId) {
+      const effective = await sessionTemplateService.getTemplatesForDoctor(doctorId);
+      response.effectiveSource = effective.source;
+      response.effectiveTemplates = effective.templates.map(t => sessionTemplateService.formatTemplate(t));
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('List session templates error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a session template for a doctor or a department
+router.post('/session-templates', adminMiddleware, async (req, res) => {
+  try {
+    const { doctorId, departmentId } = req.body;
+    if (!doctorId === !departmentId) {
+      return res.status(400).json({ message: 'Provide either doctorId or departmentId' });
+    }
+
+    if (doctorId) {
+      const doctor = await User.findById(doctorId).select('role');
+      if (!doctor || doctor.role !== 'doctor') {
+        return res.status(404).json({ message: 'Doctor not found' });
+      }
+    } else {
+      const department = await Department.findById(departmentId).select('_id');
+      if (!department) {
+        return res.status(404).json({ message: 'Department not found' });
+      }
+    }
+
+    const payload = {
+      ...sessionTemplateService.normalizePayload(req.body),
+      doctor_id: doctorId || null,
+      department_id: departmentId || null,
+      created_by: req.user._id
+    };
+
+    const errors = await sessionTemplateService.validateTemplate(payload);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: errors[0], errors });
+    }
+
+    const template = await SessionTemplate.create(payload);
+    res.status(201).json({ message: 'Session template created', template: sessionTemplateService.formatTemplate(template) });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A session with this code already exists' });
+    }
+    console.error('Create session template error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update a session template
+router.put('/session-templates/:id', adminMiddleware, async (req, res) => {
+  try {
+    const template = await SessionTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({ message: 'Session template not found' });
+    }
+
+    Object.assign(template, sessionTemplateService.normalizePayload(req.body));
+    const errors = await sessionTemplateService.validateTemplate(template.toObject(), template._id);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: errors[0], errors });
+    }
+
+    await template.save();
+    res.json({ message: 'Session template updated', template: sessionTemplateService.formatTemplate(template) });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A session with this code already exists' });
+    }
+    console.error('Update session template error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a session template
+router.delete('/session-templates/:id', adminMiddleware, async (req, res) => {
+  try {
+    const template = await SessionTemplate.findByIdAndDelete(req.params.id);
+    if (!template) {
+      return res.status(404).json({ message: 'Session template not found' });
+    }
+    res.json({ message: 'Session template deleted' });
+  } catch (error) {
+    console.error('Delete session template error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ===== ROOMS =====
+
+// List rooms, optionally for one department
+router.get('/rooms', adminMiddleware, async (req, res) => {
+  try {
+    const { departmentId, includeInactive } = req.query;
+    const query = {};
+    if (departmentId) query.department_id = departmentId;
+    if (includeInactive !== 'true') query.is_active = true;
+
+    const rooms = await Room.find(query).populate('department_id', 'name').sort({ name: 1 });
+    res.json({ rooms: rooms.map(room => roomService.formatRoom(room)) });
+  } catch (error) {
+    console.error('List rooms error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a room in a department
+router.post('/rooms', adminMiddleware, async (req, res) => {
+  try {
+    const payload = { ...roomService.normalizeRoomPayload(req.body), created_by: req.user._id };
+    const errors = roomService.validateRoom(payload);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: errors[0], errors });
+    }
+
+    const department = isValidObjectId(payload.department_id) ? await Department.findById(payload.department_id).select('_id') : null;
+    if (!department) {
+      return res.status(404).json({ message: 'Department not found' });
+    }
+
+    const room = await Room.create(payload);
+    res.status(201).json({ message: 'Room created', room: roomService.formatRoom(room) });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A room with this name already exists in the department' });
+    }
+    console.error('Create room error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Utilization of every room on a day
+router.get('/rooms/utilization', adminMiddleware, async (req, res) => {
+  try {
+    const { date, departmentId } = req.query;
+    const day = date ? new Date(date) : new Date();
+    if (isNaN(day.getTime())) {
+      return res.status(400).json({ message: 'Invalid date' });
+    }
+    if (departmentId && !isValidObjectId(departmentId)) {
+      return res.status(400).json({ message: 'Invalid department ID' });
+    }
+
+    const rooms = await roomService.getUtilization(day, departmentId || null);
+    res.json({ date: scheduleRuleService.dateKey(day), rooms });
+  } catch (error) {
+    console.error('Room utilization error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update a room
+router.put('/rooms/:id', adminMiddleware, async (req, res) => {
+  try {
+    const room = isValidObjectId(req.params.id) ? await Room.findById(req.params.id) : null;
+    if (!room) {
+      return res.status(404).json({ message: 'Room not found' });
+    }
+
+    // Moving a room to another department would orphan its doctor assignments
+    const { department_id, ...changes } = roomService.normalizeRoomPayload(req.body);
+    Object.assign(room, changes);
+    const errors = roomService.validateRoom(room.toObject());
+    if (errors.length > 0) {
+      return res.status(400).json({ message: errors[0], errors });
+    }
+
+    await room.save();
+    res.json({ message: 'Room updated', room: roomService.formatRoom(room) });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A room with this name already exists in the department' });
+    }
+    console.error('Update room error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Deactivate a room and end its assignments
+router.delete('/rooms/:id', adminMiddleware, async (req, res) => {
+  try {
+    const room = isValidObjectId(req.params.id)
+      ? await Room.findByIdAndUpdate(req.params.id, { is_active: false }, { new: true })
+      : null;
+    if (!room) {
+      return res.status(404).json({ message: 'Room not found' });
+    }
+    await RoomAssignment.updateMany({ room_id: room._id, is_active: true }, { is_active: false });
+    res.json({ message: 'Room deactivated' });
+  } catch (error) {
+    console.error('Delete room error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List session assignments of a room
+router.get('/rooms/:id/assignments', adminMiddleware, async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid room ID' });
+    }
+    const query = { room_id: req.params.id };
+    if (req.query.includeInactive !== 'true') query.is_active = true;
+
+    const assignments = await RoomAssignment.find(query)
+      .populate('room_id', 'name')
+      .populate('doctor_id', 'name')
+      .sort({ effective_from: -1 });
+    res.json({ assignments: assignments.map(a => roomService.formatAssignment(a)) });
+  } catch (error) {
+    console.error('List room assignments error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Place a doctor's session in a room. Clashes with other assignments are rejected with 409.
+router.post('/rooms/:id/assignments', adminMiddleware, async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid room ID' });
+    }
+    const payload = {
+      ...roomService.normalizeAssignmentPayload(req.body),
+      room_id: req.params.id,
+      created_by: req.user._id
+    };
+    if (payload.doctor_id && !isValidObjectId(payload.doctor_id)) {
+      return res.status(400).json({ message: 'Invalid doctor ID' });
+    }
+
+    const { errors, conflicts } = await roomService.validateAssignment(payload);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: errors[0], errors });
+    }
+    if (conflicts.length > 0) {
+      return res.status(409).json({ message: 'Assignment conflicts with existing room assignments', conflicts });
+    }
+
+    const assignment = await RoomAssignment.create(payload);
+    await assignment.populate([{ path: 'room_id', select: 'name' }, { path: 'doctor_id', select: 'name' }]);
+    res.status(201).json({ message: 'Room assignment created', assignment: roomService.formatAssignment(assignment) });
+  } catch (error) {
+    console.error('Create room assignment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// End a room assignment
+router.delete('/room-assignments/:id', adminMiddleware, async (req, res) => {
+  try {
+    const assignment = isValidObjectId(req.params.id)
+      ? await RoomAssignment.findByIdAndUpdate(req.params.id, { is_active: false }, { new: true })
+      : null;
+    if (!assignment) {
+      return res.status(404).json({ message: 'Room assignment not found' });
+    }
+    res.json({ message: 'Room assignment removed' });
+  } catch (error) {
+    console.error('Delete room assignment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ===== MEDICATION MASTER LIST =====
+
+// List medications (?search=, ?includeInactive=true)
+router.get('/medications', adminMiddleware, async (req, res) => {
+  try {
+    const medications = await prescriptionService.searchMedications(req.query.search, {
+      includeInactive: req.query.includeInactive === 'true',
+      limit: 0
+    });
+    res.json({ medications });
+  } catch (error) {
+    console.error('List medications error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add a medication to the master list
+router.post('/medications', adminMiddleware, async (req, res) => {
+  try {
+    const payload = { ...prescriptionService.normalizeMedicationPayload(req.body), created_by: req.user._id };
+    const errors = prescriptionService.validateMedication(payload);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: errors[0], errors });
+    }
+    const medication = await Medication.create(payload);
+    res.status(201).json({ message: 'Medication added', medication });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'This medication, strength and form is already listed' });
+    }
+    console.error('Create medication error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update a medication (existing prescriptions keep their own copy of the details)
+router.put('/medications/:id', adminMiddleware, async (req, res) => {
+  try {
+    const medication = isValidObjectId(req.params.id) ? await Medication.findById(req.params.id) : null;
+    if (!medication) {
+      return res.status(404).json({ message: 'Medication not found' });
+    }
+    Object.assign(medication, prescriptionService.normalizeMedicationPayload(req.body));
+    const errors = prescriptionService.validateMedication(medication.toObject());
+    if (errors.length > 0) {
+      return res.status(400).json({ message: errors[0], errors });
+    }
+    await medication.save();
+    res.json({ message: 'Medication updated', medication });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'This medication, strength and form is already listed' });
+    }
+    console.error('Update medication error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Withdraw a medication from prescribing
+router.delete('/medications/:id', adminMiddleware, async (req, res) => {
+  try {
+    const medication = isValidObjectId(req.params.id)
+      ? await Medication.findByIdAndUpdate(req.params.id, { is_active: false }, { new: true })
+      : null;
+    if (!medication) {
+      return res.status(404).json({ message: 'Medication not found' });
+    }
+    res.json({ message: 'Medication deactivated' });
+  } catch (error) {
+    console.error('Delete medication error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ===== INTERACTION & ALLERGY RULES =====
+
+// List rules (?type=drug_drug|drug_allergy|drug_condition, ?includeInactive=true)
+router.get('/interaction-rules', adminMiddleware, async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.type) query.type = req.query.type;
+    if (req.query.includeInactive !== 'true') query.is_active = true;
+    const rules = await InteractionRule.find(query).sort({ type: 1, createdAt: -1 });
+    res.json({ rules: rules.map(rule => interactionService.formatRule(rule)) });
+  } catch (error) {
+    console.error('List interaction rules error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add a rule
+router.post('/interaction-rules', adminMiddleware, async (req, res) => {
+  try {
+    const payload = { ...interactionService.normalizeRulePayload(req.body), created_by: req.user._id };
+    const errors = interactionService.validateRule(payload);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: errors[0], errors });
+    }
+    const rule = await InteractionRule.create(payload);
+    res.status(201).json({ message: 'Rule created', rule: interactionService.formatRule(rule) });
+  } catch (error) {
+    console.error('Create interaction rule error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update a rule
+router.put('/interaction-rules/:id', adminMiddleware, async (req, res) => {
+  try {
+    const rule = isValidObjectId(req.params.id) ? await InteractionRule.findById(req.params.id) : null;
+    if (!rule) {
+      return res.status(404).json({ message: 'Rule not found' });
+    }
+    Object.assign(rule, interactionService.normalizeRulePayload(req.body));
+    const errors = interactionService.validateRule(rule.toObject());
+    if (errors.length > 0) {
+      return res.status(400).json({ message: errors[0], errors });
+    }
+    await rule.save();
+    res.json({ message: 'Rule updated', rule: interactionService.formatRule(rule) });
+  } catch (error) {
+    console.error('Update interaction rule error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Switch a rule off (kept so past overrides still point at it)
+router.delete('/interaction-rules/:id', adminMiddleware, async (req, res) => {
   try {
-    const { scheduleId } = req.params;
-
-    const schedule = await DoctorSchedule.findByIdAndDelete(scheduleId);
+    const rule = isValidObjectId(req.params.id)
+      ? await InteractionRule.findByIdAndUpdate(req.params.id, { is_active: false }, { new: true })
+      : null;
+    if (!rule) {
+      return res.status(404).json({ message: 'Rule not found' });
+    }
+    res.json({ message: 'Rule deactivated' });
+  } catch (error) {
+    console.error('Delete interaction rule error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    if (!schedule) {
-      return res.status(404).json({ message: 'Schedule not found' });
+// Warnings doctors prescribed through, with their reasons (?doctorId=, ?patientId=, ?limit=)
+router.get('/interaction-overrides', adminMiddleware, async (req, res) => {
+  try {
+    const { doctorId, patientId } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const query = {};
+    if (doctorId) {
+      if (!isValidObjectId(doctorId)) return res.status(400).json({ message: 'Invalid doctor ID' });
+      query.doctor_id = doctorId;
+    }
+    if (patientId) {
+      if (!isValidObjectId(patientId)) return res.status(400).json({ message: 'Invalid patient ID' });
+      query.patient_id = patientId;
     }
+    const overrides = await InteractionOverride.find(query)
+      .populate('doctor_id', 'name')
+      .populate('patient_id', 'name')
+      .populate('family_member_id', 'name')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+    res.json({ overrides: overrides.map(override => interactionService.formatOverride(override)) });
+  } catch (error) {
+    console.error('List interaction overrides error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    res.json({ message: 'Doctor schedule deleted successfully' });
+// ===== WEEKLY SCHEDULE RULES =====
+
+// List a doctor's weekly schedule rules
+router.get('/doctor-schedules/:doctorId/rules', adminMiddleware, async (req, res) => {
+  try {
+    const rules = await ScheduleRule.find({ doctor_id: req.params.doctorId }).sort({ effective_from: -1 });
+    res.json({ rules: rules.map(rule => scheduleRuleService.formatRule(rule)) });
   } catch (error) {
-    console.error('Delete doctor schedule error:', error);
+    console.error('List schedule rules error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Bulk delete schedules for a doctor
-router.post('/doctor-schedules/:doctorId/bulk-delete', adminMiddleware, async (req, res) => {
+// Create a weekly schedule rule for a doctor
+router.post('/doctor-schedules/:doctorId/rules', adminMiddleware, async (req, res) => {
   try {
-    console.log('Bulk delete endpoint hit:', {
-      doctorId: req.params.doctorId,
-      body: req.body,
-      method: req.method,
-      url: req.url
-    });
-    
     const { doctorId } = req.params;
-    const { deleteType, startDate, endDate, scheduleIds } = req.body;
-
-    // Verify doctor exists
-    const doctor = await User.findById(doctorId).select('name role');
+    const doctor = await User.findById(doctorId).select('role');
     if (!doctor || doctor.role !== 'doctor') {
       return res.status(404).json({ message: 'Doctor not found' });
     }
 
-    let deletedCount = 0;
-
-    if (deleteType === 'range') {
-      // Delete schedules by date range
-      const start = new Date(startDate);
-      const end = new Date(endDate);
-      start.setHours(0, 0, 0, 0);
-      end.setHours(23, 59, 59, 999);
+    const payload = {
+      ...scheduleRuleService.normalizePayload(req.body),
+      doctor_id: doctorId,
+      created_by: req.user._id
+    };
 
-      const result = await DoctorSchedule.deleteMany({
-        doctor_id: doctorId,
-        date: { $gte: start, $lte: end }
-      });
+    const errors = await scheduleRuleService.validateRule(payload);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: errors[0], errors });
+    }
 
-      deletedCount = result.deletedCount;
-    } else if (deleteType === 'selected') {
-      // Delete selected schedules by IDs
-      if (!scheduleIds || scheduleIds.length === 0) {
-        return res.status(400).json({ message: 'No schedules selected for deletion' });
-      }
+    const rule = await ScheduleRule.create(payload);
+    res.status(201).json({ message: 'Schedule rule created', rule: scheduleRuleService.formatRule(rule) });
+  } catch (error) {
+    console.error('Create schedule rule error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-      // Convert string IDs to ObjectIds
-      const objectIds = scheduleIds.map(id => {
-        try {
-          return new mongoose.Types.ObjectId(id);
-        } catch (error) {
-          console.error('Invalid ObjectId:', id);
-          return null;
-        }
-      }).filter(id => id !== null);
+// Update a weekly schedule rule (pass ?dryRun=true to only preview affected tokens)
+router.put('/doctor-schedules/:doctorId/rules/:ruleId', adminMiddleware, async (req, res) => {
+  try {
+    const { doctorId, ruleId } = req.params;
+    const rule = await ScheduleRule.findOne({ _id: ruleId, doctor_id: doctorId });
+    if (!rule) {
+      return res.status(404).json({ message: 'Schedule rule not found' });
+    }
 
-      if (objectIds.length === 0) {
-        return res.status(400).json({ message: 'No valid schedule IDs provided' });
-      }
+    Object.assign(rule, scheduleRuleService.normalizePayload(req.body));
+    const errors = await scheduleRuleService.validateRule(rule.toObject());
+    if (errors.length > 0) {
+      return res.status(400).json({ message: errors[0], errors });
+    }
 
-      const result = await DoctorSchedule.deleteMany({
-        doctor_id: doctorId,
-        _id: { $in: objectIds }
-      });
+    // Booked tokens that the edited rule no longer covers
+    const tokensOutsidePattern = await scheduleRuleService.findTokensOutsideRuleChange(doctorId, rule._id, rule.toObject());
 
-      deletedCount = result.deletedCount;
-    } else {
-      return res.status(400).json({ message: 'Invalid delete type' });
+    if (req.query.dryRun === 'true') {
+      return res.json({ rule: scheduleRuleService.formatRule(rule), tokensOutsidePattern, saved: false });
     }
 
+    await rule.save();
     res.json({
-      message: `Successfully deleted ${deletedCount} schedules for Dr. ${doctor.name}`,
-      deletedCount
+      message: 'Schedule rule updated',
+      rule: scheduleRuleService.formatRule(rule),
+      tokensOutsidePattern,
+      saved: true
     });
   } catch (error) {
-    console.error('Bulk delete doctor schedules error:', error);
+    console.error('Update schedule rule error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a weekly schedule rule
+router.delete('/doctor-schedules/:doctorId/rules/:ruleId', adminMiddleware, async (req, res) => {
+  try {
+    const { doctorId, ruleId } = req.params;
+    const rule = await ScheduleRule.findOneAndDelete({ _id: ruleId, doctor_id: doctorId });
+    if (!rule) {
+      return res.status(404).json({ message: 'Schedule rule not found' });
+    }
+
+    const tokensOutsidePattern = await scheduleRuleService.findTokensOutsidePattern(doctorId);
+    res.json({ message: 'Schedule rule deleted', tokensOutsidePattern });
+  } catch (error) {
+    console.error('Delete schedule rule error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -2325,6 +3171,12 @@ router.post('/leave-requests/:id/approve', adminMiddleware, async (req, res) =>
             max_patients: 0
           };
         }
+        // Template-based sessions: block those that fall in the leave half (starting before 13:00 = morning half)
+        const daySessions = await sessionTemplateService.getSessionsForDate(leave.doctor_id._id, scheduleDate, null);
+        schedule.session_overrides = daySessions.map(session => ({
+          code: session.id,
+          available: (parseTime(session.startTime) < parseTime('13:00')) !== (leave.session === 'morning')
+        }));
       } else {
         // Full day leave - block all sessions
         schedule.morning_session = {
@@ -2362,38 +3214,41 @@ router.post('/leave-requests/:id/approve', adminMiddleware, async (req, res) =>
       for (const appointment of appointments) {
         // Check if it's a half-day leave and appointment is in available session
         if (leave.leave_type === 'half_day') {
-          const timeStr = appointment.time_slot || '09:00';
-          const appointmentHour = parseInt(String(timeStr).split(':')[0] || '9', 10);
-          
-          if (leave.session === 'morning' && appointmentHour >= 14) {
-            // Morning leave, afternoon appointment - keep it
-            continue;
-          } else if (leave.session === 'afternoon' && appointmentHour < 14) {
-            // Afternoon leave, morning appointment - keep it
-            continue;
+          // Keep appointments whose session stays available after the overrides above
+          const override = (schedule.session_overrides || []).find(o => o.code === appointment.session_type);
+          if (override) {
+            if (override.available) continue;
+          } else {
+            const appointmentHour = parseInt(String(appointment.time_slot || '09:00').split(':')[0] || '9', 10);
+            if (leave.session === 'morning' && appointmentHour >= 14) {
+              // Morning leave, afternoon appointment - keep it
+              continue;
+            } else if (leave.session === 'afternoon' && appointmentHour < 14) {
+              // Afternoon leave, morning appointment - keep it
+              continue;
+            }
           }
         }
         
-        // Cancel the appointment
-        appointment.status = 'cancelled_by_hospital';
+        // Cancel the appointment (Token.status/cancelled_by enums have no hospital/system values)
+        appointment.status = 'cancelled';
         appointment.cancellation_reason = `Doctor on leave: ${leave.reason || 'No reason provided'}`;
         appointment.cancelled_at = new Date();
-        appointment.cancelled_by = 'system';
+        appointment.cancelled_by = 'admin';
+
+        await appointment.save();
+        await slotReservationService.releaseToken(appointment);
 
         // Auto-refund for paid appointments
-        if (appointment.payment_status === 'paid') {
-          appointment.payment_status = 'refunded';
-          appointment.refund_reason = 'Auto-refund: Doctor on leave';
-          appointment.refunded_at = new Date();
-          appointment.refund_amount = appointment.fee || 500;
-          appointment.refund_method = appointment.paymentMethod || 'original';
+        const refundInfo = await paymentService.refundCancelled(appointment, 'Auto-refund: Doctor on leave');
+        if (refundInfo.amount > 0) {
           try {
             const notificationService = require('../services/notificationService');
             await notificationService.sendRefundNotification({
               patientName: appointment.patient_id?.name || 'Patient',
               patientEmail: appointment.patient_id?.email,
-              amount: appointment.refund_amount,
-              reason: appointment.refund_reason,
+              amount: refundInfo.amount,
+              reason: 'Auto-refund: Doctor on leave',
               appointmentDate: appointment.booking_date,
               doctorName: appointment.doctor_id?.name || 'Doctor'
             });
@@ -2401,8 +3256,8 @@ router.post('/leave-requests/:id/approve', adminMiddleware, async (req, res) =>
             console.error('Failed to send auto-refund notification:', e);
           }
         }
-
-        await appointment.save();
+        // Session is now on leave, so this closes its waitlist and tells those patients
+        await waitlistService.promoteForToken(appointment);
         cancelledAppointmentsCount += 1;
         
         // Send notification to patient
@@ -3070,6 +3925,8 @@ router.get('/payments', adminMiddleware, async (req, res) => {
       method: apt.paymentMethod || 'cash',
       status: apt.payment_status || 'pending',
       refundReason: apt.refund_reason || '',
+      refundStatus: apt.refund_status || 'none',
+      refundedAmount: apt.refund_amount || 0,
       paidAt: apt.paid_at || null,
       refundedAt: apt.refunded_at || null,
       createdAt: apt.createdAt,
@@ -3089,7 +3946,8 @@ router.get('/payments', adminMiddleware, async (req, res) => {
   }
 });
 
-// Process refund for a payment
+// Process refund for a payment (full by default; pass amount for a partial refund). method is
+// 'original' (gateway), 'wallet' or 'cash'; gateway refunds stay pending until the gateway confirms.
 router.post('/payments/:id/refund', adminMiddleware, async (req, res) => {
   try {
     const { id } = req.params;
@@ -3098,31 +3956,29 @@ router.post('/payments/:id/refund', adminMiddleware, async (req, res) => {
     if (!reason) {
       return res.status(400).json({ message: 'Refund reason is required' });
     }
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ message: 'Invalid payment ID' });
+    }
 
-    const appointment = await Token.findById(id);
+    const appointment = await Token.findById(id)
+      .populate('patient_id', 'name email')
+      .populate('doctor_id', 'name doctor_info.consultation_fee');
     if (!appointment) {
       return res.status(404).json({ message: 'Payment not found' });
     }
 
-    if (appointment.payment_status !== 'paid') {
-      return res.status(400).json({ message: 'Only paid payments can be refunded' });
+    const result = await paymentService.refund(appointment, { amount, reason, method });
+    if (!result.success) {
+      return res.status(result.status).json({ message: result.message });
     }
 
-    // Update appointment with refund information
-    appointment.payment_status = 'refunded';
-    appointment.refund_reason = reason;
-    appointment.refunded_at = new Date();
-    appointment.refund_amount = amount || appointment.fee || 500;
-    appointment.refund_method = method || 'original';
-    await appointment.save();
-
     // Send refund notification email to patient
     try {
       const notificationService = require('../services/notificationService');
       await notificationService.sendRefundNotification({
         patientName: appointment.patient_id?.name || 'Patient',
         patientEmail: appointment.patient_id?.email,
-        amount: appointment.refund_amount,
+        amount: result.refund.amount,
         reason: reason,
         appointmentDate: appointment.booking_date,
         doctorName: appointment.doctor_id?.name || 'Doctor'
@@ -3131,14 +3987,20 @@ router.post('/payments/:id/refund', adminMiddleware, async (req, res) => {
       console.error('Failed to send refund notification:', notificationError);
     }
 
+    const updated = await Token.findById(id).select('payment_status refund_status refund_amount refunded_at');
     res.json({
-      message: 'Refund processed successfully',
+      message: result.refund.status === 'pending' ? 'Refund initiated with the payment gateway' : 'Refund processed successfully',
       refund: {
-        id: appointment._id,
-        amount: appointment.refund_amount,
-        reason: appointment.refund_reason,
-        method: appointment.refund_method,
-        refundedAt: appointment.refunded_at
+        id: result.refund.id,
+        appointmentId: appointment._id,
+        amount: result.refund.amount,
+        reason,
+        method: result.refund.method,
+        status: result.refund.status,
+        totalRefunded: updated.refund_amount,
+        paymentStatus: updated.payment_status,
+        refundStatus: updated.refund_status,
+        refundedAt: updated.refunded_at
       }
     });
   } catch (error) {
@@ -3147,6 +4009,203 @@ router.post('/payments/:id/refund', adminMiddleware, async (req, res) => {
   }
 });
 
+// Gateway payment attempts and refunds for an appointment
+router.get('/payments/:id/ledger', adminMiddleware, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid payment ID' });
+    }
+    res.json({ payments: await paymentService.listForToken(req.params.id) });
+  } catch (error) {
+    console.error('Payment ledger error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Check pending gateway refunds now instead of waiting for webhooks or the cron sweep
+router.post('/payments/refunds/reconcile', adminMiddleware, async (req, res) => {
+  try {
+    const result = await paymentService.reconcileRefunds();
+    res.json({ message: 'Refund reconciliation complete', ...result });
+  } catch (error) {
+    console.error('Refund reconciliation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Issued invoices and credit notes (filters: status, documentType, category, financialYear, patientId, appointmentId)
+router.get('/invoices', adminMiddleware, async (req, res) => {
+  try {
+    const { status, documentType, category, financialYear, patientId, appointmentId, page, limit } = req.query;
+    const filter = {};
+    if (status) filter.status = status;
+    if (documentType) filter.document_type = documentType;
+    if (category) filter.category = category;
+    if (financialYear) filter.financial_year = financialYear;
+    for (const [key, value] of [['patient_id', patientId], ['token_id', appointmentId]]) {
+      if (!value) continue;
+      if (!mongoose.isValidObjectId(value)) {
+        return res.status(400).json({ message: `Invalid ${key === 'patient_id' ? 'patient' : 'appointment'} ID` });
+      }
+      filter[key] = value;
+    }
+    const result = await invoiceService.list(filter, { page, limit });
+    res.json({ ...result, invoices: result.invoices.map(invoice => invoiceService.formatInvoice(invoice)) });
+  } catch (error) {
+    console.error('Admin invoices error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Invoice PDF (HTML when PDF rendering is unavailable)
+router.get('/invoices/:id/download', adminMiddleware, async (req, res) => {
+  try {
+    const invoice = mongoose.isValidObjectId(req.params.id) ? await Invoice.findById(req.params.id) : null;
+    if (!invoice || invoice.status === 'draft') {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+    const { html, pdf } = await invoiceService.render(invoice);
+    if (!pdf) {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${invoiceService.fileName(invoice, 'html')}"`);
+      return res.send(html);
+    }
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${invoiceService.fileName(invoice)}"`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('Admin invoice download error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Void an unpaid invoice (reason required); paid invoices are corrected through refunds and credit notes
+router.post('/invoices/:id/void', adminMiddleware, async (req, res) => {
+  try {
+    const invoice = mongoose.isValidObjectId(req.params.id) ? await Invoice.findById(req.params.id) : null;
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+    const result = await invoiceService.voidInvoice(invoice, req.body.reason, req.user);
+    if (!result.success) {
+      return res.status(400).json({ message: result.message });
+    }
+    console.log(`🧾 Invoice ${invoice.invoice_number} voided by admin ${req.user._id}: ${invoice.reason}`);
+    res.json({ message: 'Invoice voided', invoice: invoiceService.formatInvoice(result.invoice) });
+  } catch (error) {
+    console.error('Void invoice error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Record a counter payment against an unpaid invoice
+router.post('/invoices/:id/payments', adminMiddleware, async (req, res) => {
+  try {
+    const invoice = mongoose.isValidObjectId(req.params.id) ? await Invoice.findById(req.params.id) : null;
+    if (!invoice || invoice.document_type !== 'invoice') {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+    if (invoice.status !== 'issued') {
+      return res.status(400).json({ message: `Only unpaid invoices can take a payment (this one is ${invoice.status})` });
+    }
+    const { method = 'cash', reference = '' } = req.body;
+    const paidAt = new Date();
+    const paid = await invoiceService.markPaid(invoice, { method, reference, amount: invoice.grand_total, paidAt });
+    if (invoice.category === 'appointment') {
+      await Token.updateOne({ _id: invoice.token_id, payment_status: 'pending' }, {
+        $set: { payment_status: 'paid', paid_amount: invoice.grand_total, payment_method: method, payment_reference: reference, paid_at: paidAt }
+      });
+    }
+    res.json({ message: 'Payment recorded', invoice: invoiceService.formatInvoice(paid) });
+  } catch (error) {
+    console.error('Invoice payment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Receptionist cash-drawer shifts (filters: status, receptionistId, discrepancy=true|false, from, to)
+router.get('/cash-shifts', adminMiddleware, async (req, res) => {
+  try {
+    const { status, receptionistId, discrepancy, from, to, page, limit } = req.query;
+    if (receptionistId && !mongoose.isValidObjectId(receptionistId)) {
+      return res.status(400).json({ message: 'Invalid receptionist ID' });
+    }
+    const result = await cashShiftService.list({ status, receptionistId, discrepancy, from, to }, { page, limit });
+    res.json({ ...result, shifts: result.shifts.map(shift => cashShiftService.formatShift(shift)) });
+  } catch (error) {
+    console.error('Admin cash shifts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// One line per shift as CSV, same filters as the list (e.g. ?from=2025-04-01&to=2025-04-30)
+router.get('/cash-shifts/export', adminMiddleware, async (req, res) => {
+  try {
+    const { status, receptionistId, discrepancy, from, to } = req.query;
+    if (receptionistId && !mongoose.isValidObjectId(receptionistId)) {
+      return res.status(400).json({ message: 'Invalid receptionist ID' });
+    }
+    const shifts = await cashShiftService.findAll({ status, receptionistId, discrepancy, from, to });
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', 'attachment; filename=cash_shifts.csv');
+    res.send(cashShiftService.toSummaryCsv(shifts));
+  } catch (error) {
+    console.error('Admin cash shift export error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reconciliation report with every payment taken on the shift
+router.get('/cash-shifts/:id', adminMiddleware, async (req, res) => {
+  try {
+    const shift = mongoose.isValidObjectId(req.params.id) ? await cashShiftService.findById(req.params.id) : null;
+    if (!shift) {
+      return res.status(404).json({ message: 'Shift not found' });
+    }
+    res.json({ shift: cashShiftService.formatShift(shift, { withPayments: true }) });
+  } catch (error) {
+    console.error('Admin cash shift error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.get('/cash-shifts/:id/export', adminMiddleware, async (req, res) => {
+  try {
+    const shift = mongoose.isValidObjectId(req.params.id) ? await cashShiftService.findById(req.params.id) : null;
+    if (!shift) {
+      return res.status(404).json({ message: 'Shift not found' });
+    }
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename=cash_shift_${shift._id}.csv`);
+    res.send(cashShiftService.toReportCsv(shift));
+  } catch (error) {
+    console.error('Admin cash shift export error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Approve a closed shift's reconciliation; a note is required when it has a discrepancy
+router.post('/cash-shifts/:id/approve', adminMiddleware, async (req, res) => {
+  try {
+    const shift = mongoose.isValidObjectId(req.params.id) ? await cashShiftService.findById(req.params.id) : null;
+    if (!shift) {
+      return res.status(404).json({ message: 'Shift not found' });
+    }
+    const result = await cashShiftService.approve(shift, req.user, req.body.note);
+    if (!result.success) {
+      return res.status(result.status).json({ message: result.message });
+    }
+    console.log(`🧾 Cash shift ${shift._id} approved by admin ${req.user._id}${shift.has_discrepancy ? ` with discrepancy ₹${shift.total_difference}` : ''}`);
+    res.json({
+      message: 'Shift approved',
+      shift: cashShiftService.formatShift(await cashShiftService.findById(shift._id), { withPayments: true })
+    });
+  } catch (error) {
+    console.error('Approve cash shift error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get payment statistics
 router.get('/payments/stats', adminMiddleware, async (req, res) => {
   try {
@@ -3352,25 +4411,23 @@ router.get('/messages/stats', adminMiddleware, async (req, res) => {
   }
 });
 
-// Get all schedule requests
+// Get all schedule requests (?status=pending|approved|rejected, ?doctorId=)
 router.get('/schedule-requests', adminMiddleware, async (req, res) => {
   try {
-    // Get doctor names for each request
-    const scheduleRequests = global.scheduleRequests || [];
-    const requestsWithDoctorNames = await Promise.all(
-      scheduleRequests.map(async (request) => {
-        const doctor = await User.findById(request.doctorId);
-        return {
-          ...request,
-          doctorName: doctor ? doctor.name : 'Unknown Doctor',
-          doctorEmail: doctor ? doctor.email : 'Unknown Email'
-        };
-      })
-    );
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.doctorId) filter.doctor_id = req.query.doctorId;
+
+    const requests = await ScheduleRequest.find(filter)
+      .populate('doctor_id', 'name email')
+      .populate('status_history.changed_by', 'name')
+      .populate('admin_comments.author_id', 'name')
+      .populate('reviewed_by', 'name')
+      .sort({ createdAt: -1 });
 
     res.json({
       success: true,
-      requests: requestsWithDoctorNames
+      requests: requests.map(request => scheduleRequestService.formatRequest(request))
     });
   } catch (error) {
     console.error('Error fetching schedule requests:', error);
@@ -3378,111 +4435,79 @@ router.get('/schedule-requests', adminMiddleware, async (req, res) => {
   }
 });
 
-// Approve schedule request
+// Get one schedule request with the tokens it affected when raised and those active now
+router.get('/schedule-requests/:requestId', adminMiddleware, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.requestId)) {
+      return res.status(404).json({ success: false, message: 'Request not found' });
+    }
+    const request = await ScheduleRequest.findById(req.params.requestId)
+      .populate('doctor_id', 'name email')
+      .populate('status_history.changed_by', 'name')
+      .populate('admin_comments.author_id', 'name')
+      .populate('reviewed_by', 'name');
+
+    if (!request) {
+      return res.status(404).json({ success: false, message: 'Request not found' });
+    }
+
+    const currentTokens = request.status === 'pending'
+      ? await scheduleRequestService.findActiveTokens(request.doctor_id._id, request.date)
+      : [];
+
+    res.json({
+      success: true,
+      request: {
+        ...scheduleRequestService.formatRequest(request),
+        currentlyAffectedTokens: currentTokens.map(token => ({
+          tokenId: token._id,
+          tokenNumber: token.token_number,
+          patientName: token.patient_name,
+          timeSlot: token.time_slot,
+          sessionType: token.session_type,
+          status: token.status
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching schedule request:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch schedule request' });
+  }
+});
+
+// Approve schedule request (applies it to DoctorSchedule and cancels affected tokens)
 router.post('/schedule-requests/:requestId/approve', adminMiddleware, async (req, res) => {
   try {
     const { requestId } = req.params;
-    const scheduleRequests = global.scheduleRequests || [];
-    const request = scheduleRequests.find(r => r.id === requestId);
+    const { comment = '' } = req.body || {};
+    const request = mongoose.isValidObjectId(requestId) ? await ScheduleRequest.findById(requestId) : null;
     
     if (!request) {
       return res.status(404).json({ success: false, message: 'Request not found' });
     }
 
-    console.log('📝 Approving schedule request:', request.type, 'for doctor:', request.doctorId);
-    console.log('📝 Request data:', JSON.stringify(request, null, 2));
+    console.log('📝 Approving schedule request:', request.type, 'for doctor:', request.doctor_id);
 
-    if (request.type === 'cancel') {
-      // Delete the schedule
-      const deletedSchedule = await DoctorSchedule.findByIdAndDelete(request.scheduleId);
-      console.log('✅ Deleted schedule:', deletedSchedule?._id);
-    } else if (request.type === 'reschedule') {
-      try {
-        // For reschedule, we need to update the original schedule (the one being rescheduled)
-        // The newSchedule.date contains the date the doctor wants to reschedule TO
-        // The request.date contains the original date being rescheduled
-        
-        console.log('🔄 Processing reschedule request...');
-        
-        // First, get the original schedule to understand what we're rescheduling
-        const originalSchedule = await DoctorSchedule.findById(request.scheduleId);
-        if (!originalSchedule) {
-          console.log('❌ Original schedule not found:', request.scheduleId);
-          return res.status(404).json({ success: false, message: 'Original schedule not found' });
-        }
-      
-      console.log('📅 Original schedule date:', originalSchedule.date);
-      console.log('📅 Request original date:', request.date);
-      console.log('📅 New schedule date requested:', request.newSchedule.date);
-      
-      // Cancel/remove the original schedule (the date being rescheduled FROM)
-      const originalDate = new Date(request.date || originalSchedule.date);
-      originalDate.setHours(0, 0, 0, 0);
-      
-      // Delete the original schedule since it's being rescheduled
-      const deletedSchedule = await DoctorSchedule.findByIdAndDelete(request.scheduleId);
-      console.log('✅ Deleted original schedule:', deletedSchedule?._id, 'from date', originalDate);
-      
-      // Create/update the new schedule for the rescheduled date
-      const newScheduleDate = new Date(request.newSchedule.date);
-      newScheduleDate.setHours(0, 0, 0, 0);
-      
-      // Check if schedule already exists for the new date
-      let newSchedule = await DoctorSchedule.findOne({
-        doctor_id: originalSchedule.doctor_id,
-        date: newScheduleDate
-      });
-      
-      if (newSchedule) {
-        // Update existing schedule
-        newSchedule = await DoctorSchedule.findByIdAndUpdate(newSchedule._id, {
-        is_available: request.newSchedule.isAvailable,
-        working_hours: request.newSchedule.workingHours,
-        break_time: request.newSchedule.breakTime,
-        slot_duration: request.newSchedule.slotDuration,
-          max_patients_per_slot: 20,
-        leave_reason: request.newSchedule.leaveReason,
-          notes: `Rescheduled from ${originalSchedule.date.toISOString().split('T')[0]} to ${request.newSchedule.date}`,
-        updated_at: new Date()
-      }, { new: true });
-        console.log('✅ Updated existing schedule:', newSchedule?._id, 'for date', newScheduleDate);
-      } else {
-        // Create new schedule for the new date
-        newSchedule = new DoctorSchedule({
-          doctor_id: originalSchedule.doctor_id,
-          date: newScheduleDate,
-          is_available: request.newSchedule.isAvailable,
-          working_hours: request.newSchedule.workingHours,
-          break_time: request.newSchedule.breakTime,
-          slot_duration: request.newSchedule.slotDuration,
-          max_patients_per_slot: 20,
-          leave_reason: request.newSchedule.leaveReason,
-          notes: `Rescheduled from ${originalSchedule.date.toISOString().split('T')[0]} to ${request.newSchedule.date}`,
-          created_at: new Date(),
-          updated_at: new Date()
-        });
-        await newSchedule.save();
-        console.log('✅ Created new schedule:', newSchedule?._id, 'for date', newScheduleDate);
-      }
-      } catch (rescheduleError) {
-        console.error('❌ Error processing reschedule request:', rescheduleError);
-        return res.status(500).json({ success: false, message: 'Failed to process reschedule request: ' + rescheduleError.message });
-      }
+    const result = await scheduleRequestService.approve(request, req.user._id, comment);
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.message });
     }
 
-    // Remove the request from the array
-    global.scheduleRequests = global.scheduleRequests.filter(r => r.id !== requestId);
-
     // Notify real-time updates
     if (global.realtimeSyncService) {
-      global.realtimeSyncService.notifyScheduleUpdate(request.doctorId, {
+      global.realtimeSyncService.notifyScheduleUpdate(request.doctor_id, {
         type: 'schedule_updated',
         requestType: request.type,
-        doctorId: request.doctorId
+        doctorId: request.doctor_id
       });
     }
 
-    res.json({ success: true, message: 'Schedule request approved successfully' });
+    res.json({
+      success: true,
+      message: 'Schedule request approved successfully',
+      cancelledAppointments: result.cancelledCount,
+      request: scheduleRequestService.formatRequest(result.request)
+    });
   } catch (error) {
     console.error('Error approving schedule request:', error);
     res.status(500).json({ success: false, message: 'Failed to approve schedule request' });
@@ -3493,23 +4518,55 @@ router.post('/schedule-requests/:requestId/approve', adminMiddleware, async (req
 router.post('/schedule-requests/:requestId/reject', adminMiddleware, async (req, res) => {
   try {
     const { requestId } = req.params;
-    const scheduleRequests = global.scheduleRequests || [];
-    const request = scheduleRequests.find(r => r.id === requestId);
+    const { comment = '' } = req.body || {};
+    const request = mongoose.isValidObjectId(requestId) ? await ScheduleRequest.findById(requestId) : null;
     
     if (!request) {
       return res.status(404).json({ success: false, message: 'Request not found' });
     }
 
-    // Remove the request from the array
-    global.scheduleRequests = global.scheduleRequests.filter(r => r.id !== requestId);
+    const result = await scheduleRequestService.reject(request, req.user._id, comment);
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.message });
+    }
 
-    res.json({ success: true, message: 'Schedule request rejected successfully' });
+    res.json({
+      success: true,
+      message: 'Schedule request rejected successfully',
+      request: scheduleRequestService.formatRequest(result.request)
+    });
   } catch (error) {
     console.error('Error rejecting schedule request:', error);
     res.status(500).json({ success: false, message: 'Failed to reject schedule request' });
   }
 });
 
+// Add an admin comment to a schedule request
+router.post('/schedule-requests/:requestId/comments', adminMiddleware, async (req, res) => {
+  try {
+    const { requestId } = req.params;
+    const request = mongoose.isValidObjectId(requestId) ? await ScheduleRequest.findById(requestId) : null;
+
+    if (!request) {
+      return res.status(404).json({ success: false, message: 'Request not found' });
+    }
+
+    const result = await scheduleRequestService.addComment(request, req.user._id, req.body?.comment);
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.message });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added',
+      request: scheduleRequestService.formatRequest(result.request)
+    });
+  } catch (error) {
+    console.error('Error adding schedule request comment:', error);
+    res.status(500).json({ success: false, message: 'Failed to add comment' });
+  }
+});
+
 // ==================== AUTOMATIC APPOINTMENT CANCELLATION ENDPOINTS ====================
 
 // Get cron service status
@@ -302,6 +302,9 @@ router.post('/login', async (req, res) => {
       case 'receptionist':
         redirectTo = '/receptionist/dashboard';
         break;
+      case 'lab':
+        redirectTo = '/lab/dashboard';
+        break;
       case 'admin':
         redirectTo = '/admin/dashboard';
         break;
@@ -36,8 +36,8 @@ router.put('/update-role', authMiddleware, async (req, res) => {
   try {
     const { newRole } = req.body;
     
-    if (!['patient', 'doctor', 'receptionist', 'admin'].includes(newRole)) {
-      return res.status(400).json({ message: 'Invalid role. Must be patient, doctor, receptionist, or admin.' });
+    if (!['patient', 'doctor', 'receptionist', 'admin', 'lab'].includes(newRole)) {
+      return res.status(400).json({ message: 'Invalid role. Must be patient, doctor, receptionist, admin, or lab.' });
     }
 
     const user = await User.findById(req.user.userId);
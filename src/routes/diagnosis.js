@@ -1,8 +1,14 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const { authMiddleware } = require('../middleware/authMiddleware');
 const Diagnosis = require('../models/Diagnosis');
 const { User, Token } = require('../models/User');
+const interactionService = require('../services/interactionService');
+const labOrderService = require('../services/labOrderService');
+const clinicalNoteService = require('../services/clinicalNoteService');
+const icd10Service = require('../services/icd10Service');
+const invoiceService = require('../services/invoiceService');
 
 // Get all diagnoses with filters
 router.get('/', authMiddleware, async (req, res) => {
@@ -68,6 +74,40 @@ router.get('/', authMiddleware, async (req, res) => {
   }
 });
 
+// Search the ICD-10 catalogue by code or description (?q=, ?limit=)
+router.get('/icd10/search', authMiddleware, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    res.json({ codes: icd10Service.search(req.query.q, { limit }) });
+  } catch (error) {
+    console.error('ICD-10 search error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Suggest ICD-10 codes from a chief complaint (?chiefComplaint=, or ?appointmentId= to use the
+// consultation's note, falling back to the symptoms given at booking)
+router.get('/icd10/suggest', authMiddleware, async (req, res) => {
+  try {
+    let complaint = req.query.chiefComplaint || '';
+    if (!complaint && req.query.appointmentId) {
+      const note = await clinicalNoteService.findByToken(req.query.appointmentId);
+      complaint = note?.content?.chief_complaint || '';
+      if (!complaint && mongoose.isValidObjectId(req.query.appointmentId)) {
+        const appointment = await Token.findById(req.query.appointmentId).select('symptoms');
+        complaint = appointment?.symptoms || '';
+      }
+    }
+    if (!String(complaint).trim()) {
+      return res.status(400).json({ message: 'chiefComplaint or appointmentId is required' });
+    }
+    res.json({ chiefComplaint: complaint, suggestions: icd10Service.suggestFromComplaint(complaint) });
+  } catch (error) {
+    console.error('ICD-10 suggest error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get diagnosis by ID
 router.get('/:id', authMiddleware, async (req, res) => {
   try {
@@ -107,6 +147,12 @@ router.post('/', authMiddleware, async (req, res) => {
       }
     }
 
+    // ICD codes must be well-formed; they are stored in canonical form (J06.9)
+    const codeCheck = icd10Service.normalizeAssessment(diagnosisData.assessment);
+    if (codeCheck.errors.length > 0) {
+      return res.status(400).json({ message: codeCheck.errors[0], errors: codeCheck.errors });
+    }
+
     // Check if diagnosis already exists for this appointment
     const existingDiagnosis = await Diagnosis.findOne({ 
       appointment_id: diagnosisData.appointment_id 
@@ -118,17 +164,53 @@ router.post('/', authMiddleware, async (req, res) => {
       });
     }
 
+    // The consultation's clinical note may already have been signed from the consultation form
+    if (await clinicalNoteService.isLocked(diagnosisData.appointment_id)) {
+      return res.status(409).json({ message: 'The clinical note for this appointment is signed. Add an addendum instead.', locked: true });
+    }
+
+    // Treatment-plan medications go through the same interaction/allergy checks as prescriptions
+    const medications = diagnosisData.treatment_plan?.medications || [];
+    const acknowledgement = interactionService.normalizeAcknowledgement(diagnosisData);
+    const appointment = await Token.findById(diagnosisData.appointment_id).select('family_member_id');
+    const screening = medications.length > 0
+      ? await interactionService.screen({
+        patientId: diagnosisData.patient_id,
+        familyMemberId: appointment?.family_member_id || null,
+        items: medications,
+        excludeTokenId: diagnosisData.appointment_id
+      }, acknowledgement)
+      : { warnings: [], blocked: false };
+    if (screening.blocked) {
+      return res.status(409).json({ message: screening.message, warnings: screening.warnings, requiresAcknowledgement: true });
+    }
+
     const diagnosis = await Diagnosis.createDiagnosis(diagnosisData);
+    await labOrderService.syncFromDiagnosis(diagnosis);
+    await clinicalNoteService.saveFromDiagnosis(diagnosis, req.user.userId);
+    await interactionService.recordOverride({
+      doctorId: diagnosis.doctor_id,
+      patientId: diagnosis.patient_id,
+      familyMemberId: appointment?.family_member_id || null,
+      tokenId: diagnosis.appointment_id,
+      contextType: 'diagnosis',
+      contextId: diagnosis._id,
+      warnings: screening.warnings,
+      reason: acknowledgement.reason
+    });
 
     // Update appointment status to 'consulted'
     await Token.findByIdAndUpdate(diagnosisData.appointment_id, {
       status: 'consulted',
       consultation_date: new Date()
     });
+    await invoiceService.issueOnCompletion(diagnosisData.appointment_id);
 
     res.status(201).json({ 
       message: 'Diagnosis created successfully',
-      diagnosis 
+      diagnosis,
+      warnings: screening.warnings,
+      codeWarnings: codeCheck.warnings
     });
   } catch (error) {
     console.error('Create diagnosis error:', error);
@@ -142,19 +224,60 @@ router.put('/:id', authMiddleware, async (req, res) => {
     const diagnosisData = req.body;
     const diagnosisId = req.params.id;
 
+    const existing = await Diagnosis.findById(diagnosisId).select('patient_id doctor_id appointment_id treatment_plan.medications');
+    if (!existing) {
+      return res.status(404).json({ message: 'Diagnosis not found' });
+    }
+    if (await clinicalNoteService.isLocked(existing.appointment_id)) {
+      return res.status(409).json({ message: 'The clinical note for this appointment is signed. Add an addendum instead.', locked: true });
+    }
+    const codeCheck = icd10Service.normalizeAssessment(diagnosisData.assessment);
+    if (codeCheck.errors.length > 0) {
+      return res.status(400).json({ message: codeCheck.errors[0], errors: codeCheck.errors });
+    }
+
+    // Only medications added by this update are checked; earlier ones were screened when first saved
+    const previous = new Set(existing.treatment_plan.medications.map(medication => medication.name.toLowerCase()));
+    const added = (diagnosisData.treatment_plan?.medications || [])
+      .filter(medication => medication.name && !previous.has(String(medication.name).toLowerCase()));
+    const acknowledgement = interactionService.normalizeAcknowledgement(diagnosisData);
+    const appointment = added.length > 0 ? await Token.findById(existing.appointment_id).select('family_member_id') : null;
+    const screening = added.length > 0
+      ? await interactionService.screen({
+        patientId: existing.patient_id,
+        familyMemberId: appointment?.family_member_id || null,
+        items: added,
+        excludeTokenId: existing.appointment_id
+      }, acknowledgement)
+      : { warnings: [], blocked: false };
+    if (screening.blocked) {
+      return res.status(409).json({ message: screening.message, warnings: screening.warnings, requiresAcknowledgement: true });
+    }
+
     const diagnosis = await Diagnosis.findByIdAndUpdate(
       diagnosisId,
       diagnosisData,
       { new: true, runValidators: true }
     );
-
-    if (!diagnosis) {
-      return res.status(404).json({ message: 'Diagnosis not found' });
-    }
+    await labOrderService.syncFromDiagnosis(diagnosis);
+    await clinicalNoteService.saveFromDiagnosis(diagnosis, req.user.userId);
+
+    await interactionService.recordOverride({
+      doctorId: existing.doctor_id,
+      patientId: existing.patient_id,
+      familyMemberId: appointment?.family_member_id || null,
+      tokenId: existing.appointment_id,
+      contextType: 'diagnosis',
+      contextId: existing._id,
+      warnings: screening.warnings,
+      reason: acknowledgement.reason
+    });
 
     res.json({ 
       message: 'Diagnosis updated successfully',
-      diagnosis 
+      diagnosis,
+      warnings: screening.warnings,
+      codeWarnings: codeCheck.warnings
     });
   } catch (error) {
     console.error('Update diagnosis error:', error);
@@ -178,6 +301,9 @@ router.put('/:id/end-consultation', authMiddleware, async (req, res) => {
     }
 
     await diagnosis.endConsultation();
+    // Ending the consultation signs the clinical note (a no-op if it was already signed)
+    await clinicalNoteService.saveFromDiagnosis(diagnosis, req.user.userId, { sign: true });
+    await invoiceService.issueOnCompletion(diagnosis.appointment_id);
 
     res.json({ 
       message: 'Consultation ended successfully',
@@ -218,8 +344,26 @@ router.get('/department/:department', authMiddleware, async (req, res) => {
 
     const total = await Diagnosis.countDocuments(query);
 
+    // Case mix by ICD chapter over all matching diagnoses (primary code, else the first secondary code)
+    const codeCounts = await Diagnosis.aggregate([
+      { $match: query },
+      {
+        $project: {
+          code: {
+            $cond: [
+              { $gt: [{ $strLenCP: { $ifNull: ['$assessment.primary_icd_code', ''] } }, 0] },
+              '$assessment.primary_icd_code',
+              { $ifNull: [{ $arrayElemAt: ['$assessment.secondary_diagnoses.icd_code', 0] }, ''] }
+            ]
+          }
+        }
+      },
+      { $group: { _id: '$code', count: { $sum: 1 } } }
+    ]);
+
     res.json({
       diagnoses,
+      statistics: icd10Service.summarizeByChapter(codeCounts.map(row => ({ code: row._id, count: row.count }))),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -250,8 +394,25 @@ router.get('/patient/:patientId', authMiddleware, async (req, res) => {
 
     const total = await Diagnosis.countDocuments({ patient_id: patientId });
 
+    // Lab results of each visit, with abnormal ones flagged for highlighting
+    const labResults = await labOrderService.getResultsByDiagnosis(diagnoses.map(diagnosis => diagnosis._id));
+
+    // Clinical notes: the one behind each diagnosis, plus visits only recorded through the consultation form
+    const { notes } = await clinicalNoteService.list({ patient_id: patientId }, { limit: 0 });
+    const notesByDiagnosis = new Map(notes.filter(note => note.diagnosis_id).map(note => [note.diagnosis_id.toString(), note]));
+
     res.json({
-      diagnoses,
+      diagnoses: diagnoses.map(diagnosis => {
+        const results = labResults.get(diagnosis._id.toString()) || [];
+        const note = notesByDiagnosis.get(diagnosis._id.toString());
+        return {
+          ...diagnosis.toObject(),
+          lab_results: results,
+          has_abnormal_results: results.some(result => result.isAbnormal),
+          clinical_note: note ? clinicalNoteService.formatNote(note) : null
+        };
+      }),
+      consultation_notes: notes.filter(note => !note.diagnosis_id).map(note => clinicalNoteService.formatNote(note)),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -0,0 +1,56 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { User } = require('../models/User');
+const Department = require('../models/Department');
+const displayBoardService = require('../services/displayBoardService');
+
+// Waiting-room display boards: no login, but the link must carry the signature issued by admin
+const signedDisplay = (scope) => (req, res, next) => {
+  const id = req.params.departmentId || req.params.doctorId;
+  if (!mongoose.Types.ObjectId.isValid(id) || !displayBoardService.verify(scope, id, req.query.sig)) {
+    return res.status(403).json({ message: 'Invalid display link' });
+  }
+  next();
+};
+
+// Department board: now serving and upcoming tokens for every doctor with a queue today
+router.get('/departments/:departmentId', signedDisplay('department'), async (req, res) => {
+  try {
+    const department = await Department.findById(req.params.departmentId).select('name');
+    if (!department) {
+      return res.status(404).json({ message: 'Department not found' });
+    }
+
+    const board = await displayBoardService.getDepartmentBoard(department, req.query.upcoming);
+    res.json({
+      ...board,
+      socketRoom: displayBoardService.socketRoom('department', department._id)
+    });
+  } catch (error) {
+    console.error('Department display board error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Single doctor board (screen outside a consulting room)
+router.get('/doctors/:doctorId', signedDisplay('doctor'), async (req, res) => {
+  try {
+    const doctor = await User.findOne({ _id: req.params.doctorId, role: 'doctor' }).select('name doctor_info');
+    if (!doctor) {
+      return res.status(404).json({ message: 'Doctor not found' });
+    }
+
+    const board = await displayBoardService.getDoctorBoard(doctor, req.query.upcoming);
+    res.json({
+      ...board,
+      updatedAt: new Date(),
+      socketRoom: displayBoardService.socketRoom('doctor', doctor._id)
+    });
+  } catch (error) {
+    console.error('Doctor display board error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
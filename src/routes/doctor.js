@@ -1,5 +1,6 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const { User, Appointment, Token } = require('../models/User');
 const multer = require('multer');
 const path = require('path');
@@ -10,11 +11,30 @@ const DoctorStats = require('../models/DoctorStats');
 const DoctorStatsService = require('../services/doctorStatsService');
 const CloudinaryService = require('../services/cloudinaryService');
 const { authMiddleware } = require('../middleware/authMiddleware');
-const ConsultationRecord = require('../models/ConsultationRecord');
 const notificationService = require('../services/notificationService');
 const RealtimeSyncService = require('../services/realtimeSyncService');
 const Notification = require('../models/Notification');
 const emailService = require('../services/emailService');
+const sessionTemplateService = require('../services/sessionTemplateService');
+const SessionTemplate = require('../models/SessionTemplate');
+const ScheduleRule = require('../models/ScheduleRule');
+const scheduleRuleService = require('../services/scheduleRuleService');
+const slotReservationService = require('../services/slotReservationService');
+const queueService = require('../services/queueService');
+const displayBoardService = require('../services/displayBoardService');
+const roomService = require('../services/roomService');
+const followUpService = require('../services/followUpService');
+const referralService = require('../services/referralService');
+const prescriptionService = require('../services/prescriptionService');
+const interactionService = require('../services/interactionService');
+const labOrderService = require('../services/labOrderService');
+const clinicalNoteService = require('../services/clinicalNoteService');
+const vitalsService = require('../services/vitalsService');
+const invoiceService = require('../services/invoiceService');
+const ScheduleRequest = require('../models/ScheduleRequest');
+const scheduleRequestService = require('../services/scheduleRequestService');
+const { findSessionForTime } = require('../utils/bookingUtils');
+const { generatePdf } = require('../utils/pdfUtils');
 
 // Helper: parse local date string in formats: YYYY-MM-DD or DD-MM-YYYY
 function parseLocalYMD(input) {
@@ -442,7 +462,7 @@ router.get('/appointments', authMiddleware, doctorMiddleware, async (req, res) =
   }
 });
 
-// Get today's queue grouped by session (morning/afternoon/evening)
+// Get today's queue grouped by the doctor's configured sessions
 router.get('/today-queue', authMiddleware, doctorMiddleware, async (req, res) => {
   try {
     const doctorId = req.doctor._id;
@@ -461,26 +481,24 @@ router.get('/today-queue', authMiddleware, doctorMiddleware, async (req, res) =>
     .populate('family_member_id', 'name relation')
     .sort({ time_slot: 1, createdAt: 1 });
 
-    const toMinutes = (t) => {
-      if (!t || typeof t !== 'string') return 0;
-      const [h, m] = t.split(':').map(Number);
-      return (h || 0) * 60 + (m || 0);
-    };
-
-    const sessionOf = (time) => {
-      const mins = toMinutes(time);
-      if (mins >= 9 * 60 && mins < 13 * 60) return 'morning';
-      if (mins >= 14 * 60 && mins < 18 * 60) return 'afternoon';
-      return 'evening';
-    };
+    // Sessions come from the doctor's session templates; tokens booked under codes that are no
+    // longer configured (e.g. legacy 'evening') still get their own group
+    const sessions = await sessionTemplateService.getSessionsForDate(doctorId, today);
+    const result = {};
+    sessions.forEach((session) => { result[session.id] = []; });
 
-    const result = { morning: [], afternoon: [], evening: [] };
+    // Active tokens in queue-engine order, then the rest (consulted, missed, ...) by time
+    const queue = await queueService.getQueue(doctorId, today);
+    const queueEntries = new Map(queue.map((entry, index) => [entry.token._id.toString(), { ...entry, index }]));
+    const rank = t => queueEntries.has(t._id.toString()) ? queueEntries.get(t._id.toString()).index : queue.length;
+    const ordered = [...tokens].sort((a, b) => rank(a) - rank(b));
 
-    tokens.forEach((t) => {
+    ordered.forEach((t) => {
+      const entry = queueEntries.get(t._id.toString());
       const patientName = t.family_member_id ? t.family_member_id.name : (t.patient_id?.name || 'Patient');
       const age = t.patient_id?.patient_info?.age || null;
       const gender = t.patient_id?.patient_info?.gender || null;
-      const session = t.session_type || sessionOf(t.time_slot);
+      const session = t.session_type || findSessionForTime(sessions, t.time_slot)?.id || 'other';
       result[session] = result[session] || [];
       result[session].push({
         id: t._id,
@@ -493,17 +511,36 @@ router.get('/today-queue', authMiddleware, doctorMiddleware, async (req, res) =>
         paymentStatus: t.payment_status,
         time: t.time_slot,
         appointmentType: t.appointment_type || 'consultation',
-        meetingLink: t.meeting_link || null
+        meetingLink: t.meeting_link || null,
+        isPriority: !!t.priority_flag,
+        isOverbooked: !!t.is_overbooked,
+        queuePosition: entry ? entry.position : null,
+        queueState: entry ? entry.state : null,
+        arrived: !!t.checked_in_at,
+        checkedInAt: t.checked_in_at || null,
+        arrivalOverdue: entry ? entry.arrivalOverdue : false,
+        isLateArrival: !!t.is_late_arrival,
+        lateByMinutes: t.late_by_minutes || 0,
+        skipCount: t.skip_count || 0
       });
     });
 
+    const sessionList = await Promise.all(sessions.map(async session => ({
+      id: session.id,
+      name: session.name.replace(/ Session$/, ''),
+      range: session.displayTime,
+      room: await roomService.getRoomForSession(doctorId, today, session.id),
+      queue: result[session.id]
+    })));
+    Object.keys(result)
+      .filter(code => !sessions.some(session => session.id === code))
+      .forEach(code => {
+        sessionList.push({ id: code, name: code.charAt(0).toUpperCase() + code.slice(1), range: '', room: null, queue: result[code] });
+      });
+
     res.json({
       date: today.toISOString().split('T')[0],
-      sessions: [
-        { id: 'morning', name: 'Morning', range: '9:00 AM - 1:00 PM', queue: result.morning },
-        { id: 'afternoon', name: 'Afternoon', range: '2:00 PM - 6:00 PM', queue: result.afternoon },
-        { id: 'evening', name: 'Evening', range: '6:00 PM - 9:00 PM', queue: result.evening }
-      ]
+      sessions: sessionList
     });
   } catch (error) {
     console.error('Get today queue error:', error);
@@ -511,27 +548,15 @@ router.get('/today-queue', authMiddleware, doctorMiddleware, async (req, res) =>
   }
 });
 
-// Get next patient in today's queue (earliest time among booked/in_queue)
+// Get next patient in today's queue (first checked-in waiting patient, else the head of the queue)
 router.get('/next-patient', authMiddleware, doctorMiddleware, async (req, res) => {
   try {
-    const doctorId = req.doctor._id;
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
+    const entry = await queueService.getNextPatient(req.doctor._id);
 
-    const next = await Token.findOne({
-      doctor_id: doctorId,
-      booking_date: { $gte: today, $lt: tomorrow },
-      status: { $in: ['booked', 'in_queue'] }
-    })
-    .populate('patient_id', 'name patient_info')
-    .populate('family_member_id', 'name relation')
-    .sort({ status: 1, time_slot: 1, createdAt: 1 });
-
-    if (!next) {
+    if (!entry) {
       return res.json({ next: null });
     }
+    const next = entry.token;
 
     const patientName = next.family_member_id ? next.family_member_id.name : (next.patient_id?.name || 'Patient');
     const age = next.patient_id?.patient_info?.age || null;
@@ -548,7 +573,15 @@ router.get('/next-patient', authMiddleware, doctorMiddleware, async (req, res) =
         status: next.status,
         time: next.time_slot,
         appointmentType: next.appointment_type || 'consultation',
-        meetingLink: next.meeting_link || null
+        meetingLink: next.meeting_link || null,
+        isPriority: !!next.priority_flag,
+        isOverbooked: !!next.is_overbooked,
+        queuePosition: entry.position,
+        queueState: entry.state,
+        arrived: entry.arrived,
+        checkedInAt: next.checked_in_at || null,
+        isLateArrival: !!next.is_late_arrival,
+        lateByMinutes: next.late_by_minutes || 0
       }
     });
   } catch (error) {
@@ -569,6 +602,8 @@ router.post('/consultation/start', authMiddleware, doctorMiddleware, async (req,
       { new: true }
     );
     if (!token) return res.status(404).json({ message: 'Appointment not found' });
+    await queueService.broadcast(req.doctor._id, token.booking_date);
+    await displayBoardService.publish(req.doctor._id, { event: 'called', tokenId: token._id });
     res.json({ message: 'Consultation started', tokenId: token._id });
   } catch (error) {
     console.error('Start consultation error:', error);
@@ -576,23 +611,56 @@ router.post('/consultation/start', authMiddleware, doctorMiddleware, async (req,
   }
 });
 
-// Skip / Call later: keep as booked, optionally bump updatedAt
+// Skip / Call later: put the patient back behind the next `after` waiting patients (default 3)
 router.post('/consultation/skip', authMiddleware, doctorMiddleware, async (req, res) => {
   try {
-    const { tokenId } = req.body;
+    const { tokenId, after = 3 } = req.body;
     if (!tokenId) return res.status(400).json({ message: 'tokenId is required' });
-    // Touch document to move later in sort by createdAt (optional)
-    await Token.findOneAndUpdate(
-      { _id: tokenId, doctor_id: req.doctor._id },
-      { $set: { updatedAt: new Date() } }
-    );
-    res.json({ message: 'Patient skipped' });
+
+    const result = await queueService.skip(req.doctor._id, tokenId, after);
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 400).json({ message: result.message });
+    }
+    await displayBoardService.publish(req.doctor._id, { event: 'skipped', tokenId });
+    res.json({ message: 'Patient skipped', placedAfter: result.placedAfter });
   } catch (error) {
     console.error('Skip consultation error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Re-call a skipped patient: moves them to the front of the waiting queue
+router.post('/consultation/recall', authMiddleware, doctorMiddleware, async (req, res) => {
+  try {
+    const { tokenId } = req.body;
+    if (!tokenId) return res.status(400).json({ message: 'tokenId is required' });
+
+    const result = await queueService.recall(req.doctor._id, tokenId);
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 400).json({ message: result.message });
+    }
+    await displayBoardService.publish(req.doctor._id, { event: 'recalled', tokenId });
+    res.json({ message: 'Patient re-called' });
+  } catch (error) {
+    console.error('Recall patient error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Move a waiting patient to an explicit position in today's queue (1 = next)
+router.patch('/queue/:tokenId/position', authMiddleware, doctorMiddleware, async (req, res) => {
+  try {
+    const result = await queueService.move(req.doctor._id, req.params.tokenId, req.body.position);
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 400).json({ message: result.message });
+    }
+    res.json({ message: 'Queue position updated', position: result.position });
+  } catch (error) {
+    console.error('Move queue position error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Mark as no-show
 router.post('/consultation/no-show', authMiddleware, doctorMiddleware, async (req, res) => {
   try {
@@ -604,6 +672,11 @@ router.post('/consultation/no-show', authMiddleware, doctorMiddleware, async (re
       { new: true }
     );
     if (!token) return res.status(404).json({ message: 'Appointment not found' });
+    await slotReservationService.releaseToken(token);
+    await queueService.broadcast(req.doctor._id, token.booking_date);
+    await displayBoardService.publish(req.doctor._id, { event: 'no_show', tokenId: token._id });
+    await followUpService.syncWithToken(token);
+    await referralService.syncWithToken(token);
     res.json({ message: 'Marked as no-show' });
   } catch (error) {
     console.error('No-show error:', error);
@@ -616,6 +689,10 @@ router.post('/consultation/complete', authMiddleware, doctorMiddleware, async (r
   try {
     const { tokenId, notes, diagnosis } = req.body;
     if (!tokenId) return res.status(400).json({ message: 'tokenId is required' });
+    const { errors, payload: followUpPayload } = followUpService.normalizePayload(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: errors[0], errors });
+    }
     const update = { status: 'consulted', consultation_completed_at: new Date() };
     if (notes) update.consultation_notes = String(notes);
     if (diagnosis) update.diagnosis = String(diagnosis);
@@ -626,13 +703,82 @@ router.post('/consultation/complete', authMiddleware, doctorMiddleware, async (r
       { new: true }
     );
     if (!token) return res.status(404).json({ message: 'Appointment not found' });
-    res.json({ message: 'Consultation completed' });
+    await queueService.broadcast(req.doctor._id, token.booking_date);
+    await displayBoardService.publish(req.doctor._id, { event: 'completed', tokenId: token._id });
+    await followUpService.syncWithToken(token);
+    await referralService.syncWithToken(token);
+    await invoiceService.issueOnCompletion(token._id);
+
+    const followUp = followUpPayload ? await followUpService.prescribe(token, req.doctor, followUpPayload) : null;
+    res.json({
+      message: 'Consultation completed',
+      followUp: followUp ? followUpService.formatFollowUp(followUp) : null
+    });
   } catch (error) {
     console.error('Complete consultation error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Refer a patient from one of your consultations to another department or doctor
+router.post('/referrals', authMiddleware, doctorMiddleware, async (req, res) => {
+  try {
+    const { errors, payload } = await referralService.validateReferral(req.doctor, referralService.normalizePayload(req.body));
+    if (errors.length > 0) {
+      return res.status(errors[0] === 'Appointment not found' ? 404 : 400).json({ message: errors[0], errors });
+    }
+
+    const referral = await referralService.create(payload);
+    const [formatted] = await referralService.list({ _id: referral._id });
+    res.status(201).json({ message: 'Referral created', referral: formatted });
+  } catch (error) {
+    console.error('Create referral error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Referrals sent to you or, without a named doctor, to your department (?status=pending|booked|seen|closed)
+router.get('/referrals/inbox', authMiddleware, doctorMiddleware, async (req, res) => {
+  try {
+    const referrals = await referralService.list(referralService.inboxFilter(req.doctor), { status: req.query.status || null });
+    res.json({ referrals });
+  } catch (error) {
+    console.error('Get referral inbox error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Referrals you have made (?status=)
+router.get('/referrals/sent', authMiddleware, doctorMiddleware, async (req, res) => {
+  try {
+    const referrals = await referralService.list({ referring_doctor_id: req.doctor._id }, { status: req.query.status || null });
+    res.json({ referrals });
+  } catch (error) {
+    console.error('Get sent referrals error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Close a referral (either the referring or the receiving doctor)
+router.post('/referrals/:id/close', authMiddleware, doctorMiddleware, async (req, res) => {
+  try {
+    const referral = await referralService.findForDoctor(req.params.id, req.doctor);
+    if (!referral) {
+      return res.status(404).json({ message: 'Referral not found' });
+    }
+
+    const result = await referralService.close(referral, req.doctor, req.body.note);
+    if (!result.success) {
+      return res.status(400).json({ message: result.message });
+    }
+    const [formatted] = await referralService.list({ _id: referral._id });
+    res.json({ message: 'Referral closed', referral: formatted });
+  } catch (error) {
+    console.error('Close referral error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get specific appointment details
 router.get('/appointments/:appointmentId', authMiddleware, doctorMiddleware, async (req, res) => {
   try {
@@ -680,6 +826,7 @@ router.patch('/appointments/:appointmentId/status', authMiddleware, doctorMiddle
     if (!appointment) {
       return res.status(404).json({ message: 'Appointment not found' });
     }
+    if (status === 'consulted') await invoiceService.issueOnCompletion(appointment._id);
 
     // Emit real-time appointment update event (non-blocking)
     try {
@@ -698,6 +845,7 @@ router.patch('/appointments/:appointmentId/status', authMiddleware, doctorMiddle
       console.warn('Realtime sync error (non-critical):', realtimeError);
       // Don't fail the request if realtime sync fails
     }
+    await queueService.broadcast(req.doctor._id, appointment.booking_date);
 
     res.json({ message: 'Appointment status updated successfully', appointment });
   } catch (error) {
@@ -734,42 +882,203 @@ router.patch('/appointments/:appointmentId/notes', authMiddleware, doctorMiddlew
   }
 });
 
-// Add prescription to appointment
+// Search the medication master list (?search=)
+router.get('/medications', authMiddleware, doctorMiddleware, async (req, res) => {
+  try {
+    const medications = await prescriptionService.searchMedications(req.query.search);
+    res.json({ medications, frequencies: prescriptionService.getFrequencies() });
+  } catch (error) {
+    console.error('Search medications error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Write a structured prescription for an appointment (body: { items: [...], notes, diagnosisId })
 router.post('/appointments/:appointmentId/prescriptions', authMiddleware, doctorMiddleware, async (req, res) => {
   try {
-    const { medicationName, dosage, frequency, duration, instructions } = req.body;
+    const { errors, payload } = await prescriptionService.validatePrescription(
+      req.doctor,
+      req.params.appointmentId,
+      prescriptionService.normalizePayload(req.body)
+    );
+    if (errors.length > 0) {
+      return res.status(errors[0] === 'Appointment not found' ? 404 : 400).json({ message: errors[0], errors });
+    }
+
+    // Interaction/allergy warnings must be acknowledged with a reason before the prescription is saved
+    const acknowledgement = interactionService.normalizeAcknowledgement(req.body);
+    const screening = await interactionService.screen({
+      patientId: payload.patient_id,
+      familyMemberId: payload.family_member_id,
+      items: payload.items,
+      excludeTokenId: payload.token_id
+    }, acknowledgement);
+    if (screening.blocked) {
+      return res.status(409).json({ message: screening.message, warnings: screening.warnings, requiresAcknowledgement: true });
+    }
+
+    const prescription = await prescriptionService.create(payload);
+    await interactionService.recordOverride({
+      doctorId: req.doctor._id,
+      patientId: payload.patient_id,
+      familyMemberId: payload.family_member_id,
+      tokenId: payload.token_id,
+      contextType: 'prescription',
+      contextId: prescription._id,
+      warnings: screening.warnings,
+      reason: acknowledgement.reason
+    });
+    const [formatted] = await prescriptionService.list({ _id: prescription._id });
+    res.status(201).json({
+      message: 'Prescription added successfully',
+      prescription: formatted,
+      warnings: screening.warnings,
+      pdfUrl: prescriptionService.getPdfPath(prescription, 'doctor')
+    });
+  } catch (error) {
+    console.error('Add prescription error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    if (!medicationName || !dosage || !frequency || !duration) {
-      return res.status(400).json({ message: 'All prescription fields are required' });
+// Check medications against the patient's allergies, conditions and current medicines without saving
+router.post('/appointments/:appointmentId/interaction-check', authMiddleware, doctorMiddleware, async (req, res) => {
+  try {
+    const appointment = mongoose.isValidObjectId(req.params.appointmentId)
+      ? await Token.findOne({ _id: req.params.appointmentId, doctor_id: req.doctor._id }).select('patient_id family_member_id')
+      : null;
+    if (!appointment) {
+      return res.status(404).json({ message: 'Appointment not found' });
     }
+    const { items } = prescriptionService.normalizePayload(req.body);
+    const warnings = await interactionService.check({
+      patientId: appointment.patient_id,
+      familyMemberId: appointment.family_member_id,
+      items,
+      excludeTokenId: appointment._id
+    });
+    res.json({ warnings, requiresAcknowledgement: warnings.length > 0 });
+  } catch (error) {
+    console.error('Interaction check error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    const prescription = {
-      medicationName,
-      dosage,
-      frequency,
-      duration,
-      instructions: instructions || '',
-      prescribedAt: new Date()
-    };
+// Prescriptions written for an appointment
+router.get('/appointments/:appointmentId/prescriptions', authMiddleware, doctorMiddleware, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.appointmentId)) {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
+    const prescriptions = await prescriptionService.list({ token_id: req.params.appointmentId, doctor_id: req.doctor._id });
+    res.json({ prescriptions });
+  } catch (error) {
+    console.error('Get prescriptions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    const appointment = await Appointment.findOneAndUpdate(
-      {
-        _id: req.params.appointmentId,
-        doctorId: req.doctor._id
-      },
-      {
-        $push: { prescriptions: prescription }
-      },
-      { new: true }
-    ).populate('patientId', 'name email phone');
+// Printable signed prescription
+router.get('/prescriptions/:id/pdf', authMiddleware, doctorMiddleware, async (req, res) => {
+  let htmlContent;
+  try {
+    const found = await prescriptionService.findForDoctor(req.params.id, req.doctor);
+    if (!found) {
+      return res.status(404).json({ message: 'Prescription not found' });
+    }
+    const prescription = await prescriptionService.getPrintable(found._id);
+    htmlContent = prescriptionService.renderHtml(prescription);
+    const pdfBuffer = await generatePdf(htmlContent);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="Prescription-${prescription.prescription_number}.pdf"`);
+    res.setHeader('Content-Length', pdfBuffer.length);
+    res.send(pdfBuffer);
+  } catch (error) {
+    console.error('Prescription PDF error:', error);
+    // Fall back to the printable HTML if PDF rendering is unavailable
+    if (htmlContent) {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      return res.send(htmlContent);
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    if (!appointment) {
-      return res.status(404).json({ message: 'Appointment not found' });
+// Cancel a prescription written in error
+router.post('/prescriptions/:id/cancel', authMiddleware, doctorMiddleware, async (req, res) => {
+  try {
+    const prescription = await prescriptionService.findForDoctor(req.params.id, req.doctor);
+    if (!prescription) {
+      return res.status(404).json({ message: 'Prescription not found' });
     }
+    const result = await prescriptionService.cancel(prescription, req.body.reason);
+    if (!result.success) {
+      return res.status(400).json({ message: result.message });
+    }
+    const [formatted] = await prescriptionService.list({ _id: prescription._id });
+    res.json({ message: 'Prescription cancelled', prescription: formatted });
+  } catch (error) {
+    console.error('Cancel prescription error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    res.json({ message: 'Prescription added successfully', appointment });
+// Record a refill of one medication line
+router.post('/prescriptions/:id/items/:itemId/refill', authMiddleware, doctorMiddleware, async (req, res) => {
+  try {
+    const prescription = await prescriptionService.findForDoctor(req.params.id, req.doctor);
+    if (!prescription) {
+      return res.status(404).json({ message: 'Prescription not found' });
+    }
+    const result = await prescriptionService.refill(prescription, req.params.itemId);
+    if (!result.success) {
+      return res.status(400).json({ message: result.message });
+    }
+    res.json({ message: 'Refill recorded', item: prescriptionService.formatItem(result.item) });
   } catch (error) {
-    console.error('Add prescription error:', error);
+    console.error('Refill prescription error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Order lab/imaging investigations for an appointment (body: { items: [{ category, testName, bodyPart, urgency, instructions }] })
+router.post('/appointments/:appointmentId/lab-orders', authMiddleware, doctorMiddleware, async (req, res) => {
+  try {
+    const { errors, payload } = await labOrderService.validateOrders(
+      req.doctor,
+      req.params.appointmentId,
+      labOrderService.normalizeOrderPayload(req.body)
+    );
+    if (errors.length > 0) {
+      return res.status(errors[0] === 'Appointment not found' ? 404 : 400).json({ message: errors[0], errors });
+    }
+
+    const orders = await labOrderService.createOrders(payload, req.doctor);
+    res.status(201).json({ message: 'Tests ordered', orders: orders.map(order => labOrderService.formatOrder(order)) });
+  } catch (error) {
+    console.error('Create lab orders error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Investigations you ordered (?status=, ?abnormal=true, ?appointmentId=)
+router.get('/lab-orders', authMiddleware, doctorMiddleware, async (req, res) => {
+  try {
+    const { status, abnormal, appointmentId } = req.query;
+    const filter = { doctor_id: req.doctor._id };
+    if (status) filter.status = status;
+    if (abnormal === 'true') filter.is_abnormal = true;
+    if (appointmentId) {
+      if (!mongoose.isValidObjectId(appointmentId)) {
+        return res.status(400).json({ message: 'Invalid appointment ID' });
+      }
+      filter.token_id = appointmentId;
+    }
+    const orders = await labOrderService.list(filter);
+    res.json({ orders });
+  } catch (error) {
+    console.error('Get lab orders error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -780,20 +1089,16 @@ router.get('/schedules', authMiddleware, doctorMiddleware, async (req, res) => {
     const { startDate, endDate } = req.query;
     const doctorId = req.doctor._id;
 
-    const query = { doctor_id: doctorId };
-    
-    if (startDate && endDate) {
-      query.date = {
-        $gte: new Date(startDate),
-        $lte: new Date(endDate)
-      };
-    }
-
-    const schedules = await DoctorSchedule.find(query).sort({ date: 1 });
+    // With a date range, days generated from weekly schedule rules are included as well
+    const schedules = startDate && endDate
+      ? await scheduleRuleService.getSchedulesInRange(doctorId, new Date(startDate), new Date(endDate))
+      : await DoctorSchedule.find({ doctor_id: doctorId }).sort({ date: 1 });
 
     res.json({
       schedules: schedules.map(schedule => ({
         id: schedule._id,
+        ruleId: schedule.rule_id || null,
+        isVirtual: !!schedule.is_virtual,
         date: schedule.date,
         isAvailable: schedule.is_available,
         workingHours: schedule.working_hours,
@@ -969,6 +1274,10 @@ async function handleLeaveTokens(doctorId, leaveDate) {
       }
     );
 
+    for (const token of tokens) {
+      await slotReservationService.releaseToken(token);
+    }
+
     console.log(`Cancelled ${tokens.length} tokens for doctor ${doctorId} on ${leaveDate.toDateString()}`);
     
     // Here you could add email notifications to patients about cancellation
@@ -1027,6 +1336,174 @@ router.delete('/schedules/:scheduleId', authMiddleware, doctorMiddleware, async
   }
 });
 
+// ===== SESSION TEMPLATES =====
+
+// Get the doctor's own session templates plus what currently applies (own, department or defaults)
+router.get('/session-templates', authMiddleware, doctorMiddleware, async (req, res) => {
+  try {
+    const templates = await SessionTemplate.find({ doctor_id: req.doctor._id }).sort({ start_time: 1 });
+    const effective = await sessionTemplateService.getTemplatesForDoctor(req.doctor._id, req.doctor.doctor_info?.department);
+
+    res.json({
+      templates: templates.map(t => sessionTemplateService.formatTemplate(t)),
+      effectiveSource: effective.source,
+      effectiveTemplates: effective.templates.map(t => sessionTemplateService.formatTemplate(t))
+    });
+  } catch (error) {
+    console.error('Get session templates error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a session template for the doctor
+router.post('/session-templates', authMiddleware, doctorMiddleware, async (req, res) => {
+  try {
+    const payload = {
+      ...sessionTemplateService.normalizePayload(req.body),
+      doctor_id: req.doctor._id,
+      created_by: req.doctor._id
+    };
+
+    const errors = await sessionTemplateService.validateTemplate(payload);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: errors[0], errors });
+    }
+
+    const template = await SessionTemplate.create(payload);
+    res.status(201).json({ message: 'Session template created', template: sessionTemplateService.formatTemplate(template) });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A session with this code already exists' });
+    }
+    console.error('Create session template error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update one of the doctor's session templates
+router.put('/session-templates/:templateId', authMiddleware, doctorMiddleware, async (req, res) => {
+  try {
+    const template = await SessionTemplate.findOne({ _id: req.params.templateId, doctor_id: req.doctor._id });
+    if (!template) {
+      return res.status(404).json({ message: 'Session template not found' });
+    }
+
+    Object.assign(template, sessionTemplateService.normalizePayload(req.body));
+    const errors = await sessionTemplateService.validateTemplate(template.toObject(), template._id);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: errors[0], errors });
+    }
+
+    await template.save();
+    res.json({ message: 'Session template updated', template: sessionTemplateService.formatTemplate(template) });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A session with this code already exists' });
+    }
+    console.error('Update session template error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete one of the doctor's session templates
+router.delete('/session-templates/:templateId', authMiddleware, doctorMiddleware, async (req, res) => {
+  try {
+    const template = await SessionTemplate.findOneAndDelete({ _id: req.params.templateId, doctor_id: req.doctor._id });
+    if (!template) {
+      return res.status(404).json({ message: 'Session template not found' });
+    }
+    res.json({ message: 'Session template deleted' });
+  } catch (error) {
+    console.error('Delete session template error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ===== WEEKLY SCHEDULE RULES =====
+
+// Get the doctor's weekly schedule rules
+router.get('/schedule-rules', authMiddleware, doctorMiddleware, async (req, res) => {
+  try {
+    const rules = await ScheduleRule.find({ doctor_id: req.doctor._id }).sort({ effective_from: -1 });
+    res.json({ rules: rules.map(rule => scheduleRuleService.formatRule(rule)) });
+  } catch (error) {
+    console.error('Get schedule rules error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a weekly schedule rule
+router.post('/schedule-rules', authMiddleware, doctorMiddleware, async (req, res) => {
+  try {
+    const payload = {
+      ...scheduleRuleService.normalizePayload(req.body),
+      doctor_id: req.doctor._id,
+      created_by: req.doctor._id
+    };
+
+    const errors = await scheduleRuleService.validateRule(payload);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: errors[0], errors });
+    }
+
+    const rule = await ScheduleRule.create(payload);
+    res.status(201).json({ message: 'Schedule rule created', rule: scheduleRuleService.formatRule(rule) });
+  } catch (error) {
+    console.error('Create schedule rule error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update a weekly schedule rule (pass ?dryRun=true to only preview affected tokens)
+router.put('/schedule-rules/:ruleId', authMiddleware, doctorMiddleware, async (req, res) => {
+  try {
+    const rule = await ScheduleRule.findOne({ _id: req.params.ruleId, doctor_id: req.doctor._id });
+    if (!rule) {
+      return res.status(404).json({ message: 'Schedule rule not found' });
+    }
+
+    Object.assign(rule, scheduleRuleService.normalizePayload(req.body));
+    const errors = await scheduleRuleService.validateRule(rule.toObject());
+    if (errors.length > 0) {
+      return res.status(400).json({ message: errors[0], errors });
+    }
+
+    // Booked tokens that the edited rule no longer covers
+    const tokensOutsidePattern = await scheduleRuleService.findTokensOutsideRuleChange(req.doctor._id, rule._id, rule.toObject());
+
+    if (req.query.dryRun === 'true') {
+      return res.json({ rule: scheduleRuleService.formatRule(rule), tokensOutsidePattern, saved: false });
+    }
+
+    await rule.save();
+    res.json({
+      message: 'Schedule rule updated',
+      rule: scheduleRuleService.formatRule(rule),
+      tokensOutsidePattern,
+      saved: true
+    });
+  } catch (error) {
+    console.error('Update schedule rule error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a weekly schedule rule
+router.delete('/schedule-rules/:ruleId', authMiddleware, doctorMiddleware, async (req, res) => {
+  try {
+    const rule = await ScheduleRule.findOneAndDelete({ _id: req.params.ruleId, doctor_id: req.doctor._id });
+    if (!rule) {
+      return res.status(404).json({ message: 'Schedule rule not found' });
+    }
+
+    const tokensOutsidePattern = await scheduleRuleService.findTokensOutsidePattern(req.doctor._id);
+    res.json({ message: 'Schedule rule deleted', tokensOutsidePattern });
+  } catch (error) {
+    console.error('Delete schedule rule error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Advanced search for appointments/tokens
 router.get('/search-appointments', authMiddleware, doctorMiddleware, async (req, res) => {
   try {
@@ -1394,10 +1871,7 @@ router.get('/availability/:date', authMiddleware, async (req, res) => {
     const scheduleDate = new Date(date);
     scheduleDate.setHours(0, 0, 0, 0);
 
-    const schedule = await DoctorSchedule.findOne({
-      doctor_id: doctorId,
-      date: scheduleDate
-    });
+    const schedule = await scheduleRuleService.getScheduleForDate(doctorId, scheduleDate);
 
     if (!schedule) {
       // No schedule set, doctor is not available
@@ -1409,13 +1883,23 @@ router.get('/availability/:date', authMiddleware, async (req, res) => {
         leaveReason: 'No schedule'
       });
     } else {
+      const sessions = await sessionTemplateService.getSessionsForDate(doctorId, scheduleDate, schedule);
       res.json({
         isAvailable: schedule.is_available,
         workingHours: schedule.working_hours,
         breakTime: schedule.break_time,
         slotDuration: schedule.slot_duration,
         leaveReason: schedule.leave_reason,
-        notes: schedule.notes
+        notes: schedule.notes,
+        sessions: sessions.map(session => ({
+          id: session.id,
+          name: session.name,
+          startTime: session.startTime,
+          endTime: session.endTime,
+          maxPatients: session.maxPatients,
+          bookingCutoff: session.bookingCutoff,
+          available: session.available
+        }))
       });
     }
   } catch (error) {
@@ -1480,14 +1964,12 @@ router.get('/dashboard-data', authMiddleware, doctorMiddleware, async (req, res)
       .sort({ time_slot: 1 })
       .limit(10),
       
-      // Recent schedules (next 7 days)
-      DoctorSchedule.find({
-        doctor_id: doctorId,
-        date: {
-          $gte: new Date(today),
-          $lte: new Date(new Date(today).getTime() + 7 * 24 * 60 * 60 * 1000)
-        }
-      }).sort({ date: 1 }),
+      // Recent schedules (next 7 days, including weekly rule days)
+      scheduleRuleService.getSchedulesInRange(
+        doctorId,
+        new Date(today),
+        new Date(new Date(today).getTime() + 7 * 24 * 60 * 60 * 1000)
+      ),
       
       // 7-day trends
       DoctorStatsService.getAppointmentTrends(doctorId, 7)
@@ -1689,11 +2171,7 @@ router.get('/dashboard-stats', authMiddleware, doctorMiddleware, async (req, res
     const futureDate = new Date(today);
     futureDate.setDate(today.getDate() + 30);
 
-    const availableDays = await DoctorSchedule.countDocuments({
-      doctor_id: doctorId,
-      date: { $gte: today, $lte: futureDate },
-      is_available: true
-    });
+    const availableDays = (await scheduleRuleService.getSchedulesInRange(doctorId, today, futureDate, { availableOnly: true })).length;
 
     const stats = {
       todayAppointments,
@@ -1710,52 +2188,31 @@ router.get('/dashboard-stats', authMiddleware, doctorMiddleware, async (req, res
 });
 
 // Submit schedule request (cancel or reschedule)
-router.post('/schedule-requests', authMiddleware, async (req, res) => {
+router.post('/schedule-requests', authMiddleware, doctorMiddleware, async (req, res) => {
   try {
     console.log('📝 Schedule request received:', req.body);
-    console.log('📝 User from token:', req.user);
-    
-    const { type, scheduleId, reason, date, newSchedule } = req.body;
-    const doctorId = req.user.userId;
 
-    console.log('📝 Doctor ID:', doctorId);
-    console.log('📝 Request data:', { type, scheduleId, reason, date });
+    const { type, scheduleId, reason, date, newSchedule } = req.body;
+    const doctorId = req.doctor._id;
 
-    if (!type || !scheduleId || !reason) {
-      console.log('❌ Missing required fields:', { type, scheduleId, reason });
+    if (!type || (!scheduleId && !date) || !reason) {
+      console.log('❌ Missing required fields:', { type, scheduleId, date, reason });
       return res.status(400).json({ 
         success: false, 
-        message: 'Type, scheduleId, and reason are required' 
+        message: 'Type, scheduleId (or date), and reason are required' 
       });
     }
 
-    // Generate unique request ID
-    const requestId = Date.now().toString() + Math.random().toString(36).substr(2, 9);
-
-    const scheduleRequest = {
-      id: requestId,
-      doctorId,
-      type, // 'cancel' or 'reschedule'
-      scheduleId,
-      reason,
-      date,
-      newSchedule: newSchedule || null,
-      status: 'pending',
-      createdAt: new Date(),
-      updatedAt: new Date()
-    };
-
-    // Add to global schedule requests array (in production, this should be stored in database)
-    global.scheduleRequests = global.scheduleRequests || [];
-    global.scheduleRequests.push(scheduleRequest);
-
-    console.log('✅ Schedule request created:', scheduleRequest);
-    console.log('📊 Total requests now:', global.scheduleRequests.length);
+    const result = await scheduleRequestService.createRequest({ doctorId, type, scheduleId, date, reason, newSchedule });
+    if (!result.success) {
+      return res.status(400).json({ success: false, message: result.message });
+    }
 
     res.json({ 
       success: true, 
       message: 'Schedule request submitted successfully',
-      requestId 
+      requestId: result.request._id,
+      request: scheduleRequestService.formatRequest(result.request)
     });
   } catch (error) {
     console.error('Error submitting schedule request:', error);
@@ -1766,6 +2223,28 @@ router.post('/schedule-requests', authMiddleware, async (req, res) => {
   }
 });
 
+// Get the doctor's own schedule requests with status history and admin comments
+router.get('/schedule-requests', authMiddleware, doctorMiddleware, async (req, res) => {
+  try {
+    const filter = { doctor_id: req.doctor._id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const requests = await ScheduleRequest.find(filter)
+      .populate('status_history.changed_by', 'name')
+      .populate('admin_comments.author_id', 'name')
+      .populate('reviewed_by', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      requests: requests.map(request => scheduleRequestService.formatRequest(request))
+    });
+  } catch (error) {
+    console.error('Error fetching schedule requests:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch schedule requests' });
+  }
+});
+
 // Save consultation record
 router.patch('/appointments/:appointmentId/consultation', authMiddleware, doctorMiddleware, async (req, res) => {
   try {
@@ -1804,6 +2283,18 @@ router.patch('/appointments/:appointmentId/consultation', authMiddleware, doctor
       return res.status(403).json({ message: 'Unauthorized to access this appointment' });
     }
 
+    // Write the clinical note first: a signed note is locked and the save is refused as a whole
+    const noteResult = await clinicalNoteService.saveFromConsultation(appointment, req.doctor, consultationData || {}, {
+      sign: status === 'consulted'
+    });
+    if (!noteResult.success) {
+      if (noteResult.locked) {
+        return res.status(409).json({ success: false, locked: true, message: noteResult.message, noteId: noteResult.note._id });
+      }
+      return res.status(400).json({ success: false, message: noteResult.message, errors: noteResult.errors });
+    }
+    const note = noteResult.note;
+
     // Update appointment status
     if (status) {
       console.log('🔍 Save consultation - Updating status:', { oldStatus: appointment.status, newStatus: status });
@@ -1816,59 +2307,24 @@ router.patch('/appointments/:appointmentId/consultation', authMiddleware, doctor
     appointment.consultationData = consultationData;
     await appointment.save();
     console.log('✅ Save consultation - Appointment saved successfully');
-    
-    // Verify what was actually saved
-    const savedAppointment = await Token.findById(appointmentId);
-    console.log('🔍 Save consultation - Verification - Saved consultationData:', {
-      hasConsultationData: !!savedAppointment.consultationData,
-      consultationDataKeys: savedAppointment.consultationData ? Object.keys(savedAppointment.consultationData) : [],
-      medications: savedAppointment.consultationData?.medications,
-      hasMedications: !!savedAppointment.consultationData?.medications,
-      medicationsLength: savedAppointment.consultationData?.medications?.length
-    });
-
-    // Create or update consultation record
-    console.log('🔍 Save consultation - Looking for existing consultation record...');
-    let consultationRecord = await ConsultationRecord.findOne({ appointment_id: appointmentId });
-    
-    if (consultationRecord) {
-      console.log('🔍 Save consultation - Updating existing consultation record');
-      // Update existing record
-      consultationRecord.consultationData = consultationData;
-      consultationRecord.status = status === 'consulted' ? 'completed' : 'draft';
-      consultationRecord.updated_at = new Date();
-      await consultationRecord.save();
-      console.log('✅ Save consultation - Consultation record updated');
-    } else {
-      console.log('🔍 Save consultation - Creating new consultation record');
-      // Create new record
-      consultationRecord = new ConsultationRecord({
-        appointment_id: appointmentId,
-        doctor_id: doctorId,
-        patient_id: appointment.patient_id,
-        consultationData: consultationData,
-        status: status === 'consulted' ? 'completed' : 'draft',
-        consultation_date: new Date()
-      });
-      await consultationRecord.save();
-      console.log('✅ Save consultation - New consultation record created');
-    }
+    if (status === 'consulted') await invoiceService.issueOnCompletion(appointment._id);
 
-    console.log('✅ Consultation record saved:', {
+    console.log('✅ Clinical note saved:', {
       appointmentId,
       doctorId,
-      status: consultationRecord.status,
-      hasData: !!consultationData
+      status: note.status,
+      version: note.version
     });
 
     const response = {
       success: true,
       message: 'Consultation record saved successfully',
       consultationRecord: {
-        id: consultationRecord._id,
-        status: consultationRecord.status,
-        consultation_date: consultationRecord.consultation_date
-      }
+        id: note._id,
+        status: note.status === 'signed' ? 'completed' : 'draft',
+        consultation_date: note.consultation_date
+      },
+      clinicalNote: clinicalNoteService.formatNote(note)
     };
 
     console.log('🔍 Save consultation - Sending response:', response);
@@ -1898,16 +2354,25 @@ router.get('/appointments/:appointmentId/consultation', authMiddleware, doctorMi
     }
 
     // Check if doctor is authorized for this appointment
-    if (appointment.doctor_id.toString() !== doctorId) {
+    if (appointment.doctor_id.toString() !== doctorId.toString()) {
       return res.status(403).json({ message: 'Unauthorized to access this appointment' });
     }
 
-    // Find consultation record
-    const consultationRecord = await ConsultationRecord.findOne({ appointment_id: appointmentId });
+    // The clinical note, also in the shape the consultation form expects
+    const note = await clinicalNoteService.findByToken(appointmentId);
 
     res.json({
       success: true,
-      consultationRecord: consultationRecord || null,
+      consultationRecord: note ? {
+        _id: note._id,
+        appointment_id: note.token_id,
+        doctor_id: note.doctor_id,
+        patient_id: note.patient_id,
+        consultationData: clinicalNoteService.toConsultationData(note.content.toObject()),
+        status: note.status === 'signed' ? 'completed' : 'draft',
+        consultation_date: note.consultation_date
+      } : null,
+      clinicalNote: note ? clinicalNoteService.formatNote(note) : null,
       appointmentData: {
         consultationData: appointment.consultationData || null,
         status: appointment.status
@@ -1931,74 +2396,45 @@ router.get('/medical-records', authMiddleware, doctorMiddleware, async (req, res
     
     console.log('🔍 Fetching medical records for doctor:', doctorId);
     
-    // Build query
+    // Build query (the legacy 'completed' filter means signed notes)
     const query = { doctor_id: doctorId };
     if (status && status !== 'all') {
-      query.status = status;
-    }
-    
-    // First try to get consultation records
-    let consultationRecords = await ConsultationRecord.find(query)
-      .populate('patient_id', 'name email phone')
-      .populate('appointment_id', 'booking_date time_slot status')
-      .sort({ consultation_date: -1 })
-      .limit(parseInt(limit) * 1)
-      .skip((parseInt(page) - 1) * parseInt(limit));
-    
-    let totalRecords = await ConsultationRecord.countDocuments(query);
-    
-    // If no consultation records found, fallback to completed appointments with consultation data
-    if (consultationRecords.length === 0) {
-      console.log('🔍 No consultation records found, checking completed appointments...');
-      
-      const appointmentQuery = { 
-        doctor_id: doctorId, 
-        status: 'consulted',
-        consultationData: { $exists: true, $ne: null }
-      };
-      
-      const completedAppointments = await Token.find(appointmentQuery)
-        .populate('patient_id', 'name email phone')
-        .sort({ consultation_completed_at: -1 })
-        .limit(parseInt(limit) * 1)
-        .skip((parseInt(page) - 1) * parseInt(limit));
-      
-      // Transform appointments to match consultation record format
-      consultationRecords = completedAppointments.map(appointment => ({
-        _id: appointment._id,
-        patient_id: appointment.patient_id,
-        appointment_id: appointment,
-        consultationData: appointment.consultationData,
-        status: 'completed',
-        consultation_date: appointment.consultation_completed_at || appointment.updatedAt,
-        createdAt: appointment.createdAt,
-        updatedAt: appointment.updatedAt
-      }));
-      
-      totalRecords = await Token.countDocuments(appointmentQuery);
+      query.status = status === 'completed' ? 'signed' : status;
     }
-    
+
+    const { notes, total: totalRecords } = await clinicalNoteService.list(query, { page, limit });
+
     // Transform data for frontend
-    const records = consultationRecords.map(record => ({
-      id: record._id,
-      patient_name: record.patient_id?.name || 'Unknown Patient',
-      patient_email: record.patient_id?.email || '',
-      patient_phone: record.patient_id?.phone || '',
-      appointment_date: record.appointment_id?.booking_date || record.consultation_date,
-      appointment_time: record.appointment_id?.time_slot || '',
-      status: record.status,
-      diagnosis: record.consultationData?.diagnosis || '',
-      chief_complaint: record.consultationData?.chiefComplaint || '',
-      history_of_present_illness: record.consultationData?.historyOfPresentIllness || '',
-      physical_examination: record.consultationData?.physicalExamination || '',
-      vital_signs: record.consultationData?.vitalSigns || {},
-      medications: record.consultationData?.medications || [],
-      notes: record.consultationData?.notes || '',
-      follow_up_required: record.consultationData?.followUpRequired || false,
-      follow_up_date: record.consultationData?.followUpDate || null,
-      created_at: record.createdAt,
-      updated_at: record.updatedAt
-    }));
+    const records = notes.map(note => {
+      const content = note.content ? note.content.toObject() : {};
+      const legacy = clinicalNoteService.toConsultationData(content);
+      return {
+        id: note._id,
+        appointment_id: note.token_id?._id || note.token_id,
+        patient_name: note.family_member_id?.name || note.patient_id?.name || 'Unknown Patient',
+        patient_email: note.patient_id?.email || '',
+        patient_phone: note.patient_id?.phone || '',
+        appointment_date: note.token_id?.booking_date || note.consultation_date,
+        appointment_time: note.token_id?.time_slot || '',
+        status: note.status === 'signed' ? 'completed' : 'draft',
+        is_locked: note.status === 'signed',
+        version: note.version,
+        diagnosis: legacy.diagnosis,
+        icd_code: content.assessment?.primary_icd_code || '',
+        chief_complaint: legacy.chiefComplaint,
+        history_of_present_illness: legacy.historyOfPresentIllness,
+        physical_examination: legacy.physicalExamination,
+        vital_signs: legacy.vitalSigns,
+        medications: content.medications || [],
+        notes: legacy.additionalNotes,
+        follow_up_required: !!legacy.followUpInstructions,
+        follow_up_date: null,
+        addenda_count: note.addenda.length,
+        diagnosis_id: note.diagnosis_id,
+        created_at: note.createdAt,
+        updated_at: note.updatedAt
+      };
+    });
     
     console.log('✅ Found', records.length, 'medical records');
     
@@ -2024,6 +2460,135 @@ router.get('/medical-records', authMiddleware, doctorMiddleware, async (req, res
   }
 });
 
+// Clinical note with its full version history and addenda
+router.get('/clinical-notes/:id', authMiddleware, doctorMiddleware, async (req, res) => {
+  try {
+    const note = await clinicalNoteService.findForDoctor(req.params.id, req.doctor);
+    if (!note) {
+      return res.status(404).json({ message: 'Clinical note not found' });
+    }
+    const detailed = await clinicalNoteService.getWithHistory(note._id);
+    res.json({ note: clinicalNoteService.formatNote(detailed, { includeVersions: true }) });
+  } catch (error) {
+    console.error('Get clinical note error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Sign a draft note; it is locked from then on
+router.post('/clinical-notes/:id/sign', authMiddleware, doctorMiddleware, async (req, res) => {
+  try {
+    const note = await clinicalNoteService.findForDoctor(req.params.id, req.doctor);
+    if (!note) {
+      return res.status(404).json({ message: 'Clinical note not found' });
+    }
+    const result = await clinicalNoteService.sign(note, req.doctor);
+    if (!result.success) {
+      return res.status(400).json({ message: result.message });
+    }
+    const detailed = await clinicalNoteService.getWithHistory(note._id);
+    res.json({ message: 'Clinical note signed', note: clinicalNoteService.formatNote(detailed) });
+  } catch (error) {
+    console.error('Sign clinical note error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add an addendum to a signed note (body: { text })
+router.post('/clinical-notes/:id/addenda', authMiddleware, doctorMiddleware, async (req, res) => {
+  try {
+    const note = await clinicalNoteService.findForDoctor(req.params.id, req.doctor);
+    if (!note) {
+      return res.status(404).json({ message: 'Clinical note not found' });
+    }
+    const result = await clinicalNoteService.addAddendum(note, req.doctor, req.body.text);
+    if (!result.success) {
+      return res.status(400).json({ message: result.message });
+    }
+    const detailed = await clinicalNoteService.getWithHistory(note._id);
+    res.status(201).json({ message: 'Addendum added', note: clinicalNoteService.formatNote(detailed) });
+  } catch (error) {
+    console.error('Add addendum error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Vitals over time for the patient (or a family member) of this consultation, for the consultation screen
+router.get('/appointments/:appointmentId/vitals-trend', authMiddleware, doctorMiddleware, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.appointmentId)) {
+      return res.status(400).json({ message: 'Invalid appointment ID' });
+    }
+    const appointment = await Token.findOne({ _id: req.params.appointmentId, doctor_id: req.doctor._id }).select('patient_id family_member_id');
+    if (!appointment) {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
+    const trend = await vitalsService.getTrend({
+      patientId: appointment.patient_id,
+      familyMemberId: appointment.family_member_id || null
+    });
+    if (!trend) {
+      return res.status(404).json({ message: 'Patient not found' });
+    }
+    res.json(trend);
+  } catch (error) {
+    console.error('Get appointment vitals trend error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Vitals over time for a patient the doctor has seen (?familyMemberId=, ?from=, ?to=)
+router.get('/patients/:patientId/vitals', authMiddleware, doctorMiddleware, async (req, res) => {
+  try {
+    const { patientId } = req.params;
+    const { familyMemberId, from, to } = req.query;
+    if (!mongoose.isValidObjectId(patientId)) {
+      return res.status(400).json({ message: 'Invalid patient ID' });
+    }
+    if ((from && isNaN(new Date(from).getTime())) || (to && isNaN(new Date(to).getTime()))) {
+      return res.status(400).json({ message: 'Invalid date range' });
+    }
+    const hasSeen = await Token.exists({ patient_id: patientId, doctor_id: req.doctor._id });
+    if (!hasSeen) {
+      return res.status(403).json({ message: 'You have no appointments with this patient' });
+    }
+    const trend = await vitalsService.getTrend({ patientId, familyMemberId: familyMemberId || null, from, to });
+    if (!trend) {
+      return res.status(404).json({ message: 'Patient not found' });
+    }
+    res.json(trend);
+  } catch (error) {
+    console.error('Get patient vitals error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Clinical history of a patient the doctor has seen, across all doctors (?familyMemberId=)
+router.get('/patients/:patientId/clinical-notes', authMiddleware, doctorMiddleware, async (req, res) => {
+  try {
+    const { patientId } = req.params;
+    if (!mongoose.isValidObjectId(patientId)) {
+      return res.status(400).json({ message: 'Invalid patient ID' });
+    }
+    const hasSeen = await Token.exists({ patient_id: patientId, doctor_id: req.doctor._id });
+    if (!hasSeen) {
+      return res.status(403).json({ message: 'You have no appointments with this patient' });
+    }
+    const query = { patient_id: patientId };
+    if (req.query.familyMemberId) {
+      if (!mongoose.isValidObjectId(req.query.familyMemberId)) {
+        return res.status(400).json({ message: 'Invalid family member ID' });
+      }
+      query.family_member_id = req.query.familyMemberId;
+    }
+    const { notes } = await clinicalNoteService.list(query, { limit: 0 });
+    res.json({ notes: notes.map(note => clinicalNoteService.formatNote(note)) });
+  } catch (error) {
+    console.error('Get patient clinical notes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Upload doctor profile photo
 router.post('/upload-photo', authMiddleware, doctorMiddleware, profilePhotoUpload.single('profilePhoto'), async (req, res) => {
   try {
@@ -2394,6 +2959,7 @@ router.post('/close-video-consultation/:appointmentId', authMiddleware, doctorMi
       },
       { new: true }
     );
+    await invoiceService.issueOnCompletion(appointmentId);
     
     console.log('✅ Close video consultation - Appointment updated:', {
       appointmentId,
@@ -0,0 +1,157 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const { User } = require('../models/User');
+const { authMiddleware } = require('../middleware/authMiddleware');
+const CloudinaryService = require('../services/cloudinaryService');
+const labOrderService = require('../services/labOrderService');
+
+// Result files are kept in memory and pushed to Cloudinary
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  },
+  fileFilter: function (req, file, cb) {
+    const allowedTypes = ['application/pdf', 'image/jpeg', 'image/jpg', 'image/png'];
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only PDF, JPG and PNG files are allowed'), false);
+    }
+  }
+});
+
+// Middleware to check if user is lab staff
+const labMiddleware = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user || user.role !== 'lab') {
+      return res.status(403).json({ message: 'Access denied. Lab role required.' });
+    }
+    req.labUser = user;
+    next();
+  } catch (error) {
+    console.error('Lab middleware error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Worklist: open orders, stat first (?status=, ?category=laboratory|imaging|other_tests, ?urgency=, ?date=YYYY-MM-DD)
+router.get('/worklist', authMiddleware, labMiddleware, async (req, res) => {
+  try {
+    const { status, category, urgency, date } = req.query;
+    if (date && isNaN(new Date(date).getTime())) {
+      return res.status(400).json({ message: 'Invalid date' });
+    }
+    const orders = await labOrderService.getWorklist({ status, category, urgency, date });
+    res.json({ orders });
+  } catch (error) {
+    console.error('Lab worklist error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Single order
+router.get('/orders/:id', authMiddleware, labMiddleware, async (req, res) => {
+  try {
+    const order = await labOrderService.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: 'Lab order not found' });
+    }
+    const [formatted] = await labOrderService.list({ _id: order._id });
+    res.json({ order: formatted });
+  } catch (error) {
+    console.error('Get lab order error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Move an order along (sample_collected, in_progress, completed, cancelled)
+router.patch('/orders/:id/status', authMiddleware, labMiddleware, async (req, res) => {
+  try {
+    const order = await labOrderService.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: 'Lab order not found' });
+    }
+    const result = await labOrderService.updateStatus(order, req.body.status, req.labUser, req.body.note);
+    if (!result.success) {
+      return res.status(400).json({ message: result.message });
+    }
+    const [formatted] = await labOrderService.list({ _id: order._id });
+    res.json({ message: 'Order status updated', order: formatted });
+  } catch (error) {
+    console.error('Update lab order status error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Enter results (body: { resultValues: [{ parameter, value, unit, referenceRange, flag }], resultSummary, complete })
+router.put('/orders/:id/results', authMiddleware, labMiddleware, async (req, res) => {
+  try {
+    const order = await labOrderService.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: 'Lab order not found' });
+    }
+    const data = labOrderService.normalizeResultPayload(req.body);
+    const errors = labOrderService.validateResults(data);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: errors[0], errors });
+    }
+
+    const result = await labOrderService.recordResults(order, req.labUser, data);
+    if (!result.success) {
+      return res.status(400).json({ message: result.message });
+    }
+    const [formatted] = await labOrderService.list({ _id: order._id });
+    res.json({ message: 'Results saved', order: formatted });
+  } catch (error) {
+    console.error('Save lab results error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Upload a result file (PDF or image) to the order
+router.post('/orders/:id/files', authMiddleware, labMiddleware, upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+    const order = await labOrderService.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: 'Lab order not found' });
+    }
+    if (order.status === 'cancelled') {
+      return res.status(400).json({ message: 'Order is cancelled' });
+    }
+
+    const tempFilePath = path.join(__dirname, '../../temp', `temp-${Date.now()}-${path.basename(req.file.originalname)}`);
+    const tempDir = path.dirname(tempFilePath);
+    if (!fs.existsSync(tempDir)) {
+      fs.mkdirSync(tempDir, { recursive: true });
+    }
+    fs.writeFileSync(tempFilePath, req.file.buffer);
+
+    const uploadResult = await CloudinaryService.uploadDocument(tempFilePath, 'opd-lab-reports', `lab-${order._id}-${Date.now()}`);
+    if (!uploadResult.success) {
+      if (fs.existsSync(tempFilePath)) {
+        fs.unlinkSync(tempFilePath);
+      }
+      return res.status(500).json({
+        message: uploadResult.error || 'Failed to upload file to cloud storage',
+        error: uploadResult.error
+      });
+    }
+
+    await labOrderService.addFile(order, uploadResult, req.file, req.labUser);
+    const [formatted] = await labOrderService.list({ _id: order._id });
+    res.status(201).json({ message: 'File uploaded', order: formatted });
+  } catch (error) {
+    console.error('Upload lab file error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -2,7 +2,6 @@ const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
-const puppeteer = require('puppeteer');
 const htmlPdf = require('html-pdf-node');
 const { User, Token, Appointment } = require('../models/User');
 const Department = require('../models/Department');
@@ -15,12 +14,31 @@ const notificationService = require('../services/notificationService');
 const meetingLinkService = require('../services/meetingLinkService');
 const CloudinaryService = require('../services/cloudinaryService');
 const emailService = require('../services/emailService');
-const { isSessionBookable, getSessionInfo, parseTime, formatTime, getBookingCutoffMessage, generateSequentialTokenNumber } = require('../utils/bookingUtils');
+const sessionTemplateService = require('../services/sessionTemplateService');
+const scheduleRuleService = require('../services/scheduleRuleService');
+const slotReservationService = require('../services/slotReservationService');
+const waitlistService = require('../services/waitlistService');
+const queueService = require('../services/queueService');
+const waitTimeService = require('../services/waitTimeService');
+const checkInService = require('../services/checkInService');
+const followUpService = require('../services/followUpService');
+const referralService = require('../services/referralService');
+const prescriptionService = require('../services/prescriptionService');
+const labOrderService = require('../services/labOrderService');
+const clinicalNoteService = require('../services/clinicalNoteService');
+const vitalsService = require('../services/vitalsService');
+const paymentService = require('../services/paymentService');
+const gatewayStub = require('../services/paymentGatewayStub');
+const walletService = require('../services/walletService');
+const invoiceService = require('../services/invoiceService');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Payment = require('../models/Payment');
+const { isSessionBookable, getSessionInfo, findSessionForTime, parseTime, formatTime, getBookingCutoffMessage, generateSequentialTokenNumber } = require('../utils/bookingUtils');
+const { escapeHtml, generatePdf } = require('../utils/pdfUtils');
 const crypto = require('crypto');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-let Razorpay; try { Razorpay = require('razorpay'); } catch { Razorpay = null; }
 
 // Configure multer for file uploads (memory storage for Cloudinary)
 const storage = multer.memoryStorage();
@@ -389,17 +407,12 @@ router.get('/doctors/:departmentId', async (req, res) => {
         const futureDate = new Date();
         futureDate.setMonth(today.getMonth() + 1);
 
-        const availableSchedules = await DoctorSchedule.countDocuments({
-          doctor_id: doctor._id,
-          date: { $gte: today, $lte: futureDate },
-          is_available: true
-        });
+        // Includes days materialized from the doctor's weekly schedule rules
+        const schedules = await scheduleRuleService.getSchedulesInRange(doctor._id, today, futureDate);
+        const availableSchedules = schedules.filter(schedule => schedule.is_available).length;
 
         // Count total schedules (including unavailable ones)
-        const totalSchedules = await DoctorSchedule.countDocuments({
-          doctor_id: doctor._id,
-          date: { $gte: today, $lte: futureDate }
-        });
+        const totalSchedules = schedules.length;
 
         // If no schedules exist, assume doctor is available with default hours
         const isAvailable = totalSchedules === 0 || availableSchedules > 0;
@@ -460,12 +473,8 @@ router.get('/departments/:departmentId/available-dates', async (req, res) => {
     const futureDate = new Date();
     futureDate.setMonth(today.getMonth() + 1);
 
-    // Fetch all schedules for these doctors in next month
-    const schedules = await DoctorSchedule.find({
-      doctor_id: { $in: doctorIds },
-      date: { $gte: today, $lte: futureDate },
-      is_available: true
-    }).sort({ date: 1 });
+    // Fetch all schedules for these doctors in next month (explicit + weekly rules)
+    const schedules = await scheduleRuleService.getSchedulesInRange(doctorIds, today, futureDate, { availableOnly: true });
 
 
     // Helper: format date to local YYYY-MM-DD to avoid UTC day shifts
@@ -495,37 +504,21 @@ router.get('/departments/:departmentId/available-dates', async (req, res) => {
         status: { $nin: ['cancelled', 'missed'] }
       });
 
-      // Calculate session-based availability
+      // Calculate session-based availability from the doctor's session templates
       let availableSessions = 0;
       let totalSessions = 0;
 
-
-      // Check morning session availability
-      if (schedule.morning_session?.available !== false && isSessionBookable(date, 'morning')) {
+      const daySessions = await sessionTemplateService.getSessionsForDate(schedule.doctor_id, date, schedule, departmentId);
+      for (const session of daySessions) {
+        if (!session.available || !isSessionBookable(date, session)) continue;
         totalSessions++;
-        const morningCapacity = schedule.morning_session?.max_patients || 10;
-        const morningAppointments = await Token.countDocuments({
+        const sessionAppointments = await Token.countDocuments({
           doctor_id: schedule.doctor_id,
           booking_date: { $gte: date, $lt: nextDay },
-          time_slot: { $gte: '09:00', $lt: '13:00' },
+          time_slot: { $gte: session.startTime, $lt: session.endTime },
           status: { $nin: ['cancelled', 'missed'] }
         });
-        if (morningAppointments < morningCapacity) {
-          availableSessions++;
-        }
-      }
-
-      // Check afternoon session availability
-      if (schedule.afternoon_session?.available !== false && isSessionBookable(date, 'afternoon')) {
-        totalSessions++;
-        const afternoonCapacity = schedule.afternoon_session?.max_patients || 10;
-        const afternoonAppointments = await Token.countDocuments({
-          doctor_id: schedule.doctor_id,
-          booking_date: { $gte: date, $lt: nextDay },
-          time_slot: { $gte: '14:00', $lt: '18:00' },
-          status: { $nin: ['cancelled', 'missed'] }
-        });
-        if (afternoonAppointments < afternoonCapacity) {
+        if (sessionAppointments < session.maxPatients) {
           availableSessions++;
         }
       }
@@ -562,7 +555,7 @@ router.get('/departments/:departmentId/available-dates', async (req, res) => {
   }
 });
 
-// Get department-level available sessions for a specific date (Morning/Afternoon)
+// Get department-level available sessions for a specific date (from each doctor's session templates)
 router.get('/departments/:departmentId/availability/:date', async (req, res) => {
   try {
     const { departmentId, date } = req.params;
@@ -580,70 +573,47 @@ router.get('/departments/:departmentId/availability/:date', async (req, res) =>
 
     if (!doctors.length) return res.json({ sessions: [] });
 
-    // Define session times
-    const sessions = [
-      {
-        id: 'morning',
-        name: 'Morning Session',
-        startTime: '09:00',
-        endTime: '13:00',
-        displayTime: '9:00 AM - 1:00 PM'
-      },
-      {
-        id: 'afternoon',
-        name: 'Afternoon Session',
-        startTime: '14:00',
-        endTime: '18:00',
-        displayTime: '2:00 PM - 6:00 PM'
-      }
-    ];
-
-    const availableSessions = [];
-
-    for (const session of sessions) {
-      const availableDoctors = [];
+    // Group doctors by session code; sessions with the same code but different hours are listed separately
+    const sessionMap = new Map();
 
+    for (const doctor of doctors) {
+      const doctorSessions = await sessionTemplateService.getSessionsForDate(doctor._id, selectedDate, undefined, departmentId);
 
-      for (const doctor of doctors) {
+      for (const session of doctorSessions) {
         // Check if doctor is available during this session
-        const isAvailable = await checkDoctorSessionAvailability(
-          doctor._id,
-          selectedDate,
-          session.startTime,
-          session.endTime
-        );
-
-
-        if (isAvailable) {
-          // Get real-time availability data for this doctor
-          const doctorAvailability = await getDoctorSessionAvailability(
-            doctor._id,
-            selectedDate,
-            session.startTime,
-            session.endTime
-          );
-
-          availableDoctors.push({
-            id: doctor._id,
-            name: doctor.name,
-            specialization: doctor.doctor_info?.specialization || 'General',
-            experience: doctor.doctor_info?.experience || 0,
-            fee: doctor.doctor_info?.consultation_fee || 500,
-            ...doctorAvailability
+        const isAvailable = await checkDoctorSessionAvailability(doctor._id, selectedDate, session);
+        if (!isAvailable) continue;
+
+        // Get real-time availability data for this doctor
+        const doctorAvailability = await getDoctorSessionAvailability(doctor._id, selectedDate, session);
+
+        const key = `${session.id}|${session.startTime}|${session.endTime}`;
+        if (!sessionMap.has(key)) {
+          sessionMap.set(key, {
+            id: session.id,
+            name: session.name,
+            startTime: session.startTime,
+            endTime: session.endTime,
+            displayTime: session.displayTime,
+            availableDoctors: []
           });
         }
-      }
-
 
-      if (availableDoctors.length > 0) {
-        availableSessions.push({
-          ...session,
-          availableDoctors,
-          doctorCount: availableDoctors.length
+        sessionMap.get(key).availableDoctors.push({
+          id: doctor._id,
+          name: doctor.name,
+          specialization: doctor.doctor_info?.specialization || 'General',
+          experience: doctor.doctor_info?.experience || 0,
+          fee: doctor.doctor_info?.consultation_fee || 500,
+          ...doctorAvailability
         });
       }
     }
 
+    const availableSessions = Array.from(sessionMap.values())
+      .map(session => ({ ...session, doctorCount: session.availableDoctors.length }))
+      .sort((a, b) => parseTime(a.startTime) - parseTime(b.startTime));
+
     res.json({ sessions: availableSessions });
   } catch (error) {
     console.error('Department availability error:', error);
@@ -652,34 +622,16 @@ router.get('/departments/:departmentId/availability/:date', async (req, res) =>
 });
 
 // Helper function to check if doctor is available during a session
-async function checkDoctorSessionAvailability(doctorId, date, startTime, endTime) {
+async function checkDoctorSessionAvailability(doctorId, date, session) {
   try {
-    const nextDay = new Date(date);
-    nextDay.setDate(nextDay.getDate() + 1);
-
     // Check doctor's schedule for this date
-    const schedule = await DoctorSchedule.findOne({
-      doctor_id: doctorId,
-      date: { $gte: date, $lt: nextDay },
-      is_available: true
-    });
+    const schedule = await scheduleRuleService.getScheduleForDate(doctorId, date, { availableOnly: true });
 
     // If no schedule for this date, doctor is not available
     if (!schedule) return false;
 
-    // Check session-based availability first
-    if (startTime >= '09:00' && endTime <= '13:00') {
-      // Morning session
-      return schedule.morning_session?.available !== false && isSessionBookable(date, 'morning');
-    } else if (startTime >= '14:00' && endTime <= '18:00') {
-      // Afternoon session
-      return schedule.afternoon_session?.available !== false && isSessionBookable(date, 'afternoon');
-    }
-
-    // Otherwise ensure within working hours
-    const scheduleStart = schedule.working_hours?.start_time || '09:00';
-    const scheduleEnd = schedule.working_hours?.end_time || '17:00';
-    return startTime >= scheduleStart && endTime <= scheduleEnd;
+    const resolved = sessionTemplateService.applyScheduleOverrides(session, schedule);
+    return resolved.available !== false && isSessionBookable(date, resolved);
   } catch (error) {
     console.error('Error checking doctor session availability:', error);
     return false;
@@ -687,7 +639,8 @@ async function checkDoctorSessionAvailability(doctorId, date, startTime, endTime
 }
 
 // Get detailed doctor session availability with queue information
-async function getDoctorSessionAvailability(doctorId, date, startTime, endTime) {
+async function getDoctorSessionAvailability(doctorId, date, session) {
+  const { startTime, endTime } = session;
   try {
     const selectedDate = new Date(date);
     selectedDate.setHours(0, 0, 0, 0);
@@ -695,11 +648,7 @@ async function getDoctorSessionAvailability(doctorId, date, startTime, endTime)
     nextDay.setDate(nextDay.getDate() + 1);
 
     // Get doctor's schedule for this date
-    const schedule = await DoctorSchedule.findOne({
-      doctor_id: doctorId,
-      date: { $gte: selectedDate, $lt: nextDay },
-      is_available: true
-    });
+    const schedule = await scheduleRuleService.getScheduleForDate(doctorId, selectedDate, { availableOnly: true });
 
     // Count current appointments in this session
     const currentAppointments = await Token.countDocuments({
@@ -709,15 +658,9 @@ async function getDoctorSessionAvailability(doctorId, date, startTime, endTime)
       status: { $nin: ['cancelled', 'missed', 'completed'] }
     });
 
-    // Get session capacity
-    let maxPatients = 10; // default
-    if (schedule) {
-      if (startTime >= '09:00' && endTime <= '13:00') {
-        maxPatients = schedule.morning_session?.max_patients || 10;
-      } else if (startTime >= '14:00' && endTime <= '18:00') {
-        maxPatients = schedule.afternoon_session?.max_patients || 10;
-      }
-    }
+    // Get session capacity (template capacity, adjusted by per-date overrides)
+    const resolved = sessionTemplateService.applyScheduleOverrides(session, schedule);
+    const maxPatients = resolved.maxPatients;
 
     // Calculate next available slot
     const nextSlot = calculateNextAvailableSlot(selectedDate, startTime, endTime, currentAppointments);
@@ -726,16 +669,7 @@ async function getDoctorSessionAvailability(doctorId, date, startTime, endTime)
     const averageWaitTime = Math.max(15, currentAppointments * 20); // 20 mins per patient, minimum 15 mins
 
     // Check if doctor has a schedule for this session
-    let hasSchedule = false;
-    if (!schedule) {
-      hasSchedule = false;
-    } else if (startTime >= '09:00' && endTime <= '13:00') {
-      hasSchedule = schedule.morning_session?.available !== false && isSessionBookable(date, 'morning');
-    } else if (startTime >= '14:00' && endTime <= '18:00') {
-      hasSchedule = schedule.afternoon_session?.available !== false && isSessionBookable(date, 'afternoon');
-    } else {
-      hasSchedule = true; // For other times, use working hours
-    }
+    const hasSchedule = !!schedule && resolved.available !== false && isSessionBookable(date, resolved);
 
     return {
       isAvailable: hasSchedule,
@@ -752,7 +686,7 @@ async function getDoctorSessionAvailability(doctorId, date, startTime, endTime)
     return {
       isAvailable: false,
       patientsAhead: 0,
-      maxPatients: 10,
+      maxPatients: session.maxPatients || 10,
       nextSlot: startTime,
       averageWaitTime: 15,
       sessionTime: `${startTime} - ${endTime}`,
@@ -804,30 +738,21 @@ router.post('/departments/:departmentId/auto-assign', authMiddleware, patientMid
     const nextDay = new Date(selectedDate);
     nextDay.setDate(nextDay.getDate() + 1);
 
-    // Get session details
-    const sessions = [
-      { id: 'morning', startTime: '09:00', endTime: '13:00' },
-      { id: 'afternoon', startTime: '14:00', endTime: '18:00' }
-    ];
-    const session = sessions.find(s => s.id === sessionId);
-    if (!session) {
-      return res.status(400).json({ message: 'Invalid session' });
-    }
-
-    // Get available doctors for this session
+    // Get available doctors for this session (each doctor resolves the session code from their own templates)
     const doctors = await User.find({
       role: 'doctor',
       'doctor_info.department': departmentId
     }).select('_id name doctor_info');
 
     const availableDoctors = [];
+    let sessionKnown = false;
     for (const doctor of doctors) {
-      const isAvailable = await checkDoctorSessionAvailability(
-        doctor._id,
-        selectedDate,
-        session.startTime,
-        session.endTime
-      );
+      const doctorSessions = await sessionTemplateService.getSessionsForDate(doctor._id, selectedDate, undefined, departmentId);
+      const session = doctorSessions.find(s => s.id === sessionId);
+      if (!session) continue;
+      sessionKnown = true;
+
+      const isAvailable = await checkDoctorSessionAvailability(doctor._id, selectedDate, session);
       if (isAvailable) {
         // Calculate current load for this doctor on this date
         const currentLoad = await Token.countDocuments({
@@ -847,6 +772,10 @@ router.post('/departments/:departmentId/auto-assign', authMiddleware, patientMid
       }
     }
 
+    if (!sessionKnown) {
+      return res.status(400).json({ message: 'Invalid session' });
+    }
+
     if (availableDoctors.length === 0) {
       return res.status(400).json({ message: 'No doctors available for this session' });
     }
@@ -891,33 +820,17 @@ router.get('/departments/:departmentId/available-doctors', async (req, res) => {
     for (const doctor of doctors) {
       // Require explicit schedule on the selected date
       console.log('[AVAIL-DOCTORS] doctorId=', doctor._id.toString(), 'date=', date, 'time=', time, 'range=', selectedDate.toISOString(), 'to', nextDay.toISOString());
-      const schedule = await DoctorSchedule.findOne({
-        doctor_id: doctor._id,
-        date: { $gte: selectedDate, $lt: nextDay },
-        is_available: true
-      });
+      const schedule = await scheduleRuleService.getScheduleForDate(doctor._id, selectedDate, { availableOnly: true });
       if (!schedule) {
         console.log('[AVAIL-DOCTORS] No schedule found in range for doctor');
         continue;
       }
 
-      const workingHours = schedule.working_hours;
-      const breakTime = schedule.break_time;
-
-      // Check time in working hours and not during break
-      const t = parseTime(time);
-      const start = parseTime(workingHours.start_time);
-      const end = parseTime(workingHours.end_time);
-      const bs = parseTime(breakTime.start_time);
-      const be = parseTime(breakTime.end_time);
-      const within = t >= start && t < end && !(t >= bs && t < be);
-      if (!within) continue;
-
-      // Ensure time falls in an available session if within session windows
-      const inMorning = t >= parseTime('09:00') && t < parseTime('13:00');
-      const inAfternoon = t >= parseTime('14:00') && t < parseTime('18:00');
-      if (inMorning && (schedule.morning_session?.available === false || !isSessionBookable(date, 'morning'))) continue;
-      if (inAfternoon && (schedule.afternoon_session?.available === false || !isSessionBookable(date, 'afternoon'))) continue;
+      // Time must fall inside one of the doctor's sessions for that day
+      const doctorSessions = await sessionTemplateService.getSessionsForDate(doctor._id, selectedDate, schedule, departmentId);
+      const session = findSessionForTime(doctorSessions, time);
+      if (!session) continue;
+      if (!session.available || !isSessionBookable(date, session)) continue;
 
       const conflict = await Token.findOne({
         doctor_id: doctor._id,
@@ -928,26 +841,13 @@ router.get('/departments/:departmentId/available-doctors', async (req, res) => {
       if (conflict) continue;
 
       // Check session capacity against current bookings in the session window
-      let sessionStart = workingHours.start_time;
-      let sessionEnd = workingHours.end_time;
-      let maxPatients = 10;
-      if (inMorning) {
-        sessionStart = '09:00';
-        sessionEnd = '13:00';
-        maxPatients = schedule.morning_session?.max_patients || 10;
-      } else if (inAfternoon) {
-        sessionStart = '14:00';
-        sessionEnd = '18:00';
-        maxPatients = schedule.afternoon_session?.max_patients || 10;
-      }
-
       const currentAppointments = await Token.countDocuments({
         doctor_id: doctor._id,
         booking_date: { $gte: selectedDate, $lt: nextDay },
-        time_slot: { $gte: sessionStart, $lt: sessionEnd },
+        time_slot: { $gte: session.startTime, $lt: session.endTime },
         status: { $nin: ['cancelled', 'missed', 'completed'] }
       });
-      const hasCapacity = currentAppointments < maxPatients;
+      const hasCapacity = currentAppointments < session.maxPatients;
       if (!hasCapacity) continue;
 
       available.push({
@@ -975,356 +875,149 @@ router.get('/departments/:departmentId/available-doctors', async (req, res) => {
   }
 });
 
-// ===== PAYMENTS (Razorpay - test/dummy) =====
+// ===== PAYMENTS (Razorpay, or the local stub gateway outside production) =====
 router.get('/payment/key', authMiddleware, async (req, res) => {
   try {
-    const keyId = process.env.RAZORPAY_KEY_ID || 'rzp_test_dummy_key';
-    res.json({ keyId, dummy: !process.env.RAZORPAY_KEY_ID });
+    const gateway = paymentService.getGateway();
+    if (!gateway) return res.status(503).json({ message: 'Online payments are not configured' });
+    res.json({ keyId: gateway.keyId, dummy: gateway.name === 'stub' });
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-router.post('/payment/create-order', authMiddleware, async (req, res) => {
+// Create a gateway order for an appointment; the amount comes from the appointment, not the client
+router.post('/payment/create-order', authMiddleware, patientMiddleware, async (req, res) => {
   try {
-    const { amount, currency = 'INR', receipt } = req.body;
-    if (!amount) return res.status(400).json({ message: 'amount is required' });
-
-    const keyId = process.env.RAZORPAY_KEY_ID;
-    const keySecret = process.env.RAZORPAY_KEY_SECRET;
-
-    // If real keys are present and SDK is available, create a live test order
-    if (keyId && keySecret && Razorpay) {
-      const instance = new Razorpay({ key_id: keyId, key_secret: keySecret });
-      const order = await instance.orders.create({
-        amount: Math.round(Number(amount) * 100),
-        currency,
-        receipt: receipt || `rcpt_${Date.now()}`
-      });
-      return res.json({ order, dummy: false });
-    }
+    const { appointmentId } = req.body;
+    if (!appointmentId) return res.status(400).json({ message: 'appointmentId is required' });
 
-    // Dummy fallback (no keys): simulate an order
-    const order = {
-      id: `order_dummy_${Date.now()}`,
-      amount: Math.round(Number(amount) * 100),
-      currency,
-      receipt: receipt || `rcpt_${Date.now()}`,
-      status: 'created',
-      created_at: Math.floor(Date.now() / 1000)
-    };
-    return res.json({ order, dummy: true });
+    const result = await paymentService.createOrder(appointmentId, req.patient);
+    if (!result.success) {
+      return res.status(result.status).json({ message: result.message });
+    }
+    res.json({
+      order: result.order,
+      payment: paymentService.formatPayment(result.payment),
+      keyId: paymentService.getGateway().keyId,
+      dummy: paymentService.isStub()
+    });
   } catch (error) {
     console.error('Razorpay create order error:', error);
     res.status(500).json({ message: 'Failed to create payment order' });
   }
 });
 
-// Mark an appointment as paid (dummy verification)
-router.post('/payment/mark-paid', authMiddleware, patientMiddleware, async (req, res) => {
+// Pay for a pending appointment from the wallet balance
+router.post('/payment/wallet', authMiddleware, patientMiddleware, async (req, res) => {
   try {
-    const { appointmentId, amount, method = 'card', reference } = req.body;
-    if (!appointmentId) return res.status(400).json({ message: 'appointmentId is required' });
-
-    const appointment = await Token.findOne({ _id: appointmentId, patient_id: req.patient._id });
+    const { appointmentId } = req.body;
+    if (!appointmentId || !mongoose.isValidObjectId(appointmentId)) {
+      return res.status(400).json({ message: 'Valid appointmentId is required' });
+    }
+    const appointment = await Token.findOne({ _id: appointmentId, patient_id: req.patient._id })
+      .populate('doctor_id', 'doctor_info.consultation_fee');
     if (!appointment) {
       return res.status(404).json({ message: 'Appointment not found' });
     }
 
-    const updatedAppointment = await Token.findByIdAndUpdate(appointmentId, {
-      $set: {
-        payment_status: 'paid',
-        paid_amount: amount || appointment.paid_amount || (appointment.doctor_id?.doctor_info?.consultation_fee || 500),
-        payment_method: method,
-        payment_reference: reference || `PAY${Date.now().toString().slice(-8)}`
-      }
-    }, { new: true }).populate('doctor_id', 'name doctor_info').populate('patient_id', 'name email phone');
+    const result = await paymentService.payWithWallet(appointment, req.patient);
+    if (!result.success) {
+      return res.status(result.status).json({ message: result.message, balance: result.balance });
+    }
+    res.json({
+      message: 'Appointment paid from wallet',
+      status: 'paid',
+      amount: result.amount,
+      transaction: walletService.formatTransaction(result.transaction),
+      balance: result.balance
+    });
+  } catch (error) {
+    console.error('Wallet payment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Wallet balance and transactions (?type=refund_credit|booking_debit|booking_reversal|admin_adjustment, ?page, ?limit)
+router.get('/wallet', authMiddleware, patientMiddleware, async (req, res) => {
+  try {
+    const { page, limit, type } = req.query;
+    res.json(await walletService.listTransactions(req.patient._id, { page, limit, type }));
+  } catch (error) {
+    console.error('Get wallet error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Gateway webhook (payment.captured, payment.failed, refund.processed). Authenticated by the
+// X-Razorpay-Signature HMAC over the raw body; replays of the same event are acknowledged and ignored.
+router.post('/payment/webhook', async (req, res) => {
+  try {
+    if (!paymentService.verifyWebhookSignature(req.rawBody, req.headers['x-razorpay-signature'])) {
+      return res.status(400).json({ message: 'Invalid webhook signature' });
+    }
+    const result = await paymentService.handleWebhook(req.body, req.headers['x-razorpay-event-id']);
+    res.json({ received: true, ...result });
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Stub gateway only: simulate the patient completing (or failing) checkout for an order. Returns what
+// Razorpay Checkout would hand the browser, ready to post to /payment/verify.
+router.post('/payment/stub/complete', authMiddleware, patientMiddleware, async (req, res) => {
+  try {
+    if (!paymentService.isStub()) {
+      return res.status(404).json({ message: 'Stub gateway is not enabled' });
+    }
+    const { orderId, method = 'card', fail = false } = req.body;
+    const payment = await Payment.findOne({ order_id: orderId, patient_id: req.patient._id });
+    const completed = payment ? gatewayStub.completePayment(orderId, { method, fail: !!fail }) : null;
+    if (!completed) {
+      return res.status(404).json({ message: 'Payment order not found' });
+    }
+    res.json(completed);
+  } catch (error) {
+    console.error('Stub payment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Verify a checkout (razorpay_order_id, razorpay_payment_id, razorpay_signature) and mark the appointment
+// paid. /payment/mark-paid is kept as an alias for older clients but now requires the same proof.
+router.post(['/payment/verify', '/payment/mark-paid'], authMiddleware, patientMiddleware, async (req, res) => {
+  try {
+    const result = await paymentService.verifyCheckout({
+      orderId: req.body.razorpay_order_id,
+      paymentId: req.body.razorpay_payment_id,
+      signature: req.body.razorpay_signature,
+      method: req.body.method
+    }, req.patient);
+    if (!result.success) {
+      return res.status(result.status).json({ message: result.message });
+    }
+    if (result.alreadyCaptured) {
+      return res.json({
+        message: 'Payment already verified',
+        status: 'paid',
+        payment: paymentService.formatPayment(result.payment),
+        invoiceSent: false
+      });
+    }
+
+    const appointmentId = result.payment.token_id;
+    const updatedAppointment = await Token.findById(appointmentId)
+      .populate('patient_id', 'name email phone');
 
     // Send automatic invoice email after successful payment
     try {
       console.log('🔍 Payment success - Sending automatic invoice email for appointment:', appointmentId);
-      
-      const invoiceData = {
-        invoiceNumber: `INV-${updatedAppointment.token_number || updatedAppointment._id.toString().slice(-6)}`,
-        date: updatedAppointment.createdAt.toLocaleDateString('en-IN'),
-        patientName: updatedAppointment.patient_name,
-        patientEmail: updatedAppointment.patient_id?.email,
-        doctorName: updatedAppointment.doctor_id?.name || 'Unknown Doctor',
-        department: updatedAppointment.department,
-        appointmentDate: updatedAppointment.booking_date.toLocaleDateString('en-IN'),
-        timeSlot: updatedAppointment.time_slot,
-        amount: updatedAppointment.paid_amount || 500,
-        status: 'paid',
-        transactionId: updatedAppointment.payment_reference,
-        currentDate: new Date().toLocaleDateString('en-IN'),
-        currentTime: new Date().toLocaleTimeString('en-IN')
-      };
 
-      // Generate professional HTML content for PDF
-      const htmlContent = `
-      <!DOCTYPE html>
-      <html>
-      <head>
-          <meta charset="utf-8">
-          <title>Invoice ${invoiceData.invoiceNumber}</title>
-          <style>
-              * { margin: 0; padding: 0; box-sizing: border-box; }
-              body { 
-                  font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; 
-                  line-height: 1.6; 
-                  color: #333; 
-                  background: #fff;
-                  font-size: 14px;
-                  padding: 20px;
-              }
-              .invoice-container { 
-                  max-width: 800px; 
-                  margin: 0 auto; 
-                  background: white; 
-                  box-shadow: 0 0 20px rgba(0,0,0,0.1); 
-                  border-radius: 8px; 
-                  overflow: hidden;
-              }
-              .header { 
-                  background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
-                  color: white; 
-                  padding: 30px; 
-                  text-align: center; 
-              }
-              .header h1 { 
-                  font-size: 28px; 
-                  margin-bottom: 10px; 
-                  font-weight: 700; 
-              }
-              .header p { 
-                  font-size: 16px; 
-                  opacity: 0.9; 
-              }
-              .invoice-details { 
-                  padding: 30px; 
-                  background: #f8fafc; 
-                  border-bottom: 1px solid #e2e8f0; 
-              }
-              .invoice-number { 
-                  font-size: 24px; 
-                  font-weight: 700; 
-                  color: #1f2937; 
-                  margin-bottom: 20px; 
-              }
-              .invoice-meta { 
-                  display: grid; 
-                  grid-template-columns: 1fr 1fr; 
-                  gap: 20px; 
-                  margin-bottom: 20px; 
-              }
-              .meta-item { 
-                  background: white; 
-                  padding: 15px; 
-                  border-radius: 6px; 
-                  border-left: 4px solid #3b82f6; 
-              }
-              .meta-label { 
-                  font-size: 12px; 
-                  color: #6b7280; 
-                  text-transform: uppercase; 
-                  font-weight: 600; 
-                  margin-bottom: 5px; 
-              }
-              .meta-value { 
-                  font-size: 16px; 
-                  color: #1f2937; 
-                  font-weight: 600; 
-              }
-              .content { 
-                  padding: 30px; 
-              }
-              .section { 
-                  margin-bottom: 30px; 
-              }
-              .section-title { 
-                  font-size: 18px; 
-                  font-weight: 700; 
-                  color: #1f2937; 
-                  margin-bottom: 20px; 
-                  border-bottom: 2px solid #e5e7eb; 
-                  padding-bottom: 8px; 
-              }
-              .info-grid { 
-                  display: grid; 
-                  grid-template-columns: 1fr 1fr; 
-                  gap: 30px; 
-                  margin-bottom: 25px; 
-              }
-              .info-item { 
-                  padding: 15px;
-                  background: #f9fafb;
-                  border-radius: 6px;
-                  border-left: 4px solid #2563eb;
-              }
-              .info-label { 
-                  font-size: 11px; 
-                  color: #6b7280; 
-                  text-transform: uppercase; 
-                  font-weight: 600; 
-                  margin-bottom: 5px; 
-              }
-              .info-value { 
-                  font-size: 14px; 
-                  color: #1f2937; 
-                  font-weight: 600; 
-              }
-              .amount-section { 
-                  background: #f0f9ff; 
-                  padding: 25px; 
-                  border-radius: 8px; 
-                  border: 2px solid #0ea5e9; 
-                  text-align: center; 
-                  margin: 30px 0; 
-              }
-              .amount-label { 
-                  font-size: 14px; 
-                  color: #0369a1; 
-                  margin-bottom: 10px; 
-                  font-weight: 600; 
-              }
-              .amount-value { 
-                  font-size: 32px; 
-                  color: #0c4a6e; 
-                  font-weight: 800; 
-                  margin-bottom: 5px; 
-              }
-              .amount-currency { 
-                  font-size: 16px; 
-                  color: #0369a1; 
-                  font-weight: 600; 
-              }
-              .status-badge { 
-                  display: inline-block; 
-                  padding: 8px 16px; 
-                  border-radius: 20px; 
-                  font-size: 12px; 
-                  font-weight: 600; 
-                  text-transform: uppercase; 
-                  margin-top: 10px; 
-              }
-              .status-paid { 
-                  background: #dcfce7; 
-                  color: #166534; 
-              }
-              .footer { 
-                  background: #1f2937; 
-                  color: white; 
-                  padding: 25px; 
-                  text-align: center; 
-              }
-              .footer p { 
-                  margin-bottom: 10px; 
-                  opacity: 0.8; 
-              }
-              .footer .highlight { 
-                  color: #60a5fa; 
-                  font-weight: 600; 
-              }
-          </style>
-      </head>
-      <body>
-          <div class="invoice-container">
-              <div class="header">
-                  <h1>Medical Invoice</h1>
-                  <p>Professional Healthcare Services</p>
-              </div>
-              
-              <div class="invoice-details">
-                  <div class="invoice-number">Invoice #${invoiceData.invoiceNumber}</div>
-                  <div class="invoice-meta">
-                      <div class="meta-item">
-                          <div class="meta-label">Invoice Date</div>
-                          <div class="meta-value">${invoiceData.currentDate}</div>
-                      </div>
-                      <div class="meta-item">
-                          <div class="meta-label">Transaction ID</div>
-                          <div class="meta-value">${invoiceData.transactionId}</div>
-                      </div>
-                  </div>
-              </div>
-              
-              <div class="content">
-                  <div class="section">
-                      <div class="section-title">Patient Information</div>
-                      <div class="info-grid">
-                          <div class="info-item">
-                              <div class="info-label">Patient Name</div>
-                              <div class="info-value">${invoiceData.patientName}</div>
-                          </div>
-                          <div class="info-item">
-                              <div class="info-label">Email Address</div>
-                              <div class="info-value">${invoiceData.patientEmail}</div>
-                          </div>
-                      </div>
-                  </div>
-                  
-                  <div class="section">
-                      <div class="section-title">Appointment Details</div>
-                      <div class="info-grid">
-                          <div class="info-item">
-                              <div class="info-label">Doctor</div>
-                              <div class="info-value">Dr. ${invoiceData.doctorName}</div>
-                          </div>
-                          <div class="info-item">
-                              <div class="info-label">Department</div>
-                              <div class="info-value">${invoiceData.department}</div>
-                          </div>
-                          <div class="info-item">
-                              <div class="info-label">Appointment Date</div>
-                              <div class="info-value">${invoiceData.appointmentDate}</div>
-                          </div>
-                          <div class="info-item">
-                              <div class="info-label">Time Slot</div>
-                              <div class="info-value">${invoiceData.timeSlot}</div>
-                          </div>
-                      </div>
-                  </div>
-                  
-                  <div class="amount-section">
-                      <div class="amount-label">Total Amount</div>
-                      <div class="amount-value">₹${invoiceData.amount}</div>
-                      <div class="amount-currency">Indian Rupees</div>
-                      <div class="status-badge status-paid">PAID</div>
-                  </div>
-              </div>
-              
-              <div class="footer">
-                  <p>Thank you for choosing our healthcare services!</p>
-                  <p>For any queries, please contact our support team.</p>
-                  <p>Generated on <span class="highlight">${invoiceData.currentDate}</span> at <span class="highlight">${invoiceData.currentTime}</span></p>
-              </div>
-          </div>
-      </body>
-      </html>
-      `;
-
-      // Generate PDF using Puppeteer
-      const puppeteer = require('puppeteer');
-      let browser = await puppeteer.launch({
-        headless: true,
-        args: ['--no-sandbox', '--disable-setuid-sandbox']
-      });
-      
-      const page = await browser.newPage();
-      await page.setContent(htmlContent, { waitUntil: 'networkidle0' });
-      
-      const pdfBuffer = await page.pdf({
-        format: 'A4',
-        printBackground: true,
-        margin: {
-          top: '20px',
-          right: '20px',
-          bottom: '20px',
-          left: '20px'
-        }
-      });
-
-      await browser.close();
+      // The invoice was issued and marked paid when the payment was captured
+      const invoice = await invoiceService.issueForToken(appointmentId);
+      const invoiceData = invoiceService.toEmailSummary(invoice);
+      const { pdf: pdfBuffer } = await invoiceService.render(invoice);
 
       // Send email with PDF attachment
       await emailService.sendEmail({
@@ -1382,13 +1075,13 @@ router.post('/payment/mark-paid', authMiddleware, patientMiddleware, async (req,
             </div>
           </div>
         `,
-        attachments: [
+        attachments: pdfBuffer ? [
           {
-            filename: `Invoice-${invoiceData.invoiceNumber}.pdf`,
+            filename: invoiceService.fileName(invoice),
             content: pdfBuffer,
             contentType: 'application/pdf'
           }
-        ]
+        ] : []
       });
 
       console.log('✅ Payment success - Invoice email sent successfully to:', updatedAppointment.patient_id.email);
@@ -1398,12 +1091,13 @@ router.post('/payment/mark-paid', authMiddleware, patientMiddleware, async (req,
     }
 
     return res.json({ 
-      message: 'Payment marked as paid and invoice sent to email', 
+      message: 'Payment verified and invoice sent to email', 
       status: 'paid',
+      payment: paymentService.formatPayment(result.payment),
       invoiceSent: true
     });
   } catch (error) {
-    console.error('Mark paid error:', error);
+    console.error('Verify payment error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -1424,11 +1118,8 @@ router.get('/doctors/:doctorId/available-dates', async (req, res) => {
     const futureDate = new Date();
     futureDate.setMonth(today.getMonth() + 1); // 1 month ahead
 
-    // Get all the doctor's actual schedules for the next month
-    const schedules = await DoctorSchedule.find({
-      doctor_id: doctorId,
-      date: { $gte: today, $lte: futureDate }
-    }).sort({ date: 1 });
+    // Get the doctor's schedules for the next month, including days generated from weekly rules
+    const schedules = await scheduleRuleService.getSchedulesInRange(doctorId, today, futureDate);
 
     const availableDates = [];
 
@@ -1452,8 +1143,13 @@ router.get('/doctors/:doctorId/available-dates', async (req, res) => {
         status: { $nin: ['cancelled', 'missed'] }
       });
 
-      // Calculate total possible slots
-      const totalSlots = calculateTotalSlots(schedule.working_hours, schedule.break_time, schedule.slot_duration || 30);
+      // Calculate total possible slots across the doctor's bookable sessions for that day
+      const daySessions = (await sessionTemplateService.getSessionsForDate(doctorId, checkDate, schedule))
+        .filter(session => session.available && isSessionBookable(checkDate, session));
+      const totalSlots = daySessions.reduce(
+        (sum, session) => sum + calculateSessionSlots(session, schedule.slot_duration || 30),
+        0
+      );
       const availableSlots = totalSlots - existingAppointments;
 
       if (availableSlots > 0) {
@@ -1469,6 +1165,13 @@ router.get('/doctors/:doctorId/available-dates', async (req, res) => {
             start: schedule.break_time.start_time,
             end: schedule.break_time.end_time
           },
+          sessions: daySessions.map(session => ({
+            id: session.id,
+            name: session.name,
+            startTime: session.startTime,
+            endTime: session.endTime,
+            displayTime: session.displayTime
+          })),
           availableSlots,
           totalSlots
         });
@@ -1493,6 +1196,12 @@ function calculateTotalSlots(workingHours, breakTime, slotDuration) {
   return Math.floor(totalWorkingMinutes / slotDuration);
 }
 
+// Helper function to calculate slots within a single session window
+function calculateSessionSlots(session, slotDuration) {
+  const sessionMinutes = parseTime(session.endTime) - parseTime(session.startTime);
+  return Math.max(0, Math.floor(sessionMinutes / slotDuration));
+}
+
 
 // Get available time slots for a doctor on a specific date
 router.get('/doctors/:doctorId/availability/:date', async (req, res) => {
@@ -1512,14 +1221,11 @@ router.get('/doctors/:doctorId/availability/:date', async (req, res) => {
     const nextDay = new Date(selectedDate);
     nextDay.setDate(nextDay.getDate() + 1);
     console.log('[SLOTS] doctorId=', doctorId, 'dateParam=', date, 'selectedDateISO=', selectedDate.toISOString(), 'range=', selectedDate.toISOString(), 'to', nextDay.toISOString());
-    const schedule = await DoctorSchedule.findOne({
-      doctor_id: doctorId,
-      date: { $gte: selectedDate, $lt: nextDay }
-    });
+    const schedule = await scheduleRuleService.getScheduleForDate(doctorId, selectedDate);
     if (!schedule) {
       console.log('[SLOTS] No schedule found for range.');
     } else {
-      console.log('[SLOTS] Found schedule id=', schedule._id.toString(), 'dateISO=', new Date(schedule.date).toISOString(), 'is_available=', schedule.is_available);
+      console.log('[SLOTS] Found schedule id=', schedule.is_virtual ? `rule:${schedule.rule_id}` : schedule._id.toString(), 'dateISO=', new Date(schedule.date).toISOString(), 'is_available=', schedule.is_available);
     }
 
     // Only use schedule if exists, otherwise doctor is not available
@@ -1545,8 +1251,8 @@ router.get('/doctors/:doctorId/availability/:date', async (req, res) => {
     const breakTime = schedule.break_time;
     const slotDuration = schedule.slot_duration || 30;
 
-    // Generate time slots
-    const slots = generateTimeSlots(workingHours, breakTime, slotDuration);
+    // Sessions the doctor runs on this date (session templates + per-date overrides)
+    const sessions = await sessionTemplateService.getSessionsForDate(doctorId, selectedDate, schedule);
 
     // Get existing appointments for this date (use same nextDay calculated above)
     const existingAppointments = await Token.find({
@@ -1556,44 +1262,48 @@ router.get('/doctors/:doctorId/availability/:date', async (req, res) => {
     });
 
     // Count appointments per session instead of per time slot
-    const morningAppointments = existingAppointments.filter(apt => {
-      const aptTime = parseTime(apt.time_slot);
-      return aptTime >= parseTime('09:00') && aptTime < parseTime('13:00');
-    }).length;
-
-    const afternoonAppointments = existingAppointments.filter(apt => {
-      const aptTime = parseTime(apt.time_slot);
-      return aptTime >= parseTime('14:00') && aptTime < parseTime('18:00');
-    }).length;
-
-    // Get session capacity limits from schedule
-    const morningMaxPatients = schedule?.morning_session?.max_patients || 10;
-    const afternoonMaxPatients = schedule?.afternoon_session?.max_patients || 10;
-
-
-    console.log('Session capacity check:', {
-      morningAppointments,
-      morningMaxPatients,
-      afternoonAppointments,
-      afternoonMaxPatients
-    });
+    const sessionCapacity = {};
+    for (const session of sessions) {
+      const current = existingAppointments.filter(apt => {
+        const aptTime = parseTime(apt.time_slot);
+        return aptTime >= parseTime(session.startTime) && aptTime < parseTime(session.endTime);
+      }).length;
+      sessionCapacity[session.id] = {
+        name: session.name,
+        startTime: session.startTime,
+        endTime: session.endTime,
+        displayTime: session.displayTime,
+        current,
+        max: session.maxPatients,
+        available: session.maxPatients - current,
+        open: session.available && isSessionBookable(date, session)
+      };
+    }
+
+    console.log('Session capacity check:', sessionCapacity);
+
+    // Generate time slots inside each session window and mark them available based on session capacity.
+    // Breaks are implied by the gaps between sessions, so no break window is applied here.
+    const slots = [];
+    for (const session of sessions) {
+      const capacity = sessionCapacity[session.id];
+      const sessionSlots = generateTimeSlots(
+        { start_time: session.startTime, end_time: session.endTime },
+        { start_time: '00:00', end_time: '00:00' },
+        slotDuration
+      );
+      sessionSlots.forEach(slot => {
+        slots.push({ ...slot, session, capacity });
+      });
+    }
+
+    // Per-slot capacity (max_patients_per_slot minus reservations/bookings in that slot)
+    const slotCapacity = await slotReservationService.getSlotCapacity(doctorId, selectedDate, schedule);
 
-    // Mark slots as available based on session capacity, not individual time slots
     const availableSlots = slots.map((slot, index) => {
-      const slotTime = parseTime(slot.time);
-      const isMorning = slotTime >= parseTime('09:00') && slotTime < parseTime('13:00');
-      const isAfternoon = slotTime >= parseTime('14:00') && slotTime < parseTime('18:00');
-      
-      let isAvailable = true;
-      let sessionInfo = '';
-      
-      if (isMorning) {
-        isAvailable = morningAppointments < morningMaxPatients && isSessionBookable(date, 'morning');
-        sessionInfo = `Morning: ${morningAppointments}/${morningMaxPatients}`;
-      } else if (isAfternoon) {
-        isAvailable = afternoonAppointments < afternoonMaxPatients && isSessionBookable(date, 'afternoon');
-        sessionInfo = `Afternoon: ${afternoonAppointments}/${afternoonMaxPatients}`;
-      }
+      const booked = slotCapacity.slots[slot.time]?.booked || 0;
+      const remainingCapacity = Math.max(0, slotCapacity.perSlotMax - booked);
+      const isAvailable = slot.capacity.open && slot.capacity.current < slot.capacity.max && remainingCapacity > 0;
 
       return {
         time: slot.time,
@@ -1602,7 +1312,11 @@ router.get('/doctors/:doctorId/availability/:date', async (req, res) => {
         isBooked: !isAvailable,
         estimatedWaitTime: index * 5 + 10, // Progressive wait time
         slotNumber: index + 1,
-        sessionInfo: sessionInfo
+        sessionId: slot.session.id,
+        sessionInfo: `${slot.session.name}: ${slot.capacity.current}/${slot.capacity.max}`,
+        capacity: slotCapacity.perSlotMax,
+        bookedCount: booked,
+        remainingCapacity
       };
     });
 
@@ -1619,18 +1333,8 @@ router.get('/doctors/:doctorId/availability/:date', async (req, res) => {
       totalSlots: slots.length,
       availableCount: onlyAvailableSlots.length,
       bookedCount: availableSlots.length - onlyAvailableSlots.length,
-      sessionCapacity: {
-        morning: {
-          current: morningAppointments,
-          max: morningMaxPatients,
-          available: morningMaxPatients - morningAppointments
-        },
-        afternoon: {
-          current: afternoonAppointments,
-          max: afternoonMaxPatients,
-          available: afternoonMaxPatients - afternoonAppointments
-        }
-      }
+      maxPatientsPerSlot: slotCapacity.perSlotMax,
+      sessionCapacity
     });
   } catch (error) {
     console.error('Get availability error:', error);
@@ -1807,14 +1511,33 @@ function formatDisplayTime(minutes) {
 router.post('/book-appointment', authMiddleware, patientMiddleware, async (req, res) => {
   try {
     const {
-      doctorId,
-      departmentId,
       appointmentDate,
       appointmentTime,
       symptoms,
       familyMemberId,
+      followUpId,
+      referralId,
+      payWithWallet = false,
       appointmentType = 'in-person' // Default to in-person if not specified
     } = req.body;
+    let { doctorId, departmentId } = req.body;
+
+    // Follow-up booking links only need the follow-up; it always goes back to the prescribing doctor
+    if (followUpId && (!doctorId || !departmentId)) {
+      const linkedFollowUp = await followUpService.findForPatient(followUpId, req.patient._id);
+      if (linkedFollowUp) {
+        doctorId = doctorId || linkedFollowUp.doctor_id.toString();
+        departmentId = departmentId || linkedFollowUp.department_id?.toString();
+      }
+    }
+    // Likewise a referral link carries the department (and the doctor, when one was named)
+    if (referralId && (!doctorId || !departmentId)) {
+      const linkedReferral = await referralService.findForPatient(referralId, req.patient._id);
+      if (linkedReferral) {
+        doctorId = doctorId || linkedReferral.to_doctor_id?.toString();
+        departmentId = departmentId || linkedReferral.to_department_id.toString();
+      }
+    }
 
     console.log('Booking appointment for patient:', {
       patientId: req.patient._id,
@@ -1855,14 +1578,11 @@ router.post('/book-appointment', authMiddleware, patientMiddleware, async (req,
     const endOfDay = new Date(selectedDate);
     endOfDay.setDate(endOfDay.getDate() + 1);
     console.log('[BOOK] doctorId=', doctorId, 'appointmentDate=', appointmentDate, 'selectedDateISO=', selectedDate.toISOString(), 'range=', selectedDate.toISOString(), 'to', endOfDay.toISOString());
-    const schedule = await DoctorSchedule.findOne({
-      doctor_id: doctorId,
-      date: { $gte: selectedDate, $lt: endOfDay }
-    });
+    const schedule = await scheduleRuleService.getScheduleForDate(doctorId, selectedDate);
     if (!schedule) {
       console.log('[BOOK] No schedule found for range.');
     } else {
-      console.log('[BOOK] Found schedule id=', schedule._id.toString(), 'dateISO=', new Date(schedule.date).toISOString(), 'is_available=', schedule.is_available);
+      console.log('[BOOK] Found schedule id=', schedule.is_virtual ? `rule:${schedule.rule_id}` : schedule._id.toString(), 'dateISO=', new Date(schedule.date).toISOString(), 'is_available=', schedule.is_available);
     }
 
     // If explicit schedule exists and is unavailable, block booking. Otherwise, allow using defaults
@@ -1873,40 +1593,15 @@ router.post('/book-appointment', authMiddleware, patientMiddleware, async (req,
     }
 
 
-    // Validate session-based availability
+    // Validate session-based availability against the doctor's session templates
     const appointmentMinutes = parseTime(appointmentTime || '');
     if (!Number.isFinite(appointmentMinutes)) {
       return res.status(400).json({ message: 'Invalid appointment time' });
     }
-    let isSessionValid = false;
-    let sessionName = '';
-
-    // Check morning session (9:00 AM - 1:00 PM)
-    if (appointmentMinutes >= parseTime('09:00') && appointmentMinutes < parseTime('13:00')) {
-      if (schedule) {
-        isSessionValid = schedule.morning_session?.available !== false && isSessionBookable(appointmentDate, 'morning');
-      } else {
-        isSessionValid = isSessionBookable(appointmentDate, 'morning'); // Check time cutoff even without schedule
-      }
-      sessionName = 'Morning Session';
-    }
-    // Check afternoon session (2:00 PM - 6:00 PM)
-    else if (appointmentMinutes >= parseTime('14:00') && appointmentMinutes < parseTime('18:00')) {
-      if (schedule) {
-        isSessionValid = schedule.afternoon_session?.available !== false && isSessionBookable(appointmentDate, 'afternoon');
-      } else {
-        isSessionValid = isSessionBookable(appointmentDate, 'afternoon'); // Check time cutoff even without schedule
-      }
-      sessionName = 'Afternoon Session';
-    }
-    // Fallback to working hours for other times
-    else {
-      const workingHours = schedule?.working_hours || doctor.doctor_info?.default_working_hours || { start_time: '09:00', end_time: '17:00' };
-    const startMinutes = parseTime(workingHours.start_time);
-    const endMinutes = parseTime(workingHours.end_time);
-      isSessionValid = appointmentMinutes >= startMinutes && appointmentMinutes < endMinutes;
-      sessionName = 'Working Hours';
-    }
+    const daySessions = await sessionTemplateService.getSessionsForDate(doctorId, selectedDate, schedule || null, departmentId);
+    const bookedSession = findSessionForTime(daySessions, appointmentTime);
+    const sessionName = bookedSession ? bookedSession.name : 'Working Hours';
+    const isSessionValid = !!bookedSession && bookedSession.available && isSessionBookable(appointmentDate, bookedSession);
 
     if (!isSessionValid) {
       // Check if it's a time cutoff issue
@@ -1914,20 +1609,17 @@ router.post('/book-appointment', authMiddleware, patientMiddleware, async (req,
       const today = new Date(now);
       today.setHours(0, 0, 0, 0);
       
-      const scheduleDate = new Date(appointmentDate);
-      scheduleDate.setHours(0, 0, 0, 0);
+      const scheduleDate = new Date(selectedDate);
       
       const isToday = scheduleDate.getTime() === today.getTime();
       const currentTime = now.toTimeString().slice(0, 5);
       
-      let errorMessage = `Doctor is not available during ${sessionName} on ${appointmentDate}`;
+      let errorMessage = bookedSession
+        ? `Doctor is not available during ${sessionName} on ${appointmentDate}`
+        : `Doctor has no session at ${appointmentTime} on ${appointmentDate}`;
       
-      if (isToday) {
-        if (sessionName === 'Morning Session' && currentTime >= '08:00') {
-          errorMessage = getBookingCutoffMessage(sessionName, currentTime);
-        } else if (sessionName === 'Afternoon Session' && currentTime >= '13:00') {
-          errorMessage = getBookingCutoffMessage(sessionName, currentTime);
-        }
+      if (isToday && bookedSession && bookedSession.available && currentTime >= bookedSession.bookingCutoff) {
+        errorMessage = getBookingCutoffMessage(bookedSession, currentTime);
       }
       
       console.log('🚨 SESSION VALIDATION FAILED:', {
@@ -1937,15 +1629,10 @@ router.post('/book-appointment', authMiddleware, patientMiddleware, async (req,
         appointmentDate,
         isToday,
         currentTime,
-        schedule: schedule ? {
-          morning_session: schedule.morning_session,
-          afternoon_session: schedule.afternoon_session,
-          working_hours: schedule.working_hours
-        } : 'No schedule found',
+        sessions: daySessions,
         doctor: {
           id: doctor._id,
-          name: doctor.name,
-          default_working_hours: doctor.doctor_info?.default_working_hours
+          name: doctor.name
         }
       });
       
@@ -1957,10 +1644,14 @@ router.post('/book-appointment', authMiddleware, patientMiddleware, async (req,
           hasSchedule: !!schedule,
           isToday,
           currentTime,
-          scheduleDetails: schedule ? {
-            morning_session: schedule.morning_session,
-            afternoon_session: schedule.afternoon_session
-          } : null
+          sessions: daySessions.map(session => ({
+            id: session.id,
+            name: session.name,
+            startTime: session.startTime,
+            endTime: session.endTime,
+            available: session.available,
+            bookingCutoff: session.bookingCutoff
+          }))
         }
       });
     }
@@ -2035,19 +1726,9 @@ router.post('/book-appointment', authMiddleware, patientMiddleware, async (req,
     }
 
     // Check session capacity limits
-    let sessionStart = '09:00';
-    let sessionEnd = '13:00';
-    let maxPatients = 10;
-    sessionName = 'morning'; // Set default session name
-
-    if (appointmentMinutes >= parseTime('14:00')) {
-      sessionStart = '14:00';
-      sessionEnd = '18:00';
-      sessionName = 'afternoon';
-      maxPatients = schedule?.afternoon_session?.max_patients || 10;
-    } else if (appointmentMinutes >= parseTime('09:00')) {
-      maxPatients = schedule?.morning_session?.max_patients || 10;
-    }
+    const sessionStart = bookedSession.startTime;
+    const sessionEnd = bookedSession.endTime;
+    const maxPatients = bookedSession.maxPatients;
 
     const currentSessionAppointments = await Token.countDocuments({
       doctor_id: doctorId,
@@ -2058,13 +1739,14 @@ router.post('/book-appointment', authMiddleware, patientMiddleware, async (req,
 
     if (currentSessionAppointments >= maxPatients) {
       return res.status(400).json({ 
-        message: `Doctor's ${sessionName} session is full (${currentSessionAppointments}/${maxPatients} patients). Please choose another time slot or doctor.`,
+        message: `Doctor's ${sessionName} is full (${currentSessionAppointments}/${maxPatients} patients). Please choose another time slot or doctor, or join the waitlist.`,
         sessionCapacity: {
           current: currentSessionAppointments,
           max: maxPatients,
-          session: sessionName,
+          session: bookedSession.id,
           sessionTime: `${sessionStart} - ${sessionEnd}`
-        }
+        },
+        waitlistAvailable: true
       });
     }
 
@@ -2082,6 +1764,32 @@ router.post('/book-appointment', authMiddleware, patientMiddleware, async (req,
       }
     }
 
+    // Booking the prescribing doctor inside a follow-up window is charged the follow-up fee
+    const followUpResult = await followUpService.resolveForBooking({
+      followUpId,
+      patientId: req.patient._id,
+      familyMemberId: familyMember ? familyMember._id : null,
+      doctorId,
+      date: selectedDate
+    });
+    if (!followUpResult.success) {
+      return res.status(followUpResult.status).json({ message: followUpResult.message });
+    }
+    const followUp = followUpResult.followUp;
+
+    // Referred patients book straight into their referral, with priority when the doctor asked for it
+    const referralResult = await referralService.resolveForBooking({
+      referralId,
+      patientId: req.patient._id,
+      familyMemberId: familyMember ? familyMember._id : null,
+      doctorId,
+      departmentId: department._id
+    });
+    if (!referralResult.success) {
+      return res.status(referralResult.status).json({ message: referralResult.message });
+    }
+    const referral = referralResult.referral;
+
     // Block multiple active appointments in the same department on the same date (for self or same family member)
     // This should only block if the SAME person (patient or specific family member) already has an appointment
     const activeSameDepartmentQuery = {
@@ -2156,36 +1864,61 @@ router.post('/book-appointment', authMiddleware, patientMiddleware, async (req,
     }
 
     // Determine session type and time range
-    let sessionType = 'morning';
-    let sessionTimeRange = '9:00 AM - 1:00 PM';
-    
-    if (appointmentMinutes >= parseTime('09:00') && appointmentMinutes < parseTime('13:00')) {
-      sessionType = 'morning';
-      sessionTimeRange = '9:00 AM - 1:00 PM';
-    } else if (appointmentMinutes >= parseTime('14:00') && appointmentMinutes < parseTime('18:00')) {
-      sessionType = 'afternoon';
-      sessionTimeRange = '2:00 PM - 6:00 PM';
-    } else {
-      sessionType = 'evening';
-      sessionTimeRange = '6:00 PM - 9:00 PM';
+    const sessionType = bookedSession.id;
+    const sessionTimeRange = bookedSession.displayTime;
+
+    // Reserve a place in the requested slot (or the next free one in this session) before issuing a token
+    const appointmentId = new mongoose.Types.ObjectId();
+    const reservation = await slotReservationService.reserveInSession({
+      doctorId,
+      date: selectedDate,
+      schedule,
+      session: bookedSession,
+      preferredTime: appointmentTime,
+      tokenId: appointmentId
+    });
+    if (!reservation) {
+      return res.status(400).json({
+        message: `Doctor's ${sessionName} is fully booked on ${appointmentDate}. Please choose another time slot or doctor, or join the waitlist.`,
+        sessionCapacity: {
+          session: bookedSession.id,
+          sessionTime: `${bookedSession.startTime} - ${bookedSession.endTime}`
+        },
+        waitlistAvailable: true
+      });
+    }
+    const releaseReservation = async () => {
+      await slotReservationService.releaseSlot({ doctorId, date: selectedDate, tokenId: appointmentId });
+      await followUpService.releaseBooking(followUp, appointmentId);
+      await referralService.releaseBooking(referral, appointmentId);
+    };
+
+    // Claim the follow-up and referral before the token is created, so neither can discount or prioritise
+    // two bookings
+    if (followUp && !(await followUpService.markBooked(followUp, { _id: appointmentId }))) {
+      await releaseReservation();
+      return res.status(409).json({ message: 'This follow-up has already been booked' });
+    }
+    if (referral && !(await referralService.markBooked(referral, { _id: appointmentId }))) {
+      await releaseReservation();
+      return res.status(409).json({ message: 'This referral has already been booked' });
     }
 
     // Generate sequential token number based on session type
-    let tokenNumber;
+    let tokenNumber, tokenSequence, tokenScope;
     try {
       console.log('🔍 Starting token generation for appointment booking...');
-      tokenNumber = await generateSequentialTokenNumber(doctorId, selectedDate, sessionType, req.patient._id, familyMember ? familyMember._id : null);
+      ({ tokenNumber, sequence: tokenSequence, scope: tokenScope } = await generateSequentialTokenNumber(doctorId, selectedDate, sessionType, req.patient._id, familyMember ? familyMember._id : null));
       console.log('✅ Token generation successful:', tokenNumber);
     } catch (error) {
       console.error('❌ Token generation error:', error);
+      await releaseReservation();
       return res.status(400).json({ 
         message: error.message || 'Failed to generate token number. Please try again.' 
       });
     }
 
-    // Calculate sequential time slot based on token number and slot duration
-    const sequentialTimeSlot = calculateSequentialTimeSlot(tokenNumber, sessionType, slotDuration);
-    console.log(`[BOOK] Token: ${tokenNumber}, Original time: ${appointmentTime}, Sequential time: ${sequentialTimeSlot}`);
+    console.log(`[BOOK] Token: ${tokenNumber}, Requested time: ${appointmentTime}, Reserved slot: ${reservation.time}`);
 
     // Generate meeting link for video consultations
     let meetingLinkData = null;
@@ -2209,6 +1942,7 @@ router.post('/book-appointment', authMiddleware, patientMiddleware, async (req,
 
     // Create appointment token
     const appointmentToken = new Token({
+      _id: appointmentId,
       patient_id: req.patient._id,
       patient_name: familyMember ? familyMember.name : req.patient.name,
       patient_email: req.patient.email,
@@ -2217,7 +1951,7 @@ router.post('/book-appointment', authMiddleware, patientMiddleware, async (req,
       department: department.name,
       symptoms: symptoms && String(symptoms).trim().length > 0 ? symptoms : 'Not provided',
       booking_date: selectedDate,
-      time_slot: sequentialTimeSlot,
+      time_slot: reservation.time,
       session_type: sessionType,
       session_time_range: sessionTimeRange,
       appointment_type: appointmentType, // Add appointment type
@@ -2233,15 +1967,21 @@ router.post('/book-appointment', authMiddleware, patientMiddleware, async (req,
       } : undefined,
       status: 'booked',
       token_number: tokenNumber,
+      token_sequence: tokenSequence,
+      token_scope: tokenScope,
       payment_status: 'pending',
       created_by: 'patient',
-      estimated_wait_time: Math.floor(Math.random() * 30) + 15
+      estimated_wait_time: Math.floor(Math.random() * 30) + 15,
+      token_pdf_url: checkInService.tokenPdfPath(appointmentId),
+      ...followUpService.getTokenFields(followUp, doctor),
+      ...referralService.getTokenFields(referral)
     });
 
     try {
       await appointmentToken.save();
     } catch (error) {
       console.error('Appointment creation error:', error);
+      await releaseReservation();
       if (error.code === 11000 && error.keyPattern?.token_number) {
         return res.status(400).json({ 
           message: 'Token number conflict. Please try booking again.' 
@@ -2255,6 +1995,14 @@ router.post('/book-appointment', authMiddleware, patientMiddleware, async (req,
       req.patient._id,
       { $push: { 'patient_info.booking_history': appointmentToken._id } }
     );
+    await queueService.broadcast(doctorId, selectedDate);
+
+    // Pay from the wallet straight away if asked; a short balance leaves the booking awaiting payment
+    let walletPayment = null;
+    if (payWithWallet) {
+      const bookedToken = await Token.findById(appointmentToken._id).populate('doctor_id', 'doctor_info.consultation_fee');
+      walletPayment = await paymentService.payWithWallet(bookedToken, req.patient);
+    }
 
     // Send comprehensive notifications (email, SMS, WhatsApp) - async, don't wait for it
     console.log('🔔 Sending booking confirmation notifications for appointment:', appointmentToken._id);
@@ -2276,17 +2024,29 @@ router.post('/book-appointment', authMiddleware, patientMiddleware, async (req,
         doctorName: doctor.name,
         departmentName: department.name,
         appointmentDate,
-        appointmentTime,
+        appointmentTime: reservation.time,
+        requestedTime: appointmentTime,
         appointmentType,
-        paymentStatus: 'pending',
+        paymentStatus: walletPayment?.success ? 'paid' : 'pending',
         patientName: familyMember ? familyMember.name : req.patient.name,
         isForFamilyMember: !!familyMember,
         familyMemberRelation: familyMember ? familyMember.relation : null,
         status: 'booked',
-        estimatedWaitTime: appointmentToken.estimated_wait_time
+        estimatedWaitTime: appointmentToken.estimated_wait_time,
+        isFollowUp: !!followUp,
+        followUpId: followUp ? followUp._id : null,
+        referralId: referral ? referral._id : null,
+        isPriority: !!appointmentToken.priority_flag,
+        consultationFee: appointmentToken.consultation_fee ?? (doctor.doctor_info?.consultation_fee || 500)
       }
     };
 
+    if (walletPayment) {
+      responseData.walletPayment = walletPayment.success
+        ? { success: true, amount: walletPayment.amount, reference: walletPayment.transaction.reference, balance: walletPayment.balance }
+        : { success: false, message: walletPayment.message, balance: walletPayment.balance ?? null };
+    }
+
     // Add meeting link information for video consultations
     if (appointmentType === 'video' && meetingLinkData) {
       responseData.appointment.meetingLink = {
@@ -2309,14 +2069,315 @@ router.post('/book-appointment', authMiddleware, patientMiddleware, async (req,
 
     res.status(201).json(responseData);
 
-  } catch (error) {
-    console.error('Book appointment error:', error && error.stack ? error.stack : error);
-    // Return more detail in development to aid debugging
-    const payload = { message: 'Server error' };
-    if (process.env.NODE_ENV !== 'production') {
-      payload.error = error?.message || String(error);
+  } catch (error) {
+    console.error('Book appointment error:', error && error.stack ? error.stack : error);
+    // Return more detail in development to aid debugging
+    const payload = { message: 'Server error' };
+    if (process.env.NODE_ENV !== 'production') {
+      payload.error = error?.message || String(error);
+    }
+    res.status(500).json(payload);
+  }
+});
+
+// ===== WAITLIST =====
+
+// Join the waitlist for a full session
+router.post('/waitlist', authMiddleware, patientMiddleware, async (req, res) => {
+  try {
+    const {
+      doctorId,
+      departmentId,
+      date,
+      appointmentDate,
+      sessionCode,
+      sessionType,
+      familyMemberId,
+      symptoms,
+      appointmentType = 'in-person'
+    } = req.body;
+    const waitlistDate = date || appointmentDate;
+    const session = sessionCode || sessionType;
+
+    if (!doctorId || !departmentId || !waitlistDate || !session) {
+      return res.status(400).json({ message: 'doctorId, departmentId, date and sessionCode are required' });
+    }
+
+    const doctor = await User.findOne({ _id: doctorId, role: 'doctor' }).select('name');
+    if (!doctor) {
+      return res.status(404).json({ message: 'Doctor not found' });
+    }
+    const department = await Department.findById(departmentId);
+    if (!department) {
+      return res.status(404).json({ message: 'Department not found' });
+    }
+
+    const result = await waitlistService.join({
+      patient: req.patient,
+      doctorId,
+      departmentId,
+      date: waitlistDate,
+      sessionCode: String(session).toLowerCase(),
+      familyMemberId,
+      symptoms,
+      appointmentType
+    });
+    if (!result.success) {
+      return res.status(400).json({ message: result.message });
+    }
+
+    res.status(201).json({
+      message: `Added to the waitlist at position ${result.position}. You will be notified if a slot opens up.`,
+      entry: waitlistService.formatEntry(result.entry, result.position)
+    });
+  } catch (error) {
+    console.error('Join waitlist error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get patient's waitlist entries (?active=true for waiting/offered only)
+router.get('/waitlist', authMiddleware, patientMiddleware, async (req, res) => {
+  try {
+    const entries = await waitlistService.getEntriesForPatient(req.patient._id, {
+      activeOnly: req.query.active === 'true'
+    });
+    res.json({ entries });
+  } catch (error) {
+    console.error('Get waitlist error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Claim an offered waitlist slot (books the held slot)
+router.post('/waitlist/:entryId/claim', authMiddleware, patientMiddleware, async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findOne({ _id: req.params.entryId, patient_id: req.patient._id });
+    if (!entry) {
+      return res.status(404).json({ message: 'Waitlist entry not found' });
+    }
+
+    const result = await waitlistService.claimOffer(entry);
+    if (!result.success) {
+      return res.status(400).json({ message: result.message });
+    }
+
+    const { token } = result;
+    const doctor = await User.findById(token.doctor_id).select('name');
+    res.status(201).json({
+      message: 'Appointment booked successfully',
+      appointment: {
+        id: token._id,
+        tokenNumber: token.token_number,
+        doctorName: doctor?.name,
+        departmentName: token.department,
+        appointmentDate: scheduleRuleService.dateKey(token.booking_date),
+        appointmentTime: token.time_slot,
+        appointmentType: token.appointment_type,
+        paymentStatus: token.payment_status,
+        patientName: token.patient_name,
+        isForFamilyMember: !!token.family_member_id,
+        status: token.status,
+        estimatedWaitTime: token.estimated_wait_time
+      }
+    });
+  } catch (error) {
+    console.error('Claim waitlist offer error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Decline an offered waitlist slot (passes it to the next person)
+router.post('/waitlist/:entryId/decline', authMiddleware, patientMiddleware, async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findOne({ _id: req.params.entryId, patient_id: req.patient._id });
+    if (!entry) {
+      return res.status(404).json({ message: 'Waitlist entry not found' });
+    }
+
+    const result = await waitlistService.declineOffer(entry);
+    if (!result.success) {
+      return res.status(400).json({ message: result.message });
+    }
+    res.json({ message: 'Offer declined' });
+  } catch (error) {
+    console.error('Decline waitlist offer error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Leave the waitlist
+router.delete('/waitlist/:entryId', authMiddleware, patientMiddleware, async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findOne({ _id: req.params.entryId, patient_id: req.patient._id });
+    if (!entry) {
+      return res.status(404).json({ message: 'Waitlist entry not found' });
+    }
+
+    const result = await waitlistService.leave(entry);
+    if (!result.success) {
+      return res.status(400).json({ message: result.message });
+    }
+    res.json({ message: 'Removed from the waitlist' });
+  } catch (error) {
+    console.error('Leave waitlist error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get follow-ups prescribed for the patient and their family (?active=true for pending/booked only)
+router.get('/follow-ups', authMiddleware, patientMiddleware, async (req, res) => {
+  try {
+    const followUps = await followUpService.getForPatient(req.patient._id, {
+      activeOnly: req.query.active === 'true'
+    });
+    res.json({ followUps });
+  } catch (error) {
+    console.error('Get follow-ups error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get referrals made for the patient and their family (?status=pending|booked|seen|closed)
+router.get('/referrals', authMiddleware, patientMiddleware, async (req, res) => {
+  try {
+    const referrals = await referralService.list({ patient_id: req.patient._id }, { status: req.query.status || null });
+    res.json({ referrals });
+  } catch (error) {
+    console.error('Get referrals error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Medications currently being taken across all visits (patient and family), with refills left
+router.get('/medications/active', authMiddleware, patientMiddleware, async (req, res) => {
+  try {
+    const medications = await prescriptionService.getActiveMedications(req.patient._id);
+    res.json({ medications });
+  } catch (error) {
+    console.error('Get active medications error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// All prescriptions issued to the patient and their family
+router.get('/prescriptions', authMiddleware, patientMiddleware, async (req, res) => {
+  try {
+    const prescriptions = await prescriptionService.list({ patient_id: req.patient._id });
+    res.json({
+      prescriptions: prescriptions.map(prescription => ({
+        ...prescription,
+        pdfUrl: prescriptionService.getPdfPath({ _id: prescription.id })
+      }))
+    });
+  } catch (error) {
+    console.error('Get prescriptions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Download a signed prescription
+router.get('/prescriptions/:id/pdf', authMiddleware, patientMiddleware, async (req, res) => {
+  let htmlContent;
+  try {
+    const found = await prescriptionService.findForPatient(req.params.id, req.patient._id);
+    if (!found) {
+      return res.status(404).json({ message: 'Prescription not found' });
+    }
+    const prescription = await prescriptionService.getPrintable(found._id);
+    htmlContent = prescriptionService.renderHtml(prescription);
+    const pdfBuffer = await generatePdf(htmlContent);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="Prescription-${prescription.prescription_number}.pdf"`);
+    res.setHeader('Content-Length', pdfBuffer.length);
+    res.send(pdfBuffer);
+  } catch (error) {
+    console.error('Prescription PDF error:', error);
+    // Fall back to the printable HTML if PDF rendering is unavailable
+    if (htmlContent) {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      return res.send(htmlContent);
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Own vitals history, or a family member's (?familyMemberId=, ?from=, ?to=)
+router.get('/vitals', authMiddleware, patientMiddleware, async (req, res) => {
+  try {
+    const { familyMemberId, from, to } = req.query;
+    if ((from && isNaN(new Date(from).getTime())) || (to && isNaN(new Date(to).getTime()))) {
+      return res.status(400).json({ message: 'Invalid date range' });
+    }
+    const trend = await vitalsService.getTrend({ patientId: req.patient._id, familyMemberId: familyMemberId || null, from, to });
+    if (!trend) {
+      return res.status(404).json({ message: 'Family member not found' });
+    }
+    res.json(trend);
+  } catch (error) {
+    console.error('Get vitals history error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Lab and imaging reports for the patient and their family, abnormal results flagged (?abnormal=true)
+router.get('/lab-reports', authMiddleware, patientMiddleware, async (req, res) => {
+  try {
+    const filter = { patient_id: req.patient._id, status: { $ne: 'cancelled' } };
+    if (req.query.abnormal === 'true') filter.is_abnormal = true;
+    const reports = await labOrderService.list(filter);
+    res.json({
+      reports: reports.map(report => ({
+        ...report,
+        pdfUrl: report.status === 'completed' ? labOrderService.getReportPath({ _id: report.id }) : null
+      }))
+    });
+  } catch (error) {
+    console.error('Get lab reports error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Download a completed lab report
+router.get('/lab-reports/:id/pdf', authMiddleware, patientMiddleware, async (req, res) => {
+  let htmlContent;
+  try {
+    const found = await labOrderService.findForPatient(req.params.id, req.patient._id);
+    if (!found || found.status !== 'completed') {
+      return res.status(404).json({ message: 'Report not found' });
+    }
+    const order = await labOrderService.getPrintable(found._id);
+    htmlContent = labOrderService.renderHtml(order);
+    const pdfBuffer = await generatePdf(htmlContent);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="Lab-Report-${order._id}.pdf"`);
+    res.setHeader('Content-Length', pdfBuffer.length);
+    res.send(pdfBuffer);
+  } catch (error) {
+    console.error('Lab report PDF error:', error);
+    // Fall back to the printable HTML if PDF rendering is unavailable
+    if (htmlContent) {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      return res.send(htmlContent);
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Download a file the lab attached to a completed report
+router.get('/lab-reports/:id/files/:fileId', authMiddleware, patientMiddleware, async (req, res) => {
+  try {
+    const order = await labOrderService.findForPatient(req.params.id, req.patient._id);
+    const file = order && order.status === 'completed' ? order.files.id(req.params.fileId) : null;
+    if (!file) {
+      return res.status(404).json({ message: 'File not found' });
     }
-    res.status(500).json(payload);
+    res.redirect(file.url);
+  } catch (error) {
+    console.error('Lab report file error:', error);
+    res.status(500).json({ message: 'Server error' });
   }
 });
 
@@ -2490,55 +2551,30 @@ router.get('/appointments/:appointmentId/queue-position', authMiddleware, patien
       });
     }
     
-    // Get all appointments for the same doctor on the same date (TODAY)
-    const startOfDay = new Date(appointmentDate);
-    startOfDay.setHours(0, 0, 0, 0);
-    const endOfDay = new Date(appointmentDate);
-    endOfDay.setHours(23, 59, 59, 999);
-    
-    const queueAppointments = await Token.find({
-      doctor_id: appointment.doctor_id._id,
-      booking_date: { $gte: startOfDay, $lte: endOfDay },
-      status: { $in: ['booked', 'in_queue'] }
-    })
-    .sort({ 
-      booking_date: 1,
-      time_slot: 1,
-      createdAt: 1 
-    });
-    
-    // Find current appointment position in queue
-    const currentIndex = queueAppointments.findIndex(apt => apt._id.toString() === appointmentId);
-    const queuePosition = currentIndex + 1;
+    // Position comes from the doctor's queue engine (explicit positions, skips, priority tokens)
+    const { entry, ahead, totalInQueue, queue } = await queueService.getPositionForToken(appointment);
+    const queuePosition = ahead + 1;
     
-    // Calculate estimated wait time based on average consultation time (15 minutes)
-    const averageConsultationTime = 15; // minutes
-    const appointmentsAhead = currentIndex;
-    const estimatedWaitTimeMinutes = appointmentsAhead * averageConsultationTime;
-    
-    // Get current time and appointment time
-    const now = new Date();
-    const appointmentDateTime = new Date(appointment.booking_date);
-    const [hours, minutes] = appointment.time_slot.split(':');
-    appointmentDateTime.setHours(parseInt(hours), parseInt(minutes), 0, 0);
-    
-    // If appointment time has passed, reduce wait time accordingly
-    let adjustedWaitTime = estimatedWaitTimeMinutes;
-    if (now > appointmentDateTime) {
-      const minutesPastAppointment = Math.floor((now - appointmentDateTime) / (1000 * 60));
-      adjustedWaitTime = Math.max(0, estimatedWaitTimeMinutes - minutesPastAppointment);
-    }
+    // Estimate learned from the doctor's consultation durations, no-show rate and late start
+    const estimates = await waitTimeService.estimateQueue(appointment.doctor_id._id, appointment.booking_date, queue);
+    const estimate = estimates.get(appointment._id.toString());
+    const estimatedWaitTime = estimate ? estimate.waitMinutes : 0;
     
     res.json({
       appointmentId: appointment._id,
       status: appointment.status,
       queuePosition: queuePosition,
-      totalInQueue: queueAppointments.length,
-      estimatedWaitTime: adjustedWaitTime,
-      estimatedWaitTimeFormatted: formatWaitTime(adjustedWaitTime),
+      queueState: entry ? entry.state : null,
+      arrived: !!appointment.checked_in_at,
+      totalInQueue,
+      estimatedWaitTime,
+      estimatedWaitTimeFormatted: formatWaitTime(estimatedWaitTime),
+      expectedStartAt: estimate ? estimate.expectedStartAt : null,
       appointmentTime: appointment.time_slot,
       doctorName: appointment.doctor_id.name,
       department: appointment.department,
+      isPriority: !!appointment.priority_flag,
+      priorityTokensAhead: queue.slice(0, ahead).filter(item => item.token.priority_flag).length,
       referredDoctor: appointment.referredDoctor || null,
       lastUpdated: new Date()
     });
@@ -2559,44 +2595,93 @@ function formatWaitTime(minutes) {
   return `About ${hours}h ${remainingMinutes}m`;
 }
 
-// Helper function to calculate sequential time slot based on token number
-function calculateSequentialTimeSlot(tokenNumber, sessionType, slotDuration) {
-  // Extract the numeric part from token number (e.g., T001 -> 1, T002 -> 2)
-  const tokenNum = parseInt(tokenNumber.replace('T', ''));
-  
-  // Define session start times
-  let sessionStartTime;
-  switch (sessionType) {
-    case 'morning':
-      sessionStartTime = '09:00';
-      break;
-    case 'afternoon':
-      sessionStartTime = '14:00';
-      break;
-    case 'evening':
-      sessionStartTime = '18:00';
-      break;
-    default:
-      sessionStartTime = '09:00';
+// Signed check-in code for an appointment, with a QR image to show at the reception kiosk
+router.get('/appointments/:appointmentId/check-in-qr', authMiddleware, patientMiddleware, async (req, res) => {
+  try {
+    const appointment = await Token.findById(req.params.appointmentId);
+    if (!appointment) {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
+    if (appointment.patient_id.toString() !== req.patient._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.json({
+      appointmentId: appointment._id,
+      tokenNumber: appointment.token_number,
+      code: checkInService.getCode(appointment),
+      // data: URL, usable directly as an <img> src
+      qrImageUrl: await checkInService.getQrDataUrl(appointment),
+      tokenPdfUrl: appointment.token_pdf_url || checkInService.tokenPdfPath(appointment._id),
+      checkedIn: !!appointment.checked_in_at,
+      checkedInAt: appointment.checked_in_at
+    });
+  } catch (error) {
+    console.error('Get check-in QR error:', error);
+    res.status(500).json({ message: 'Server error' });
   }
-  
-  // Calculate the time slot based on token number and slot duration
-  // Token 1 = session start time, Token 2 = session start + slot duration, etc.
-  const totalMinutes = (tokenNum - 1) * slotDuration;
-  
-  // Parse session start time
-  const [startHours, startMinutes] = sessionStartTime.split(':').map(Number);
-  const startTimeInMinutes = startHours * 60 + startMinutes;
-  
-  // Calculate the actual time
-  const actualTimeInMinutes = startTimeInMinutes + totalMinutes;
-  
-  // Convert back to HH:MM format
-  const hours = Math.floor(actualTimeInMinutes / 60);
-  const minutes = actualTimeInMinutes % 60;
-  
-  return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
-}
+});
+
+// Printable token slip (PDF) carrying the check-in QR code
+router.get('/appointments/:appointmentId/token-pdf', authMiddleware, patientMiddleware, async (req, res) => {
+  let htmlContent;
+  try {
+    const appointment = await Token.findById(req.params.appointmentId)
+      .populate('doctor_id', 'name');
+    if (!appointment) {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
+    if (appointment.patient_id.toString() !== req.patient._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const qrImage = await checkInService.getQrDataUrl(appointment);
+    htmlContent = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <meta charset="utf-8">
+        <title>Token ${escapeHtml(appointment.token_number)}</title>
+        <style>
+            body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; color: #1f2937; padding: 20px; }
+            .slip { max-width: 420px; margin: 0 auto; border: 2px solid #3b82f6; border-radius: 10px; padding: 24px; text-align: center; }
+            .token { font-size: 36px; font-weight: 700; color: #1d4ed8; margin: 10px 0; }
+            .row { display: flex; justify-content: space-between; padding: 6px 0; border-bottom: 1px solid #e5e7eb; font-size: 14px; }
+            .label { color: #6b7280; }
+            .note { font-size: 12px; color: #6b7280; margin-top: 12px; }
+        </style>
+    </head>
+    <body>
+        <div class="slip">
+            <h2>🏥 MediQ Hospital</h2>
+            <div class="token">#${escapeHtml(appointment.token_number)}</div>
+            <div class="row"><span class="label">Patient</span><span>${escapeHtml(appointment.patient_name)}</span></div>
+            <div class="row"><span class="label">Doctor</span><span>Dr. ${escapeHtml(appointment.doctor_id?.name)}</span></div>
+            <div class="row"><span class="label">Department</span><span>${escapeHtml(appointment.department)}</span></div>
+            <div class="row"><span class="label">Date</span><span>${appointment.booking_date.toLocaleDateString('en-IN')}</span></div>
+            <div class="row"><span class="label">Time</span><span>${escapeHtml(appointment.time_slot)}</span></div>
+            <img src="${qrImage}" alt="Check-in QR code" width="200" height="200" style="margin-top: 16px;" />
+            <p class="note">Scan this code at the reception kiosk or show it at the desk when you arrive.</p>
+        </div>
+    </body>
+    </html>`;
+
+    const pdfBuffer = await generatePdf(htmlContent, { format: 'A5' });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="Token-${appointment.token_number}.pdf"`);
+    res.setHeader('Content-Length', pdfBuffer.length);
+    res.send(pdfBuffer);
+  } catch (error) {
+    console.error('Token PDF error:', error);
+    // Fall back to the HTML slip if PDF rendering is unavailable
+    if (htmlContent) {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      return res.send(htmlContent);
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
 // Get single appointment by id (for reschedule prefill)
 router.get('/appointments/:appointmentId', authMiddleware, patientMiddleware, async (req, res) => {
@@ -2674,21 +2759,14 @@ router.post('/appointments/:appointmentId/cancel', authMiddleware, patientMiddle
     const hasConsultationStarted = isSameDay && currentTime >= appointmentTime;
 
     let refundEligible = false;
-    let refundAmount = 0;
-    let refundStatus = 'none';
-    let effectiveMethod = 'upi'; // Default refund method
 
     // Cancellation Policy Logic
     if (isBeforeConsultation && !hasConsultationStarted) {
       // Full refund allowed - consultation hasn't started
       refundEligible = true;
-      refundAmount = appointment.doctor_id?.doctor_info?.consultation_fee || 500;
-      refundStatus = 'pending';
     } else if (hasConsultationStarted || appointment.consultation_started_at) {
       // No refund - consultation has started
       refundEligible = false;
-      refundAmount = 0;
-      refundStatus = 'none';
     }
 
     // Update appointment status
@@ -2699,58 +2777,37 @@ router.post('/appointments/:appointmentId/cancel', authMiddleware, patientMiddle
       cancellation_reason: reason || 'Cancelled by patient'
     };
 
-    // Add refund information if eligible
-    if (refundEligible && appointment.payment_status === 'paid') {
-      updateData.refund_status = refundStatus;
-      updateData.refund_amount = refundAmount;
-      // Lock to original payment method string
-      updateData.refund_method = appointment.paymentMethod || 'wallet';
-      updateData.refund_reference = `REF${Date.now().toString().slice(-6)}`;
-    }
-
     const updatedAppointment = await Token.findByIdAndUpdate(
       appointmentId,
       updateData,
       { new: true }
     );
 
-    // Process refund if eligible
+    // Free the slot and offer it to the next person on the session's waitlist
+    await slotReservationService.releaseToken(appointment);
+    await waitlistService.promoteForToken(appointment);
+    await queueService.broadcast(appointment.doctor_id?._id || appointment.doctor_id, appointment.booking_date);
+    await followUpService.syncWithToken(updatedAppointment);
+    await referralService.syncWithToken(updatedAppointment);
+
+    // Refund if eligible: back through the gateway for online payments, otherwise to the wallet
     let refundResult = null;
     if (refundEligible && appointment.payment_status === 'paid') {
-      // Normalize original method to concrete handler
-      const methodLower = String(appointment.paymentMethod || '').toLowerCase();
-      effectiveMethod = methodLower.includes('upi') ? 'upi'
-        : (methodLower.includes('card') || methodLower.includes('credit') || methodLower.includes('debit')) ? 'card'
-        : methodLower.includes('wallet') ? 'wallet'
-        : methodLower.includes('cash') ? 'cash'
-        : 'upi';
-      refundResult = await processRefund({
-        appointmentId,
-        amount: refundAmount,
-        method: effectiveMethod,
-        patientId: req.patient._id,
-        reference: updateData.refund_reference
-      });
-      
-      // Update refund status based on processing result
-      if (refundResult.success) {
-        await Token.findByIdAndUpdate(appointmentId, { 
-          refund_status: 'processed',
-          payment_status: 'refunded'
-        });
-      } else {
-        await Token.findByIdAndUpdate(appointmentId, { 
-          refund_status: 'failed'
-        });
+      refundResult = await paymentService.refund(appointment, { reason: updateData.cancellation_reason });
+      if (!refundResult.success) {
+        console.error('Cancellation refund failed:', refundResult.message);
       }
     }
+    const refundAmount = refundResult?.refund?.amount || 0;
+    const effectiveMethod = refundResult?.refund?.method || null;
+    const refundStatus = !refundResult ? 'none' : refundResult.success ? refundResult.refund.status : 'failed';
 
     // Send comprehensive cancellation notifications (email, SMS, WhatsApp) - async, don't wait for it
     const refundInfo = {
       eligible: refundEligible,
       amount: refundAmount,
       method: effectiveMethod,
-      status: refundResult?.success ? 'processed' : 'failed'
+      status: refundStatus
     };
     
     notificationService.sendCancellationConfirmation(appointmentId, refundInfo).catch(error => {
@@ -2769,16 +2826,18 @@ router.post('/appointments/:appointmentId/cancel', authMiddleware, patientMiddle
     };
 
     // Add refund information to response
-    if (refundEligible) {
+    if (refundEligible && refundResult) {
       response.refund = {
         eligible: true,
         amount: refundAmount,
         method: effectiveMethod,
-        status: refundResult?.success ? 'processed' : 'failed',
-        reference: updateData.refund_reference,
-        message: refundResult?.success ? 
-          `Refund of ₹${refundAmount} will be processed to your ${effectiveMethod} account` :
-          'Refund processing failed. Please contact support.'
+        status: refundStatus,
+        reference: refundResult.refund?.id || null,
+        message: !refundResult.success ?
+          'Refund processing failed. Please contact support.' :
+          effectiveMethod === 'wallet' ?
+            `Refund of ₹${refundAmount} has been added to your wallet` :
+            `Refund of ₹${refundAmount} has been initiated to your original payment method`
       };
     } else {
       response.refund = {
@@ -2797,39 +2856,6 @@ router.post('/appointments/:appointmentId/cancel', authMiddleware, patientMiddle
   }
 });
 
-// Process refund
-async function processRefund({ appointmentId, amount, method, patientId, reference }) {
-  try {
-    // Simulate refund processing based on method
-    switch (method) {
-      case 'wallet':
-        // Add to patient's wallet balance
-        await User.findByIdAndUpdate(patientId, {
-          $inc: { 'patient_info.wallet_balance': amount }
-        });
-        return { success: true, message: 'Refund added to wallet' };
-        
-      case 'upi':
-        // Simulate UPI refund (in real implementation, integrate with payment gateway)
-        return { success: true, message: 'UPI refund initiated' };
-        
-      case 'card':
-        // Simulate card refund (in real implementation, integrate with payment gateway)
-        return { success: true, message: 'Card refund initiated' };
-        
-      case 'cash':
-        // For cash payments, no automatic refund
-        return { success: false, message: 'Cash refund to be processed manually' };
-        
-      default:
-        return { success: false, message: 'Invalid refund method' };
-    }
-  } catch (error) {
-    console.error('Refund processing error:', error);
-    return { success: false, message: 'Refund processing failed' };
-  }
-}
-
 // Send cancellation notifications
 async function sendCancellationNotifications({ appointment, patient, doctor, familyMember, refundEligible, refundAmount, refundResult }) {
   try {
@@ -3164,7 +3190,7 @@ router.post('/appointments/:id/reschedule', authMiddleware, patientMiddleware, a
 
     const selectedDate = new Date(newDate);
     selectedDate.setHours(0, 0, 0, 0);
-    const schedule = await DoctorSchedule.findOne({ doctor_id: doctorId, date: selectedDate });
+    const schedule = await scheduleRuleService.getScheduleForDate(doctorId, selectedDate);
 
     if (!schedule) {
       return res.status(400).json({ message: `Doctor has no schedule for ${newDate}. Please select a scheduled date.` });
@@ -3174,40 +3200,58 @@ router.post('/appointments/:id/reschedule', authMiddleware, patientMiddleware, a
       return res.status(400).json({ message: `Doctor is not available on ${newDate}. Reason: ${schedule.leave_reason || 'Not specified'}` });
     }
 
-    const workingHours = schedule.working_hours;
-    const breakTime = schedule.break_time;
-
-    const timeMinutes = parseTime(newTime);
-    const startMinutes = parseTime(workingHours.start_time);
-    const endMinutes = parseTime(workingHours.end_time);
-    const breakStart = parseTime(breakTime.start_time);
-    const breakEnd = parseTime(breakTime.end_time);
-    if (timeMinutes < startMinutes || timeMinutes >= endMinutes || (timeMinutes >= breakStart && timeMinutes < breakEnd)) {
+    // The new time must fall inside one of the doctor's sessions for that day
+    const daySessions = await sessionTemplateService.getSessionsForDate(doctorId, selectedDate, schedule);
+    const newSession = findSessionForTime(daySessions, newTime);
+    if (!newSession || !newSession.available) {
       return res.status(400).json({ message: 'Selected time is outside working hours' });
     }
 
-    const nextDay = new Date(selectedDate);
-    nextDay.setDate(nextDay.getDate() + 1);
-    const conflict = await Token.findOne({
-      doctor_id: doctorId,
-      booking_date: { $gte: selectedDate, $lt: nextDay },
-      time_slot: newTime,
-      status: { $nin: ['cancelled', 'missed'] },
-      _id: { $ne: appointment._id }
+    // Reserve the new slot first; the old one is only released once the move is certain.
+    // Picking the slot the token already holds keeps the existing reservation.
+    const previous = { doctorId: appointment.doctor_id, date: appointment.booking_date, time: appointment.time_slot };
+    const keepsSlot = previous.doctorId.toString() === doctorId.toString() &&
+      new Date(previous.date).toDateString() === selectedDate.toDateString() &&
+      previous.time === newTime;
+    const reservation = keepsSlot ? { time: newTime } : await slotReservationService.reserveInSession({
+      doctorId,
+      date: selectedDate,
+      schedule,
+      session: newSession,
+      preferredTime: newTime,
+      tokenId: appointment._id,
+      exactTime: true
     });
-    if (conflict) {
+    if (!reservation) {
       return res.status(400).json({ message: 'Selected time slot is no longer available' });
     }
 
-    // Generate new token number for rescheduled appointment using the same sequential system
-    const newTokenNumber = await generateSequentialTokenNumber(doctorId, selectedDate, sessionType, req.patient._id, appointment.family_member_id);
-
-    appointment.doctor_id = doctorId;
-    appointment.booking_date = selectedDate;
-    appointment.time_slot = newTime;
-    appointment.status = 'booked';
-    appointment.token_number = newTokenNumber;
-    await appointment.save();
+    let newTokenNumber;
+    try {
+      // Generate new token number for rescheduled appointment in the new doctor/session's scope
+      const issued = await generateSequentialTokenNumber(doctorId, selectedDate, newSession.id, req.patient._id, appointment.family_member_id);
+      newTokenNumber = issued.tokenNumber;
+
+      appointment.doctor_id = doctorId;
+      appointment.booking_date = selectedDate;
+      appointment.time_slot = reservation.time;
+      appointment.session_type = newSession.id;
+      appointment.session_time_range = newSession.displayTime;
+      appointment.status = 'booked';
+      appointment.token_number = newTokenNumber;
+      appointment.token_sequence = issued.sequence;
+      appointment.token_scope = issued.scope;
+      appointment.queue_position = null;
+      await appointment.save();
+    } catch (error) {
+      if (!keepsSlot) {
+        await slotReservationService.releaseSlot({ doctorId, date: selectedDate, tokenId: appointment._id, time: reservation.time });
+      }
+      throw error;
+    }
+    if (!keepsSlot) {
+      await slotReservationService.releaseSlot({ ...previous, tokenId: appointment._id });
+    }
 
     // Create in-app notifications for rescheduling
     try {
@@ -3349,7 +3393,7 @@ router.post('/dev/seed-appointments', authMiddleware, patientMiddleware, async (
     for (const item of items) {
       // Generate sequential token number for test data
       const sessionInfo = getSessionInfo(item.time_slot);
-      const tokenNumber = await generateSequentialTokenNumber(doctor._id, item.booking_date, sessionInfo.type, req.patient._id, null);
+      const issued = await generateSequentialTokenNumber(doctor._id, item.booking_date, sessionInfo.type, req.patient._id, null);
       const tok = new Token({
         patient_id: req.patient._id,
         family_member_id: null,
@@ -3361,7 +3405,9 @@ router.post('/dev/seed-appointments', authMiddleware, patientMiddleware, async (
         session_type: item.session_type,
         session_time_range: item.session_time_range,
         status: 'booked',
-        token_number: tokenNumber,
+        token_number: issued.tokenNumber,
+        token_sequence: issued.sequence,
+        token_scope: issued.scope,
         payment_status: 'pending',
         created_by: 'patient',
         estimated_wait_time: Math.floor(Math.random() * 30) + 15
@@ -3660,757 +3706,64 @@ router.put('/deactivate-account', authMiddleware, patientMiddleware, async (req,
   }
 });
 
-// Get patient invoices
+// Get patient invoices (issued invoices and credit notes, newest first)
 router.get('/invoices', authMiddleware, patientMiddleware, async (req, res) => {
   try {
-    console.log('Fetching invoices for patient:', req.patient._id);
-    
-    // Get all appointments for the patient, regardless of payment status
-    const appointments = await Token.find({
-      patient_id: req.patient._id
-    })
-    .populate('doctor_id', 'name doctor_info')
-    .sort({ createdAt: -1 });
-
-    console.log('Found appointments:', appointments.length);
-
-    const invoices = appointments.map(apt => {
-      // Determine payment status based on appointment status
-      let paymentStatus = apt.payment_status || 'pending';
-      if (apt.status === 'cancelled') {
-        paymentStatus = 'cancelled';
-      } else if (apt.status === 'consulted' && apt.payment_status === 'paid') {
-        paymentStatus = 'paid';
-      } else if (apt.status === 'consulted' && apt.payment_status === 'pending') {
-        paymentStatus = 'paid'; // Assume paid if consultation completed
-      }
-
-      return {
-        id: apt._id,
-        invoice_number: `INV-${apt.token_number || apt._id.toString().slice(-6)}`,
-        amount: apt.consultation_fee || 500, // Default consultation fee
-        payment_status: paymentStatus,
-        created_at: apt.createdAt,
-        appointment: {
-          doctorName: apt.doctor_id?.name || 'Unknown Doctor',
-          department: apt.department,
-          appointmentDate: apt.booking_date,
-          timeSlot: apt.time_slot,
-          patientName: apt.patient_name,
-          status: apt.status
-        }
-      };
+    const { page = 1, limit = 100 } = req.query;
+    const result = await invoiceService.list({ patient_id: req.patient._id }, { page, limit });
+    res.json({
+      invoices: result.invoices.map(invoice => invoiceService.toListItem(invoice)),
+      total: result.total,
+      page: result.page,
+      limit: result.limit
     });
-
-    console.log('Generated invoices:', invoices.length);
-    res.json({ invoices });
   } catch (error) {
     console.error('Get invoices error:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// Download invoice PDF
+// Download invoice PDF, rendered from the stored invoice so every download is identical. Accepts the
+// invoice id or, for older clients, the appointment id.
 router.get('/invoices/:invoiceId/download', authMiddleware, patientMiddleware, async (req, res) => {
-  let browser;
   try {
-    const { invoiceId } = req.params;
-    
-    const appointment = await Token.findById(invoiceId)
-      .populate('doctor_id', 'name doctor_info')
-      .populate('patient_id', 'name email phone');
-
-    if (!appointment) {
+    const invoice = await invoiceService.findForPatient(req.params.invoiceId, req.patient._id);
+    if (!invoice) {
       return res.status(404).json({ message: 'Invoice not found' });
     }
 
-    // Verify ownership
-    if (appointment.patient_id._id.toString() !== req.patient._id.toString()) {
-      return res.status(403).json({ message: 'Access denied' });
-    }
-
-    const invoiceData = {
-      invoiceNumber: `INV-${appointment.token_number || appointment._id.toString().slice(-6)}`,
-      date: appointment.createdAt.toLocaleDateString('en-IN'),
-      patientName: appointment.patient_name,
-      patientEmail: appointment.patient_email,
-      doctorName: appointment.doctor_id?.name || 'Unknown Doctor',
-      department: appointment.department,
-      appointmentDate: appointment.booking_date.toLocaleDateString('en-IN'),
-      timeSlot: appointment.time_slot,
-      amount: appointment.consultation_fee || 500,
-      status: appointment.payment_status,
-      transactionId: appointment._id.toString().slice(-8).toUpperCase(),
-      currentDate: new Date().toLocaleDateString('en-IN'),
-      currentTime: new Date().toLocaleTimeString('en-IN')
-    };
-
-    // Generate professional HTML content for PDF
-    const htmlContent = `
-    <!DOCTYPE html>
-    <html>
-    <head>
-        <meta charset="utf-8">
-        <title>Invoice ${invoiceData.invoiceNumber}</title>
-        <style>
-            * { margin: 0; padding: 0; box-sizing: border-box; }
-            body { 
-                font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; 
-                line-height: 1.6; 
-                color: #333; 
-                background: #fff;
-                font-size: 14px;
-            }
-            .invoice-container { 
-                max-width: 800px; 
-                margin: 0 auto; 
-                background: white; 
-                padding: 40px;
-            }
-            .header { 
-                text-align: center; 
-                border-bottom: 3px solid #2563eb; 
-                padding-bottom: 30px; 
-                margin-bottom: 40px; 
-            }
-            .logo { 
-                font-size: 36px; 
-                font-weight: 900; 
-                color: #2563eb; 
-                margin-bottom: 10px; 
-                letter-spacing: 2px;
-            }
-            .company-tagline {
-                font-size: 12px;
-                color: #6b7280;
-                margin-bottom: 20px;
-                text-transform: uppercase;
-                letter-spacing: 1px;
-            }
-            .invoice-title { 
-                font-size: 28px; 
-                color: #1f2937; 
-                margin-bottom: 10px; 
-                font-weight: 700;
-            }
-            .invoice-number { 
-                font-size: 20px; 
-                color: #6b7280; 
-                font-weight: 600;
-            }
-            .invoice-meta {
-                display: flex;
-                justify-content: space-between;
-                margin-bottom: 40px;
-                padding: 20px;
-                background: #f8fafc;
-                border-radius: 8px;
-            }
-            .meta-item {
-                text-align: center;
-            }
-            .meta-label {
-                font-size: 11px;
-                color: #6b7280;
-                text-transform: uppercase;
-                font-weight: 600;
-                letter-spacing: 0.5px;
-                margin-bottom: 5px;
-            }
-            .meta-value {
-                font-size: 14px;
-                color: #1f2937;
-                font-weight: 600;
-            }
-            .section { 
-                margin-bottom: 30px; 
-            }
-            .section-title { 
-                font-size: 18px; 
-                font-weight: 700; 
-                color: #1f2937; 
-                margin-bottom: 20px; 
-                border-bottom: 2px solid #e5e7eb; 
-                padding-bottom: 8px; 
-            }
-            .info-grid { 
-                display: grid; 
-                grid-template-columns: 1fr 1fr; 
-                gap: 30px; 
-                margin-bottom: 25px; 
-            }
-            .info-item { 
-                padding: 15px;
-                background: #f9fafb;
-                border-radius: 6px;
-                border-left: 4px solid #2563eb;
-            }
-            .info-label { 
-                font-size: 11px; 
-                color: #6b7280; 
-                text-transform: uppercase; 
-                font-weight: 700; 
-                margin-bottom: 8px; 
-                letter-spacing: 0.5px;
-            }
-            .info-value { 
-                font-size: 15px; 
-                color: #1f2937; 
-                font-weight: 600; 
-            }
-            .amount-section { 
-                background: linear-gradient(135deg, #f8fafc 0%, #e2e8f0 100%); 
-                padding: 30px; 
-                border-radius: 12px; 
-                margin-top: 30px; 
-                border: 1px solid #e2e8f0;
-            }
-            .amount-row { 
-                display: flex; 
-                justify-content: space-between; 
-                align-items: center; 
-                margin-bottom: 15px; 
-                padding: 8px 0;
-            }
-            .amount-label {
-                font-size: 14px;
-                color: #4b5563;
-                font-weight: 500;
-            }
-            .amount-value {
-                font-size: 16px;
-                color: #1f2937;
-                font-weight: 600;
-            }
-            .total-amount { 
-                font-size: 24px; 
-                font-weight: 800; 
-                color: #2563eb; 
-            }
-            .status-badge { 
-                display: inline-block; 
-                padding: 6px 16px; 
-                border-radius: 25px; 
-                font-size: 11px; 
-                font-weight: 700; 
-                text-transform: uppercase; 
-                letter-spacing: 0.5px;
-            }
-            .status-paid { background: #dcfce7; color: #166534; border: 1px solid #bbf7d0; }
-            .status-pending { background: #fef3c7; color: #92400e; border: 1px solid #fde68a; }
-            .status-cancelled { background: #fee2e2; color: #991b1b; border: 1px solid #fecaca; }
-            .footer { 
-                margin-top: 50px; 
-                padding-top: 30px; 
-                border-top: 2px solid #e5e7eb; 
-                text-align: center; 
-                color: #6b7280; 
-                font-size: 12px; 
-            }
-            .footer p {
-                margin-bottom: 8px;
-            }
-            .watermark {
-                position: fixed;
-                top: 50%;
-                left: 50%;
-                transform: translate(-50%, -50%) rotate(-45deg);
-                font-size: 120px;
-                color: rgba(37, 99, 235, 0.05);
-                font-weight: 900;
-                z-index: -1;
-                pointer-events: none;
-            }
-            @media print {
-                body { margin: 0; }
-                .invoice-container { padding: 20px; }
-            }
-        </style>
-    </head>
-    <body>
-        <div class="watermark">MediQ</div>
-        <div class="invoice-container">
-            <div class="header">
-                <div class="logo">MediQ</div>
-                <div class="company-tagline">Healthcare Management System</div>
-                <div class="invoice-title">Medical Consultation Invoice</div>
-                <div class="invoice-number">Invoice #${invoiceData.invoiceNumber}</div>
-            </div>
-            
-            <div class="invoice-meta">
-                <div class="meta-item">
-                    <div class="meta-label">Invoice Date</div>
-                    <div class="meta-value">${invoiceData.date}</div>
-                </div>
-                <div class="meta-item">
-                    <div class="meta-label">Transaction ID</div>
-                    <div class="meta-value">TXN-${invoiceData.transactionId}</div>
-                </div>
-                <div class="meta-item">
-                    <div class="meta-label">Generated On</div>
-                    <div class="meta-value">${invoiceData.currentDate} at ${invoiceData.currentTime}</div>
-                </div>
-            </div>
-            
-            <div class="section">
-                <div class="section-title">Patient Information</div>
-                <div class="info-grid">
-                    <div class="info-item">
-                        <div class="info-label">Patient Name</div>
-                        <div class="info-value">${invoiceData.patientName}</div>
-                    </div>
-                    <div class="info-item">
-                        <div class="info-label">Email Address</div>
-                        <div class="info-value">${invoiceData.patientEmail}</div>
-                    </div>
-                </div>
-            </div>
-            
-            <div class="section">
-                <div class="section-title">Appointment Details</div>
-                <div class="info-grid">
-                    <div class="info-item">
-                        <div class="info-label">Consulting Doctor</div>
-                        <div class="info-value">Dr. ${invoiceData.doctorName}</div>
-                    </div>
-                    <div class="info-item">
-                        <div class="info-label">Department</div>
-                        <div class="info-value">${invoiceData.department}</div>
-                    </div>
-                    <div class="info-item">
-                        <div class="info-label">Appointment Date</div>
-                        <div class="info-value">${invoiceData.appointmentDate}</div>
-                    </div>
-                    <div class="info-item">
-                        <div class="info-label">Time Slot</div>
-                        <div class="info-value">${invoiceData.timeSlot}</div>
-                    </div>
-                </div>
-            </div>
-            
-            <div class="amount-section">
-                <div class="amount-row">
-                    <span class="amount-label">Consultation Fee:</span>
-                    <span class="amount-value">₹${invoiceData.amount}</span>
-                </div>
-                <div class="amount-row">
-                    <span class="amount-label">Payment Status:</span>
-                    <span class="status-badge status-${invoiceData.status}">${invoiceData.status.toUpperCase()}</span>
-                </div>
-                <div class="amount-row" style="border-top: 2px solid #cbd5e1; padding-top: 15px; margin-top: 15px;">
-                    <span class="total-amount">Total Amount:</span>
-                    <span class="total-amount">₹${invoiceData.amount}</span>
-                </div>
-            </div>
-            
-            <div class="footer">
-                <p><strong>Thank you for choosing MediQ for your healthcare needs.</strong></p>
-                <p>This is a computer-generated invoice and does not require a signature.</p>
-                <p>For any queries, please contact our support team.</p>
-                <p style="margin-top: 20px; font-size: 10px; color: #9ca3af;">
-                    Generated on ${invoiceData.currentDate} at ${invoiceData.currentTime} | Invoice #${invoiceData.invoiceNumber}
-                </p>
-            </div>
-        </div>
-    </body>
-    </html>`;
-
-    // Try html-pdf-node first (lighter and more reliable)
-    let pdfBuffer;
-    try {
-      const options = {
-        format: 'A4',
-        margin: {
-          top: '15mm',
-          right: '15mm',
-          bottom: '15mm',
-          left: '15mm'
-        },
-        printBackground: true,
-        args: ['--no-sandbox', '--disable-setuid-sandbox']
-      };
-      
-      const file = { content: htmlContent };
-      pdfBuffer = await htmlPdf.generatePdf(file, options);
-      
-    } catch (htmlPdfError) {
-      console.log('html-pdf-node failed, trying Puppeteer...', htmlPdfError.message);
-      
-      // Fallback to Puppeteer
-      browser = await puppeteer.launch({
-        headless: true,
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-accelerated-2d-canvas',
-          '--no-first-run',
-          '--no-zygote',
-          '--single-process',
-          '--disable-gpu'
-        ]
-      });
-      
-      const page = await browser.newPage();
-      await page.setViewport({ width: 1200, height: 800 });
-      await page.setContent(htmlContent, { 
-        waitUntil: 'networkidle0',
-        timeout: 30000 
-      });
-      
-      pdfBuffer = await page.pdf({
-        format: 'A4',
-        printBackground: true,
-        preferCSSPageSize: false,
-        margin: {
-          top: '15mm',
-          right: '15mm',
-          bottom: '15mm',
-          left: '15mm'
-        },
-        displayHeaderFooter: false,
-        timeout: 30000
-      });
-
-      await browser.close();
+    const { html, pdf } = await invoiceService.render(invoice);
+    if (!pdf) {
+      // Fallback: return the HTML when PDF generation is unavailable
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${invoiceService.fileName(invoice, 'html')}"`);
+      return res.send(html);
     }
-
-    // Set response headers for PDF download
     res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="Invoice-${invoiceData.invoiceNumber}.pdf"`);
-    res.setHeader('Content-Length', pdfBuffer.length);
-    
-    res.send(pdfBuffer);
-    
+    res.setHeader('Content-Disposition', `attachment; filename="${invoiceService.fileName(invoice)}"`);
+    res.setHeader('Content-Length', pdf.length);
+    res.send(pdf);
   } catch (error) {
-    if (browser) {
-      await browser.close();
-    }
     console.error('Download invoice error:', error);
-    
-    // Fallback: Return HTML content if PDF generation fails
-    try {
-      console.log('PDF generation failed, falling back to HTML...');
-      res.setHeader('Content-Type', 'text/html; charset=utf-8');
-      res.setHeader('Content-Disposition', `attachment; filename="Invoice-${invoiceData.invoiceNumber}.html"`);
-      res.send(htmlContent);
-    } catch (fallbackError) {
-      console.error('Fallback also failed:', fallbackError);
-      res.status(500).json({ 
-        message: 'PDF generation failed. Please try again or contact support.', 
-        error: error.message 
-      });
-    }
+    res.status(500).json({ message: 'Server error' });
   }
 });
 
 // Send invoice via email
 router.post('/invoices/:invoiceId/email', authMiddleware, patientMiddleware, async (req, res) => {
-  let browser;
   try {
-    const { invoiceId } = req.params;
-    
-    const appointment = await Token.findById(invoiceId)
-      .populate('doctor_id', 'name doctor_info')
-      .populate('patient_id', 'name email phone');
-
-    if (!appointment) {
+    const invoice = await invoiceService.findForPatient(req.params.invoiceId, req.patient._id);
+    if (!invoice) {
       return res.status(404).json({ message: 'Invoice not found' });
     }
 
-    // Verify ownership
-    if (appointment.patient_id._id.toString() !== req.patient._id.toString()) {
-      return res.status(403).json({ message: 'Access denied' });
-    }
-
-    const invoiceData = {
-      invoiceNumber: `INV-${appointment.token_number || appointment._id.toString().slice(-6)}`,
-      date: appointment.createdAt.toLocaleDateString('en-IN'),
-      patientName: appointment.patient_name,
-      patientEmail: appointment.patient_email,
-      doctorName: appointment.doctor_id?.name || 'Unknown Doctor',
-      department: appointment.department,
-      appointmentDate: appointment.booking_date.toLocaleDateString('en-IN'),
-      timeSlot: appointment.time_slot,
-      amount: appointment.consultation_fee || 500,
-      status: appointment.payment_status,
-      transactionId: appointment._id.toString().slice(-8).toUpperCase(),
-      currentDate: new Date().toLocaleDateString('en-IN'),
-      currentTime: new Date().toLocaleTimeString('en-IN')
-    };
-
-    // Generate professional HTML content for PDF
-    const htmlContent = `
-    <!DOCTYPE html>
-    <html>
-    <head>
-        <meta charset="utf-8">
-        <title>Invoice ${invoiceData.invoiceNumber}</title>
-        <style>
-            * { margin: 0; padding: 0; box-sizing: border-box; }
-            body { 
-                font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; 
-                line-height: 1.6; 
-                color: #333; 
-                background: #fff;
-                font-size: 14px;
-                padding: 20px;
-            }
-            .invoice-container { 
-                max-width: 800px; 
-                margin: 0 auto; 
-                background: white; 
-                box-shadow: 0 0 20px rgba(0,0,0,0.1); 
-                border-radius: 8px; 
-                overflow: hidden;
-            }
-            .header { 
-                background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
-                color: white; 
-                padding: 30px; 
-                text-align: center; 
-            }
-            .header h1 { 
-                font-size: 28px; 
-                margin-bottom: 10px; 
-                font-weight: 700; 
-            }
-            .header p { 
-                font-size: 16px; 
-                opacity: 0.9; 
-            }
-            .invoice-details { 
-                padding: 30px; 
-                background: #f8fafc; 
-                border-bottom: 1px solid #e2e8f0; 
-            }
-            .invoice-number { 
-                font-size: 24px; 
-                font-weight: 700; 
-                color: #1f2937; 
-                margin-bottom: 20px; 
-            }
-            .invoice-meta { 
-                display: grid; 
-                grid-template-columns: 1fr 1fr; 
-                gap: 20px; 
-                margin-bottom: 20px; 
-            }
-            .meta-item { 
-                background: white; 
-                padding: 15px; 
-                border-radius: 6px; 
-                border-left: 4px solid #3b82f6; 
-            }
-            .meta-label { 
-                font-size: 12px; 
-                color: #6b7280; 
-                text-transform: uppercase; 
-                font-weight: 600; 
-                margin-bottom: 5px; 
-            }
-            .meta-value { 
-                font-size: 16px; 
-                color: #1f2937; 
-                font-weight: 600; 
-            }
-            .content { 
-                padding: 30px; 
-            }
-            .section { 
-                margin-bottom: 30px; 
-            }
-            .section-title { 
-                font-size: 18px; 
-                font-weight: 700; 
-                color: #1f2937; 
-                margin-bottom: 20px; 
-                border-bottom: 2px solid #e5e7eb; 
-                padding-bottom: 8px; 
-            }
-            .info-grid { 
-                display: grid; 
-                grid-template-columns: 1fr 1fr; 
-                gap: 30px; 
-                margin-bottom: 25px; 
-            }
-            .info-item { 
-                padding: 15px;
-                background: #f9fafb;
-                border-radius: 6px;
-                border-left: 4px solid #2563eb;
-            }
-            .info-label { 
-                font-size: 11px; 
-                color: #6b7280; 
-                text-transform: uppercase; 
-                font-weight: 600; 
-                margin-bottom: 5px; 
-            }
-            .info-value { 
-                font-size: 14px; 
-                color: #1f2937; 
-                font-weight: 600; 
-            }
-            .amount-section { 
-                background: #f0f9ff; 
-                padding: 25px; 
-                border-radius: 8px; 
-                border: 2px solid #0ea5e9; 
-                text-align: center; 
-                margin: 30px 0; 
-            }
-            .amount-label { 
-                font-size: 14px; 
-                color: #0369a1; 
-                margin-bottom: 10px; 
-                font-weight: 600; 
-            }
-            .amount-value { 
-                font-size: 32px; 
-                color: #0c4a6e; 
-                font-weight: 800; 
-                margin-bottom: 5px; 
-            }
-            .amount-currency { 
-                font-size: 16px; 
-                color: #0369a1; 
-                font-weight: 600; 
-            }
-            .status-badge { 
-                display: inline-block; 
-                padding: 8px 16px; 
-                border-radius: 20px; 
-                font-size: 12px; 
-                font-weight: 600; 
-                text-transform: uppercase; 
-                margin-top: 10px; 
-            }
-            .status-paid { 
-                background: #dcfce7; 
-                color: #166534; 
-            }
-            .status-pending { 
-                background: #fef3c7; 
-                color: #92400e; 
-            }
-            .footer { 
-                background: #1f2937; 
-                color: white; 
-                padding: 25px; 
-                text-align: center; 
-            }
-            .footer p { 
-                margin-bottom: 10px; 
-                opacity: 0.8; 
-            }
-            .footer .highlight { 
-                color: #60a5fa; 
-                font-weight: 600; 
-            }
-        </style>
-    </head>
-    <body>
-        <div class="invoice-container">
-            <div class="header">
-                <h1>Medical Invoice</h1>
-                <p>Professional Healthcare Services</p>
-            </div>
-            
-            <div class="invoice-details">
-                <div class="invoice-number">Invoice #${invoiceData.invoiceNumber}</div>
-                <div class="invoice-meta">
-                    <div class="meta-item">
-                        <div class="meta-label">Invoice Date</div>
-                        <div class="meta-value">${invoiceData.currentDate}</div>
-                    </div>
-                    <div class="meta-item">
-                        <div class="meta-label">Transaction ID</div>
-                        <div class="meta-value">${invoiceData.transactionId}</div>
-                    </div>
-                </div>
-            </div>
-            
-            <div class="content">
-                <div class="section">
-                    <div class="section-title">Patient Information</div>
-                    <div class="info-grid">
-                        <div class="info-item">
-                            <div class="info-label">Patient Name</div>
-                            <div class="info-value">${invoiceData.patientName}</div>
-                        </div>
-                        <div class="info-item">
-                            <div class="info-label">Email Address</div>
-                            <div class="info-value">${invoiceData.patientEmail}</div>
-                        </div>
-                    </div>
-                </div>
-                
-                <div class="section">
-                    <div class="section-title">Appointment Details</div>
-                    <div class="info-grid">
-                        <div class="info-item">
-                            <div class="info-label">Doctor</div>
-                            <div class="info-value">Dr. ${invoiceData.doctorName}</div>
-                        </div>
-                        <div class="info-item">
-                            <div class="info-label">Department</div>
-                            <div class="info-value">${invoiceData.department}</div>
-                        </div>
-                        <div class="info-item">
-                            <div class="info-label">Appointment Date</div>
-                            <div class="info-value">${invoiceData.appointmentDate}</div>
-                        </div>
-                        <div class="info-item">
-                            <div class="info-label">Time Slot</div>
-                            <div class="info-value">${invoiceData.timeSlot}</div>
-                        </div>
-                    </div>
-                </div>
-                
-                <div class="amount-section">
-                    <div class="amount-label">Total Amount</div>
-                    <div class="amount-value">₹${invoiceData.amount}</div>
-                    <div class="amount-currency">Indian Rupees</div>
-                    <div class="status-badge status-${invoiceData.status}">${invoiceData.status.toUpperCase()}</div>
-                </div>
-            </div>
-            
-            <div class="footer">
-                <p>Thank you for choosing our healthcare services!</p>
-                <p>For any queries, please contact our support team.</p>
-                <p>Generated on <span class="highlight">${invoiceData.currentDate}</span> at <span class="highlight">${invoiceData.currentTime}</span></p>
-            </div>
-        </div>
-    </body>
-    </html>
-    `;
-
-    // Generate PDF using Puppeteer
-    browser = await puppeteer.launch({
-      headless: true,
-      args: ['--no-sandbox', '--disable-setuid-sandbox']
-    });
-    
-    const page = await browser.newPage();
-    await page.setContent(htmlContent, { waitUntil: 'networkidle0' });
-    
-    const pdfBuffer = await page.pdf({
-      format: 'A4',
-      printBackground: true,
-      margin: {
-        top: '20px',
-        right: '20px',
-        bottom: '20px',
-        left: '20px'
-      }
-    });
-
-    await browser.close();
+    const invoiceData = invoiceService.toEmailSummary(invoice);
+    const email = req.patient.email || invoiceData.patientEmail;
+    const { pdf: pdfBuffer } = await invoiceService.render(invoice);
 
     // Send email with PDF attachment
     await emailService.sendEmail({
-      to: appointment.patient_id.email,
+      to: email,
       subject: `Invoice ${invoiceData.invoiceNumber} - MediQ Healthcare Services`,
       html: `
         <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
@@ -4442,7 +3795,7 @@ router.post('/invoices/:invoiceId/email', authMiddleware, patientMiddleware, asy
             
             <div style="background: #fef3c7; border: 1px solid #f59e0b; border-radius: 8px; padding: 15px; margin-bottom: 20px;">
               <h4 style="color: #92400e; margin: 0 0 10px 0;">📧 Email Delivery</h4>
-              <p style="color: #92400e; margin: 0;">Your invoice has been sent to: <strong>${appointment.patient_id.email}</strong></p>
+              <p style="color: #92400e; margin: 0;">Your invoice has been sent to: <strong>${email}</strong></p>
               <p style="color: #92400e; margin: 5px 0 0 0; font-size: 14px;">Please check your inbox and spam folder if you don't see it within a few minutes.</p>
             </div>
             
@@ -4453,26 +3806,23 @@ router.post('/invoices/:invoiceId/email', authMiddleware, patientMiddleware, asy
           </div>
         </div>
       `,
-      attachments: [
+      attachments: pdfBuffer ? [
         {
-          filename: `Invoice-${invoiceData.invoiceNumber}.pdf`,
+          filename: invoiceService.fileName(invoice),
           content: pdfBuffer,
           contentType: 'application/pdf'
         }
-      ]
+      ] : []
     });
 
     res.json({
       success: true,
       message: 'Invoice sent successfully to your email address',
       invoiceNumber: invoiceData.invoiceNumber,
-      email: appointment.patient_id.email
+      email
     });
     
   } catch (error) {
-    if (browser) {
-      await browser.close();
-    }
     console.error('Send invoice email error:', error);
     res.status(500).json({ 
       success: false,
@@ -4632,47 +3982,8 @@ router.put('/settings', authMiddleware, patientMiddleware, async (req, res) => {
 // Get patient invoices for settings page
 router.get('/settings/invoices', authMiddleware, patientMiddleware, async (req, res) => {
   try {
-    console.log('Fetching invoices for settings page - patient:', req.patient._id);
-    
-    // Get all appointments for the patient from Token model (same as working invoices endpoint)
-    const appointments = await Token.find({
-      $or: [
-        { patient_id: req.patient._id },
-        { 'family_member_id.patientId': req.patient._id }
-      ]
-    })
-    .populate('doctor_id', 'name email')
-    .sort({ createdAt: -1 });
-
-    console.log('Found appointments for settings invoices:', appointments.length);
-
-    const formattedInvoices = appointments.map(apt => {
-      // Determine payment status based on appointment status
-      let paymentStatus = apt.payment_status || 'pending';
-      if (apt.status === 'cancelled') {
-        paymentStatus = 'cancelled';
-      } else if (apt.status === 'consulted' && apt.payment_status === 'paid') {
-        paymentStatus = 'paid';
-      }
-
-      return {
-        id: apt._id,
-        invoice_number: `INV-${apt._id.toString().slice(-8).toUpperCase()}`,
-        amount: apt.amount || 500,
-        payment_status: paymentStatus,
-        created_at: apt.createdAt,
-        appointment: {
-          appointmentDate: apt.booking_date,
-          appointmentTime: apt.time_slot,
-          doctorName: apt.doctor_id?.name || 'Unknown Doctor',
-          departmentName: apt.department || 'Unknown Department'
-        },
-        patient_name: apt.family_member_id ? apt.family_member_id.name : (apt.patient_id?.name || 'Unknown Patient'),
-        status: apt.status
-      };
-    });
-
-    console.log('Generated formatted invoices for settings:', formattedInvoices.length);
+    const result = await invoiceService.list({ patient_id: req.patient._id }, { page: req.query.page, limit: req.query.limit || 100 });
+    const formattedInvoices = result.invoices.map(invoice => invoiceService.toListItem(invoice));
 
     res.json({
       success: true,
@@ -4750,6 +4061,10 @@ router.get('/settings/consulted-appointments', authMiddleware, patientMiddleware
     .sort({ consultation_completed_at: -1, booking_date: -1 })
     .select('_id booking_date time_slot status doctor_id department diagnosis consultation_completed_at appointment_type meeting_link consultationData');
 
+    // Consultation details come from the clinical note written by either consultation form
+    const { notes } = await clinicalNoteService.list({ token_id: { $in: appointments.map(appointment => appointment._id) } }, { limit: 0 });
+    const notesByToken = new Map(notes.map(note => [(note.token_id?._id || note.token_id).toString(), note]));
+
     const formattedAppointments = appointments.map(appointment => ({
       id: appointment._id,
       appointmentDate: appointment.booking_date,
@@ -4762,7 +4077,9 @@ router.get('/settings/consulted-appointments', authMiddleware, patientMiddleware
       appointmentType: appointment.appointment_type,
       isVideoConsultation: appointment.appointment_type === 'video',
       meetingLink: appointment.meeting_link,
-      consultationData: appointment.consultationData
+      consultationData: notesByToken.has(appointment._id.toString())
+        ? clinicalNoteService.toConsultationData(notesByToken.get(appointment._id.toString()).content.toObject())
+        : appointment.consultationData
     }));
 
     res.json({
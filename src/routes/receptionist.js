@@ -1,49 +1,22 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const { User, Token, Appointment } = require('../models/User');
 const Department = require('../models/Department');
+const FamilyMember = require('../models/FamilyMember');
 const DoctorSchedule = require('../models/DoctorSchedule');
 const { authMiddleware } = require('../middleware/authMiddleware');
-const { getSessionInfo, parseTime, generateSequentialTokenNumber } = require('../utils/bookingUtils');
-
-// Helper function to calculate sequential time slot based on token number
-function calculateSequentialTimeSlot(tokenNumber, sessionType, slotDuration) {
-  // Extract the numeric part from token number (e.g., T001 -> 1, T002 -> 2)
-  const tokenNum = parseInt(tokenNumber.replace('T', ''));
-  
-  // Define session start times
-  let sessionStartTime;
-  switch (sessionType) {
-    case 'morning':
-      sessionStartTime = '09:00';
-      break;
-    case 'afternoon':
-      sessionStartTime = '14:00';
-      break;
-    case 'evening':
-      sessionStartTime = '18:00';
-      break;
-    default:
-      sessionStartTime = '09:00';
-  }
-  
-  // Calculate the time slot based on token number and slot duration
-  // Token 1 = session start time, Token 2 = session start + slot duration, etc.
-  const totalMinutes = (tokenNum - 1) * slotDuration;
-  
-  // Parse session start time
-  const [startHours, startMinutes] = sessionStartTime.split(':').map(Number);
-  const startTimeInMinutes = startHours * 60 + startMinutes;
-  
-  // Calculate the actual time
-  const actualTimeInMinutes = startTimeInMinutes + totalMinutes;
-  
-  // Convert back to HH:MM format
-  const hours = Math.floor(actualTimeInMinutes / 60);
-  const minutes = actualTimeInMinutes % 60;
-  
-  return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
-}
+const sessionTemplateService = require('../services/sessionTemplateService');
+const scheduleRuleService = require('../services/scheduleRuleService');
+const slotReservationService = require('../services/slotReservationService');
+const overbookingService = require('../services/overbookingService');
+const queueService = require('../services/queueService');
+const checkInService = require('../services/checkInService');
+const roomService = require('../services/roomService');
+const invoiceService = require('../services/invoiceService');
+const paymentService = require('../services/paymentService');
+const cashShiftService = require('../services/cashShiftService');
+const { findSessionForTime, generateSequentialTokenNumber } = require('../utils/bookingUtils');
 
 // Middleware to check if user is a receptionist
 const receptionistMiddleware = async (req, res, next) => {
@@ -77,7 +50,8 @@ router.get('/appointments/today', authMiddleware, receptionistMiddleware, async
     .populate('family_member_id', 'name age relation')
     .sort({ time_slot: 1 });
 
-    const formattedAppointments = appointments.map(apt => ({
+    const resolveRoom = roomService.createResolver();
+    const formattedAppointments = await Promise.all(appointments.map(async apt => ({
       _id: apt._id,
       tokenNumber: apt.token_number,
       patientName: apt.family_member_id ? apt.family_member_id.name : apt.patient_id.name,
@@ -92,8 +66,14 @@ router.get('/appointments/today', authMiddleware, receptionistMiddleware, async
       estimatedWaitTime: apt.estimated_wait_time,
       paymentStatus: apt.payment_status,
       isFamilyMember: !!apt.family_member_id,
-      familyMemberInfo: apt.family_member_id
-    }));
+      familyMemberInfo: apt.family_member_id,
+      isPriority: !!apt.priority_flag,
+      isOverbooked: !!apt.is_overbooked,
+      arrived: !!apt.checked_in_at,
+      checkedInAt: apt.checked_in_at,
+      isLateArrival: !!apt.is_late_arrival,
+      room: await resolveRoom(apt.doctor_id._id, apt.booking_date, apt.session_type)
+    })));
 
     res.json({ appointments: formattedAppointments });
   } catch (error) {
@@ -176,7 +156,9 @@ router.get('/appointments', authMiddleware, receptionistMiddleware, async (req,
       estimatedWaitTime: apt.estimated_wait_time,
       paymentStatus: apt.payment_status,
       isFamilyMember: !!apt.family_member_id,
-      familyMemberInfo: apt.family_member_id
+      familyMemberInfo: apt.family_member_id,
+      isPriority: !!apt.priority_flag,
+      isOverbooked: !!apt.is_overbooked
     }));
 
     res.json({ 
@@ -226,6 +208,12 @@ router.patch('/appointments/:id/status', authMiddleware, receptionistMiddleware,
       return res.status(404).json({ message: 'Appointment not found' });
     }
 
+    // Cancelled or no-show appointments give their slot back
+    if (['cancelled', 'no-show'].includes(status)) {
+      await slotReservationService.releaseToken(appointment);
+    }
+    await queueService.broadcast(appointment.doctor_id._id, appointment.booking_date);
+
     res.json({ 
       message: 'Appointment status updated successfully',
       appointment: {
@@ -243,6 +231,61 @@ router.patch('/appointments/:id/status', authMiddleware, receptionistMiddleware,
   }
 });
 
+// Check-in response shared by the manual and QR check-in routes
+const formatArrival = (token) => ({
+  _id: token._id,
+  tokenNumber: token.token_number,
+  patientName: token.patient_name,
+  timeSlot: token.time_slot,
+  arrived: !!token.checked_in_at,
+  checkedInAt: token.checked_in_at,
+  checkInMethod: token.check_in_method,
+  isLateArrival: !!token.is_late_arrival,
+  lateByMinutes: token.late_by_minutes || 0
+});
+
+// Reception check-in: mark the patient as arrived (or undo with { arrived: false })
+router.patch('/appointments/:id/arrival', authMiddleware, receptionistMiddleware, async (req, res) => {
+  try {
+    const arrived = req.body.arrived === undefined ? true : req.body.arrived === true || req.body.arrived === 'true';
+    const result = await queueService.setArrival(req.params.id, arrived, { method: 'manual', by: req.receptionist._id });
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 400).json({ message: result.message });
+    }
+
+    res.json({
+      message: !arrived ? 'Check-in cleared' : (result.alreadyCheckedIn ? 'Patient already checked in' : 'Patient checked in'),
+      appointment: formatArrival(result.token)
+    });
+  } catch (error) {
+    console.error('Update arrival error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Check in by scanning the QR code on the patient's token (reception kiosk or receptionist app)
+router.post('/check-in', authMiddleware, receptionistMiddleware, async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({ message: 'code is required' });
+    }
+
+    const result = await checkInService.checkInWithCode(code, req.receptionist._id);
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 400).json({ message: result.message });
+    }
+
+    res.json({
+      message: result.alreadyCheckedIn ? 'Patient already checked in' : 'Patient checked in',
+      appointment: formatArrival(result.token)
+    });
+  } catch (error) {
+    console.error('QR check-in error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Reschedule appointment
 router.patch('/appointments/:id/reschedule', authMiddleware, receptionistMiddleware, async (req, res) => {
   try {
@@ -264,10 +307,7 @@ router.patch('/appointments/:id/reschedule', authMiddleware, receptionistMiddlew
     selectedDate.setHours(0, 0, 0, 0);
 
     // Check if doctor is available on new date
-    const schedule = await DoctorSchedule.findOne({
-      doctor_id: appointment.doctor_id._id,
-      date: selectedDate
-    });
+    const schedule = await scheduleRuleService.getScheduleForDate(appointment.doctor_id._id, selectedDate);
 
     if (!schedule || !schedule.is_available) {
       return res.status(400).json({ 
@@ -275,40 +315,69 @@ router.patch('/appointments/:id/reschedule', authMiddleware, receptionistMiddlew
       });
     }
 
-    // Check if new time slot is available
-    const nextDay = new Date(selectedDate);
-    nextDay.setDate(nextDay.getDate() + 1);
+    const doctorId = appointment.doctor_id._id;
+    const daySessions = await sessionTemplateService.getSessionsForDate(doctorId, selectedDate, schedule);
+    const session = findSessionForTime(daySessions, newTime);
+    if (!session || !session.available) {
+      return res.status(400).json({ 
+        message: `Doctor has no available session at ${newTime} on ${newDate}` 
+      });
+    }
 
-    const existingAppointment = await Token.findOne({
-      doctor_id: appointment.doctor_id._id,
-      booking_date: { $gte: selectedDate, $lt: nextDay },
-      time_slot: newTime,
-      status: { $nin: ['cancelled', 'missed'] },
-      _id: { $ne: id }
+    // Reserve the new slot before giving up the old one (same slot keeps its reservation)
+    const keepsSlot = new Date(appointment.booking_date).toDateString() === selectedDate.toDateString() &&
+      appointment.time_slot === newTime;
+    const reservation = keepsSlot ? { time: newTime } : await slotReservationService.reserveInSession({
+      doctorId,
+      date: selectedDate,
+      schedule,
+      session,
+      preferredTime: newTime,
+      tokenId: appointment._id,
+      exactTime: true
     });
 
-    if (existingAppointment) {
+    if (!reservation) {
       return res.status(400).json({ 
         message: 'Time slot is already booked' 
       });
     }
 
     // Update appointment
-    const updatedAppointment = await Token.findByIdAndUpdate(
-      id,
-      { 
-        booking_date: selectedDate,
-        time_slot: newTime,
-        reschedule_reason: reason,
-        rescheduled_by: 'receptionist',
-        rescheduled_at: new Date(),
-        updated_at: new Date()
-      },
-      { new: true }
-    )
-    .populate('patient_id', 'name email phone')
-    .populate('doctor_id', 'name')
-    .populate('family_member_id', 'name age relation');
+    let updatedAppointment;
+    try {
+      updatedAppointment = await Token.findByIdAndUpdate(
+        id,
+        { 
+          booking_date: selectedDate,
+          time_slot: reservation.time,
+          session_type: session.id,
+          session_time_range: session.displayTime,
+          reschedule_reason: reason,
+          rescheduled_by: 'receptionist',
+          rescheduled_at: new Date(),
+          updated_at: new Date()
+        },
+        { new: true }
+      )
+      .populate('patient_id', 'name email phone')
+      .populate('doctor_id', 'name')
+      .populate('family_member_id', 'name age relation');
+    } catch (error) {
+      if (!keepsSlot) {
+        await slotReservationService.releaseSlot({ doctorId, date: selectedDate, tokenId: appointment._id, time: reservation.time });
+      }
+      throw error;
+    }
+
+    if (!keepsSlot) {
+      await slotReservationService.releaseSlot({
+        doctorId,
+        date: appointment.booking_date,
+        tokenId: appointment._id,
+        time: appointment.time_slot
+      });
+    }
 
     // Send WhatsApp rescheduling confirmation
     const whatsappBotService = require('../services/whatsappBotService');
@@ -356,9 +425,17 @@ router.get('/queue/status', authMiddleware, receptionistMiddleware, async (req,
     .populate('family_member_id', 'name age relation')
     .sort({ time_slot: 1 });
 
-    // Group by doctor
+    // Group by doctor, each doctor's active tokens in queue-engine order
+    const doctorIds = [...new Set(appointments.map(apt => apt.doctor_id._id.toString()))];
+    const queues = await Promise.all(doctorIds.map(doctorId => queueService.getQueue(doctorId, today)));
+    const queueEntries = new Map();
+    queues.forEach(queue => queue.forEach((entry, index) => queueEntries.set(entry.token._id.toString(), { ...entry, index })));
+    const rank = apt => queueEntries.has(apt._id.toString()) ? queueEntries.get(apt._id.toString()).index : Number.MAX_SAFE_INTEGER;
+
+    const resolveRoom = roomService.createResolver();
     const queueByDoctor = {};
-    appointments.forEach(apt => {
+    for (const apt of [...appointments].sort((a, b) => rank(a) - rank(b))) {
+      const entry = queueEntries.get(apt._id.toString());
       const doctorId = apt.doctor_id._id.toString();
       if (!queueByDoctor[doctorId]) {
         queueByDoctor[doctorId] = {
@@ -380,9 +457,16 @@ router.get('/queue/status', authMiddleware, receptionistMiddleware, async (req,
         status: apt.status,
         symptoms: apt.symptoms,
         estimatedWaitTime: apt.estimated_wait_time,
-        isFamilyMember: !!apt.family_member_id
+        isFamilyMember: !!apt.family_member_id,
+        isPriority: !!apt.priority_flag,
+        isOverbooked: !!apt.is_overbooked,
+        queuePosition: entry ? entry.position : null,
+        queueState: entry ? entry.state : null,
+        arrived: !!apt.checked_in_at,
+        isLateArrival: !!apt.is_late_arrival,
+        room: await resolveRoom(doctorId, apt.booking_date, apt.session_type)
       });
-    });
+    }
 
     // Calculate queue statistics
     const totalWaiting = appointments.filter(apt => apt.status === 'booked' || apt.status === 'confirmed').length;
@@ -549,7 +633,10 @@ router.post('/appointments', authMiddleware, receptionistMiddleware, async (req,
       appointmentTime,
       symptoms,
       familyMemberId,
-      notes
+      notes,
+      priorityFlag = false,
+      overbook = false,
+      overbookingReason
     } = req.body;
 
     // Validate required fields
@@ -579,13 +666,8 @@ router.post('/appointments', authMiddleware, receptionistMiddleware, async (req,
     const selectedDate = new Date(appointmentDate);
     selectedDate.setHours(0, 0, 0, 0);
 
-    // Check if doctor is available on that date (timezone-safe day range)
-    const endOfDay = new Date(selectedDate);
-    endOfDay.setDate(endOfDay.getDate() + 1);
-    const schedule = await DoctorSchedule.findOne({
-      doctor_id: doctorId,
-      date: { $gte: selectedDate, $lt: endOfDay }
-    });
+    // Check if doctor is available on that date (explicit schedule or weekly rule)
+    const schedule = await scheduleRuleService.getScheduleForDate(doctorId, selectedDate);
 
     if (!schedule || !schedule.is_available) {
       return res.status(400).json({ 
@@ -593,28 +675,14 @@ router.post('/appointments', authMiddleware, receptionistMiddleware, async (req,
       });
     }
 
-    // Check if time slot is available
     const nextDay = new Date(selectedDate);
     nextDay.setDate(nextDay.getDate() + 1);
 
-    const existingAppointment = await Token.findOne({
-      doctor_id: doctorId,
-      booking_date: { $gte: selectedDate, $lt: nextDay },
-      time_slot: appointmentTime,
-      status: { $nin: ['cancelled', 'missed'] }
-    });
-
-    if (existingAppointment) {
-      return res.status(400).json({ 
-        message: 'Time slot is already booked' 
-      });
-    }
-
     // Block multiple active appointments in the same department on the same date (for self or same family member)
     const activeSameDepartmentQuery = {
       patient_id: patientId,
       department: department.name,
-      booking_date: { $gte: selectedDate, $lt: endOfDay }, // Add date check
+      booking_date: { $gte: selectedDate, $lt: nextDay }, // Add date check
       status: { $in: ['booked', 'in_queue'] }
     };
     if (familyMemberId && familyMemberId !== 'self') {
@@ -639,21 +707,76 @@ router.post('/appointments', authMiddleware, receptionistMiddleware, async (req,
       familyMemberObjectId = fm._id;
     }
 
-    // Determine session type based on appointment time
-    const appointmentMinutes = parseTime(appointmentTime);
-    const sessionInfo = getSessionInfo(appointmentTime);
-    const sessionType = sessionInfo.type;
+    // Determine session from the doctor's session templates
+    const daySessions = await sessionTemplateService.getSessionsForDate(doctorId, selectedDate, schedule, departmentId);
+    const session = findSessionForTime(daySessions, appointmentTime);
+    if (!session || !session.available) {
+      return res.status(400).json({
+        message: `Doctor has no available session at ${appointmentTime} on ${appointmentDate}`
+      });
+    }
+    const sessionType = session.id;
 
-    // Generate sequential token number based on session type
-    const tokenNumber = await generateSequentialTokenNumber(doctorId, selectedDate, sessionType, patientId, familyMemberObjectId);
+    // Reserve the requested slot, or the next free one in the session
+    const appointmentId = new mongoose.Types.ObjectId();
+    const reservation = await slotReservationService.reserveInSession({
+      doctorId,
+      date: selectedDate,
+      schedule,
+      session,
+      preferredTime: appointmentTime,
+      tokenId: appointmentId
+    });
 
-    // Calculate sequential time slot based on token number and slot duration
-    const slotDuration = schedule?.slot_duration || 30;
-    const sequentialTimeSlot = calculateSequentialTimeSlot(tokenNumber, sessionType, slotDuration);
-    console.log(`[RECEPTIONIST-BOOK] Token: ${tokenNumber}, Original time: ${appointmentTime}, Sequential time: ${sequentialTimeSlot}`);
+    // Session full: issue an over-capacity token if asked for and the department's policy allows it
+    const policy = overbookingService.getPolicy(department);
+    const mayOverbook = overbookingService.isRoleAllowed(policy, 'receptionist');
+    let isOverbooked = false;
+    if (!reservation) {
+      if (overbook !== true && overbook !== 'true') {
+        return res.status(400).json({ 
+          message: `${session.name} is fully booked on ${appointmentDate}`,
+          overbookingAvailable: mayOverbook
+        });
+      }
+      if (!mayOverbook) {
+        return res.status(403).json({
+          message: `Overbooking is not allowed for receptionists in ${department.name}`
+        });
+      }
+      const granted = await slotReservationService.reserveOverbooking({
+        doctorId,
+        date: selectedDate,
+        schedule,
+        session,
+        tokenId: appointmentId,
+        limit: policy.maxOverbookedPerSession
+      });
+      if (!granted) {
+        return res.status(400).json({
+          message: `Overbooking limit reached for ${session.name} on ${appointmentDate} (${policy.maxOverbookedPerSession} per session)`
+        });
+      }
+      isOverbooked = true;
+    }
+    const releaseReservation = () => isOverbooked
+      ? slotReservationService.releaseOverbooking({ doctorId, date: selectedDate, tokenId: appointmentId })
+      : slotReservationService.releaseSlot({ doctorId, date: selectedDate, tokenId: appointmentId });
+    const timeSlot = isOverbooked ? appointmentTime : reservation.time;
+
+    // Generate sequential token number based on session type
+    let tokenNumber, tokenSequence, tokenScope;
+    try {
+      ({ tokenNumber, sequence: tokenSequence, scope: tokenScope } = await generateSequentialTokenNumber(doctorId, selectedDate, sessionType, patientId, familyMemberObjectId));
+    } catch (error) {
+      await releaseReservation();
+      throw error;
+    }
+    console.log(`[RECEPTIONIST-BOOK] Token: ${tokenNumber}, Requested time: ${appointmentTime}, ${isOverbooked ? 'Overbooked' : `Reserved slot: ${reservation.time}`}`);
 
     // Create appointment
     const appointment = new Token({
+      _id: appointmentId,
       patient_id: patientId,
       patient_name: familyMemberObjectId ? (await FamilyMember.findById(familyMemberObjectId)).name : patient.name,
       patient_email: patient.email,
@@ -662,24 +785,37 @@ router.post('/appointments', authMiddleware, receptionistMiddleware, async (req,
       department: department.name,
       symptoms: symptoms && String(symptoms).trim().length > 0 ? symptoms : 'Not provided',
       booking_date: selectedDate,
-      time_slot: sequentialTimeSlot,
+      time_slot: timeSlot,
       status: 'booked',
       token_number: tokenNumber,
+      token_sequence: tokenSequence,
+      token_scope: tokenScope,
       payment_status: 'pending',
+      priority_flag: priorityFlag === true || priorityFlag === 'true',
+      is_overbooked: isOverbooked,
+      overbooked_by: isOverbooked ? req.receptionist._id : null,
+      overbooking_reason: isOverbooked ? (overbookingReason || notes || '') : '',
       created_by: 'receptionist',
       receptionist_notes: notes,
       estimated_wait_time: Math.floor(Math.random() * 30) + 15,
+      token_pdf_url: checkInService.tokenPdfPath(appointmentId),
       session_type: sessionType,
-      session_time_range: sessionInfo.name
+      session_time_range: session.displayTime
     });
 
-    await appointment.save();
+    try {
+      await appointment.save();
+    } catch (error) {
+      await releaseReservation();
+      throw error;
+    }
 
     // Update patient's booking history
     await User.findByIdAndUpdate(
       patientId,
       { $push: { 'patient_info.booking_history': appointment._id } }
     );
+    await queueService.broadcast(doctorId, selectedDate);
 
     // Send WhatsApp confirmation
     const whatsappBotService = require('../services/whatsappBotService');
@@ -699,7 +835,9 @@ router.post('/appointments', authMiddleware, receptionistMiddleware, async (req,
         department: department.name,
         appointmentDate: appointment.booking_date,
         timeSlot: appointment.time_slot,
-        status: appointment.status
+        status: appointment.status,
+        isPriority: appointment.priority_flag,
+        isOverbooked: appointment.is_overbooked
       }
     });
   } catch (error) {
@@ -781,311 +919,127 @@ router.patch('/billing/appointments/:id/payment', authMiddleware, receptionistMi
       return res.status(400).json({ message: 'Invalid payment status' });
     }
 
+    const previous = mongoose.isValidObjectId(id)
+      ? await Token.findById(id).populate('doctor_id', 'doctor_info')
+      : null;
+    if (!previous) {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
+
+    // paidAmount is the total paid so far (the amount due when a full payment leaves it out)
+    const amountDue = paymentService.getAmountDue(previous);
+    const wasCollected = ['paid', 'partial'].includes(previous.payment_status);
+    const previouslyPaid = wasCollected ? previous.paid_amount ?? (previous.payment_status === 'paid' ? amountDue : 0) : 0;
+    const isCollected = ['paid', 'partial'].includes(paymentStatus);
+    let totalPaid = 0;
+    if (isCollected) {
+      if (paidAmount === undefined || paidAmount === null || paidAmount === '') {
+        if (paymentStatus === 'partial') {
+          return res.status(400).json({ message: 'Paid amount is required for a partial payment' });
+        }
+        totalPaid = amountDue;
+      } else {
+        totalPaid = ['number', 'string'].includes(typeof paidAmount) ? Number(paidAmount) : NaN;
+      }
+      if (!Number.isFinite(totalPaid) || totalPaid <= 0 || totalPaid > amountDue) {
+        return res.status(400).json({ message: `Paid amount must be a positive number no greater than the amount due (₹${amountDue})` });
+      }
+      if (totalPaid < previouslyPaid) {
+        return res.status(400).json({ message: `₹${previouslyPaid} has already been paid; mark the payment pending or refunded to reverse it` });
+      }
+    }
+
+    // Money taken (or handed back) at the desk goes through the receptionist's open cash-drawer shift:
+    // every full or partial payment, for the amount newly collected
+    const collected = isCollected ? Math.round((totalPaid - previouslyPaid) * 100) / 100 : 0;
+    const collecting = collected > 0;
+    const reversing = !isCollected && wasCollected && !!previous.cash_shift_id;
+    let shift = null;
+    if (collecting || reversing) {
+      shift = await cashShiftService.getOpenShift(req.receptionist._id);
+      if (!shift) {
+        return res.status(409).json({ message: 'Open a cash shift before recording payments at the desk' });
+      }
+    }
+
     const updateData = {
       payment_status: paymentStatus,
       updated_at: new Date()
     };
 
     if (paymentMethod) updateData.payment_method = paymentMethod;
-    if (paidAmount) updateData.paid_amount = paidAmount;
+    if (isCollected) updateData.paid_amount = totalPaid;
     if (notes) updateData.payment_notes = notes;
+    if (paymentStatus === 'paid') updateData.paid_at = new Date();
+    if (collecting) {
+      updateData.paid_at = new Date();
+      updateData.payment_method = paymentMethod || 'cash';
+      updateData.cash_shift_id = shift._id;
+    }
+    // A reversed desk payment leaves its shift; collecting it again attributes it to the shift open then
+    if (reversing) updateData.cash_shift_id = null;
 
-    const appointment = await Token.findByIdAndUpdate(id, updateData, { new: true })
+    // Conditional on the status we read, so two desks cannot both take the same payment
+    const appointment = await Token.findOneAndUpdate(
+      { _id: id, payment_status: previous.payment_status },
+      updateData,
+      { new: true }
+    )
       .populate('patient_id', 'name email phone')
       .populate('doctor_id', 'name doctor_info')
       .populate('family_member_id', 'name age relation');
 
     if (!appointment) {
-      return res.status(404).json({ message: 'Appointment not found' });
+      return res.status(409).json({ message: 'Payment status was changed by someone else; please reload' });
     }
 
-    // Send automatic invoice email if payment status is 'paid'
-    let invoiceSent = false;
+    if (collecting || reversing) {
+      const recorded = await cashShiftService.recordEntry(shift, appointment, {
+        type: collecting ? 'payment' : 'reversal',
+        method: collecting ? appointment.payment_method : previous.payment_method,
+        amount: collecting ? collected : previouslyPaid,
+        reference: appointment.payment_reference || ''
+      });
+      if (!recorded) {
+        // The shift closed in between: undo the status change so the payment is never left off a drawer
+        await Token.updateOne({ _id: id, payment_status: paymentStatus }, {
+          $set: {
+            payment_status: previous.payment_status,
+            paid_amount: previous.paid_amount,
+            payment_method: previous.payment_method,
+            paid_at: previous.paid_at,
+            cash_shift_id: previous.cash_shift_id
+          }
+        });
+        return res.status(409).json({ message: 'Your cash shift was closed; open a new shift and record the payment again' });
+      }
+    }
+
+    // Counter payments issue the appointment's invoice, or mark the one issued at consultation as paid
+    let invoice = null;
     if (paymentStatus === 'paid') {
       try {
-        console.log('🔍 Receptionist payment - Sending automatic invoice email for appointment:', id);
-        
-        const invoiceData = {
-          invoiceNumber: `INV-${appointment.token_number || appointment._id.toString().slice(-6)}`,
-          date: appointment.createdAt.toLocaleDateString('en-IN'),
-          patientName: appointment.family_member_id ? appointment.family_member_id.name : appointment.patient_id.name,
-          patientEmail: appointment.patient_id.email,
-          doctorName: appointment.doctor_id?.name || 'Unknown Doctor',
-          department: appointment.department,
-          appointmentDate: appointment.booking_date.toLocaleDateString('en-IN'),
-          timeSlot: appointment.time_slot,
-          amount: appointment.paid_amount || 500,
-          status: 'paid',
-          transactionId: appointment.payment_reference || `PAY${Date.now().toString().slice(-8)}`,
-          currentDate: new Date().toLocaleDateString('en-IN'),
-          currentTime: new Date().toLocaleTimeString('en-IN')
-        };
-
-        // Generate professional HTML content for PDF (same as patient route)
-        const htmlContent = `
-        <!DOCTYPE html>
-        <html>
-        <head>
-            <meta charset="utf-8">
-            <title>Invoice ${invoiceData.invoiceNumber}</title>
-            <style>
-                * { margin: 0; padding: 0; box-sizing: border-box; }
-                body { 
-                    font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; 
-                    line-height: 1.6; 
-                    color: #333; 
-                    background: #fff;
-                    font-size: 14px;
-                    padding: 20px;
-                }
-                .invoice-container { 
-                    max-width: 800px; 
-                    margin: 0 auto; 
-                    background: white; 
-                    box-shadow: 0 0 20px rgba(0,0,0,0.1); 
-                    border-radius: 8px; 
-                    overflow: hidden;
-                }
-                .header { 
-                    background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
-                    color: white; 
-                    padding: 30px; 
-                    text-align: center; 
-                }
-                .header h1 { 
-                    font-size: 28px; 
-                    margin-bottom: 10px; 
-                    font-weight: 700; 
-                }
-                .header p { 
-                    font-size: 16px; 
-                    opacity: 0.9; 
-                }
-                .invoice-details { 
-                    padding: 30px; 
-                    background: #f8fafc; 
-                    border-bottom: 1px solid #e2e8f0; 
-                }
-                .invoice-number { 
-                    font-size: 24px; 
-                    font-weight: 700; 
-                    color: #1f2937; 
-                    margin-bottom: 20px; 
-                }
-                .invoice-meta { 
-                    display: grid; 
-                    grid-template-columns: 1fr 1fr; 
-                    gap: 20px; 
-                    margin-bottom: 20px; 
-                }
-                .meta-item { 
-                    background: white; 
-                    padding: 15px; 
-                    border-radius: 6px; 
-                    border-left: 4px solid #3b82f6; 
-                }
-                .meta-label { 
-                    font-size: 12px; 
-                    color: #6b7280; 
-                    text-transform: uppercase; 
-                    font-weight: 600; 
-                    margin-bottom: 5px; 
-                }
-                .meta-value { 
-                    font-size: 16px; 
-                    color: #1f2937; 
-                    font-weight: 600; 
-                }
-                .content { 
-                    padding: 30px; 
-                }
-                .section { 
-                    margin-bottom: 30px; 
-                }
-                .section-title { 
-                    font-size: 18px; 
-                    font-weight: 700; 
-                    color: #1f2937; 
-                    margin-bottom: 20px; 
-                    border-bottom: 2px solid #e5e7eb; 
-                    padding-bottom: 8px; 
-                }
-                .info-grid { 
-                    display: grid; 
-                    grid-template-columns: 1fr 1fr; 
-                    gap: 30px; 
-                    margin-bottom: 25px; 
-                }
-                .info-item { 
-                    padding: 15px;
-                    background: #f9fafb;
-                    border-radius: 6px;
-                    border-left: 4px solid #2563eb;
-                }
-                .info-label { 
-                    font-size: 11px; 
-                    color: #6b7280; 
-                    text-transform: uppercase; 
-                    font-weight: 600; 
-                    margin-bottom: 5px; 
-                }
-                .info-value { 
-                    font-size: 14px; 
-                    color: #1f2937; 
-                    font-weight: 600; 
-                }
-                .amount-section { 
-                    background: #f0f9ff; 
-                    padding: 25px; 
-                    border-radius: 8px; 
-                    border: 2px solid #0ea5e9; 
-                    text-align: center; 
-                    margin: 30px 0; 
-                }
-                .amount-label { 
-                    font-size: 14px; 
-                    color: #0369a1; 
-                    margin-bottom: 10px; 
-                    font-weight: 600; 
-                }
-                .amount-value { 
-                    font-size: 32px; 
-                    color: #0c4a6e; 
-                    font-weight: 800; 
-                    margin-bottom: 5px; 
-                }
-                .amount-currency { 
-                    font-size: 16px; 
-                    color: #0369a1; 
-                    font-weight: 600; 
-                }
-                .status-badge { 
-                    display: inline-block; 
-                    padding: 8px 16px; 
-                    border-radius: 20px; 
-                    font-size: 12px; 
-                    font-weight: 600; 
-                    text-transform: uppercase; 
-                    margin-top: 10px; 
-                }
-                .status-paid { 
-                    background: #dcfce7; 
-                    color: #166534; 
-                }
-                .footer { 
-                    background: #1f2937; 
-                    color: white; 
-                    padding: 25px; 
-                    text-align: center; 
-                }
-                .footer p { 
-                    margin-bottom: 10px; 
-                    opacity: 0.8; 
-                }
-                .footer .highlight { 
-                    color: #60a5fa; 
-                    font-weight: 600; 
-                }
-            </style>
-        </head>
-        <body>
-            <div class="invoice-container">
-                <div class="header">
-                    <h1>Medical Invoice</h1>
-                    <p>Professional Healthcare Services</p>
-                </div>
-                
-                <div class="invoice-details">
-                    <div class="invoice-number">Invoice #${invoiceData.invoiceNumber}</div>
-                    <div class="invoice-meta">
-                        <div class="meta-item">
-                            <div class="meta-label">Invoice Date</div>
-                            <div class="meta-value">${invoiceData.currentDate}</div>
-                        </div>
-                        <div class="meta-item">
-                            <div class="meta-label">Transaction ID</div>
-                            <div class="meta-value">${invoiceData.transactionId}</div>
-                        </div>
-                    </div>
-                </div>
-                
-                <div class="content">
-                    <div class="section">
-                        <div class="section-title">Patient Information</div>
-                        <div class="info-grid">
-                            <div class="info-item">
-                                <div class="info-label">Patient Name</div>
-                                <div class="info-value">${invoiceData.patientName}</div>
-                            </div>
-                            <div class="info-item">
-                                <div class="info-label">Email Address</div>
-                                <div class="info-value">${invoiceData.patientEmail}</div>
-                            </div>
-                        </div>
-                    </div>
-                    
-                    <div class="section">
-                        <div class="section-title">Appointment Details</div>
-                        <div class="info-grid">
-                            <div class="info-item">
-                                <div class="info-label">Doctor</div>
-                                <div class="info-value">Dr. ${invoiceData.doctorName}</div>
-                            </div>
-                            <div class="info-item">
-                                <div class="info-label">Department</div>
-                                <div class="info-value">${invoiceData.department}</div>
-                            </div>
-                            <div class="info-item">
-                                <div class="info-label">Appointment Date</div>
-                                <div class="info-value">${invoiceData.appointmentDate}</div>
-                            </div>
-                            <div class="info-item">
-                                <div class="info-label">Time Slot</div>
-                                <div class="info-value">${invoiceData.timeSlot}</div>
-                            </div>
-                        </div>
-                    </div>
-                    
-                    <div class="amount-section">
-                        <div class="amount-label">Total Amount</div>
-                        <div class="amount-value">₹${invoiceData.amount}</div>
-                        <div class="amount-currency">Indian Rupees</div>
-                        <div class="status-badge status-paid">PAID</div>
-                    </div>
-                </div>
-                
-                <div class="footer">
-                    <p>Thank you for choosing our healthcare services!</p>
-                    <p>For any queries, please contact our support team.</p>
-                    <p>Generated on <span class="highlight">${invoiceData.currentDate}</span> at <span class="highlight">${invoiceData.currentTime}</span></p>
-                </div>
-            </div>
-        </body>
-        </html>
-        `;
-
-        // Generate PDF using Puppeteer
-        const puppeteer = require('puppeteer');
-        let browser = await puppeteer.launch({
-          headless: true,
-          args: ['--no-sandbox', '--disable-setuid-sandbox']
-        });
-        
-        const page = await browser.newPage();
-        await page.setContent(htmlContent, { waitUntil: 'networkidle0' });
-        
-        const pdfBuffer = await page.pdf({
-          format: 'A4',
-          printBackground: true,
-          margin: {
-            top: '20px',
-            right: '20px',
-            bottom: '20px',
-            left: '20px'
+        invoice = await invoiceService.issueForToken(appointment._id, {
+          payment: {
+            method: appointment.payment_method || 'cash',
+            reference: appointment.payment_reference || '',
+            amount: appointment.paid_amount ?? null,
+            paidAt: appointment.paid_at
           }
         });
+      } catch (invoiceError) {
+        console.error('❌ Receptionist payment - Failed to issue invoice:', invoiceError);
+      }
+    }
+
+    // Send automatic invoice email if payment status is 'paid'
+    let invoiceSent = false;
+    if (paymentStatus === 'paid' && invoice) {
+      try {
+        console.log('🔍 Receptionist payment - Sending automatic invoice email for appointment:', id);
 
-        await browser.close();
+        const invoiceData = invoiceService.toEmailSummary(invoice);
+        const { pdf: pdfBuffer } = await invoiceService.render(invoice);
 
         // Send email with PDF attachment
         const emailService = require('../services/emailService');
@@ -1144,13 +1098,13 @@ router.patch('/billing/appointments/:id/payment', authMiddleware, receptionistMi
               </div>
             </div>
           `,
-          attachments: [
+          attachments: pdfBuffer ? [
             {
-              filename: `Invoice-${invoiceData.invoiceNumber}.pdf`,
+              filename: invoiceService.fileName(invoice),
               content: pdfBuffer,
               contentType: 'application/pdf'
             }
-          ]
+          ] : []
         });
 
         console.log('✅ Receptionist payment - Invoice email sent successfully to:', appointment.patient_id.email);
@@ -1172,6 +1126,8 @@ router.patch('/billing/appointments/:id/payment', authMiddleware, receptionistMi
         paidAmount: appointment.paid_amount,
         paymentMethod: appointment.payment_method
       },
+      invoiceNumber: invoice?.invoice_number || null,
+      cashShiftId: shift?._id || null,
       invoiceSent: invoiceSent
     });
   } catch (error) {
@@ -1180,6 +1136,97 @@ router.patch('/billing/appointments/:id/payment', authMiddleware, receptionistMi
   }
 });
 
+// Current open cash-drawer shift with its running expected totals (shift: null when none is open)
+router.get('/cash-shifts/current', authMiddleware, receptionistMiddleware, async (req, res) => {
+  try {
+    const open = await cashShiftService.getOpenShift(req.receptionist._id);
+    const shift = open ? await cashShiftService.findById(open._id) : null;
+    res.json({ shift: shift ? cashShiftService.formatShift(shift, { withPayments: true }) : null });
+  } catch (error) {
+    console.error('Get current cash shift error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Open a shift with the float counted into the drawer
+router.post('/cash-shifts/open', authMiddleware, receptionistMiddleware, async (req, res) => {
+  try {
+    const result = await cashShiftService.open(req.receptionist, { openingFloat: req.body.openingFloat, note: req.body.note });
+    if (!result.success) {
+      return res.status(result.status).json({ message: result.message });
+    }
+    res.status(201).json({ message: 'Shift opened', shift: cashShiftService.formatShift(result.shift) });
+  } catch (error) {
+    console.error('Open cash shift error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Close the open shift with the counted amounts ({ counted: { cash, card, upi, other }, note }) and get the
+// reconciliation report
+router.post('/cash-shifts/current/close', authMiddleware, receptionistMiddleware, async (req, res) => {
+  try {
+    const shift = await cashShiftService.getOpenShift(req.receptionist._id);
+    if (!shift) {
+      return res.status(404).json({ message: 'No open shift' });
+    }
+    const result = await cashShiftService.close(shift, { counted: req.body.counted || {}, note: req.body.note });
+    if (!result.success) {
+      return res.status(result.status).json({ message: result.message });
+    }
+    const report = cashShiftService.formatShift(await cashShiftService.findById(shift._id), { withPayments: true });
+    res.json({
+      message: report.hasDiscrepancy ? 'Shift closed with a discrepancy' : 'Shift closed and balanced',
+      shift: report
+    });
+  } catch (error) {
+    console.error('Close cash shift error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// The receptionist's own shifts, newest first
+router.get('/cash-shifts', authMiddleware, receptionistMiddleware, async (req, res) => {
+  try {
+    const { status, from, to, page, limit } = req.query;
+    const result = await cashShiftService.list({ receptionistId: req.receptionist._id, status, from, to }, { page, limit });
+    res.json({ ...result, shifts: result.shifts.map(shift => cashShiftService.formatShift(shift)) });
+  } catch (error) {
+    console.error('List cash shifts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reconciliation report of one of the receptionist's shifts
+router.get('/cash-shifts/:id', authMiddleware, receptionistMiddleware, async (req, res) => {
+  try {
+    const shift = mongoose.isValidObjectId(req.params.id) ? await cashShiftService.findById(req.params.id) : null;
+    if (!shift || shift.receptionist_id?._id?.toString() !== req.receptionist._id.toString()) {
+      return res.status(404).json({ message: 'Shift not found' });
+    }
+    res.json({ shift: cashShiftService.formatShift(shift, { withPayments: true }) });
+  } catch (error) {
+    console.error('Get cash shift error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Download a shift's reconciliation report as CSV
+router.get('/cash-shifts/:id/export', authMiddleware, receptionistMiddleware, async (req, res) => {
+  try {
+    const shift = mongoose.isValidObjectId(req.params.id) ? await cashShiftService.findById(req.params.id) : null;
+    if (!shift || shift.receptionist_id?._id?.toString() !== req.receptionist._id.toString()) {
+      return res.status(404).json({ message: 'Shift not found' });
+    }
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename=cash_shift_${shift._id}.csv`);
+    res.send(cashShiftService.toReportCsv(shift));
+  } catch (error) {
+    console.error('Export cash shift error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get receptionist dashboard statistics
 router.get('/dashboard/stats', authMiddleware, receptionistMiddleware, async (req, res) => {
   try {
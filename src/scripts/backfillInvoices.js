@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const { Token } = require('../models/User');
+const Invoice = require('../models/Invoice');
+const invoiceService = require('../services/invoiceService');
+require('dotenv').config();
+
+/**
+ * Backfill script for appointments billed before invoices were stored
+ * This script will:
+ * 1. Issue an invoice for every paid, refunded or consulted appointment that has none, oldest first
+ * 2. Mark it paid with the payment recorded on the appointment
+ * 3. Issue a credit note for refunds already processed
+ * Invoices are numbered in the financial year the script runs in, since the number series must stay
+ * gapless. Safe to re-run: appointments that already have an invoice are skipped. Pass --dry-run to only count.
+ */
+
+const backfillInvoices = async () => {
+  const dryRun = process.argv.slice(2).includes('--dry-run');
+  try {
+    console.log('🚀 Starting invoice backfill...');
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/opd');
+    console.log('✅ Connected to MongoDB');
+    if (dryRun) console.log('🧪 Dry run - nothing will be written');
+
+    const invoiced = await Invoice.distinct('token_id', { document_type: 'invoice', category: 'appointment' });
+    const tokens = await Token.find({
+      _id: { $nin: invoiced },
+      $or: [{ payment_status: { $in: ['paid', 'refunded'] } }, { status: 'consulted' }]
+    }).sort({ createdAt: 1 });
+
+    console.log(`📊 Found ${tokens.length} appointments without an invoice\n`);
+
+    let issued = 0;
+    let creditNotes = 0;
+    let failed = 0;
+
+    for (const token of tokens) {
+      if (dryRun) {
+        issued++;
+        continue;
+      }
+      try {
+        const paid = ['paid', 'refunded'].includes(token.payment_status);
+        await invoiceService.issueForToken(token._id, {
+          payment: paid
+            ? {
+              method: token.payment_method || '',
+              reference: token.payment_reference || '',
+              amount: token.paid_amount ?? null,
+              paidAt: token.paid_at || token.updatedAt
+            }
+            : null
+        });
+        issued++;
+        if (token.refund_amount > 0 && token.refund_status === 'processed') {
+          const note = await invoiceService.issueCreditNote(token._id, token.refund_amount, {
+            reference: token.refund_reference || `LEGACY-${token._id}`,
+            reason: token.refund_reason || 'Refund'
+          });
+          if (note) creditNotes++;
+        }
+      } catch (error) {
+        failed++;
+        console.error(`  ❌ Appointment ${token._id}: ${error.message}`);
+      }
+    }
+
+    console.log(`✅ Invoices ${dryRun ? 'to issue' : 'issued'}: ${issued}`);
+    if (!dryRun) console.log(`🧾 Credit notes issued: ${creditNotes}`);
+    if (failed > 0) console.log(`❌ Failed: ${failed}`);
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+};
+
+// Run backfill if this script is executed directly
+if (require.main === module) {
+  backfillInvoices()
+    .then(() => {
+      console.log('🎉 Backfill completed!');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('💥 Backfill failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = backfillInvoices;
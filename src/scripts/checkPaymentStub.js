@@ -0,0 +1,92 @@
+const assert = require('node:assert/strict');
+require('dotenv').config();
+
+/**
+ * Self-check for the in-process payment gateway stub (no database or Razorpay account needed)
+ * This script will:
+ * 1. Make sure the stub is only picked with PAYMENT_GATEWAY=stub, and never in production
+ * 2. Run a checkout through the stub and verify its signature the way /payment/verify does
+ * 3. Verify a signed webhook the way /payment/webhook does
+ * 4. Walk a refund through pending -> processed, and a failed refund back onto the payment
+ * Exits non-zero on the first failed check.
+ */
+
+const paymentService = require('../services/paymentService');
+const gatewayStub = require('../services/paymentGatewayStub');
+
+// getGateway() caches its choice; re-pick after changing the environment
+const pickGateway = (env) => {
+  Object.assign(process.env, env);
+  paymentService.gateway = null;
+  return paymentService.getGateway();
+};
+
+const checkPaymentStub = async () => {
+  console.log('🚀 Checking the payment gateway stub...');
+
+  const original = { PAYMENT_GATEWAY: process.env.PAYMENT_GATEWAY, NODE_ENV: process.env.NODE_ENV };
+  try {
+    let gateway = pickGateway({ PAYMENT_GATEWAY: 'razorpay', NODE_ENV: 'development' });
+    assert.notEqual(gateway?.name, 'stub', 'stub picked without PAYMENT_GATEWAY=stub');
+    gateway = pickGateway({ PAYMENT_GATEWAY: 'stub', NODE_ENV: 'production' });
+    assert.notEqual(gateway?.name, 'stub', 'stub picked in production');
+    gateway = pickGateway({ PAYMENT_GATEWAY: 'stub', NODE_ENV: 'test' });
+    assert.equal(gateway?.name, 'stub', 'stub not picked with PAYMENT_GATEWAY=stub');
+    assert.notEqual(gateway.keySecret, process.env.RAZORPAY_KEY_SECRET, 'stub signs with the Razorpay key secret');
+    assert.notEqual(gateway.webhookSecret, process.env.RAZORPAY_WEBHOOK_SECRET, 'stub signs with the Razorpay webhook secret');
+    console.log('✅ Gateway selection');
+
+    const order = await gateway.client.orders.create({ amount: 50000, currency: 'INR', receipt: 'stub_check' });
+    const checkout = gatewayStub.completePayment(order.id);
+    const signature = checkout.razorpay_signature;
+    assert.ok(paymentService.verifyCheckoutSignature(order.id, checkout.razorpay_payment_id, signature));
+    const tampered = `${signature.slice(0, -1)}${signature.endsWith('0') ? '1' : '0'}`;
+    assert.ok(!paymentService.verifyCheckoutSignature(order.id, checkout.razorpay_payment_id, tampered), 'tampered checkout signature accepted');
+    assert.ok(!paymentService.verifyCheckoutSignature(order.id, 'pay_other', signature), 'signature accepted for another payment');
+    const payment = await gateway.client.payments.fetch(checkout.razorpay_payment_id);
+    assert.equal(payment.status, 'captured');
+    const declined = gatewayStub.completePayment(order.id, { fail: true });
+    assert.equal(declined.payment.status, 'failed');
+    assert.equal(declined.razorpay_signature, null);
+    console.log('✅ Checkout signature');
+
+    const webhook = gatewayStub.buildWebhook('payment.captured', { payment });
+    assert.ok(paymentService.verifyWebhookSignature(webhook.body, webhook.signature));
+    assert.ok(!paymentService.verifyWebhookSignature(webhook.body.replace('captured', 'failed'), webhook.signature), 'tampered webhook accepted');
+    console.log('✅ Webhook signature');
+
+    const refund = await gateway.client.payments.refund(payment.id, { amount: 20000 });
+    assert.equal(refund.status, 'pending');
+    const processed = await gateway.client.payments.fetchRefund(payment.id, refund.id);
+    assert.equal(processed.status, 'processed');
+    const failing = await gateway.client.payments.refund(payment.id, { amount: 30000 });
+    assert.equal((await gateway.client.payments.fetch(payment.id)).refund_status, 'full');
+    gatewayStub.settleRefund(failing.id, { fail: true });
+    const afterFailure = await gateway.client.payments.fetch(payment.id);
+    assert.equal(afterFailure.amount_refunded, 20000);
+    assert.equal(afterFailure.refund_status, 'partial');
+    await assert.rejects(gateway.client.payments.refund(payment.id, { amount: 40000 }), 'refund above the captured amount accepted');
+    console.log('✅ Refund lifecycle');
+  } finally {
+    Object.entries(original).forEach(([key, value]) => {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    });
+    paymentService.gateway = null;
+  }
+};
+
+// Run the check if this script is executed directly
+if (require.main === module) {
+  checkPaymentStub()
+    .then(() => {
+      console.log('🎉 Payment stub check passed!');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('💥 Payment stub check failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = checkPaymentStub;
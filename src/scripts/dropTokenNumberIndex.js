@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const { Token } = require('../models/User');
+require('dotenv').config();
+
+/**
+ * One-time cleanup for scoped token numbering
+ * Token numbers used to be unique across all days and doctors (index token_number_1). Scoped numbering
+ * (global, department, doctor or session, per day) reuses them, so bookings fail until that index is gone.
+ * This script will:
+ * 1. Drop the obsolete token_number_1 index from tokens if it is still there
+ * 2. Build the scoped (token_scope, token_number) unique index that replaces it
+ * Safe to re-run.
+ */
+
+const dropTokenNumberIndex = async () => {
+  try {
+    console.log('🚀 Starting token index cleanup...');
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/opd');
+    console.log('✅ Connected to MongoDB');
+
+    try {
+      await Token.collection.dropIndex('token_number_1');
+      console.log('🗑️  Dropped obsolete index token_number_1');
+    } catch (error) {
+      if (error.codeName !== 'IndexNotFound' && error.code !== 27 && error.codeName !== 'NamespaceNotFound') throw error;
+      console.log('⏭️  Index token_number_1 not present');
+    }
+
+    await Token.createIndexes();
+    console.log('✅ Token indexes are in place');
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+};
+
+// Run cleanup if this script is executed directly
+if (require.main === module) {
+  dropTokenNumberIndex()
+    .then(() => {
+      console.log('🎉 Cleanup completed!');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('💥 Cleanup failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = dropTokenNumberIndex;
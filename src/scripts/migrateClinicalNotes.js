@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+require('../models/User');
+const ConsultationRecord = require('../models/ConsultationRecord');
+const Diagnosis = require('../models/Diagnosis');
+const clinicalNoteService = require('../services/clinicalNoteService');
+require('dotenv').config();
+
+/**
+ * Migration script to merge ConsultationRecord and Diagnosis documents into ClinicalNote
+ * This script will:
+ * 1. Pair up the consultation record and diagnosis of each appointment
+ * 2. Create one clinical note per appointment, each legacy document becoming a version
+ * 3. Sign notes whose consultation was completed
+ * Safe to re-run: appointments that already have a note are skipped. Pass --dry-run to only count.
+ */
+
+const migrateClinicalNotes = async () => {
+  const dryRun = process.argv.slice(2).includes('--dry-run');
+  try {
+    console.log('🚀 Starting clinical note migration...');
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/opd');
+    console.log('✅ Connected to MongoDB');
+    if (dryRun) console.log('🧪 Dry run - nothing will be written');
+
+    const records = await ConsultationRecord.find({}).sort({ updatedAt: -1 });
+    const diagnoses = await Diagnosis.find({}).sort({ updatedAt: -1 });
+
+    // Latest record of each kind per appointment
+    const byAppointment = new Map();
+    const entryFor = id => {
+      const key = id.toString();
+      if (!byAppointment.has(key)) byAppointment.set(key, { tokenId: id, record: null, diagnosis: null });
+      return byAppointment.get(key);
+    };
+    records.forEach(record => {
+      const entry = entryFor(record.appointment_id);
+      if (!entry.record) entry.record = record;
+    });
+    diagnoses.forEach(diagnosis => {
+      const entry = entryFor(diagnosis.appointment_id);
+      if (!entry.diagnosis) entry.diagnosis = diagnosis;
+    });
+
+    console.log(`📊 Found ${records.length} consultation records and ${diagnoses.length} diagnoses across ${byAppointment.size} appointments\n`);
+
+    let created = 0;
+    let merged = 0;
+    let skipped = 0;
+    let failed = 0;
+
+    for (const entry of byAppointment.values()) {
+      if (dryRun) {
+        if (await clinicalNoteService.findByToken(entry.tokenId)) skipped++;
+        else created++;
+        continue;
+      }
+      try {
+        const result = await clinicalNoteService.migrateAppointment(entry.tokenId, entry);
+        if (!result.created) {
+          skipped++;
+          continue;
+        }
+        created++;
+        if (entry.record && entry.diagnosis) merged++;
+      } catch (error) {
+        failed++;
+        console.error(`  ❌ Appointment ${entry.tokenId}: ${error.message}`);
+      }
+    }
+
+    console.log(`✅ Notes ${dryRun ? 'to create' : 'created'}: ${created} (${merged} merged from both forms)`);
+    console.log(`⏭️  Already migrated: ${skipped}`);
+    if (failed > 0) console.log(`❌ Failed: ${failed}`);
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+};
+
+// Run migration if this script is executed directly
+if (require.main === module) {
+  migrateClinicalNotes()
+    .then(() => {
+      console.log('🎉 Migration completed!');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('💥 Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = migrateClinicalNotes;
@@ -1,6 +1,9 @@
 const { Token, User } = require('../models/User');
 const Notification = require('../models/Notification');
-const { isSessionBookable, getSessionInfo } = require('../utils/bookingUtils');
+const sessionTemplateService = require('./sessionTemplateService');
+const slotReservationService = require('./slotReservationService');
+const waitlistService = require('./waitlistService');
+const paymentService = require('./paymentService');
 const { transporter } = require('../config/email');
 
 class AppointmentCancellationService {
@@ -20,13 +23,15 @@ class AppointmentCancellationService {
 
     try {
       const today = new Date();
-      const todayString = today.toISOString().split('T')[0]; // YYYY-MM-DD format
+      today.setHours(0, 0, 0, 0);
+      const tomorrow = new Date(today);
+      tomorrow.setDate(tomorrow.getDate() + 1);
       
-      console.log(`📅 Checking appointments for date: ${todayString}`);
+      console.log(`📅 Checking appointments for date: ${today.toDateString()}`);
 
       // Find all booked appointments for today that haven't been attended
       const todayAppointments = await Token.find({
-        booking_date: todayString,
+        booking_date: { $gte: today, $lt: tomorrow },
         status: 'booked'
       }).populate('patient_id', 'name email phone');
 
@@ -36,8 +41,15 @@ class AppointmentCancellationService {
       const currentTime = new Date();
       const currentTimeString = currentTime.toTimeString().slice(0, 5); // HH:MM format
 
+      // Resolve each doctor's sessions once per run
+      const sessionsByDoctor = new Map();
+
       for (const appointment of todayAppointments) {
-        const shouldCancel = this.shouldCancelAppointment(appointment, currentTimeString);
+        const doctorKey = appointment.doctor_id.toString();
+        if (!sessionsByDoctor.has(doctorKey)) {
+          sessionsByDoctor.set(doctorKey, await sessionTemplateService.getSessionsForDate(appointment.doctor_id, today));
+        }
+        const shouldCancel = this.shouldCancelAppointment(appointment, currentTimeString, sessionsByDoctor.get(doctorKey));
         
         if (shouldCancel) {
           await this.cancelAppointment(appointment);
@@ -88,36 +100,24 @@ class AppointmentCancellationService {
     }
   }
 
-  // Determine if an appointment should be cancelled
-  shouldCancelAppointment(appointment, currentTime) {
+  // Determine if an appointment should be cancelled (its session has ended)
+  shouldCancelAppointment(appointment, currentTime, sessions = []) {
     const timeSlot = appointment.time_slot;
     if (!timeSlot) return false;
 
-    // Get session info for the appointment time
-    const sessionInfo = getSessionInfo(timeSlot);
-    if (!sessionInfo) return false;
+    // Prefer the session the token was booked into, then whichever session contains its time slot
+    const session = sessions.find(s => s.id === appointment.session_type) ||
+      sessions.find(s => timeSlot >= s.startTime && timeSlot < s.endTime);
+    if (!session) return false;
 
     console.log(`🔍 Checking appointment ${appointment._id}:`);
     console.log(`   Time slot: ${timeSlot}`);
-    console.log(`   Session: ${sessionInfo.name}`);
+    console.log(`   Session: ${session.name}`);
     console.log(`   Current time: ${currentTime}`);
 
-    // Check if we're past the session end time
-    if (sessionInfo.type === 'morning') {
-      // Morning session ends at 1 PM (13:00)
-      const sessionEndTime = '13:00';
-      const shouldCancel = currentTime >= sessionEndTime;
-      console.log(`   Morning session end: ${sessionEndTime}, Should cancel: ${shouldCancel}`);
-      return shouldCancel;
-    } else if (sessionInfo.type === 'afternoon') {
-      // Afternoon session ends at 6 PM (18:00)
-      const sessionEndTime = '18:00';
-      const shouldCancel = currentTime >= sessionEndTime;
-      console.log(`   Afternoon session end: ${sessionEndTime}, Should cancel: ${shouldCancel}`);
-      return shouldCancel;
-    }
-
-    return false;
+    const shouldCancel = currentTime >= session.endTime;
+    console.log(`   Session end: ${session.endTime}, Should cancel: ${shouldCancel}`);
+    return shouldCancel;
   }
 
   // Cancel a specific appointment
@@ -130,6 +130,10 @@ class AppointmentCancellationService {
       appointment.cancellation_reason = customReason || 'No-show: Automatically cancelled after session end';
       appointment.cancelled_at = new Date();
       await appointment.save();
+      await slotReservationService.releaseToken(appointment);
+      await waitlistService.promoteForToken(appointment);
+      // Paid appointments are refunded in full when the system cancels them
+      await paymentService.refundCancelled(appointment, `Auto-refund: ${appointment.cancellation_reason}`);
 
       // Create notification for the patient
       if (appointment.patient_id) {
@@ -300,25 +304,18 @@ class AppointmentCancellationService {
         cancellation_reason: 'No-show: Automatically cancelled after session end'
       });
 
-      let morningCancelled = 0;
-      let afternoonCancelled = 0;
-
+      // Group by the session the token was booked into (template code)
+      const bySession = {};
       cancelledAppointments.forEach(appointment => {
-        const timeSlot = appointment.time_slot;
-        if (timeSlot) {
-          const time = parseInt(timeSlot.split(':')[0]);
-          if (time >= 9 && time < 13) {
-            morningCancelled++;
-          } else if (time >= 14 && time < 18) {
-            afternoonCancelled++;
-          }
-        }
+        const session = appointment.session_type || 'other';
+        bySession[session] = (bySession[session] || 0) + 1;
       });
 
       return {
         totalCancelled: cancelledAppointments.length,
-        morningCancelled,
-        afternoonCancelled
+        morningCancelled: bySession.morning || 0,
+        afternoonCancelled: bySession.afternoon || 0,
+        bySession
       };
 
     } catch (error) {
@@ -326,7 +323,8 @@ class AppointmentCancellationService {
       return {
         totalCancelled: 0,
         morningCancelled: 0,
-        afternoonCancelled: 0
+        afternoonCancelled: 0,
+        bySession: {}
       };
     }
   }
@@ -0,0 +1,312 @@
+const CashShift = require('../models/CashShift');
+
+const METHODS = ['cash', 'card', 'upi', 'other'];
+// Common spellings from the billing screen mapped onto the drawer's methods
+const METHOD_ALIASES = {
+  cash: 'cash',
+  card: 'card',
+  credit_card: 'card',
+  debit_card: 'card',
+  upi: 'upi',
+  gpay: 'upi',
+  phonepe: 'upi',
+  paytm: 'upi'
+};
+
+// Receptionist cash-drawer shifts: opening float, attribution of counter payments, and the closing
+// reconciliation (expected vs counted per payment method) that an admin approves
+class CashShiftService {
+  roundAmount(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  // Any amount off by more than this many rupees (CASH_SHIFT_TOLERANCE, default 0) is a discrepancy
+  getTolerance() {
+    const tolerance = Number(process.env.CASH_SHIFT_TOLERANCE || 0);
+    return Number.isFinite(tolerance) && tolerance > 0 ? tolerance : 0;
+  }
+
+  normalizeMethod(method) {
+    const key = String(method || 'cash').trim().toLowerCase().replace(/[\s-]+/g, '_');
+    return METHOD_ALIASES[key] || 'other';
+  }
+
+  getOpenShift(receptionistId) {
+    return CashShift.findOne({ receptionist_id: receptionistId, status: 'open' });
+  }
+
+  // Returns { success, status, message, shift }
+  async open(receptionist, { openingFloat, note = '' }) {
+    const float = this.roundAmount(Number(openingFloat ?? 0));
+    if (!Number.isFinite(float) || float < 0) {
+      return { success: false, status: 400, message: 'Opening float must be zero or more' };
+    }
+    try {
+      const shift = await CashShift.create({
+        receptionist_id: receptionist._id,
+        opening_float: float,
+        opening_note: String(note || '').trim()
+      });
+      return { success: true, shift };
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return { success: false, status: 409, message: 'You already have an open shift; close it before opening another' };
+    }
+  }
+
+  // Append a payment or reversal to a shift that is still open. Returns the updated shift, or null when
+  // the shift was closed in the meantime.
+  async recordEntry(shift, token, { type = 'payment', method, amount, reference = '' }) {
+    return CashShift.findOneAndUpdate(
+      { _id: shift._id, status: 'open' },
+      {
+        $push: {
+          payments: {
+            token_id: token._id,
+            type,
+            method: this.normalizeMethod(method),
+            amount: this.roundAmount(amount),
+            reference
+          }
+        }
+      },
+      { new: true }
+    );
+  }
+
+  // Net takings per method; the drawer's cash also holds the opening float
+  getExpected(shift) {
+    const expected = Object.fromEntries(METHODS.map(method => [method, 0]));
+    expected.cash = shift.opening_float;
+    shift.payments.forEach(entry => {
+      expected[entry.method] += entry.type === 'reversal' ? -entry.amount : entry.amount;
+    });
+    METHODS.forEach(method => { expected[method] = this.roundAmount(expected[method]); });
+    return expected;
+  }
+
+  // Close the drawer with the counted amounts ({ cash, card, upi, other }; missing methods count as 0).
+  // Returns { success, status, message, shift }.
+  async close(shift, { counted = {}, note = '' }) {
+    if (shift.status !== 'open') {
+      return { success: false, status: 400, message: `Shift is already ${shift.status}` };
+    }
+    const countedAmounts = {};
+    for (const method of METHODS) {
+      const value = this.roundAmount(Number(counted[method] ?? 0));
+      if (!Number.isFinite(value) || value < 0) {
+        return { success: false, status: 400, message: `Counted ${method} must be zero or more` };
+      }
+      countedAmounts[method] = value;
+    }
+
+    // Re-read so payments recorded since `shift` was loaded are included
+    const fresh = await CashShift.findById(shift._id);
+    const expected = this.getExpected(fresh);
+    const tolerance = this.getTolerance();
+    const reconciliation = METHODS.map(method => ({
+      method,
+      expected: expected[method],
+      counted: countedAmounts[method],
+      difference: this.roundAmount(countedAmounts[method] - expected[method])
+    }));
+    const sum = key => this.roundAmount(reconciliation.reduce((total, line) => total + line[key], 0));
+
+    const closed = await CashShift.findOneAndUpdate(
+      { _id: shift._id, status: 'open', payments: { $size: fresh.payments.length } },
+      {
+        $set: {
+          status: 'closed',
+          closed_at: new Date(),
+          closing_note: String(note || '').trim(),
+          reconciliation,
+          total_expected: sum('expected'),
+          total_counted: sum('counted'),
+          total_difference: sum('difference'),
+          has_discrepancy: reconciliation.some(line => Math.abs(line.difference) > tolerance)
+        }
+      },
+      { new: true }
+    );
+    if (!closed) {
+      return { success: false, status: 409, message: 'The shift changed while closing; please count again' };
+    }
+    return { success: true, shift: closed };
+  }
+
+  // Admin sign-off on a closed shift; a note is required when the drawer did not balance.
+  // Returns { success, status, message, shift }.
+  async approve(shift, admin, note = '') {
+    if (shift.status !== 'closed') {
+      return { success: false, status: 400, message: shift.status === 'open' ? 'Shift is still open' : 'Shift is already approved' };
+    }
+    const reviewNote = String(note || '').trim();
+    if (shift.has_discrepancy && !reviewNote) {
+      return { success: false, status: 400, message: 'A note is required to approve a shift with a discrepancy' };
+    }
+    const approved = await CashShift.findOneAndUpdate(
+      { _id: shift._id, status: 'closed' },
+      { $set: { status: 'approved', approved_by: admin._id, approved_at: new Date(), review_note: reviewNote } },
+      { new: true }
+    );
+    if (!approved) return { success: false, status: 409, message: 'Shift was already approved' };
+    return { success: true, shift: approved };
+  }
+
+  // Filters: receptionistId, status, discrepancy (true/false), from/to (opened_at dates)
+  buildQuery({ receptionistId = null, status = null, discrepancy = null, from = null, to = null } = {}) {
+    const query = {};
+    if (receptionistId) query.receptionist_id = receptionistId;
+    if (status) query.status = status;
+    if (discrepancy === true || discrepancy === 'true') query.has_discrepancy = true;
+    if (discrepancy === false || discrepancy === 'false') query.has_discrepancy = false;
+    if (from || to) {
+      query.opened_at = {};
+      if (from) query.opened_at.$gte = new Date(from);
+      if (to) {
+        const end = new Date(to);
+        end.setHours(23, 59, 59, 999);
+        query.opened_at.$lte = end;
+      }
+    }
+    return query;
+  }
+
+  // Newest first
+  async list(filters = {}, { page = 1, limit = 20 } = {}) {
+    const query = this.buildQuery(filters);
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+    const [total, shifts] = await Promise.all([
+      CashShift.countDocuments(query),
+      this.populate(CashShift.find(query))
+        .sort({ opened_at: -1 })
+        .skip((pageNum - 1) * pageSize)
+        .limit(pageSize)
+    ]);
+    return { shifts, total, page: pageNum, limit: pageSize };
+  }
+
+  // Every matching shift, oldest first, for exports
+  findAll(filters = {}) {
+    return this.populate(CashShift.find(this.buildQuery(filters))).sort({ opened_at: 1 });
+  }
+
+  findById(shiftId) {
+    return this.populate(CashShift.findById(shiftId));
+  }
+
+  populate(query) {
+    return query
+      .populate('receptionist_id', 'name email')
+      .populate('approved_by', 'name')
+      .populate('payments.token_id', 'token_number patient_name booking_date');
+  }
+
+  formatShift(shift, { withPayments = false } = {}) {
+    const open = shift.status === 'open';
+    const person = (user) => (user?.name ? { id: user._id, name: user.name } : null);
+    const formatted = {
+      id: shift._id,
+      status: shift.status,
+      receptionist: person(shift.receptionist_id),
+      openingFloat: shift.opening_float,
+      openingNote: shift.opening_note,
+      openedAt: shift.opened_at,
+      closedAt: shift.closed_at,
+      closingNote: shift.closing_note,
+      paymentCount: shift.payments.filter(entry => entry.type === 'payment').length,
+      // While open this is the running expectation; once closed it is the stored reconciliation
+      reconciliation: open
+        ? Object.entries(this.getExpected(shift)).map(([method, expected]) => ({ method, expected, counted: null, difference: null }))
+        : shift.reconciliation.map(line => ({ method: line.method, expected: line.expected, counted: line.counted, difference: line.difference })),
+      totalExpected: open ? null : shift.total_expected,
+      totalCounted: open ? null : shift.total_counted,
+      totalDifference: open ? null : shift.total_difference,
+      hasDiscrepancy: shift.has_discrepancy,
+      approvedBy: person(shift.approved_by),
+      approvedAt: shift.approved_at,
+      reviewNote: shift.review_note
+    };
+    if (withPayments) {
+      formatted.payments = shift.payments.map(entry => ({
+        id: entry._id,
+        appointmentId: entry.token_id?._id || entry.token_id,
+        tokenNumber: entry.token_id?.token_number || null,
+        patientName: entry.token_id?.patient_name || null,
+        type: entry.type,
+        method: entry.method,
+        amount: entry.amount,
+        reference: entry.reference,
+        recordedAt: entry.recorded_at
+      }));
+    }
+    return formatted;
+  }
+
+  csv(rows) {
+    return rows.map(row => row.map(value => {
+      if (value === null || value === undefined) return '';
+      const text = String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',')).join('\n');
+  }
+
+  // One shift's reconciliation report followed by its payment entries
+  toReportCsv(shift) {
+    const report = this.formatShift(shift, { withPayments: true });
+    const rows = [
+      ['Shift', String(report.id)],
+      ['Receptionist', report.receptionist?.name || ''],
+      ['Status', report.status],
+      ['Opened', report.openedAt ? new Date(report.openedAt).toISOString() : ''],
+      ['Closed', report.closedAt ? new Date(report.closedAt).toISOString() : ''],
+      ['Opening float', report.openingFloat],
+      ['Discrepancy', report.hasDiscrepancy ? 'Yes' : 'No'],
+      ['Approved by', report.approvedBy?.name || ''],
+      ['Review note', report.reviewNote || ''],
+      [],
+      ['Method', 'Expected', 'Counted', 'Difference'],
+      ...report.reconciliation.map(line => [line.method, line.expected, line.counted, line.difference]),
+      [],
+      ['Recorded at', 'Token', 'Patient', 'Type', 'Method', 'Amount', 'Reference'],
+      ...report.payments.map(entry => [
+        new Date(entry.recordedAt).toISOString(),
+        entry.tokenNumber || entry.appointmentId,
+        entry.patientName || '',
+        entry.type,
+        entry.method,
+        entry.type === 'reversal' ? -entry.amount : entry.amount,
+        entry.reference
+      ])
+    ];
+    return this.csv(rows);
+  }
+
+  // One line per shift, for end-of-day/period exports
+  toSummaryCsv(shifts) {
+    const rows = [[
+      'Shift', 'Receptionist', 'Status', 'Opened', 'Closed', 'Opening float',
+      ...METHODS.flatMap(method => [`${method} expected`, `${method} counted`, `${method} difference`]),
+      'Total difference', 'Discrepancy', 'Approved by'
+    ]];
+    shifts.forEach(shift => {
+      const lines = Object.fromEntries(shift.reconciliation.map(line => [line.method, line]));
+      rows.push([
+        shift._id,
+        shift.receptionist_id?.name || '',
+        shift.status,
+        shift.opened_at ? shift.opened_at.toISOString() : '',
+        shift.closed_at ? shift.closed_at.toISOString() : '',
+        shift.opening_float,
+        ...METHODS.flatMap(method => (lines[method] ? [lines[method].expected, lines[method].counted, lines[method].difference] : ['', '', ''])),
+        shift.status === 'open' ? '' : shift.total_difference,
+        shift.has_discrepancy ? 'Yes' : 'No',
+        shift.approved_by?.name || ''
+      ]);
+    });
+    return this.csv(rows);
+  }
+}
+
+module.exports = new CashShiftService();
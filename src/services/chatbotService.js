@@ -256,7 +256,7 @@ class ChatbotService {
         response += `   Doctor: Dr. ${doctorName}\n`;
         response += `   Date: ${date}\n`;
         response += `   Time: ${apt.time_slot}\n`;
-        response += `   Token: #T${apt.token_number}\n\n`;
+        response += `   Token: #${apt.token_number}\n\n`;
       });
 
       response += "To reschedule your appointment, please visit your appointments page where you can:\n";
@@ -301,7 +301,7 @@ class ChatbotService {
         response += `   Doctor: Dr. ${doctorName}\n`;
         response += `   Date: ${date}\n`;
         response += `   Time: ${apt.time_slot}\n`;
-        response += `   Token: #T${apt.token_number}\n\n`;
+        response += `   Token: #${apt.token_number}\n\n`;
       });
 
       response += "To cancel or reschedule your appointment, please visit your appointments page where you can:\n";
@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { Token } = require('../models/User');
+const scheduleRuleService = require('./scheduleRuleService');
+const queueService = require('./queueService');
+
+const CODE_PREFIX = 'MQ1';
+
+// Signed check-in codes printed as a QR on the token. The signature covers the token id and its
+// booking date, so a rescheduled token gets a new code and an old printout stops working.
+class CheckInService {
+  constructor() {
+    this.secret = process.env.CHECKIN_QR_SECRET || process.env.JWT_SECRET || 'your_jwt_secret';
+  }
+
+  sign(tokenId, bookingDate) {
+    return crypto
+      .createHmac('sha256', this.secret)
+      .update(`${tokenId}:${scheduleRuleService.dateKey(bookingDate)}`)
+      .digest('base64url')
+      .slice(0, 22);
+  }
+
+  getCode(token) {
+    return `${CODE_PREFIX}:${token._id}:${this.sign(token._id, token.booking_date)}`;
+  }
+
+  // The signed code checks the patient in, so its QR is drawn here and never sent to an outside renderer.
+  // PNG data URL for web pages and PDFs; emails attach the PNG buffer instead (see getQrPng).
+  getQrDataUrl(token, size = 240) {
+    return QRCode.toDataURL(this.getCode(token), { width: size, margin: 1 });
+  }
+
+  getQrPng(token, size = 240) {
+    return QRCode.toBuffer(this.getCode(token), { type: 'png', width: size, margin: 1 });
+  }
+
+  tokenPdfPath(tokenId) {
+    return `/api/patient/appointments/${tokenId}/token-pdf`;
+  }
+
+  // Resolve a scanned code to its token. Returns { success, message, token }.
+  async verifyCode(code) {
+    const [prefix, tokenId, signature] = String(code || '').trim().split(':');
+    if (prefix !== CODE_PREFIX || !tokenId || !signature || !/^[a-f0-9]{24}$/i.test(tokenId)) {
+      return { success: false, message: 'Invalid check-in code' };
+    }
+
+    const token = await Token.findById(tokenId);
+    if (!token) {
+      return { success: false, message: 'Invalid check-in code' };
+    }
+
+    const expected = Buffer.from(this.sign(token._id, token.booking_date));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return { success: false, message: 'Check-in code is not valid for this appointment' };
+    }
+
+    return { success: true, token };
+  }
+
+  // Kiosk / receptionist scan
+  async checkInWithCode(code, receptionistId) {
+    const verified = await this.verifyCode(code);
+    if (!verified.success) return verified;
+
+    return queueService.setArrival(verified.token._id, true, { method: 'qr', by: receptionistId });
+  }
+}
+
+module.exports = new CheckInService();
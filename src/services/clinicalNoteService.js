@@ -0,0 +1,450 @@
+const mongoose = require('mongoose');
+const { Token } = require('../models/User');
+const ClinicalNote = require('../models/ClinicalNote');
+
+// Consultation-form vital (free text) -> ClinicalNote vital (number)
+const CONSULTATION_VITALS = {
+  heartRate: 'heart_rate',
+  temperature: 'temperature',
+  respiratoryRate: 'respiratory_rate',
+  oxygenSaturation: 'oxygen_saturation'
+};
+const VITAL_LABELS = {
+  bloodPressure: 'Blood pressure',
+  heartRate: 'Heart rate',
+  temperature: 'Temperature',
+  respiratoryRate: 'Respiratory rate',
+  oxygenSaturation: 'Oxygen saturation'
+};
+const EXAM_SECTIONS = ['general_appearance', 'cardiovascular', 'respiratory', 'gastrointestinal', 'neurological', 'musculoskeletal', 'skin', 'other'];
+const LOCKED_MESSAGE = 'This clinical note has been signed and can no longer be edited. Add an addendum instead.';
+
+// Unified clinical notes: both the consultation form and the Diagnosis form write here, every save is
+// kept as a version, and signed notes only take addenda
+class ClinicalNoteService {
+  // First number in a free-text vital ("72 bpm" -> 72); '' -> null, unreadable -> undefined
+  parseNumber(value) {
+    if (value === null || value === undefined || String(value).trim() === '') return null;
+    if (typeof value === 'number') return Number.isFinite(value) ? value : undefined;
+    const match = String(value).match(/-?\d+(\.\d+)?/);
+    return match ? Number(match[0]) : undefined;
+  }
+
+  parseBloodPressure(value) {
+    if (value === null || value === undefined || String(value).trim() === '') return { systolic: null, diastolic: null };
+    const match = String(value).match(/(\d{2,3})\s*\/\s*(\d{2,3})/);
+    return match ? { systolic: Number(match[1]), diastolic: Number(match[2]) } : undefined;
+  }
+
+  formatBloodPressure(bp) {
+    return bp && bp.systolic != null && bp.diastolic != null ? `${bp.systolic}/${bp.diastolic}` : '';
+  }
+
+  formatMedicationLine(medication) {
+    return [medication.name, medication.dosage, medication.frequency, medication.duration].filter(Boolean).join(' ')
+      + (medication.instructions ? ` (${medication.instructions})` : '');
+  }
+
+  normalizeMedications(medications) {
+    if (Array.isArray(medications)) {
+      return medications
+        .map(medication => (typeof medication === 'string' ? { name: medication } : medication || {}))
+        .map(medication => ({
+          name: String(medication.name || '').trim(),
+          dosage: String(medication.dosage || '').trim(),
+          frequency: String(medication.frequency || '').trim(),
+          duration: String(medication.duration || '').trim(),
+          instructions: String(medication.instructions || '').trim()
+        }))
+        .filter(medication => medication.name);
+    }
+    return String(medications || '').split('\n').map(line => line.trim()).filter(Boolean)
+      .map(line => ({ name: line, dosage: '', frequency: '', duration: '', instructions: '' }));
+  }
+
+  // The note in the shape of the legacy consultation form (string vitals, single text fields)
+  toConsultationData(content = {}) {
+    const vitals = content.vital_signs || {};
+    const exam = content.physical_examination || {};
+    const examSections = EXAM_SECTIONS.filter(section => exam[section]);
+    const physicalExamination = examSections.length === 1 && examSections[0] === 'other'
+      ? exam.other
+      : examSections.map(section => `${section.replace(/_/g, ' ').replace(/^\w/, c => c.toUpperCase())}: ${exam[section]}`).join('\n');
+    const vitalText = value => (value === null || value === undefined ? '' : String(value));
+    return {
+      chiefComplaint: content.chief_complaint || '',
+      historyOfPresentIllness: content.history_of_present_illness || '',
+      physicalExamination,
+      vitalSigns: {
+        bloodPressure: this.formatBloodPressure(vitals.blood_pressure),
+        heartRate: vitalText(vitals.heart_rate),
+        temperature: vitalText(vitals.temperature),
+        respiratoryRate: vitalText(vitals.respiratory_rate),
+        oxygenSaturation: vitalText(vitals.oxygen_saturation)
+      },
+      diagnosis: content.assessment?.primary_diagnosis || '',
+      treatmentPlan: content.treatment_plan || '',
+      medications: (content.medications || []).map(medication => this.formatMedicationLine(medication)).join('\n'),
+      followUpInstructions: content.follow_up || '',
+      additionalNotes: content.notes || ''
+    };
+  }
+
+  // Apply what the consultation form sent on top of `base`. Only fields that differ from what the form
+  // was shown are taken, so structured detail entered through the Diagnosis form is not flattened.
+  // With `lenient`, unreadable vitals are kept as text in notes instead of failing.
+  // Returns { content, errors }.
+  applyConsultationData(base, data = {}, { lenient = false } = {}) {
+    const content = JSON.parse(JSON.stringify(base || {}));
+    const current = this.toConsultationData(content);
+    const changed = key => data[key] !== undefined && data[key] !== null && String(data[key]) !== current[key];
+    const errors = [];
+    const unreadable = [];
+    content.vital_signs = content.vital_signs || {};
+    content.assessment = content.assessment || {};
+
+    if (changed('chiefComplaint')) content.chief_complaint = String(data.chiefComplaint).trim();
+    if (changed('historyOfPresentIllness')) content.history_of_present_illness = String(data.historyOfPresentIllness).trim();
+    if (changed('physicalExamination')) content.physical_examination = { other: String(data.physicalExamination).trim() };
+    if (changed('diagnosis')) content.assessment.primary_diagnosis = String(data.diagnosis).trim();
+    if (changed('treatmentPlan')) content.treatment_plan = String(data.treatmentPlan).trim();
+    if (changed('followUpInstructions')) content.follow_up = String(data.followUpInstructions).trim();
+    if (changed('additionalNotes')) content.notes = String(data.additionalNotes).trim();
+
+    if (data.medications !== undefined && data.medications !== null) {
+      const medications = this.normalizeMedications(data.medications);
+      const same = Array.isArray(data.medications)
+        ? JSON.stringify(medications) === JSON.stringify(this.normalizeMedications(content.medications || []))
+        : String(data.medications) === current.medications;
+      if (!same) content.medications = medications;
+    }
+
+    const vitals = data.vitalSigns || {};
+    const vitalChanged = key => vitals[key] !== undefined && vitals[key] !== null && String(vitals[key]).trim() !== current.vitalSigns[key];
+    if (vitalChanged('bloodPressure')) {
+      const bp = this.parseBloodPressure(vitals.bloodPressure);
+      if (bp) content.vital_signs.blood_pressure = bp;
+      else unreadable.push('bloodPressure');
+    }
+    Object.entries(CONSULTATION_VITALS).forEach(([key, field]) => {
+      if (!vitalChanged(key)) return;
+      const value = this.parseNumber(vitals[key]);
+      if (value !== undefined) content.vital_signs[field] = value;
+      else unreadable.push(key);
+    });
+
+    if (unreadable.length > 0) {
+      if (lenient) {
+        const recorded = unreadable.map(key => `${VITAL_LABELS[key]}: ${vitals[key]}`).join('; ');
+        content.notes = [content.notes, `Vitals as recorded: ${recorded}`].filter(Boolean).join('\n');
+      } else {
+        unreadable.forEach(key => errors.push(key === 'bloodPressure'
+          ? 'Blood pressure must look like 120/80'
+          : `${VITAL_LABELS[key]} must be a number`));
+      }
+    }
+    return { content, errors };
+  }
+
+  // Apply a Diagnosis document (or its update payload) on top of `base`; fields the Diagnosis form does
+  // not carry (free-text treatment plan) are left as they were
+  applyDiagnosis(base, diagnosis) {
+    const content = JSON.parse(JSON.stringify(base || {}));
+    const source = typeof diagnosis.toObject === 'function' ? diagnosis.toObject() : diagnosis;
+    ['chief_complaint', 'history_of_present_illness', 'past_medical_history', 'family_history', 'social_history', 'notes']
+      .forEach(field => {
+        if (source[field] !== undefined) content[field] = source[field] || '';
+      });
+    if (source.vital_signs) content.vital_signs = source.vital_signs;
+    if (source.physical_examination) content.physical_examination = source.physical_examination;
+    if (source.assessment) {
+      content.assessment = {
+        primary_diagnosis: source.assessment.primary_diagnosis || '',
+        primary_icd_code: source.assessment.primary_icd_code || '',
+        secondary_diagnoses: source.assessment.secondary_diagnoses || [],
+        differential_diagnosis: source.assessment.differential_diagnosis || []
+      };
+    }
+    if (source.treatment_plan) {
+      if (source.treatment_plan.medications) content.medications = this.normalizeMedications(source.treatment_plan.medications);
+      if (source.treatment_plan.follow_up !== undefined) content.follow_up = source.treatment_plan.follow_up || '';
+    }
+    return content;
+  }
+
+  async findByToken(tokenId) {
+    if (!mongoose.isValidObjectId(tokenId)) return null;
+    return ClinicalNote.findOne({ token_id: tokenId });
+  }
+
+  async isLocked(tokenId) {
+    const note = await this.findByToken(tokenId);
+    return !!note && note.status === 'signed';
+  }
+
+  // Note for this consultation, created on first save
+  async getOrCreate(token, doctorId) {
+    let note = await ClinicalNote.findOne({ token_id: token._id });
+    if (!note) {
+      note = new ClinicalNote({
+        token_id: token._id,
+        patient_id: token.patient_id?._id || token.patient_id,
+        family_member_id: token.family_member_id?._id || token.family_member_id || null,
+        doctor_id: doctorId || token.doctor_id,
+        consultation_date: new Date()
+      });
+    }
+    return note;
+  }
+
+  // Record a new version when the content actually changed; signs the note when `sign` is set.
+  // Returns { success, locked, message, note }.
+  async saveVersion(note, content, { source, editorId, sign = false, diagnosisId = null }) {
+    if (note.status === 'signed') {
+      return { success: false, locked: true, message: LOCKED_MESSAGE, note };
+    }
+    if (diagnosisId) note.diagnosis_id = diagnosisId;
+
+    // formatContent gives a fixed key order, so equal content compares equal
+    const previous = JSON.stringify(this.formatContent(note.content ? note.content.toObject() : {}));
+    note.content = content;
+    if (note.isNew || JSON.stringify(this.formatContent(note.content.toObject())) !== previous) {
+      note.version += 1;
+      note.versions.push({ version: note.version, content: note.content, source, edited_by: editorId, edited_at: new Date() });
+    }
+    if (sign) {
+      note.status = 'signed';
+      note.signed_by = editorId;
+      note.signed_at = new Date();
+    }
+    await note.save();
+    return { success: true, note };
+  }
+
+  // Save from PATCH /doctor/appointments/:id/consultation. Returns { success, locked, message, errors, note }.
+  async saveFromConsultation(token, doctor, consultationData = {}, { sign = false } = {}) {
+    const note = await this.getOrCreate(token, doctor._id);
+    if (note.status === 'signed') {
+      return { success: false, locked: true, message: LOCKED_MESSAGE, note };
+    }
+    const { content, errors } = this.applyConsultationData(note.content ? note.content.toObject() : {}, consultationData);
+    if (errors.length > 0) {
+      return { success: false, message: errors[0], errors, note };
+    }
+    return this.saveVersion(note, content, { source: 'consultation', editorId: doctor._id, sign });
+  }
+
+  // Keep the note in step after the Diagnosis form is created or updated
+  async saveFromDiagnosis(diagnosis, editorId, { sign = false } = {}) {
+    const token = await Token.findById(diagnosis.appointment_id).select('patient_id family_member_id doctor_id');
+    if (!token) return { success: false, message: 'Appointment not found' };
+    const note = await this.getOrCreate(token, diagnosis.doctor_id);
+    const content = this.applyDiagnosis(note.content ? note.content.toObject() : {}, diagnosis);
+    return this.saveVersion(note, content, {
+      source: 'diagnosis',
+      editorId: editorId || diagnosis.doctor_id,
+      sign,
+      diagnosisId: diagnosis._id
+    });
+  }
+
+  async sign(note, doctor) {
+    if (note.status === 'signed') {
+      return { success: false, message: 'Note is already signed' };
+    }
+    note.status = 'signed';
+    note.signed_by = doctor._id;
+    note.signed_at = new Date();
+    await note.save();
+    return { success: true };
+  }
+
+  async addAddendum(note, doctor, text) {
+    const body = String(text || '').trim();
+    if (!body) {
+      return { success: false, message: 'Addendum text is required' };
+    }
+    if (note.status !== 'signed') {
+      return { success: false, message: 'Draft notes can be edited directly; addenda are for signed notes' };
+    }
+    note.addenda.push({ text: body, author_id: doctor._id, created_at: new Date() });
+    await note.save();
+    return { success: true };
+  }
+
+  // Note written by this doctor, or null
+  async findForDoctor(noteId, doctor) {
+    if (!mongoose.isValidObjectId(noteId)) return null;
+    return ClinicalNote.findOne({ _id: noteId, doctor_id: doctor._id });
+  }
+
+  async list(filter, { page = 1, limit = 10 } = {}) {
+    const query = { ...filter };
+    const total = await ClinicalNote.countDocuments(query);
+    let cursor = ClinicalNote.find(query)
+      .populate('patient_id', 'name email phone patientId')
+      .populate('family_member_id', 'name relation')
+      .populate('doctor_id', 'name')
+      .populate('token_id', 'booking_date time_slot token_number status department')
+      .sort({ consultation_date: -1 });
+    if (limit) cursor = cursor.skip((parseInt(page) - 1) * parseInt(limit)).limit(parseInt(limit));
+    const notes = await cursor;
+    return { notes, total };
+  }
+
+  async getWithHistory(noteId) {
+    return ClinicalNote.findById(noteId)
+      .populate('patient_id', 'name email phone patientId')
+      .populate('family_member_id', 'name relation')
+      .populate('doctor_id', 'name')
+      .populate('token_id', 'booking_date time_slot token_number status department')
+      .populate('signed_by', 'name')
+      .populate('versions.edited_by', 'name')
+      .populate('addenda.author_id', 'name');
+  }
+
+  // Merge a legacy ConsultationRecord and/or Diagnosis for one appointment into a new note, oldest first,
+  // each becoming a version. Used by src/scripts/migrateClinicalNotes.js; existing notes are left alone.
+  async migrateAppointment(tokenId, { record = null, diagnosis = null } = {}) {
+    if (await ClinicalNote.exists({ token_id: tokenId })) return { created: false, reason: 'exists' };
+    const source = diagnosis || record;
+    const token = await Token.findById(tokenId).select('patient_id family_member_id doctor_id');
+
+    const note = new ClinicalNote({
+      token_id: tokenId,
+      patient_id: token?.patient_id || source.patient_id,
+      family_member_id: token?.family_member_id || null,
+      doctor_id: source.doctor_id,
+      diagnosis_id: diagnosis?._id || null,
+      consultation_record_id: record?._id || null,
+      consultation_date: record?.consultation_date || diagnosis?.consultation_start_time || diagnosis?.createdAt || new Date()
+    });
+
+    const steps = [];
+    if (record) {
+      steps.push({
+        at: record.updatedAt || record.updated_at || record.consultation_date,
+        apply: base => this.applyConsultationData(base, record.toObject().consultationData || {}, { lenient: true }).content
+      });
+    }
+    if (diagnosis) {
+      steps.push({ at: diagnosis.updatedAt || diagnosis.createdAt, apply: base => this.applyDiagnosis(base, diagnosis) });
+    }
+    steps.sort((a, b) => new Date(a.at || 0) - new Date(b.at || 0));
+
+    let content = {};
+    steps.forEach(step => {
+      content = step.apply(content);
+      note.version += 1;
+      note.versions.push({ version: note.version, content, source: 'migration', edited_by: source.doctor_id, edited_at: step.at || new Date() });
+    });
+    note.content = content;
+
+    const completed = record?.status === 'completed' || diagnosis?.consultation_status === 'completed';
+    if (completed) {
+      note.status = 'signed';
+      note.signed_by = source.doctor_id;
+      note.signed_at = diagnosis?.consultation_end_time || steps[steps.length - 1]?.at || new Date();
+    }
+    await note.save();
+    return { created: true, note };
+  }
+
+  formatContent(content = {}) {
+    const vitals = content.vital_signs || {};
+    const exam = content.physical_examination || {};
+    const assessment = content.assessment || {};
+    return {
+      chiefComplaint: content.chief_complaint || '',
+      historyOfPresentIllness: content.history_of_present_illness || '',
+      pastMedicalHistory: content.past_medical_history || '',
+      familyHistory: content.family_history || '',
+      socialHistory: content.social_history || '',
+      vitalSigns: {
+        bloodPressure: {
+          systolic: vitals.blood_pressure?.systolic ?? null,
+          diastolic: vitals.blood_pressure?.diastolic ?? null
+        },
+        heartRate: vitals.heart_rate ?? null,
+        temperature: vitals.temperature ?? null,
+        respiratoryRate: vitals.respiratory_rate ?? null,
+        oxygenSaturation: vitals.oxygen_saturation ?? null,
+        weight: vitals.weight ?? null,
+        height: vitals.height ?? null
+      },
+      physicalExamination: {
+        generalAppearance: exam.general_appearance || '',
+        cardiovascular: exam.cardiovascular || '',
+        respiratory: exam.respiratory || '',
+        gastrointestinal: exam.gastrointestinal || '',
+        neurological: exam.neurological || '',
+        musculoskeletal: exam.musculoskeletal || '',
+        skin: exam.skin || '',
+        other: exam.other || ''
+      },
+      assessment: {
+        primaryDiagnosis: assessment.primary_diagnosis || '',
+        primaryIcdCode: assessment.primary_icd_code || '',
+        secondaryDiagnoses: (assessment.secondary_diagnoses || []).map(entry => ({ diagnosis: entry.diagnosis, icdCode: entry.icd_code || '' })),
+        differentialDiagnosis: (assessment.differential_diagnosis || []).map(entry => ({ diagnosis: entry.diagnosis, reasoning: entry.reasoning || '' }))
+      },
+      treatmentPlan: content.treatment_plan || '',
+      medications: (content.medications || []).map(medication => ({
+        name: medication.name,
+        dosage: medication.dosage || '',
+        frequency: medication.frequency || '',
+        duration: medication.duration || '',
+        instructions: medication.instructions || ''
+      })),
+      followUp: content.follow_up || '',
+      notes: content.notes || ''
+    };
+  }
+
+  formatNote(note, { includeVersions = false } = {}) {
+    const token = note.token_id && note.token_id.booking_date ? note.token_id : null;
+    const formatted = {
+      id: note._id,
+      appointmentId: token ? token._id : note.token_id,
+      appointmentDate: token?.booking_date || null,
+      appointmentTime: token?.time_slot || '',
+      tokenNumber: token?.token_number || null,
+      department: token?.department || null,
+      patientId: note.patient_id?._id || note.patient_id,
+      patientName: note.family_member_id?.name || note.patient_id?.name,
+      familyMemberId: note.family_member_id?._id || note.family_member_id,
+      doctorId: note.doctor_id?._id || note.doctor_id,
+      doctorName: note.doctor_id?.name,
+      diagnosisId: note.diagnosis_id,
+      status: note.status,
+      isLocked: note.status === 'signed',
+      version: note.version,
+      content: this.formatContent(note.content ? note.content.toObject() : {}),
+      signedAt: note.signed_at,
+      signedBy: note.signed_by?.name || note.signed_by,
+      addenda: note.addenda.map(addendum => ({
+        id: addendum._id,
+        text: addendum.text,
+        authorId: addendum.author_id?._id || addendum.author_id,
+        authorName: addendum.author_id?.name,
+        createdAt: addendum.created_at
+      })),
+      consultationDate: note.consultation_date,
+      createdAt: note.createdAt,
+      updatedAt: note.updatedAt
+    };
+    if (includeVersions) {
+      formatted.versions = note.versions.map(version => ({
+        version: version.version,
+        source: version.source,
+        editedBy: version.edited_by?._id || version.edited_by,
+        editedByName: version.edited_by?.name,
+        editedAt: version.edited_at,
+        content: this.formatContent(version.content ? version.content.toObject() : {})
+      }));
+    }
+    return formatted;
+  }
+}
+
+module.exports = new ClinicalNoteService();
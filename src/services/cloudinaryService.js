@@ -136,6 +136,52 @@ class CloudinaryService {
     }
   }
 
+  /**
+   * Upload a document (PDF or image, e.g. a lab report) to Cloudinary
+   * @param {string} filePath - Path to the local file
+   * @param {string} folder - Cloudinary folder (optional)
+   * @param {string} publicId - Custom public ID (optional)
+   * @returns {Promise<Object>} Cloudinary upload result
+   */
+  static async uploadDocument(filePath, folder = 'opd-lab-reports', publicId = null) {
+    try {
+      if (!isCloudinaryConfigured) {
+        return {
+          success: false,
+          error: 'Cloudinary not configured. Please set up Cloudinary environment variables.'
+        };
+      }
+
+      const options = {
+        folder: folder,
+        resource_type: 'auto'
+      };
+
+      if (publicId) {
+        options.public_id = publicId;
+      }
+
+      const result = await cloudinary.uploader.upload(filePath, options);
+
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+
+      return {
+        success: true,
+        url: result.secure_url,
+        public_id: result.public_id,
+        resource_type: result.resource_type
+      };
+    } catch (error) {
+      console.error('Cloudinary document upload error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   /**
    * Delete image from Cloudinary
    * @param {string} publicId - Cloudinary public ID
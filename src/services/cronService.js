@@ -1,5 +1,10 @@
 const cron = require('node-cron');
 const appointmentCancellationService = require('./appointmentCancellationService');
+const waitlistService = require('./waitlistService');
+const queueService = require('./queueService');
+const followUpService = require('./followUpService');
+const referralService = require('./referralService');
+const paymentService = require('./paymentService');
 
 class CronService {
   constructor() {
@@ -16,27 +21,18 @@ class CronService {
 
     console.log('🚀 Starting cron service...');
 
-    // Job 1: Check for morning session cancellations at 1:05 PM (13:05)
-    // This runs after morning session ends at 1:00 PM
-    const morningCancellationJob = cron.schedule('5 13 * * *', async () => {
-      console.log('🕐 Running morning session cancellation check...');
+    // Job 1: Session-end no-show sweep every 15 minutes.
+    // Session end times come from each doctor's session templates, so a fixed
+    // 1:05 PM / 6:05 PM schedule can't cover evening or early-morning clinics.
+    const sessionEndCancellationJob = cron.schedule('*/15 * * * *', async () => {
+      console.log('🕐 Running session-end cancellation check...');
       await appointmentCancellationService.checkAndCancelAppointments();
     }, {
       scheduled: true,
       timezone: 'Asia/Kolkata' // Adjust timezone as needed
     });
 
-    // Job 2: Check for afternoon session cancellations at 6:05 PM (18:05)
-    // This runs after afternoon session ends at 6:00 PM
-    const afternoonCancellationJob = cron.schedule('5 18 * * *', async () => {
-      console.log('🕐 Running afternoon session cancellation check...');
-      await appointmentCancellationService.checkAndCancelAppointments();
-    }, {
-      scheduled: true,
-      timezone: 'Asia/Kolkata' // Adjust timezone as needed
-    });
-
-    // Job 3: Hourly cleanup for previous days appointments
+    // Job 2: Hourly cleanup for previous days appointments
     const hourlyCleanupJob = cron.schedule('0 * * * *', async () => {
       console.log('🧹 Running hourly cleanup for previous days appointments...');
       await appointmentCancellationService.cancelPreviousDaysAppointments();
@@ -45,7 +41,7 @@ class CronService {
       timezone: 'Asia/Kolkata'
     });
 
-    // Job 4: Daily cleanup and stats at 11:59 PM
+    // Job 3: Daily cleanup and stats at 11:59 PM
     const dailyCleanupJob = cron.schedule('59 23 * * *', async () => {
       console.log('🧹 Running daily cleanup...');
       const stats = await appointmentCancellationService.getCancellationStats();
@@ -55,20 +51,81 @@ class CronService {
       timezone: 'Asia/Kolkata'
     });
 
+    // Job 4: Waitlist holds every 5 minutes - unclaimed offers roll to the next person
+    const waitlistHoldJob = cron.schedule('*/5 * * * *', async () => {
+      await waitlistService.processExpiredHolds();
+    }, {
+      scheduled: true,
+      timezone: 'Asia/Kolkata'
+    });
+
+    // Job 5: Refresh today's wait-time estimates every 5 minutes, even when no queue action happens
+    const waitTimeRefreshJob = cron.schedule('*/5 * * * *', async () => {
+      try {
+        await queueService.broadcastAllToday();
+      } catch (error) {
+        console.error('❌ Wait time refresh failed:', error);
+      }
+    }, {
+      scheduled: true,
+      timezone: 'Asia/Kolkata'
+    });
+
+    // Job 6: Follow-ups and referrals every hour - lapse pending follow-ups past their window, settle booked ones
+    const followUpJob = cron.schedule('30 * * * *', async () => {
+      try {
+        const result = await followUpService.processOverdue();
+        if (result.missed > 0 || result.settled > 0) {
+          console.log('🔁 Follow-up sweep:', result);
+        }
+        const referrals = await referralService.settleBooked();
+        if (referrals.settled > 0) {
+          console.log('🔁 Referral sweep:', referrals);
+        }
+      } catch (error) {
+        console.error('❌ Follow-up sweep failed:', error);
+      }
+    }, {
+      scheduled: true,
+      timezone: 'Asia/Kolkata'
+    });
+
+    // Job 7: Settle gateway refunds whose webhook never arrived, every 30 minutes
+    const refundReconcileJob = cron.schedule('*/30 * * * *', async () => {
+      try {
+        const result = await paymentService.reconcileRefunds();
+        if (result.checked > 0) {
+          console.log('💸 Refund reconciliation:', result);
+        }
+      } catch (error) {
+        console.error('❌ Refund reconciliation failed:', error);
+      }
+    }, {
+      scheduled: true,
+      timezone: 'Asia/Kolkata'
+    });
+
     // Store job references
     this.jobs = [
-      { name: 'morning-cancellation', job: morningCancellationJob },
-      { name: 'afternoon-cancellation', job: afternoonCancellationJob },
+      { name: 'session-end-cancellation', job: sessionEndCancellationJob },
       { name: 'hourly-cleanup', job: hourlyCleanupJob },
-      { name: 'daily-cleanup', job: dailyCleanupJob }
+      { name: 'daily-cleanup', job: dailyCleanupJob },
+      { name: 'waitlist-holds', job: waitlistHoldJob },
+      { name: 'wait-time-refresh', job: waitTimeRefreshJob },
+      { name: 'follow-up-sweep', job: followUpJob },
+      { name: 'refund-reconcile', job: refundReconcileJob }
     ];
 
     this.isRunning = true;
     console.log('✅ Cron service started successfully');
     console.log('📅 Scheduled jobs:');
-    console.log('   - Morning cancellation check: 1:05 PM daily');
-    console.log('   - Afternoon cancellation check: 6:05 PM daily');
+    console.log('   - Session-end cancellation check: every 15 minutes');
+    console.log('   - Previous days cleanup: hourly');
     console.log('   - Daily cleanup: 11:59 PM daily');
+    console.log('   - Waitlist hold expiry: every 5 minutes');
+    console.log('   - Wait time refresh: every 5 minutes');
+    console.log('   - Follow-up and referral sweep: hourly');
+    console.log('   - Refund reconciliation: every 30 minutes');
   }
 
   // Stop all scheduled jobs
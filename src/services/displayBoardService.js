@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const { User, Token } = require('../models/User');
+const queueService = require('./queueService');
+const roomService = require('./roomService');
+
+const DEFAULT_UPCOMING = 5;
+const MAX_UPCOMING = 20;
+
+// "Token {token}, please proceed to Dr. {doctor} [in {room}]" in the languages patients can pick
+const ANNOUNCEMENT_TEMPLATES = {
+  en: ({ token, doctor, room }) => `Token ${token}, please proceed to Dr. ${doctor}${room ? ` in ${room}` : ''}.`,
+  hi: ({ token, doctor, room }) => `टोकन ${token}, कृपया ${room ? `${room} में ` : ''}डॉ. ${doctor} के पास जाएं।`,
+  ml: ({ token, doctor, room }) => `ടോക്കൺ ${token}, ദയവായി ${room ? `${room}-ൽ ` : ''}ഡോ. ${doctor} അടുത്തേക്ക് പോകുക.`,
+  ta: ({ token, doctor, room }) => `டோக்கன் ${token}, தயவுசெய்து ${room ? `${room} இல் ` : ''}டாக்டர் ${doctor} அவர்களிடம் செல்லவும்.`
+};
+
+// Waiting-room TV feed. Boards are public but each link is signed, so only displays set up by
+// admin can read a department's or doctor's board. Payloads carry token numbers only, never names.
+class DisplayBoardService {
+  constructor() {
+    this.secret = process.env.DISPLAY_BOARD_SECRET || process.env.JWT_SECRET || 'your_jwt_secret';
+  }
+
+  sign(scope, id) {
+    return crypto.createHmac('sha256', this.secret).update(`display:${scope}:${id}`).digest('base64url').slice(0, 32);
+  }
+
+  verify(scope, id, signature) {
+    if (!['department', 'doctor'].includes(scope) || !id || !signature) return false;
+    const expected = Buffer.from(this.sign(scope, id));
+    const received = Buffer.from(String(signature));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  socketRoom(scope, id) {
+    return `display-${scope}-${id}`;
+  }
+
+  getLink(scope, id) {
+    const signature = this.sign(scope, id);
+    return {
+      scope,
+      id,
+      signature,
+      url: `/api/display/${scope === 'department' ? 'departments' : 'doctors'}/${id}?sig=${signature}`,
+      socketRoom: this.socketRoom(scope, id),
+      socketJoin: { event: 'join-display', payload: { scope, id, sig: signature } }
+    };
+  }
+
+  // Announcement in the called patient's language, with English alongside for everyone else
+  buildAnnouncements(token, doctorName, room = null) {
+    const language = token.patient_id?.account_settings?.preferences?.language || 'en';
+    const values = { token: token.token_number, doctor: doctorName, room: room?.name };
+    const announcements = [];
+    if (ANNOUNCEMENT_TEMPLATES[language] && language !== 'en') {
+      announcements.push({ language, text: ANNOUNCEMENT_TEMPLATES[language](values) });
+    }
+    announcements.push({ language: 'en', text: ANNOUNCEMENT_TEMPLATES.en(values) });
+    return announcements;
+  }
+
+  async getDoctorBoard(doctor, upcoming = DEFAULT_UPCOMING) {
+    const limit = Math.min(Math.max(parseInt(upcoming, 10) || DEFAULT_UPCOMING, 1), MAX_UPCOMING);
+    const queue = await queueService.getQueue(doctor._id);
+    const resolveRoom = roomService.createResolver();
+    const roomFor = entry => resolveRoom(doctor._id, entry.token.booking_date, entry.token.session_type);
+
+    const serving = queue.filter(entry => entry.state === 'in_consultation');
+    const waiting = queue.filter(entry => entry.state !== 'in_consultation');
+    // The room of whoever is in (or next), so the screen shows where the doctor is sitting now
+    const current = serving[0] || waiting[0];
+
+    return {
+      doctorId: doctor._id,
+      doctorName: doctor.name,
+      room: current ? await roomFor(current) : null,
+      nowServing: await Promise.all(serving.map(async entry => {
+        const room = await roomFor(entry);
+        return {
+          tokenNumber: entry.token.token_number,
+          since: entry.token.consultation_started_at || null,
+          room,
+          announcements: this.buildAnnouncements(entry.token, doctor.name, room)
+        };
+      })),
+      upcoming: await Promise.all(waiting.slice(0, limit).map(async entry => ({
+        tokenNumber: entry.token.token_number,
+        position: entry.position,
+        isPriority: !!entry.token.priority_flag,
+        room: await roomFor(entry)
+      }))),
+      waitingCount: waiting.length
+    };
+  }
+
+  async getDepartmentBoard(department, upcoming = DEFAULT_UPCOMING) {
+    const doctors = await User.find({
+      role: 'doctor',
+      'doctor_info.department': department._id,
+      isActive: { $ne: false }
+    }).select('name doctor_info').sort({ name: 1 });
+
+    const boards = await Promise.all(doctors.map(doctor => this.getDoctorBoard(doctor, upcoming)));
+    return {
+      departmentId: department._id,
+      departmentName: department.name,
+      // Doctors with nobody in or waiting for consultation are left off the screen
+      doctors: boards.filter(board => board.nowServing.length > 0 || board.waitingCount > 0),
+      updatedAt: new Date()
+    };
+  }
+
+  // Push the doctor's board to their display room and their department's. `event` is what changed
+  // (called/completed/skipped/no_show/recalled); `called` boards should play the announcement.
+  // Never throws.
+  async publish(doctorId, { event, tokenId = null } = {}) {
+    try {
+      if (!global.realtimeSyncService) return;
+      const doctor = await User.findById(doctorId).select('name doctor_info');
+      if (!doctor) return;
+
+      const board = await this.getDoctorBoard(doctor);
+      const token = tokenId ? await Token.findById(tokenId).select('token_number') : null;
+      const rooms = [this.socketRoom('doctor', doctor._id)];
+      if (doctor.doctor_info?.department) {
+        rooms.push(this.socketRoom('department', doctor.doctor_info.department));
+      }
+
+      await global.realtimeSyncService.emitDisplayUpdate(rooms, {
+        event,
+        tokenNumber: token ? token.token_number : null,
+        board
+      });
+    } catch (error) {
+      console.error('Error publishing display board update:', error);
+    }
+  }
+}
+
+module.exports = new DisplayBoardService();
@@ -1,5 +1,5 @@
 const { Token, User } = require('../models/User');
-const DoctorSchedule = require('../models/DoctorSchedule');
+const scheduleRuleService = require('./scheduleRuleService');
 const DoctorStats = require('../models/DoctorStats');
 
 class DoctorStatsService {
@@ -183,10 +183,8 @@ class DoctorStatsService {
 
   // Get schedule statistics for the month
   static async getScheduleStats(doctorId, startOfMonth, endOfMonth) {
-    const schedules = await DoctorSchedule.find({
-      doctor_id: doctorId,
-      date: { $gte: startOfMonth, $lte: endOfMonth }
-    });
+    // Includes days generated from weekly schedule rules
+    const schedules = await scheduleRuleService.getSchedulesInRange(doctorId, startOfMonth, endOfMonth);
 
     const stats = {
       workingDays: 0,
@@ -0,0 +1,321 @@
+const mongoose = require('mongoose');
+const { Token } = require('../models/User');
+const Diagnosis = require('../models/Diagnosis');
+const FollowUp = require('../models/FollowUp');
+const scheduleRuleService = require('./scheduleRuleService');
+
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_INTERVAL_DAYS = 365;
+const MAX_GRACE_DAYS = 30;
+
+// Follow-ups prescribed at the end of a consultation and the bookings that fulfil them
+class FollowUpService {
+  constructor() {
+    // Days after the due date a follow-up can still be booked at the follow-up fee
+    this.defaultGraceDays = parseInt(process.env.FOLLOWUP_GRACE_DAYS, 10) || 3;
+  }
+
+  addDays(date, days) {
+    const day = scheduleRuleService.toDay(date);
+    day.setDate(day.getDate() + days);
+    return day;
+  }
+
+  // Follow-up part of a consultation/complete body: { followUp: { inDays, graceDays, notes } }
+  // or a bare followUpInDays. Returns { errors, payload } (payload null when none was asked for).
+  normalizePayload(body) {
+    const raw = body.followUp || body.follow_up || (body.followUpInDays !== undefined ? { inDays: body.followUpInDays } : null);
+    if (!raw) return { errors: [], payload: null };
+
+    const errors = [];
+    const inDays = Number(raw.inDays !== undefined ? raw.inDays : raw.in_days);
+    if (!Number.isInteger(inDays) || inDays < 1 || inDays > MAX_INTERVAL_DAYS) {
+      errors.push(`followUp.inDays must be a whole number of days between 1 and ${MAX_INTERVAL_DAYS}`);
+    }
+    const rawGrace = raw.graceDays !== undefined ? raw.graceDays : raw.grace_days;
+    const graceDays = rawGrace !== undefined ? Number(rawGrace) : this.defaultGraceDays;
+    if (!Number.isInteger(graceDays) || graceDays < 0 || graceDays > MAX_GRACE_DAYS) {
+      errors.push(`followUp.graceDays must be between 0 and ${MAX_GRACE_DAYS}`);
+    }
+
+    return { errors, payload: errors.length > 0 ? null : { inDays, graceDays, notes: String(raw.notes || '').trim() } };
+  }
+
+  // Create (or replace) the follow-up for a completed consultation. The window opens the day after
+  // the visit and closes graceDays after the due date.
+  async prescribe(token, doctor, { inDays, graceDays, notes }) {
+    const consultedOn = token.consultation_completed_at || token.booking_date;
+    const diagnosis = await Diagnosis.findOne({ appointment_id: token._id }).select('_id treatment_plan.follow_up');
+
+    const followUp = await FollowUp.findOneAndUpdate(
+      { source_token_id: token._id },
+      {
+        $set: {
+          patient_id: token.patient_id?._id || token.patient_id,
+          family_member_id: token.family_member_id?._id || token.family_member_id || null,
+          doctor_id: doctor._id,
+          department_id: doctor.doctor_info?.department || null,
+          diagnosis_id: diagnosis ? diagnosis._id : null,
+          interval_days: inDays,
+          due_date: this.addDays(consultedOn, inDays),
+          window_start: this.addDays(consultedOn, 1),
+          window_end: this.addDays(consultedOn, inDays + graceDays),
+          notes,
+          status: 'pending',
+          booked_token_id: null,
+          booked_at: null
+        }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true, runValidators: true }
+    );
+
+    // Keep the clinical record's free-text plan in step when the doctor left it empty
+    if (diagnosis && !diagnosis.treatment_plan?.follow_up) {
+      await Diagnosis.updateOne(
+        { _id: diagnosis._id },
+        { $set: { 'treatment_plan.follow_up': `Review in ${inDays} day${inDays === 1 ? '' : 's'}${notes ? ` - ${notes}` : ''}` } }
+      );
+    }
+
+    try {
+      const notificationService = require('./notificationService');
+      await notificationService.sendFollowUpPrescribed(followUp._id);
+      await FollowUp.updateOne({ _id: followUp._id }, { $set: { notified_at: new Date() } });
+    } catch (error) {
+      console.error('❌ Failed to send follow-up notification:', error);
+    }
+
+    return followUp;
+  }
+
+  isWithinWindow(followUp, date) {
+    const day = scheduleRuleService.toDay(date);
+    return day >= followUp.window_start && day <= followUp.window_end;
+  }
+
+  getBookingUrl(followUp) {
+    const params = new URLSearchParams({
+      followUpId: followUp._id.toString(),
+      doctorId: (followUp.doctor_id?._id || followUp.doctor_id).toString(),
+      date: scheduleRuleService.dateKey(followUp.due_date)
+    });
+    if (followUp.department_id) params.set('departmentId', (followUp.department_id?._id || followUp.department_id).toString());
+    return `${process.env.FRONTEND_URL || 'http://localhost:5173'}/booking?${params.toString()}`;
+  }
+
+  // Follow-up a new booking fulfils. With an explicit followUpId it must belong to the patient and be
+  // bookable on that date; otherwise an open follow-up with the same doctor for the same person is picked
+  // up automatically. Returns { success, message, followUp } (followUp null for a regular booking).
+  async resolveForBooking({ followUpId = null, patientId, familyMemberId = null, doctorId, date }) {
+    if (followUpId) {
+      const followUp = mongoose.isValidObjectId(followUpId)
+        ? await FollowUp.findOne({ _id: followUpId, patient_id: patientId }).populate('doctor_id', 'name')
+        : null;
+      if (!followUp) {
+        return { success: false, status: 404, message: 'Follow-up not found' };
+      }
+      if (followUp.status !== 'pending') {
+        return { success: false, status: 400, message: `This follow-up is already ${followUp.status}` };
+      }
+      if (doctorId && followUp.doctor_id._id.toString() !== doctorId.toString()) {
+        return { success: false, status: 400, message: `This follow-up must be booked with Dr. ${followUp.doctor_id.name}` };
+      }
+      if (String(followUp.family_member_id || '') !== String(familyMemberId || '')) {
+        return { success: false, status: 400, message: 'This follow-up was prescribed for a different family member' };
+      }
+      if (!this.isWithinWindow(followUp, date)) {
+        return {
+          success: false,
+          status: 400,
+          message: `This follow-up can be booked between ${scheduleRuleService.dateKey(followUp.window_start)} and ${scheduleRuleService.dateKey(followUp.window_end)}`
+        };
+      }
+      return { success: true, followUp };
+    }
+
+    const day = scheduleRuleService.toDay(date);
+    const followUp = await FollowUp.findOne({
+      patient_id: patientId,
+      family_member_id: familyMemberId || null,
+      doctor_id: doctorId,
+      status: 'pending',
+      window_start: { $lte: day },
+      window_end: { $gte: day }
+    }).sort({ due_date: 1 });
+    return { success: true, followUp };
+  }
+
+  // Pending follow-up of a patient, for filling in the doctor/department from a booking link
+  async findForPatient(followUpId, patientId) {
+    if (!mongoose.isValidObjectId(followUpId)) return null;
+    return FollowUp.findOne({ _id: followUpId, patient_id: patientId, status: 'pending' });
+  }
+
+  // Token fields for a booking that fulfils `followUp`
+  getTokenFields(followUp, doctor) {
+    if (!followUp) return {};
+    return {
+      followup_id: followUp._id,
+      is_followup: true,
+      consultation_fee: doctor?.doctor_info?.followup_fee || 0
+    };
+  }
+
+  // Claim a pending followUp for the token being booked; null when another booking got it first
+  async markBooked(followUp, token) {
+    if (!followUp) return null;
+    return FollowUp.findOneAndUpdate(
+      { _id: followUp._id, status: 'pending' },
+      { $set: { status: 'booked', booked_token_id: token._id, booked_at: new Date() } },
+      { new: true }
+    );
+  }
+
+  // Undo markBooked when the booking it was claimed for is not saved
+  async releaseBooking(followUp, tokenId) {
+    if (!followUp) return null;
+    return FollowUp.findOneAndUpdate(
+      { _id: followUp._id, status: 'booked', booked_token_id: tokenId },
+      { $set: { status: 'pending', booked_token_id: null, booked_at: null } },
+      { new: true }
+    );
+  }
+
+  // Bring a follow-up in line with its booked token: consulted -> completed, cancelled/no-show ->
+  // open again while the window lasts, missed afterwards
+  async syncWithToken(token) {
+    if (!token || !token.followup_id) return null;
+    const followUp = await FollowUp.findById(token.followup_id);
+    if (!followUp || followUp.status !== 'booked' || followUp.booked_token_id?.toString() !== token._id.toString()) {
+      return followUp;
+    }
+
+    if (token.status === 'consulted') {
+      followUp.status = 'completed';
+    } else if (['cancelled', 'missed'].includes(token.status)) {
+      const open = scheduleRuleService.toDay(new Date()) <= followUp.window_end;
+      followUp.status = open ? 'pending' : 'missed';
+      followUp.booked_token_id = null;
+      followUp.booked_at = null;
+    } else {
+      return followUp;
+    }
+    await followUp.save();
+    return followUp;
+  }
+
+  // Cron sweep: close pending follow-ups whose window has passed and settle booked ones whose token
+  // was completed or dropped outside the routes that sync directly
+  async processOverdue() {
+    const today = scheduleRuleService.toDay(new Date());
+    const expired = await FollowUp.updateMany(
+      { status: 'pending', window_end: { $lt: today } },
+      { $set: { status: 'missed' } }
+    );
+
+    const booked = await FollowUp.find({ status: 'booked' }).select('booked_token_id');
+    const tokens = await Token.find({
+      _id: { $in: booked.map(followUp => followUp.booked_token_id).filter(Boolean) },
+      status: { $in: ['consulted', 'cancelled', 'missed'] }
+    }).select('status followup_id');
+    for (const token of tokens) {
+      await this.syncWithToken(token);
+    }
+
+    return { missed: expired.modifiedCount || 0, settled: tokens.length };
+  }
+
+  async getForPatient(patientId, { activeOnly = false } = {}) {
+    const filter = { patient_id: patientId };
+    if (activeOnly) filter.status = { $in: ['pending', 'booked'] };
+    const followUps = await FollowUp.find(filter)
+      .populate('doctor_id', 'name doctor_info.followup_fee')
+      .populate('department_id', 'name')
+      .populate('family_member_id', 'name')
+      .populate('patient_id', 'name')
+      .sort({ due_date: -1 });
+    return followUps.map(followUp => this.formatFollowUp(followUp));
+  }
+
+  formatFollowUp(followUp) {
+    return {
+      id: followUp._id,
+      doctorId: followUp.doctor_id?._id || followUp.doctor_id,
+      doctorName: followUp.doctor_id?.name,
+      departmentId: followUp.department_id?._id || followUp.department_id,
+      departmentName: followUp.department_id?.name,
+      patientName: followUp.family_member_id?.name || followUp.patient_id?.name,
+      familyMemberId: followUp.family_member_id?._id || followUp.family_member_id,
+      sourceAppointmentId: followUp.source_token_id?._id || followUp.source_token_id,
+      diagnosisId: followUp.diagnosis_id,
+      intervalDays: followUp.interval_days,
+      dueDate: scheduleRuleService.dateKey(followUp.due_date),
+      windowStart: scheduleRuleService.dateKey(followUp.window_start),
+      windowEnd: scheduleRuleService.dateKey(followUp.window_end),
+      notes: followUp.notes,
+      status: followUp.status,
+      bookedAppointmentId: followUp.booked_token_id?._id || followUp.booked_token_id,
+      fee: followUp.doctor_id?.doctor_info ? (followUp.doctor_id.doctor_info.followup_fee || 0) : undefined,
+      bookingUrl: followUp.status === 'pending' ? this.getBookingUrl(followUp) : null
+    };
+  }
+
+  // Follow-ups due between two dates: how many were booked in their window, attended, or let lapse
+  async getAdherenceReport({ from, to, doctorId = null, departmentId = null }) {
+    const match = { due_date: { $gte: from, $lt: to }, status: { $ne: 'cancelled' } };
+    if (doctorId) match.doctor_id = new mongoose.Types.ObjectId(doctorId.toString());
+    if (departmentId) match.department_id = new mongoose.Types.ObjectId(departmentId.toString());
+
+    const summary = {
+      prescribed: { $sum: 1 },
+      completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+      booked: { $sum: { $cond: [{ $eq: ['$status', 'booked'] }, 1, 0] } },
+      missed: { $sum: { $cond: [{ $eq: ['$status', 'missed'] }, 1, 0] } },
+      pending: { $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] } },
+      avgBookingLeadDays: {
+        $avg: {
+          $cond: [
+            { $ne: ['$booked_at', null] },
+            { $divide: [{ $subtract: ['$due_date', '$booked_at'] }, DAY] },
+            null
+          ]
+        }
+      }
+    };
+
+    const [totals] = await FollowUp.aggregate([{ $match: match }, { $group: { _id: null, ...summary } }]);
+    const byDoctor = await FollowUp.aggregate([
+      { $match: match },
+      { $group: { _id: '$doctor_id', ...summary } },
+      { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'doctor' } },
+      { $sort: { prescribed: -1 } }
+    ]);
+
+    const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : null);
+    const format = row => {
+      // Pending follow-ups whose window is still open have not had the chance to be kept yet
+      const decided = row.completed + row.booked + row.missed;
+      return {
+        prescribed: row.prescribed,
+        completed: row.completed,
+        booked: row.booked,
+        missed: row.missed,
+        pending: row.pending,
+        bookingRate: rate(row.completed + row.booked, decided),
+        adherenceRate: rate(row.completed, row.completed + row.missed),
+        avgBookingLeadDays: row.avgBookingLeadDays == null ? null : Math.round(row.avgBookingLeadDays * 10) / 10
+      };
+    };
+
+    return {
+      totals: format(totals || { prescribed: 0, completed: 0, booked: 0, missed: 0, pending: 0 }),
+      byDoctor: byDoctor.map(row => ({
+        doctorId: row._id,
+        doctorName: row.doctor[0]?.name || 'Unknown Doctor',
+        ...format(row)
+      }))
+    };
+  }
+}
+
+module.exports = new FollowUpService();
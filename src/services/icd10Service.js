@@ -0,0 +1,255 @@
+const fs = require('fs');
+const path = require('path');
+
+// ICD-10 chapters by three-character category range
+const CHAPTERS = [
+  { chapter: 'I', start: 'A00', end: 'B99', title: 'Certain infectious and parasitic diseases' },
+  { chapter: 'II', start: 'C00', end: 'D48', title: 'Neoplasms' },
+  { chapter: 'III', start: 'D50', end: 'D89', title: 'Diseases of the blood and blood-forming organs and certain disorders involving the immune mechanism' },
+  { chapter: 'IV', start: 'E00', end: 'E90', title: 'Endocrine, nutritional and metabolic diseases' },
+  { chapter: 'V', start: 'F00', end: 'F99', title: 'Mental and behavioural disorders' },
+  { chapter: 'VI', start: 'G00', end: 'G99', title: 'Diseases of the nervous system' },
+  { chapter: 'VII', start: 'H00', end: 'H59', title: 'Diseases of the eye and adnexa' },
+  { chapter: 'VIII', start: 'H60', end: 'H95', title: 'Diseases of the ear and mastoid process' },
+  { chapter: 'IX', start: 'I00', end: 'I99', title: 'Diseases of the circulatory system' },
+  { chapter: 'X', start: 'J00', end: 'J99', title: 'Diseases of the respiratory system' },
+  { chapter: 'XI', start: 'K00', end: 'K93', title: 'Diseases of the digestive system' },
+  { chapter: 'XII', start: 'L00', end: 'L99', title: 'Diseases of the skin and subcutaneous tissue' },
+  { chapter: 'XIII', start: 'M00', end: 'M99', title: 'Diseases of the musculoskeletal system and connective tissue' },
+  { chapter: 'XIV', start: 'N00', end: 'N99', title: 'Diseases of the genitourinary system' },
+  { chapter: 'XV', start: 'O00', end: 'O99', title: 'Pregnancy, childbirth and the puerperium' },
+  { chapter: 'XVI', start: 'P00', end: 'P96', title: 'Certain conditions originating in the perinatal period' },
+  { chapter: 'XVII', start: 'Q00', end: 'Q99', title: 'Congenital malformations, deformations and chromosomal abnormalities' },
+  { chapter: 'XVIII', start: 'R00', end: 'R99', title: 'Symptoms, signs and abnormal clinical and laboratory findings, not elsewhere classified' },
+  { chapter: 'XIX', start: 'S00', end: 'T98', title: 'Injury, poisoning and certain other consequences of external causes' },
+  { chapter: 'XX', start: 'V01', end: 'Y98', title: 'External causes of morbidity and mortality' },
+  { chapter: 'XXI', start: 'Z00', end: 'Z99', title: 'Factors influencing health status and contact with health services' },
+  { chapter: 'XXII', start: 'U00', end: 'U99', title: 'Codes for special purposes' }
+];
+const CODE_PATTERN = /^[A-Z]\d{2}(\.\d{1,2})?$/;
+
+// ICD-10 catalogue: code lookup/validation, fuzzy search, chief-complaint suggestions and chapter
+// statistics. Uses the bundled src/data/icd10.json unless ICD10_CATALOGUE_PATH points at a fuller list
+// in the same shape ([{ code, description, terms }]).
+class Icd10Service {
+  constructor() {
+    this.catalogue = null;
+    this.byCode = null;
+  }
+
+  load() {
+    if (this.catalogue) return this.catalogue;
+    const file = process.env.ICD10_CATALOGUE_PATH || path.join(__dirname, '../data/icd10.json');
+    const entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+    this.catalogue = entries.map(entry => {
+      const code = this.normalizeCode(entry.code);
+      const terms = (entry.terms || []).map(term => String(term).toLowerCase());
+      return {
+        code,
+        compactCode: code.replace('.', ''),
+        description: entry.description,
+        terms,
+        words: this.tokenize([entry.description, ...terms].join(' '))
+      };
+    });
+    this.byCode = new Map(this.catalogue.map(entry => [entry.code, entry]));
+    return this.catalogue;
+  }
+
+  // "j069", " J06.9 " -> "J06.9"
+  normalizeCode(code) {
+    const compact = String(code || '').toUpperCase().replace(/[\s.]/g, '');
+    return compact.length > 3 ? `${compact.slice(0, 3)}.${compact.slice(3)}` : compact;
+  }
+
+  getChapter(code) {
+    const category = this.normalizeCode(code).slice(0, 3);
+    if (!/^[A-Z]\d{2}$/.test(category)) return null;
+    return CHAPTERS.find(chapter => category >= chapter.start && category <= chapter.end) || null;
+  }
+
+  lookup(code) {
+    this.load();
+    return this.byCode.get(this.normalizeCode(code)) || null;
+  }
+
+  tokenize(text) {
+    return String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(word => word.length >= 2);
+  }
+
+  // Levenshtein distance, giving up once it exceeds `max`
+  editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        rowMin = Math.min(rowMin, current[j]);
+      }
+      if (rowMin > max) return max + 1;
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  // 3 exact, 2 prefix, 1 within typo distance (1 for 4+ letters, 2 for 7+), 0 no match
+  scoreWord(queryWord, words) {
+    let best = 0;
+    const allowed = queryWord.length >= 7 ? 2 : queryWord.length >= 4 ? 1 : 0;
+    for (const word of words) {
+      if (word === queryWord) return 3;
+      if (word.startsWith(queryWord) && queryWord.length >= 3) best = Math.max(best, 2);
+      else if (allowed && best < 1 && this.editDistance(queryWord, word, allowed) <= allowed) best = 1;
+    }
+    return best;
+  }
+
+  // Search by code prefix ("J06", "j069") or description/common terms, tolerating typos
+  search(query, { limit = 20 } = {}) {
+    const catalogue = this.load();
+    const text = String(query || '').trim();
+    if (!text) return [];
+
+    const compact = text.toUpperCase().replace(/[\s.]/g, '');
+    const results = [];
+    if (/^[A-Z]\d/.test(compact)) {
+      catalogue.forEach(entry => {
+        if (entry.compactCode.startsWith(compact)) {
+          results.push({ entry, score: 100 - (entry.compactCode.length - compact.length) });
+        }
+      });
+    }
+
+    const queryWords = this.tokenize(text);
+    if (results.length === 0 && queryWords.length > 0) {
+      const phrase = text.toLowerCase();
+      catalogue.forEach(entry => {
+        let score = 0;
+        for (const word of queryWords) {
+          const wordScore = this.scoreWord(word, entry.words);
+          if (!wordScore) return;
+          score += wordScore;
+        }
+        if (entry.terms.includes(phrase) || entry.description.toLowerCase().startsWith(phrase)) score += 5;
+        results.push({ entry, score });
+      });
+    }
+
+    return results
+      .sort((a, b) => b.score - a.score || a.entry.code.localeCompare(b.entry.code))
+      .slice(0, limit)
+      .map(result => this.formatEntry(result.entry));
+  }
+
+  // Codes whose common terms or description appear in the chief complaint, best matches first
+  suggestFromComplaint(complaint, { limit = 10 } = {}) {
+    const catalogue = this.load();
+    const text = ` ${this.tokenize(complaint).join(' ')} `;
+    if (!text.trim()) return [];
+
+    const scored = [];
+    catalogue.forEach(entry => {
+      let score = 0;
+      const matched = [];
+      new Set([...entry.terms, entry.description].map(term => this.tokenize(term).join(' '))).forEach(phrase => {
+        if (phrase && text.includes(` ${phrase} `)) {
+          score += phrase.split(' ').length * 2;
+          matched.push(phrase);
+        }
+      });
+      if (score > 0) scored.push({ entry, score, matched });
+    });
+
+    return scored
+      .sort((a, b) => b.score - a.score || a.entry.code.localeCompare(b.entry.code))
+      .slice(0, limit)
+      .map(result => ({ ...this.formatEntry(result.entry), matchedTerms: result.matched }));
+  }
+
+  // Check and canonicalise the ICD codes in a Diagnosis payload's assessment (primary_icd_code and
+  // secondary_diagnoses[].icd_code). Blank codes are allowed; an uncoded secondary diagnosis text is
+  // filled from the catalogue. Only malformed codes are errors: a well-formed code missing from the local
+  // catalogue (which is not the full ICD-10 list) is stored and reported as a warning.
+  // Mutates `assessment`, returns { errors, warnings }.
+  normalizeAssessment(assessment) {
+    const errors = [];
+    const warnings = [];
+    if (!assessment) return { errors, warnings };
+    const check = (value, label) => {
+      if (value === undefined || value === null || String(value).trim() === '') return '';
+      const code = this.normalizeCode(value);
+      if (!CODE_PATTERN.test(code)) {
+        errors.push(`${label}: "${value}" is not a valid ICD-10 code`);
+        return value;
+      }
+      if (!this.lookup(code)) {
+        warnings.push(`${label}: ${code} is not in the local ICD-10 catalogue`);
+      }
+      return code;
+    };
+
+    if (assessment.primary_icd_code !== undefined) {
+      assessment.primary_icd_code = check(assessment.primary_icd_code, 'Primary diagnosis');
+    }
+    (assessment.secondary_diagnoses || []).forEach((secondary, index) => {
+      secondary.icd_code = check(secondary.icd_code, `Secondary diagnosis ${index + 1}`);
+      const entry = secondary.icd_code ? this.lookup(secondary.icd_code) : null;
+      if (entry && !String(secondary.diagnosis || '').trim()) secondary.diagnosis = entry.description;
+    });
+    return { errors, warnings };
+  }
+
+  // [{ code, count }] -> counts per chapter with the most frequent codes of each; blank codes are "uncoded"
+  summarizeByChapter(codeCounts) {
+    this.load();
+    const chapters = new Map();
+    let coded = 0;
+    let uncoded = 0;
+    codeCounts.forEach(({ code, count }) => {
+      const chapter = code ? this.getChapter(code) : null;
+      if (!chapter) {
+        uncoded += count;
+        return;
+      }
+      coded += count;
+      if (!chapters.has(chapter.chapter)) {
+        chapters.set(chapter.chapter, { ...chapter, count: 0, codes: [] });
+      }
+      const bucket = chapters.get(chapter.chapter);
+      bucket.count += count;
+      const normalized = this.normalizeCode(code);
+      const existing = bucket.codes.find(item => item.code === normalized);
+      if (existing) existing.count += count;
+      else bucket.codes.push({ code: normalized, description: this.lookup(normalized)?.description || '', count });
+    });
+
+    return {
+      total: coded + uncoded,
+      coded,
+      uncoded,
+      byChapter: [...chapters.values()]
+        .sort((a, b) => b.count - a.count)
+        .map(bucket => ({
+          chapter: bucket.chapter,
+          title: bucket.title,
+          range: `${bucket.start}-${bucket.end}`,
+          count: bucket.count,
+          topCodes: bucket.codes.sort((a, b) => b.count - a.count).slice(0, 5)
+        }))
+    };
+  }
+
+  formatEntry(entry) {
+    const chapter = this.getChapter(entry.code);
+    return {
+      code: entry.code,
+      description: entry.description,
+      chapter: chapter?.chapter || null,
+      chapterTitle: chapter?.title || null
+    };
+  }
+}
+
+module.exports = new Icd10Service();
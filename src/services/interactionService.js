@@ -0,0 +1,259 @@
+const mongoose = require('mongoose');
+const { User } = require('../models/User');
+const FamilyMember = require('../models/FamilyMember');
+const Medication = require('../models/Medication');
+const Prescription = require('../models/Prescription');
+const InteractionRule = require('../models/InteractionRule');
+const InteractionOverride = require('../models/InteractionOverride');
+const scheduleRuleService = require('./scheduleRuleService');
+
+const RULE_TYPES = ['drug_drug', 'drug_allergy', 'drug_condition'];
+const SEVERITIES = ['minor', 'moderate', 'major', 'contraindicated'];
+// Allergy entries that mean "nothing recorded"
+const NO_ALLERGY = ['none', 'nil', 'na', 'n/a', 'nka', 'nkda', 'no known allergies', 'no known drug allergies'];
+
+// Drug-drug, drug-allergy and drug-condition checks run when a doctor prescribes. Warnings have to be
+// acknowledged with a reason before the prescription is saved; the override is kept for audit.
+class InteractionService {
+  // Lower-cased entries of a comma/semicolon/newline separated string (or an array)
+  splitTerms(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(/[,;\n]/);
+    return list.map(term => String(term || '').trim().toLowerCase()).filter(Boolean);
+  }
+
+  containsTerm(text, term) {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^a-z0-9])${escaped}($|[^a-z0-9])`, 'i').test(text);
+  }
+
+  matchesAny(text, terms) {
+    return terms.find(term => this.containsTerm(text, term)) || null;
+  }
+
+  normalizeRulePayload(body) {
+    const pick = (camel, snake) => (body[camel] !== undefined ? body[camel] : body[snake]);
+    const drugTerms = pick('drugTerms', 'drug_terms');
+    const matchTerms = pick('matchTerms', 'match_terms');
+    const payload = {
+      type: body.type,
+      drug_terms: drugTerms !== undefined ? this.splitTerms(drugTerms) : undefined,
+      match_terms: matchTerms !== undefined ? this.splitTerms(matchTerms) : undefined,
+      severity: body.severity,
+      message: body.message,
+      recommendation: body.recommendation,
+      is_active: pick('isActive', 'is_active')
+    };
+    Object.keys(payload).forEach(key => payload[key] === undefined && delete payload[key]);
+    return payload;
+  }
+
+  validateRule(data) {
+    const errors = [];
+    if (!RULE_TYPES.includes(data.type)) errors.push(`type must be one of: ${RULE_TYPES.join(', ')}`);
+    if (!data.drug_terms || data.drug_terms.length === 0) errors.push('drugTerms is required');
+    if (!data.match_terms || data.match_terms.length === 0) errors.push('matchTerms is required');
+    if (data.severity !== undefined && !SEVERITIES.includes(data.severity)) errors.push(`severity must be one of: ${SEVERITIES.join(', ')}`);
+    if (!data.message || !String(data.message).trim()) errors.push('message is required');
+    return errors;
+  }
+
+  // Name plus generic name and class from the catalogue (by id, or by exact name for free-text lines)
+  async describeDrugs(items) {
+    const ids = items.map(item => item.medication_id).filter(id => id && mongoose.isValidObjectId(id));
+    const names = items.filter(item => !item.medication_id).map(item => item.medication_name || item.name).filter(Boolean);
+    const catalogue = await Medication.find({
+      $or: [
+        { _id: { $in: ids } },
+        { name: { $in: names.map(name => new RegExp(`^${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i')) } }
+      ]
+    }).select('name generic_name drug_class');
+
+    return items.map(item => {
+      const name = String(item.medication_name || item.name || '').trim();
+      const medication = catalogue.find(entry => (item.medication_id
+        ? entry._id.toString() === item.medication_id.toString()
+        : entry.name.toLowerCase() === name.toLowerCase()));
+      return {
+        name,
+        text: [name, medication?.generic_name, medication?.drug_class].filter(Boolean).join(' ').toLowerCase()
+      };
+    }).filter(drug => drug.name);
+  }
+
+  // Allergies and chronic conditions of the patient, or of the family member being treated
+  async getPatientProfile(patientId, familyMemberId = null) {
+    const person = familyMemberId
+      ? await FamilyMember.findById(familyMemberId).select('allergies chronicConditions')
+      : await User.findById(patientId).select('allergies chronicConditions');
+    return {
+      allergies: this.splitTerms(person?.allergies).filter(term => !NO_ALLERGY.includes(term)),
+      conditions: this.splitTerms(person?.chronicConditions).filter(term => !NO_ALLERGY.includes(term))
+    };
+  }
+
+  // Medication lines the same person is still taking from other visits
+  async getCurrentItems(patientId, familyMemberId = null, excludeTokenId = null) {
+    const today = scheduleRuleService.toDay(new Date());
+    const query = {
+      patient_id: patientId,
+      family_member_id: familyMemberId || null,
+      status: 'active',
+      'items.end_date': { $gt: today }
+    };
+    if (excludeTokenId) query.token_id = { $ne: excludeTokenId };
+    const prescriptions = await Prescription.find(query).select('items');
+    return prescriptions.flatMap(prescription => prescription.items.filter(item => item.end_date > today));
+  }
+
+  // Warnings for prescribing `items` (new lines: { medication_id?, medication_name | name }) to a patient,
+  // most severe first
+  async check({ patientId, familyMemberId = null, items, excludeTokenId = null }) {
+    const [drugs, profile, currentItems, rules] = await Promise.all([
+      this.describeDrugs(items),
+      this.getPatientProfile(patientId, familyMemberId),
+      this.getCurrentItems(patientId, familyMemberId, excludeTokenId),
+      InteractionRule.find({ is_active: true })
+    ]);
+    const currentDrugs = await this.describeDrugs(currentItems);
+
+    const warnings = [];
+    const seen = new Set();
+    const add = (warning) => {
+      const key = `${warning.ruleId || 'allergy'}:${warning.drug}:${warning.matched}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      warnings.push(warning);
+    };
+
+    drugs.forEach((drug, index) => {
+      // Recorded allergy naming the drug, its generic name or its class, with or without a rule
+      const allergy = profile.allergies.find(term => this.containsTerm(drug.text, term));
+      if (allergy) {
+        add({
+          ruleId: null,
+          type: 'drug_allergy',
+          severity: 'contraindicated',
+          drug: drug.name,
+          matched: allergy,
+          message: `Patient has a recorded allergy to "${allergy}"`,
+          recommendation: 'Choose an alternative medication'
+        });
+      }
+
+      const others = [
+        ...drugs.filter((_, otherIndex) => otherIndex !== index).map(other => ({ ...other, current: false })),
+        ...currentDrugs.map(other => ({ ...other, current: true }))
+      ];
+
+      rules.forEach(rule => {
+        const drugTerm = this.matchesAny(drug.text, rule.drug_terms);
+        if (!drugTerm) return;
+        const warning = {
+          ruleId: rule._id,
+          type: rule.type,
+          severity: rule.severity,
+          drug: drug.name,
+          message: rule.message,
+          recommendation: rule.recommendation
+        };
+
+        if (rule.type === 'drug_allergy') {
+          const matched = profile.allergies.find(term => this.matchesAny(term, rule.match_terms));
+          if (matched) add({ ...warning, matched });
+        } else if (rule.type === 'drug_condition') {
+          const matched = profile.conditions.find(term => this.matchesAny(term, rule.match_terms));
+          if (matched) add({ ...warning, matched });
+        } else {
+          const other = others.find(candidate => this.matchesAny(candidate.text, rule.match_terms));
+          if (other) add({ ...warning, matched: other.current ? `${other.name} (currently taking)` : other.name });
+        }
+      });
+    });
+
+    return warnings.sort((a, b) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity));
+  }
+
+  normalizeAcknowledgement(body) {
+    const pick = (camel, snake) => (body[camel] !== undefined ? body[camel] : body[snake]);
+    const acknowledged = pick('acknowledgeWarnings', 'acknowledge_warnings');
+    return {
+      acknowledged: acknowledged === true || acknowledged === 'true',
+      reason: String(pick('overrideReason', 'override_reason') || '').trim()
+    };
+  }
+
+  // Run the checks and decide whether the prescription may go ahead. Returns
+  // { warnings, blocked, message }: blocked when there are warnings the doctor has not acknowledged with a reason.
+  async screen(context, acknowledgement) {
+    const warnings = await this.check(context);
+    if (warnings.length === 0) return { warnings, blocked: false };
+    if (!acknowledgement.acknowledged) {
+      return { warnings, blocked: true, message: 'Prescription has interaction or allergy warnings that must be acknowledged' };
+    }
+    if (!acknowledgement.reason) {
+      return { warnings, blocked: true, message: 'overrideReason is required to prescribe despite the warnings' };
+    }
+    return { warnings, blocked: false };
+  }
+
+  async recordOverride({ doctorId, patientId, familyMemberId = null, tokenId = null, contextType, contextId = null, warnings, reason }) {
+    if (!warnings || warnings.length === 0) return null;
+    return InteractionOverride.create({
+      doctor_id: doctorId,
+      patient_id: patientId,
+      family_member_id: familyMemberId || null,
+      token_id: tokenId,
+      context_type: contextType,
+      context_id: contextId,
+      warnings: warnings.map(warning => ({
+        rule_id: warning.ruleId,
+        type: warning.type,
+        severity: warning.severity,
+        drug: warning.drug,
+        matched: warning.matched,
+        message: warning.message
+      })),
+      reason
+    });
+  }
+
+  formatRule(rule) {
+    return {
+      id: rule._id,
+      type: rule.type,
+      drugTerms: rule.drug_terms,
+      matchTerms: rule.match_terms,
+      severity: rule.severity,
+      message: rule.message,
+      recommendation: rule.recommendation,
+      isActive: rule.is_active,
+      createdAt: rule.createdAt,
+      updatedAt: rule.updatedAt
+    };
+  }
+
+  formatOverride(override) {
+    return {
+      id: override._id,
+      doctorId: override.doctor_id?._id || override.doctor_id,
+      doctorName: override.doctor_id?.name,
+      patientId: override.patient_id?._id || override.patient_id,
+      patientName: override.family_member_id?.name || override.patient_id?.name,
+      appointmentId: override.token_id,
+      contextType: override.context_type,
+      contextId: override.context_id,
+      warnings: override.warnings.map(warning => ({
+        ruleId: warning.rule_id,
+        type: warning.type,
+        severity: warning.severity,
+        drug: warning.drug,
+        matched: warning.matched,
+        message: warning.message
+      })),
+      reason: override.reason,
+      createdAt: override.createdAt
+    };
+  }
+}
+
+module.exports = new InteractionService();
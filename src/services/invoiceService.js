@@ -0,0 +1,588 @@
+const mongoose = require('mongoose');
+const { Token, Counter } = require('../models/User');
+const Invoice = require('../models/Invoice');
+const LabOrder = require('../models/LabOrder');
+const { escapeHtml: esc, generatePdf } = require('../utils/pdfUtils');
+
+// Billable line types. Clinical services (SAC 9993) are GST-exempt; the video platform fee is not.
+const LINE_TYPES = {
+  consultation: { description: 'Consultation fee', sac: '999312', gstRate: 0 },
+  follow_up_fee: { description: 'Follow-up consultation fee', sac: '999312', gstRate: 0 },
+  video_fee: { description: 'Video consultation platform fee', sac: '998319', gstRate: 18 },
+  lab: { description: 'Investigation charges', sac: '999316', gstRate: 0 }
+};
+const PREFIXES = { invoice: 'INV', credit_note: 'CN' };
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+// Persisted invoices and credit notes: numbering, line items with GST split, payment/refund status and
+// printable output rendered only from the stored document
+class InvoiceService {
+  roundAmount(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  // Indian financial year (April-March) of `date` in IST, e.g. "2025-26"
+  getFinancialYear(date = new Date()) {
+    const ist = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+    const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+    return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+  }
+
+  // Take the next number of a series (counter key "<document_type>_<financial year>") for `documentId`. The
+  // counter holds the reservation until the number is on the document, so only one number per series is
+  // ever in flight. Returns null while another document holds the series.
+  async reserveNumber(key, documentId) {
+    try {
+      return await Counter.findOneAndUpdate(
+        { key, reserved_for: null },
+        { $inc: { count: 1 }, $set: { reserved_for: documentId } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return null;
+    }
+  }
+
+  // Write a reserved number onto its draft, issuing it in the same update (or give the number back when the
+  // draft is gone), then release the series. Idempotent: whoever finds a reservation left behind by a
+  // failed request finishes it, so a crash between the two writes neither burns a number nor leaves an
+  // issued invoice without one.
+  async finalizeNumber(counter, issuedAt = new Date()) {
+    const separator = counter.key.lastIndexOf('_');
+    const documentType = counter.key.slice(0, separator);
+    const financialYear = counter.key.slice(separator + 1);
+    const number = `${PREFIXES[documentType]}/${financialYear}/${counter.count.toString().padStart(6, '0')}`;
+    await Invoice.updateOne(
+      { _id: counter.reserved_for, status: 'draft', invoice_number: null },
+      { $set: { status: 'issued', issued_at: issuedAt, invoice_number: number, sequence: counter.count, financial_year: financialYear } }
+    );
+    const numbered = await Invoice.exists({ _id: counter.reserved_for, invoice_number: number });
+    await Counter.updateOne(
+      { key: counter.key, reserved_for: counter.reserved_for, count: counter.count },
+      numbered ? { $set: { reserved_for: null } } : { $set: { reserved_for: null }, $inc: { count: -1 } }
+    );
+  }
+
+  // Flat video platform fee added to video appointments (VIDEO_CONSULTATION_FEE, rupees)
+  getVideoFee(token) {
+    if (token.appointment_type !== 'video') return 0;
+    const fee = Number(process.env.VIDEO_CONSULTATION_FEE || 0);
+    return Number.isFinite(fee) && fee > 0 ? fee : 0;
+  }
+
+  supplier() {
+    return {
+      name: process.env.HOSPITAL_NAME || 'MediQ Hospital',
+      address: process.env.HOSPITAL_ADDRESS || '',
+      gstin: process.env.HOSPITAL_GSTIN || '',
+      state_code: process.env.HOSPITAL_STATE_CODE || ''
+    };
+  }
+
+  // GST-inclusive line: taxable value backed out of the amount, tax split equally into CGST and SGST
+  // (OPD services are supplied where the clinic is, so they are always intra-state)
+  buildLine(type, amount, { description = null, quantity = 1, labOrderId = null } = {}) {
+    const config = LINE_TYPES[type];
+    const total = this.roundAmount(amount);
+    const taxable = this.roundAmount(total / (1 + config.gstRate / 100));
+    const tax = this.roundAmount(total - taxable);
+    const cgst = this.roundAmount(tax / 2);
+    return {
+      type,
+      description: description || config.description,
+      sac_code: config.sac,
+      quantity,
+      unit_price: this.roundAmount(total / quantity),
+      taxable_value: taxable,
+      gst_rate: config.gstRate,
+      cgst,
+      sgst: this.roundAmount(tax - cgst),
+      amount: total,
+      lab_order_id: labOrderId
+    };
+  }
+
+  applyTotals(doc, lines) {
+    const sum = key => this.roundAmount(lines.reduce((total, line) => total + line[key], 0));
+    doc.line_items = lines;
+    doc.taxable_total = sum('taxable_value');
+    doc.cgst_total = sum('cgst');
+    doc.sgst_total = sum('sgst');
+    doc.tax_total = this.roundAmount(doc.cgst_total + doc.sgst_total);
+    doc.grand_total = sum('amount');
+    return doc;
+  }
+
+  // Consultation (or follow-up) fee plus the video fee; the split follows what was actually paid
+  buildAppointmentLines(token) {
+    const videoFee = this.getVideoFee(token);
+    const fee = token.consultation_fee ?? token.doctor_id?.doctor_info?.consultation_fee ?? 500;
+    const total = token.payment_status === 'paid' && token.paid_amount !== null && token.paid_amount !== undefined
+      ? token.paid_amount
+      : fee + videoFee;
+    const lines = [this.buildLine(token.is_followup ? 'follow_up_fee' : 'consultation', Math.max(0, total - videoFee))];
+    if (videoFee > 0) lines.push(this.buildLine('video_fee', Math.min(videoFee, total)));
+    return lines;
+  }
+
+  loadToken(tokenId) {
+    return Token.findById(tokenId)
+      .populate('patient_id', 'name email phone patientId')
+      .populate('family_member_id', 'name patientId')
+      .populate('doctor_id', 'name doctor_info.consultation_fee');
+  }
+
+  snapshot(token) {
+    const person = token.family_member_id || token.patient_id || {};
+    return {
+      token_id: token._id,
+      patient_id: token.patient_id?._id || token.patient_id,
+      family_member_id: token.family_member_id?._id || null,
+      doctor_id: token.doctor_id?._id || token.doctor_id || null,
+      supplier: this.supplier(),
+      billed_to: {
+        name: person.name || token.patient_name || '',
+        email: token.patient_id?.email || token.patient_email || '',
+        phone: token.patient_id?.phone || '',
+        patient_code: person.patientId || token.patient_id?.patientId || ''
+      },
+      service: {
+        doctor_name: token.doctor_id?.name || '',
+        department: token.department || '',
+        appointment_date: token.booking_date,
+        time_slot: token.time_slot || '',
+        appointment_type: token.appointment_type || 'in-person',
+        token_number: token.token_number || ''
+      }
+    };
+  }
+
+  // Give a draft its number from the financial-year series, keeping the series gapless. When the series is
+  // held by another document, that reservation is finished first and the draft tries again.
+  async issue(invoice) {
+    if (invoice.status !== 'draft') return invoice;
+    const issuedAt = new Date();
+    const key = `${invoice.document_type}_${this.getFinancialYear(issuedAt)}`;
+    let current = invoice;
+    for (let attempt = 0; attempt < 10 && current?.status === 'draft'; attempt++) {
+      const counter = await this.reserveNumber(key, current._id) || await Counter.findOne({ key });
+      if (counter?.reserved_for) await this.finalizeNumber(counter, issuedAt);
+      current = await Invoice.findById(current._id);
+    }
+    if (current?.status === 'draft') throw new Error(`Invoice ${current._id} could not be numbered: the series is busy`);
+    return current;
+  }
+
+  async findAppointmentInvoice(tokenId) {
+    return Invoice.findOne({ token_id: tokenId, document_type: 'invoice', category: 'appointment' });
+  }
+
+  // The appointment's invoice, issuing it on first use. `payment` ({ method, reference, amount, paidAt })
+  // marks it paid. Returns null when the appointment does not exist.
+  async issueForToken(tokenId, { payment = null } = {}) {
+    let invoice = await this.findAppointmentInvoice(tokenId);
+    if (!invoice) {
+      const token = await this.loadToken(tokenId);
+      if (!token) return null;
+      try {
+        invoice = await Invoice.create(this.applyTotals({
+          ...this.snapshot(token),
+          document_type: 'invoice',
+          category: 'appointment',
+          status: 'draft'
+        }, this.buildAppointmentLines(token)));
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        invoice = await this.findAppointmentInvoice(tokenId);
+      }
+    }
+    invoice = await this.issue(invoice);
+    if (payment) invoice = await this.markPaid(invoice, payment);
+    return invoice;
+  }
+
+  // Bill charged lab orders of the appointment that are not on an invoice yet. Returns the new invoice or null.
+  async issueForLabOrders(tokenId) {
+    const orders = await LabOrder.find({ token_id: tokenId, charge: { $gt: 0 }, invoice_id: null, status: { $ne: 'cancelled' } });
+    if (orders.length === 0) return null;
+    const token = await this.loadToken(tokenId);
+    if (!token) return null;
+
+    const lines = orders.map(order => this.buildLine('lab', order.charge, {
+      description: [order.test_name, order.body_part].filter(Boolean).join(' - '),
+      labOrderId: order._id
+    }));
+    const draft = await Invoice.create(this.applyTotals({
+      ...this.snapshot(token),
+      document_type: 'invoice',
+      category: 'lab',
+      status: 'draft'
+    }, lines));
+    // Claim the orders; any billed concurrently by another request are dropped from this draft
+    const claimed = await LabOrder.updateMany(
+      { _id: { $in: orders.map(order => order._id) }, invoice_id: null },
+      { $set: { invoice_id: draft._id } }
+    );
+    if (claimed.modifiedCount !== orders.length) {
+      const mine = await LabOrder.find({ invoice_id: draft._id }).select('_id');
+      const mineIds = new Set(mine.map(order => order._id.toString()));
+      const kept = draft.line_items.filter(line => mineIds.has(line.lab_order_id.toString()));
+      if (kept.length === 0) {
+        await Invoice.deleteOne({ _id: draft._id, status: 'draft' });
+        return null;
+      }
+      this.applyTotals(draft, kept.map(line => line.toObject()));
+      await draft.save();
+    }
+    return this.issue(draft);
+  }
+
+  // Consultation finished: bill the visit even if it is not paid yet (it shows as unpaid), plus any charged
+  // lab orders. Never throws, so completing a consultation cannot fail on billing.
+  async issueOnCompletion(tokenId) {
+    try {
+      await this.issueForToken(tokenId);
+      await this.issueForLabOrders(tokenId);
+    } catch (error) {
+      console.error(`Invoice issue failed for appointment ${tokenId}:`, error);
+    }
+  }
+
+  async markPaid(invoice, { method = '', reference = '', amount = null, paidAt = null } = {}) {
+    if (invoice.status !== 'issued') return invoice;
+    const paid = await Invoice.findOneAndUpdate(
+      { _id: invoice._id, status: 'issued' },
+      {
+        $set: {
+          status: 'paid',
+          amount_paid: amount ?? invoice.grand_total,
+          payment: { method, reference, paid_at: paidAt || new Date() }
+        }
+      },
+      { new: true }
+    );
+    return paid || Invoice.findById(invoice._id);
+  }
+
+  // Unpaid invoices only; paid ones are corrected with credit notes. Returns { success, message, invoice }.
+  async voidInvoice(invoice, reason, user) {
+    if (!String(reason || '').trim()) return { success: false, message: 'A reason is required to void an invoice' };
+    if (invoice.document_type !== 'invoice' || invoice.status !== 'issued') {
+      return { success: false, message: `Only unpaid invoices can be voided (this one is ${invoice.status})` };
+    }
+    invoice.status = 'void';
+    invoice.reason = String(reason).trim();
+    invoice.voided_at = new Date();
+    invoice.voided_by = user?._id || null;
+    await invoice.save();
+    if (invoice.category === 'lab') {
+      await LabOrder.updateMany({ invoice_id: invoice._id }, { $set: { invoice_id: null } });
+    }
+    return { success: true, invoice };
+  }
+
+  // Credit note for a processed refund of `amount` against the appointment invoice, once per refund
+  // reference. Lines are the invoice's lines scaled to the refunded share.
+  async issueCreditNote(tokenId, amount, { reference, reason = '' }) {
+    const existing = await Invoice.findOne({ refund_reference: reference });
+    if (existing) return existing;
+    let original = await this.issueForToken(tokenId);
+    if (!original || !(amount > 0) || original.grand_total <= 0) return null;
+
+    // Claim the credit on the original first; the guard keeps concurrent notes from crediting more than its
+    // total, and a lost race re-reads what is left
+    let value = 0;
+    let claimed = null;
+    for (let attempt = 0; attempt < 3 && !claimed; attempt++) {
+      if (attempt > 0) original = await Invoice.findById(original._id);
+      value = Math.min(this.roundAmount(amount), this.roundAmount(original.grand_total - original.credited_amount));
+      if (value <= 0) return null;
+      claimed = await this.applyCredit(original._id, value, { guard: true });
+    }
+    if (!claimed) return null;
+
+    const share = value / original.grand_total;
+    let remaining = value;
+    const lines = original.line_items.map((line, index) => {
+      const lineAmount = index === original.line_items.length - 1 ? remaining : this.roundAmount(line.amount * share);
+      remaining = this.roundAmount(remaining - lineAmount);
+      return this.buildLine(line.type, lineAmount, { description: line.description, labOrderId: line.lab_order_id });
+    }).filter(line => line.amount > 0);
+
+    let note;
+    try {
+      note = await Invoice.create(this.applyTotals({
+        document_type: 'credit_note',
+        category: original.category,
+        status: 'draft',
+        token_id: original.token_id,
+        patient_id: original.patient_id,
+        family_member_id: original.family_member_id,
+        doctor_id: original.doctor_id,
+        original_invoice_id: original._id,
+        refund_reference: reference,
+        reason,
+        supplier: original.supplier,
+        billed_to: original.billed_to,
+        service: original.service
+      }, lines));
+    } catch (error) {
+      await this.applyCredit(original._id, -value);
+      if (error.code !== 11000) throw error;
+      return Invoice.findOne({ refund_reference: reference });
+    }
+    return this.issue(note);
+  }
+
+  // Move an invoice's credited_amount by `delta` and derive its status from the amounts in the same update:
+  // fully or partly credited, else paid when money was taken and issued when it was not. With `guard`, only
+  // applies while the total stays within grand_total (returns null otherwise).
+  applyCredit(invoiceId, delta, { guard = false } = {}) {
+    const credited = { $round: [{ $add: ['$credited_amount', delta] }, 2] };
+    const filter = { _id: invoiceId };
+    if (guard) filter.$expr = { $lte: [credited, '$grand_total'] };
+    return Invoice.findOneAndUpdate(filter, [{
+      $set: {
+        credited_amount: credited,
+        status: {
+          $switch: {
+            branches: [
+              { case: { $gte: [credited, '$grand_total'] }, then: 'refunded' },
+              { case: { $gt: [credited, 0] }, then: 'partially_refunded' },
+              { case: { $gt: [{ $ifNull: ['$amount_paid', 0] }, 0] }, then: 'paid' }
+            ],
+            default: 'issued'
+          }
+        }
+      }
+    }], { new: true });
+  }
+
+  // Invoice by id, or (for older clients that used the appointment id) the appointment's invoice
+  async findForPatient(id, patientId) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    const invoice = await Invoice.findOne({ _id: id, patient_id: patientId, status: { $ne: 'draft' } });
+    if (invoice) return invoice;
+    const token = await Token.findOne({ _id: id, patient_id: patientId }).select('_id');
+    return token ? this.findAppointmentInvoice(token._id) : null;
+  }
+
+  async list(filter, { page = 1, limit = 20 } = {}) {
+    const query = { status: { $ne: 'draft' }, ...filter };
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+    const [total, invoices] = await Promise.all([
+      Invoice.countDocuments(query),
+      Invoice.find(query).sort({ issued_at: -1, _id: -1 }).skip((pageNum - 1) * pageSize).limit(pageSize)
+    ]);
+    return { invoices, total, page: pageNum, limit: pageSize };
+  }
+
+  formatInvoice(invoice) {
+    return {
+      id: invoice._id,
+      invoiceNumber: invoice.invoice_number,
+      documentType: invoice.document_type,
+      category: invoice.category,
+      financialYear: invoice.financial_year,
+      status: invoice.status,
+      issuedAt: invoice.issued_at,
+      appointmentId: invoice.token_id,
+      originalInvoiceId: invoice.original_invoice_id,
+      refundReference: invoice.refund_reference,
+      reason: invoice.reason,
+      billedTo: invoice.billed_to,
+      service: invoice.service,
+      lineItems: invoice.line_items.map(line => ({
+        type: line.type,
+        description: line.description,
+        sacCode: line.sac_code,
+        quantity: line.quantity,
+        unitPrice: line.unit_price,
+        taxableValue: line.taxable_value,
+        gstRate: line.gst_rate,
+        cgst: line.cgst,
+        sgst: line.sgst,
+        amount: line.amount
+      })),
+      taxableTotal: invoice.taxable_total,
+      cgstTotal: invoice.cgst_total,
+      sgstTotal: invoice.sgst_total,
+      taxTotal: invoice.tax_total,
+      grandTotal: invoice.grand_total,
+      amountPaid: invoice.amount_paid,
+      creditedAmount: invoice.credited_amount,
+      payment: invoice.payment?.paid_at ? {
+        method: invoice.payment.method,
+        reference: invoice.payment.reference,
+        paidAt: invoice.payment.paid_at
+      } : null
+    };
+  }
+
+  // Patient list entry: the stored invoice plus the keys older clients read. payment_status follows the
+  // invoice, so an unpaid consulted visit shows as pending rather than paid.
+  toListItem(invoice) {
+    let paymentStatus = invoice.status === 'issued' ? 'pending' : invoice.status;
+    if (invoice.document_type === 'credit_note') paymentStatus = 'credited';
+    return {
+      ...this.formatInvoice(invoice),
+      invoice_number: invoice.invoice_number,
+      amount: invoice.grand_total,
+      payment_status: paymentStatus,
+      created_at: invoice.issued_at,
+      patient_name: invoice.billed_to?.name || '',
+      appointment: {
+        doctorName: invoice.service?.doctor_name || 'Unknown Doctor',
+        department: invoice.service?.department || '',
+        departmentName: invoice.service?.department || '',
+        appointmentDate: invoice.service?.appointment_date,
+        timeSlot: invoice.service?.time_slot || '',
+        appointmentTime: invoice.service?.time_slot || '',
+        patientName: invoice.billed_to?.name || ''
+      }
+    };
+  }
+
+  // Download/attachment name without the slashes of the invoice number
+  fileName(invoice, extension = 'pdf') {
+    const label = invoice.document_type === 'credit_note' ? 'CreditNote' : 'Invoice';
+    return `${label}-${String(invoice.invoice_number).replace(/\//g, '-')}.${extension}`;
+  }
+
+  // Fields used by the payment/invoice notification emails
+  toEmailSummary(invoice) {
+    const formatDate = date => (date ? new Date(date).toLocaleDateString('en-IN') : '');
+    return {
+      invoiceNumber: invoice.invoice_number,
+      date: formatDate(invoice.issued_at),
+      patientName: invoice.billed_to?.name || '',
+      patientEmail: invoice.billed_to?.email || '',
+      doctorName: invoice.service?.doctor_name || 'Unknown Doctor',
+      department: invoice.service?.department || '',
+      appointmentDate: formatDate(invoice.service?.appointment_date),
+      timeSlot: invoice.service?.time_slot || '',
+      amount: invoice.grand_total,
+      status: invoice.status,
+      transactionId: invoice.payment?.reference || ''
+    };
+  }
+
+  // Printable invoice/credit note. Uses only fields fixed at issue time (not the later payment/refund
+  // status), so every reprint is identical; only a void is marked.
+  renderHtml(invoice, { originalNumber = '' } = {}) {
+    const money = value => `₹${Number(value || 0).toFixed(2)}`;
+    const isCredit = invoice.document_type === 'credit_note';
+    const title = isCredit ? 'CREDIT NOTE' : 'TAX INVOICE';
+    const issuedOn = invoice.issued_at
+      ? new Date(invoice.issued_at).toLocaleDateString('en-IN', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'Asia/Kolkata' })
+      : '';
+    const visitOn = invoice.service?.appointment_date
+      ? new Date(invoice.service.appointment_date).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' })
+      : '';
+    const rows = invoice.line_items.map((line, index) => `
+                <tr>
+                    <td>${index + 1}</td>
+                    <td>${esc(line.description)}</td>
+                    <td>${esc(line.sac_code)}</td>
+                    <td class="num">${line.quantity}</td>
+                    <td class="num">${money(line.taxable_value)}</td>
+                    <td class="num">${line.gst_rate}%</td>
+                    <td class="num">${money(line.cgst)}</td>
+                    <td class="num">${money(line.sgst)}</td>
+                    <td class="num">${money(line.amount)}</td>
+                </tr>`).join('');
+
+    return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <meta charset="utf-8">
+        <title>${title} ${esc(invoice.invoice_number)}</title>
+        <style>
+            body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; color: #1f2937; font-size: 12px; }
+            .header { border-bottom: 3px solid #2563eb; padding-bottom: 12px; display: flex; justify-content: space-between; }
+            .hospital { font-size: 22px; font-weight: 700; color: #1d4ed8; }
+            .muted { color: #6b7280; font-size: 11px; }
+            .title { font-size: 18px; font-weight: 700; text-align: right; }
+            .parties { display: flex; justify-content: space-between; margin: 16px 0; }
+            .box { background: #f3f4f6; padding: 10px 14px; border-radius: 6px; width: 46%; }
+            table { width: 100%; border-collapse: collapse; margin-top: 12px; }
+            th, td { border-bottom: 1px solid #e5e7eb; padding: 6px; text-align: left; }
+            th { background: #eff6ff; font-size: 11px; }
+            .num { text-align: right; }
+            .totals { width: 45%; margin-left: auto; }
+            .totals td { border: none; padding: 3px 6px; }
+            .grand td { font-size: 14px; font-weight: 700; border-top: 2px solid #1f2937; }
+            .stamp { display: inline-block; border: 2px solid #b91c1c; color: #b91c1c; padding: 4px 10px; font-weight: 700; margin-top: 6px; }
+        </style>
+    </head>
+    <body>
+        <div class="header">
+            <div>
+                <div class="hospital">🏥 ${esc(invoice.supplier?.name)}</div>
+                ${invoice.supplier?.address ? `<div class="muted">${esc(invoice.supplier.address)}</div>` : ''}
+                ${invoice.supplier?.gstin ? `<div class="muted">GSTIN: ${esc(invoice.supplier.gstin)}${invoice.supplier.state_code ? ` · State code ${esc(invoice.supplier.state_code)}` : ''}</div>` : ''}
+            </div>
+            <div>
+                <div class="title">${title}</div>
+                <div class="muted" style="text-align: right;">No. <strong>${esc(invoice.invoice_number)}</strong><br>Date: ${issuedOn}</div>
+                ${invoice.status === 'void' ? '<div style="text-align: right;"><span class="stamp">VOID</span></div>' : ''}
+            </div>
+        </div>
+
+        <div class="parties">
+            <div class="box">
+                <div class="muted">Billed to</div>
+                <strong>${esc(invoice.billed_to?.name)}</strong>${invoice.billed_to?.patient_code ? ` (${esc(invoice.billed_to.patient_code)})` : ''}<br>
+                ${esc(invoice.billed_to?.email)}${invoice.billed_to?.phone ? `<br>${esc(invoice.billed_to.phone)}` : ''}
+            </div>
+            <div class="box">
+                <div class="muted">Service</div>
+                Dr. ${esc(invoice.service?.doctor_name)} · ${esc(invoice.service?.department)}<br>
+                ${visitOn} ${esc(invoice.service?.time_slot)} · ${esc(invoice.service?.appointment_type)}
+                ${invoice.service?.token_number ? `<br>Token ${esc(invoice.service.token_number)}` : ''}
+            </div>
+        </div>
+
+        ${isCredit ? `<p>Credit against invoice <strong>${esc(originalNumber)}</strong>${invoice.reason ? ` · ${esc(invoice.reason)}` : ''}${invoice.refund_reference ? ` · Refund ${esc(invoice.refund_reference)}` : ''}</p>` : ''}
+
+        <table>
+            <thead><tr><th>#</th><th>Description</th><th>SAC</th><th class="num">Qty</th><th class="num">Taxable value</th><th class="num">GST</th><th class="num">CGST</th><th class="num">SGST</th><th class="num">Amount</th></tr></thead>
+            <tbody>${rows}
+            </tbody>
+        </table>
+
+        <table class="totals">
+            <tr><td>Taxable value</td><td class="num">${money(invoice.taxable_total)}</td></tr>
+            <tr><td>CGST</td><td class="num">${money(invoice.cgst_total)}</td></tr>
+            <tr><td>SGST</td><td class="num">${money(invoice.sgst_total)}</td></tr>
+            <tr class="grand"><td>${isCredit ? 'Total credited' : 'Total'}</td><td class="num">${money(invoice.grand_total)}</td></tr>
+        </table>
+
+        <p class="muted" style="margin-top: 32px;">Amounts are inclusive of GST. Consultation and investigation charges are exempt healthcare services.</p>
+        ${invoice.status === 'void' ? `<p class="muted">Voided: ${esc(invoice.reason)}</p>` : ''}
+    </body>
+    </html>`;
+  }
+
+  // Returns { html, pdf } so callers can fall back to the HTML when PDF rendering is unavailable
+  async render(invoice) {
+    let originalNumber = '';
+    if (invoice.document_type === 'credit_note' && invoice.original_invoice_id) {
+      const original = await Invoice.findById(invoice.original_invoice_id).select('invoice_number');
+      originalNumber = original?.invoice_number || '';
+    }
+    const html = this.renderHtml(invoice, { originalNumber });
+    let pdf = null;
+    try {
+      pdf = await generatePdf(html);
+    } catch (error) {
+      console.error(`Invoice ${invoice.invoice_number} PDF rendering failed:`, error.message || error);
+    }
+    return { html, pdf };
+  }
+}
+
+module.exports = new InvoiceService();
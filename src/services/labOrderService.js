@@ -0,0 +1,466 @@
+const mongoose = require('mongoose');
+const { Token } = require('../models/User');
+const Diagnosis = require('../models/Diagnosis');
+const LabOrder = require('../models/LabOrder');
+const invoiceService = require('./invoiceService');
+const { escapeHtml: esc } = require('../utils/pdfUtils');
+
+const CATEGORIES = ['laboratory', 'imaging', 'other_tests'];
+const URGENCIES = ['routine', 'urgent', 'stat'];
+const FLAGS = ['normal', 'low', 'high', 'abnormal', 'critical'];
+const OPEN_STATUSES = ['ordered', 'sample_collected', 'in_progress'];
+// Moves lab staff may make from each status
+const TRANSITIONS = {
+  ordered: ['sample_collected', 'in_progress', 'completed', 'cancelled'],
+  sample_collected: ['in_progress', 'completed', 'cancelled'],
+  in_progress: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+// LabOrder status -> status of the matching Diagnosis.investigations entry
+const DIAGNOSIS_STATUS = {
+  ordered: 'ordered',
+  sample_collected: 'pending',
+  in_progress: 'pending',
+  completed: 'completed',
+  cancelled: 'cancelled'
+};
+
+// Investigation orders from consultations, the lab worklist and result reporting
+class LabOrderService {
+  normalizeOrderPayload(body) {
+    const items = Array.isArray(body.items) ? body.items : [body];
+    return items.map(item => {
+      const pick = (camel, snake) => (item[camel] !== undefined ? item[camel] : item[snake]);
+      return {
+        category: item.category || 'laboratory',
+        test_name: String(pick('testName', 'test_name') || pick('studyType', 'study_type') || '').trim(),
+        body_part: String(pick('bodyPart', 'body_part') || '').trim(),
+        instructions: String(item.instructions || '').trim(),
+        urgency: item.urgency || 'routine',
+        charge: Number(item.charge) > 0 ? Math.round(Number(item.charge) * 100) / 100 : 0
+      };
+    });
+  }
+
+  // Check orders a doctor is placing for one of their appointments. Returns { errors, payload }.
+  async validateOrders(doctor, tokenId, items) {
+    if (!mongoose.isValidObjectId(tokenId)) return { errors: ['Appointment not found'], payload: null };
+    const token = await Token.findOne({ _id: tokenId, doctor_id: doctor._id }).select('patient_id family_member_id status');
+    if (!token) return { errors: ['Appointment not found'], payload: null };
+    if (token.status === 'cancelled') return { errors: ['Cannot order tests for a cancelled appointment'], payload: null };
+
+    const errors = [];
+    if (items.length === 0) errors.push('Add at least one test');
+    items.forEach((item, index) => {
+      const label = `Test ${index + 1}`;
+      if (!CATEGORIES.includes(item.category)) errors.push(`${label}: category must be one of: ${CATEGORIES.join(', ')}`);
+      if (!item.test_name) errors.push(`${label}: testName is required`);
+      if (item.category === 'imaging' && !item.body_part) errors.push(`${label}: bodyPart is required for imaging`);
+      if (!URGENCIES.includes(item.urgency)) errors.push(`${label}: urgency must be one of: ${URGENCIES.join(', ')}`);
+    });
+    if (errors.length > 0) return { errors, payload: null };
+
+    const diagnosis = await Diagnosis.findOne({ appointment_id: token._id }).select('_id');
+    return {
+      errors: [],
+      payload: items.map(item => ({
+        ...item,
+        patient_id: token.patient_id,
+        family_member_id: token.family_member_id || null,
+        doctor_id: doctor._id,
+        token_id: token._id,
+        diagnosis_id: diagnosis ? diagnosis._id : null
+      }))
+    };
+  }
+
+  // Entry written into Diagnosis.investigations[category] for an order
+  toDiagnosisEntry(order) {
+    const entry = { status: DIAGNOSIS_STATUS[order.status] || 'ordered', ordered_date: order.createdAt || new Date() };
+    if (order.category === 'imaging') {
+      return { ...entry, study_type: order.test_name, body_part: order.body_part };
+    }
+    if (order.category === 'other_tests') {
+      return { ...entry, test_name: order.test_name, description: order.instructions };
+    }
+    return { ...entry, test_name: order.test_name };
+  }
+
+  // Create orders; when the consultation already has a Diagnosis the order is also listed on it
+  async createOrders(payload, user) {
+    const orders = [];
+    for (const data of payload) {
+      const order = new LabOrder({
+        ...data,
+        status_history: [{ status: 'ordered', changed_by: user._id }]
+      });
+      if (order.diagnosis_id) {
+        const entry = this.toDiagnosisEntry(order);
+        const diagnosis = await Diagnosis.findByIdAndUpdate(
+          order.diagnosis_id,
+          { $push: { [`investigations.${order.category}`]: entry } },
+          { new: true }
+        ).select('investigations');
+        const list = diagnosis ? diagnosis.investigations[order.category] : [];
+        order.diagnosis_item_id = list.length > 0 ? list[list.length - 1]._id : null;
+      }
+      await order.save();
+      orders.push(order);
+    }
+    return orders;
+  }
+
+  // Open an order for every Diagnosis investigation that has none yet. Entries re-sent without their _id
+  // (a full diagnosis update) are matched to the open order with the same test instead of duplicated.
+  async syncFromDiagnosis(diagnosis) {
+    if (!diagnosis || !diagnosis.investigations) return [];
+    const existing = await LabOrder.find({ diagnosis_id: diagnosis._id });
+    const linked = new Set(existing.map(order => String(order.diagnosis_item_id)));
+    let familyMemberId;
+    const created = [];
+
+    for (const category of CATEGORIES) {
+      for (const entry of diagnosis.investigations[category] || []) {
+        if (linked.has(String(entry._id)) || ['completed', 'cancelled'].includes(entry.status)) continue;
+        const testName = category === 'imaging' ? entry.study_type : entry.test_name;
+        const bodyPart = category === 'imaging' ? entry.body_part : '';
+
+        const relink = existing.find(order => order.category === category
+          && order.test_name === testName
+          && order.body_part === bodyPart
+          && !linked.has(String(order.diagnosis_item_id)));
+        if (relink) {
+          relink.diagnosis_item_id = entry._id;
+          await relink.save();
+          linked.add(String(entry._id));
+          continue;
+        }
+
+        if (familyMemberId === undefined) {
+          const token = await Token.findById(diagnosis.appointment_id).select('family_member_id');
+          familyMemberId = token?.family_member_id || null;
+        }
+        const order = await LabOrder.create({
+          patient_id: diagnosis.patient_id,
+          family_member_id: familyMemberId,
+          doctor_id: diagnosis.doctor_id,
+          token_id: diagnosis.appointment_id,
+          diagnosis_id: diagnosis._id,
+          diagnosis_item_id: entry._id,
+          category,
+          test_name: testName,
+          body_part: bodyPart,
+          instructions: category === 'other_tests' ? entry.description || '' : '',
+          status_history: [{ status: 'ordered', changed_by: diagnosis.doctor_id }]
+        });
+        linked.add(String(entry._id));
+        created.push(order);
+      }
+    }
+    return created;
+  }
+
+  // Copy status, results and the abnormal flag onto the Diagnosis entry the order came from
+  async mirrorToDiagnosis(order) {
+    if (!order.diagnosis_id || !order.diagnosis_item_id) return;
+    const path = `investigations.${order.category}`;
+    const set = {
+      [`${path}.$.status`]: DIAGNOSIS_STATUS[order.status],
+      [`${path}.$.abnormal`]: order.is_abnormal
+    };
+    const summary = this.summarizeResults(order);
+    if (summary) {
+      set[`${path}.$.${order.category === 'imaging' ? 'findings' : 'results'}`] = summary;
+    }
+    await Diagnosis.updateOne({ _id: order.diagnosis_id, [`${path}._id`]: order.diagnosis_item_id }, { $set: set });
+  }
+
+  // One-line result text, e.g. "Hb 9.1 g/dL (LOW); WBC 7.2" or the free-text summary
+  summarizeResults(order) {
+    const values = (order.result_values || []).map(result => {
+      const text = `${result.parameter} ${result.value}${result.unit ? ` ${result.unit}` : ''}`;
+      return result.flag && result.flag !== 'normal' ? `${text} (${result.flag.toUpperCase()})` : text;
+    });
+    return [values.join('; '), order.result_summary].filter(Boolean).join(' - ');
+  }
+
+  // Lab worklist: open orders (or ?status) sorted stat -> urgent -> routine, oldest first
+  async getWorklist({ status = null, category = null, urgency = null, date = null } = {}) {
+    const query = { status: status || { $in: OPEN_STATUSES } };
+    if (category) query.category = category;
+    if (urgency) query.urgency = urgency;
+    if (date) {
+      const start = new Date(date);
+      start.setHours(0, 0, 0, 0);
+      const end = new Date(start);
+      end.setDate(end.getDate() + 1);
+      query.createdAt = { $gte: start, $lt: end };
+    }
+
+    const orders = await this.populate(LabOrder.find(query)).sort({ createdAt: 1 });
+    return orders
+      .sort((a, b) => URGENCIES.indexOf(b.urgency) - URGENCIES.indexOf(a.urgency))
+      .map(order => this.formatOrder(order));
+  }
+
+  async updateStatus(order, status, user, note = '') {
+    if (!(TRANSITIONS[order.status] || []).includes(status)) {
+      return { success: false, message: `Cannot move an order from ${order.status} to ${status}` };
+    }
+    if (status === 'completed' && order.result_values.length === 0 && !order.result_summary && order.files.length === 0) {
+      return { success: false, message: 'Record results or upload a report before completing the order' };
+    }
+
+    order.status = status;
+    order.status_history.push({ status, changed_by: user._id, note: String(note || '').trim() });
+    if (status === 'completed') {
+      order.reported_by = user._id;
+      order.reported_at = new Date();
+    }
+    await order.save();
+    await this.mirrorToDiagnosis(order);
+    if (status === 'completed') {
+      await this.notifyResults(order);
+      await this.billCharges(order);
+    }
+    return { success: true, order };
+  }
+
+  normalizeResultPayload(body) {
+    const pick = (camel, snake) => (body[camel] !== undefined ? body[camel] : body[snake]);
+    const values = pick('resultValues', 'result_values');
+    const complete = body.complete;
+    return {
+      result_values: Array.isArray(values)
+        ? values.map(value => ({
+          parameter: String(value.parameter || '').trim(),
+          value: String(value.value ?? '').trim(),
+          unit: String(value.unit || '').trim(),
+          reference_range: String(value.referenceRange ?? value.reference_range ?? '').trim(),
+          flag: value.flag || 'normal'
+        }))
+        : undefined,
+      result_summary: pick('resultSummary', 'result_summary'),
+      complete: complete === true || complete === 'true'
+    };
+  }
+
+  validateResults(data) {
+    const errors = [];
+    (data.result_values || []).forEach((value, index) => {
+      if (!value.parameter) errors.push(`Result ${index + 1}: parameter is required`);
+      if (!FLAGS.includes(value.flag)) errors.push(`Result ${index + 1}: flag must be one of: ${FLAGS.join(', ')}`);
+    });
+    return errors;
+  }
+
+  // Save results (replacing earlier values); `complete` also closes the order and notifies
+  async recordResults(order, user, data) {
+    if (['completed', 'cancelled'].includes(order.status)) {
+      return { success: false, message: `Order is already ${order.status}` };
+    }
+    if (data.result_values !== undefined) order.result_values = data.result_values;
+    if (data.result_summary !== undefined) order.result_summary = String(data.result_summary || '').trim();
+    order.is_abnormal = order.result_values.some(value => value.flag !== 'normal');
+    if (order.status === 'ordered') {
+      order.status = 'in_progress';
+      order.status_history.push({ status: 'in_progress', changed_by: user._id, note: 'Results entered' });
+    }
+    await order.save();
+    await this.mirrorToDiagnosis(order);
+
+    if (data.complete) return this.updateStatus(order, 'completed', user);
+    return { success: true, order };
+  }
+
+  addFile(order, upload, file, user) {
+    order.files.push({
+      url: upload.url,
+      public_id: upload.public_id,
+      file_name: file.originalname,
+      mime_type: file.mimetype,
+      uploaded_by: user._id
+    });
+    return order.save();
+  }
+
+  async notifyResults(order) {
+    try {
+      const notificationService = require('./notificationService');
+      await notificationService.sendLabResultReady(order._id);
+    } catch (error) {
+      console.error('❌ Failed to send lab result notifications:', error);
+    }
+  }
+
+  // Invoice charged orders of the visit once a result is reported; billing never fails the lab workflow
+  async billCharges(order) {
+    if (!(order.charge > 0)) return;
+    try {
+      await invoiceService.issueForLabOrders(order.token_id?._id || order.token_id);
+    } catch (error) {
+      console.error('❌ Failed to invoice lab charges:', error);
+    }
+  }
+
+  populate(query) {
+    return query
+      .populate('patient_id', 'name patientId phone age gender')
+      .populate('family_member_id', 'name relation age gender')
+      .populate('doctor_id', 'name')
+      .populate('token_id', 'token_number booking_date department')
+      .populate('reported_by', 'name');
+  }
+
+  async findById(orderId) {
+    if (!mongoose.isValidObjectId(orderId)) return null;
+    return LabOrder.findById(orderId);
+  }
+
+  async findForPatient(orderId, patientId) {
+    if (!mongoose.isValidObjectId(orderId)) return null;
+    return LabOrder.findOne({ _id: orderId, patient_id: patientId });
+  }
+
+  getPrintable(orderId) {
+    return this.populate(LabOrder.findById(orderId));
+  }
+
+  async list(filter) {
+    const orders = await this.populate(LabOrder.find(filter)).sort({ createdAt: -1 });
+    return orders.map(order => this.formatOrder(order));
+  }
+
+  // Lab results per Diagnosis, for highlighting abnormal results in a patient's history
+  async getResultsByDiagnosis(diagnosisIds) {
+    const orders = await LabOrder.find({ diagnosis_id: { $in: diagnosisIds }, status: { $ne: 'cancelled' } })
+      .sort({ createdAt: 1 });
+    const byDiagnosis = new Map();
+    orders.forEach(order => {
+      const key = order.diagnosis_id.toString();
+      if (!byDiagnosis.has(key)) byDiagnosis.set(key, []);
+      byDiagnosis.get(key).push(this.formatOrder(order));
+    });
+    return byDiagnosis;
+  }
+
+  getReportPath(order, audience = 'patient') {
+    return `/api/${audience}/lab-reports/${order._id}/pdf`;
+  }
+
+  formatOrder(order) {
+    return {
+      id: order._id,
+      patientId: order.patient_id?._id || order.patient_id,
+      patientName: order.family_member_id?.name || order.patient_id?.name,
+      familyMemberId: order.family_member_id?._id || order.family_member_id,
+      doctorId: order.doctor_id?._id || order.doctor_id,
+      doctorName: order.doctor_id?.name,
+      appointmentId: order.token_id?._id || order.token_id,
+      tokenNumber: order.token_id?.token_number,
+      diagnosisId: order.diagnosis_id,
+      category: order.category,
+      testName: order.test_name,
+      bodyPart: order.body_part,
+      instructions: order.instructions,
+      urgency: order.urgency,
+      charge: order.charge,
+      invoiceId: order.invoice_id,
+      status: order.status,
+      statusHistory: order.status_history.map(entry => ({
+        status: entry.status,
+        changedBy: entry.changed_by,
+        changedAt: entry.changed_at,
+        note: entry.note
+      })),
+      resultValues: order.result_values.map(value => ({
+        parameter: value.parameter,
+        value: value.value,
+        unit: value.unit,
+        referenceRange: value.reference_range,
+        flag: value.flag
+      })),
+      resultSummary: order.result_summary,
+      isAbnormal: order.is_abnormal,
+      files: order.files.map(file => ({
+        id: file._id,
+        url: file.url,
+        fileName: file.file_name,
+        mimeType: file.mime_type,
+        uploadedAt: file.uploaded_at
+      })),
+      reportedBy: order.reported_by?.name || order.reported_by,
+      reportedAt: order.reported_at,
+      createdAt: order.createdAt
+    };
+  }
+
+  // Printable report; expects a document loaded through populate()
+  renderHtml(order) {
+    const person = order.family_member_id || order.patient_id || {};
+    const reportedOn = order.reported_at
+      ? new Date(order.reported_at).toLocaleDateString('en-IN', { year: 'numeric', month: 'long', day: 'numeric' })
+      : 'Pending';
+    const rows = order.result_values.map(value => `
+                <tr class="${value.flag !== 'normal' ? 'flagged' : ''}">
+                    <td>${esc(value.parameter)}</td>
+                    <td><strong>${esc(value.value)}</strong> ${esc(value.unit)}</td>
+                    <td>${esc(value.reference_range)}</td>
+                    <td>${value.flag === 'normal' ? '' : esc(value.flag.toUpperCase())}</td>
+                </tr>`).join('');
+    const files = order.files.map(file => `<li><a href="${esc(file.url)}">${esc(file.file_name || 'Attachment')}</a></li>`).join('');
+
+    return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <meta charset="utf-8">
+        <title>${esc(order.test_name)} Report</title>
+        <style>
+            body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; color: #1f2937; font-size: 13px; }
+            .header { border-bottom: 3px solid #3b82f6; padding-bottom: 12px; display: flex; justify-content: space-between; }
+            .hospital { font-size: 22px; font-weight: 700; color: #1d4ed8; }
+            .muted { color: #6b7280; font-size: 11px; }
+            .patient { background: #f3f4f6; padding: 10px 14px; border-radius: 6px; margin: 16px 0; }
+            table { width: 100%; border-collapse: collapse; margin-top: 12px; }
+            th, td { border-bottom: 1px solid #e5e7eb; padding: 8px 6px; text-align: left; }
+            th { background: #eff6ff; font-size: 12px; }
+            .flagged td { color: #b91c1c; background: #fef2f2; }
+            .abnormal { color: #b91c1c; font-weight: 700; border: 2px solid #b91c1c; padding: 6px; text-align: center; margin-bottom: 12px; }
+        </style>
+    </head>
+    <body>
+        ${order.is_abnormal ? '<div class="abnormal">ABNORMAL RESULT - PLEASE REVIEW WITH YOUR DOCTOR</div>' : ''}
+        <div class="header">
+            <div>
+                <div class="hospital">🏥 MediQ Hospital</div>
+                <div class="muted">${esc(order.category === 'imaging' ? 'Imaging' : 'Laboratory')} report · ${reportedOn}</div>
+            </div>
+            <div style="text-align: right;">
+                <strong>${esc(order.test_name)}</strong>${order.body_part ? `<br>${esc(order.body_part)}` : ''}<br>
+                <span class="muted">Ordered by Dr. ${esc(order.doctor_id?.name)}</span>
+            </div>
+        </div>
+
+        <div class="patient">
+            <strong>${esc(person.name)}</strong>${person.age ? ` · ${esc(person.age)} yrs` : ''}${person.gender ? ` · ${esc(person.gender)}` : ''}
+            ${order.token_id?.booking_date ? `<span class="muted"> · Visit ${new Date(order.token_id.booking_date).toLocaleDateString('en-IN')}</span>` : ''}
+        </div>
+
+        ${rows ? `<table>
+            <thead><tr><th>Parameter</th><th>Result</th><th>Reference range</th><th>Flag</th></tr></thead>
+            <tbody>${rows}
+            </tbody>
+        </table>` : ''}
+
+        ${order.result_summary ? `<p><strong>${order.category === 'imaging' ? 'Findings' : 'Remarks'}:</strong> ${esc(order.result_summary)}</p>` : ''}
+        ${files ? `<p><strong>Attached reports:</strong></p><ul>${files}</ul>` : ''}
+
+        <p class="muted" style="margin-top: 32px;">Reported by ${esc(order.reported_by?.name || 'MediQ Laboratory')} on ${reportedOn}</p>
+    </body>
+    </html>`;
+  }
+}
+
+module.exports = new LabOrderService();
@@ -3,6 +3,9 @@ const smsService = require('./smsService');
 const whatsappBotService = require('./whatsappBotService');
 const { User, Token } = require('../models/User');
 const Notification = require('../models/Notification');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const checkInService = require('./checkInService');
+const roomService = require('./roomService');
 
 class NotificationService {
   constructor() {
@@ -52,6 +55,7 @@ class NotificationService {
       const department = appointment.department;
       const patientEmail = appointment.patient_id.email;
       const patientPhone = appointment.patient_id.phone;
+      const room = await roomService.getRoomForSession(appointment.doctor_id._id, appointment.booking_date, appointment.session_type);
 
       const appointmentData = {
         patientName,
@@ -60,9 +64,11 @@ class NotificationService {
         appointmentDate,
         appointmentTime,
         tokenNumber,
+        room,
         phoneNumber: patientPhone,
         email: patientEmail,
-        appointmentId: appointment._id
+        appointmentId: appointment._id,
+        checkInQrPng: await checkInService.getQrPng(appointment)
       };
 
       const results = {
@@ -324,6 +330,123 @@ class NotificationService {
     }
   }
 
+  // Tell a patient their token was cancelled because the doctor's schedule changed (cancelled or moved day)
+  async sendScheduleChangeNotification(appointmentId, changeInfo) {
+    try {
+      const appointment = await Token.findById(appointmentId)
+        .populate('patient_id', 'name email phone')
+        .populate('doctor_id', 'name')
+        .populate('family_member_id', 'name');
+
+      if (!appointment) {
+        throw new Error('Appointment not found');
+      }
+
+      const patientName = appointment.family_member_id ?
+        appointment.family_member_id.name :
+        appointment.patient_id.name;
+
+      const doctorName = appointment.doctor_id.name;
+      const appointmentDate = new Date(appointment.booking_date).toLocaleDateString('en-IN', {
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+      });
+      const appointmentTime = appointment.time_slot;
+      const patientEmail = appointment.patient_id.email;
+      const patientPhone = appointment.patient_id.phone;
+      const bookingUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/booking`;
+      const change = changeInfo.type === 'reschedule' && changeInfo.newDate
+        ? `Dr. ${doctorName}'s session has been moved to ${changeInfo.newDate}`
+        : `Dr. ${doctorName} is not available on that day`;
+      const text = `MediQ Hospital: Your appointment (Token ${appointment.token_number}) on ${appointmentDate} at ${appointmentTime} has been cancelled. ${change}. Please book a new appointment: ${bookingUrl}`;
+
+      const results = {
+        email: { success: false, message: 'Not sent' },
+        sms: { success: false, message: 'Not sent' },
+        whatsapp: { success: false, message: 'Not sent' }
+      };
+
+      // Send email notification
+      if (this.emailEnabled && patientEmail) {
+        try {
+          const result = await transporter.sendMail({
+            from: `"MediQ Hospital" <${process.env.EMAIL_USER}>`,
+            to: patientEmail,
+            subject: 'Appointment Cancelled - Doctor Schedule Change - MediQ Hospital',
+            html: `
+              <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <h2 style="color: #dc3545;">Appointment Cancelled - Schedule Change</h2>
+                <p>Dear <strong>${patientName}</strong>,</p>
+                <p>Your appointment with Dr. ${doctorName} on <strong>${appointmentDate}</strong> at <strong>${appointmentTime}</strong> (Token ${appointment.token_number}) has been cancelled. ${change}.</p>
+                <p><strong>Reason:</strong> ${changeInfo.reason || 'Schedule change'}</p>
+                ${appointment.refund_status === 'pending' ? '<p>Your payment will be refunded to the original payment method.</p>' : ''}
+                <p><a href="${bookingUrl}" style="display: inline-block; background: #4CAF50; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px;">Book New Appointment</a></p>
+                <p>We apologize for the inconvenience.</p>
+              </div>
+            `
+          });
+          results.email = { success: true, messageId: result.messageId, message: 'Schedule change email sent successfully' };
+        } catch (error) {
+          console.error('Email schedule change error:', error);
+          results.email = { success: false, message: error.message };
+        }
+      }
+
+      // Send SMS notification
+      if (this.smsEnabled && patientPhone) {
+        try {
+          results.sms = await smsService.sendGeneric(patientPhone, text);
+        } catch (error) {
+          console.error('SMS schedule change error:', error);
+          results.sms = { success: false, message: error.message };
+        }
+      }
+
+      // Send WhatsApp notification
+      if (this.whatsappEnabled && patientPhone) {
+        try {
+          results.whatsapp = await whatsappBotService.sendMessage(patientPhone, text);
+        } catch (error) {
+          console.error('WhatsApp schedule change error:', error);
+          results.whatsapp = { success: false, message: error.message };
+        }
+      }
+
+      // Create in-app notification for patient
+      try {
+        await this.createNotification({
+          recipient_id: appointment.patient_id._id,
+          recipient_type: 'patient',
+          title: 'Appointment Cancelled - Schedule Change',
+          message: `Your appointment with Dr. ${doctorName} on ${appointmentDate} at ${appointmentTime} has been cancelled. ${change}.`,
+          type: 'schedule_change',
+          priority: 'high',
+          related_id: appointment._id,
+          related_type: 'appointment',
+          metadata: {
+            doctorName,
+            appointmentDate,
+            appointmentTime,
+            tokenNumber: appointment.token_number,
+            reason: changeInfo.reason,
+            newDate: changeInfo.newDate || null
+          }
+        });
+      } catch (notificationError) {
+        console.error('Error creating schedule change notification:', notificationError);
+      }
+
+      console.log('📧📱💬 Schedule change notification sent:', results);
+      return results;
+
+    } catch (error) {
+      console.error('Schedule change notification error:', error);
+      throw error;
+    }
+  }
+
   // Send cancellation confirmation via all enabled channels
   async sendCancellationConfirmation(appointmentId, refundInfo = null) {
     try {
@@ -459,7 +582,9 @@ class NotificationService {
       appointmentDate,
       appointmentTime,
       tokenNumber,
-      email
+      room,
+      email,
+      checkInQrPng
     } = appointmentData;
 
     const subject = `Appointment Confirmed - MediQ Hospital`;
@@ -514,12 +639,26 @@ class NotificationService {
               <span class="detail-label">Department:</span>
               <span class="detail-value">${department}</span>
             </div>
+            ${room ? `
+            <div class="detail-row">
+              <span class="detail-label">Room:</span>
+              <span class="detail-value">${room.name}${room.floor ? ` (${room.floor})` : ''}</span>
+            </div>
+            ` : ''}
             <div class="detail-row">
               <span class="detail-label">Token Number:</span>
               <span class="detail-value"><strong>#${tokenNumber}</strong></span>
             </div>
           </div>
           
+          ${checkInQrPng ? `
+          <div class="appointment-details" style="text-align: center;">
+            <h3>📱 Check-in QR Code</h3>
+            <img src="cid:checkin-qr" alt="Check-in QR code" width="200" height="200" />
+            <p>Show this code at the reception kiosk or desk when you arrive to check in.</p>
+          </div>
+          ` : ''}
+          
           <div class="highlight">
             <strong>📋 Important Instructions:</strong>
             <ul>
@@ -586,7 +725,9 @@ class NotificationService {
       to: email,
       subject: subject,
       text: textContent,
-      html: htmlContent
+      html: htmlContent,
+      // QR embedded inline rather than linked, so the check-in code never leaves our servers
+      attachments: checkInQrPng ? [{ filename: 'check-in-qr.png', content: checkInQrPng, contentType: 'image/png', cid: 'checkin-qr' }] : []
     };
 
     const result = await transporter.sendMail(mailOptions);
@@ -1011,6 +1152,772 @@ class NotificationService {
     }
   }
 
+  // Send a waitlist slot offer via all enabled channels
+  async sendWaitlistOffer(entryId) {
+    try {
+      const entry = await WaitlistEntry.findById(entryId)
+        .populate('patient_id', 'name email phone')
+        .populate('doctor_id', 'name')
+        .populate('family_member_id', 'name');
+
+      if (!entry) {
+        throw new Error('Waitlist entry not found');
+      }
+
+      const patientName = entry.family_member_id ?
+        entry.family_member_id.name :
+        entry.patient_id.name;
+
+      const doctorName = entry.doctor_id.name;
+      const appointmentDate = new Date(entry.date).toLocaleDateString('en-IN', {
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+      });
+      const appointmentTime = entry.offered_slot_time;
+      const holdExpiresAt = new Date(entry.hold_expires_at).toLocaleTimeString('en-IN', {
+        hour: '2-digit',
+        minute: '2-digit'
+      });
+      const patientEmail = entry.patient_id.email;
+      const patientPhone = entry.patient_id.phone;
+      const claimUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/waitlist`;
+      const text = `MediQ Hospital: A slot with Dr. ${doctorName} on ${appointmentDate} at ${appointmentTime} is now available for ${patientName}. It is held for you until ${holdExpiresAt}. Claim it here: ${claimUrl}`;
+
+      const results = {
+        email: { success: false, message: 'Not sent' },
+        sms: { success: false, message: 'Not sent' },
+        whatsapp: { success: false, message: 'Not sent' }
+      };
+
+      // Send email notification
+      if (this.emailEnabled && patientEmail) {
+        try {
+          results.email = await this.sendWaitlistOfferEmail({
+            patientName,
+            doctorName,
+            appointmentDate,
+            appointmentTime,
+            holdExpiresAt,
+            claimUrl,
+            email: patientEmail
+          });
+        } catch (error) {
+          console.error('Email waitlist offer error:', error);
+          results.email = { success: false, message: error.message };
+        }
+      }
+
+      // Send SMS notification
+      if (this.smsEnabled && patientPhone) {
+        try {
+          results.sms = await smsService.sendGeneric(patientPhone, text);
+        } catch (error) {
+          console.error('SMS waitlist offer error:', error);
+          results.sms = { success: false, message: error.message };
+        }
+      }
+
+      // Send WhatsApp notification
+      if (this.whatsappEnabled && patientPhone) {
+        try {
+          results.whatsapp = await whatsappBotService.sendMessage(patientPhone, text);
+        } catch (error) {
+          console.error('WhatsApp waitlist offer error:', error);
+          results.whatsapp = { success: false, message: error.message };
+        }
+      }
+
+      // Create in-app notification for patient
+      try {
+        await this.createNotification({
+          recipient_id: entry.patient_id._id,
+          recipient_type: 'patient',
+          title: 'Waitlist Slot Available',
+          message: `A slot with Dr. ${doctorName} on ${appointmentDate} at ${appointmentTime} is held for ${patientName} until ${holdExpiresAt}. Claim it before then to confirm your appointment.`,
+          type: 'appointment',
+          priority: 'high',
+          related_id: entry._id,
+          related_type: 'waitlist',
+          metadata: {
+            doctorName,
+            appointmentDate,
+            appointmentTime,
+            holdExpiresAt: entry.hold_expires_at,
+            patientName
+          }
+        });
+      } catch (notificationError) {
+        console.error('Error creating waitlist offer notification:', notificationError);
+      }
+
+      console.log('📧📱💬 Waitlist offer sent:', results);
+      return results;
+
+    } catch (error) {
+      console.error('Waitlist offer notification error:', error);
+      throw error;
+    }
+  }
+
+  // Tell a waitlisted patient their entry was closed (offer expired, session closed)
+  async sendWaitlistUpdate(entryId, { title, message }) {
+    try {
+      const entry = await WaitlistEntry.findById(entryId)
+        .populate('patient_id', 'name phone')
+        .populate('doctor_id', 'name');
+
+      if (!entry) {
+        throw new Error('Waitlist entry not found');
+      }
+
+      const appointmentDate = new Date(entry.date).toLocaleDateString('en-IN');
+      const fullMessage = `${message} (Dr. ${entry.doctor_id.name}, ${appointmentDate})`;
+      const patientPhone = entry.patient_id.phone;
+
+      const results = {
+        sms: { success: false, message: 'Not sent' },
+        whatsapp: { success: false, message: 'Not sent' }
+      };
+
+      if (this.smsEnabled && patientPhone) {
+        try {
+          results.sms = await smsService.sendGeneric(patientPhone, `MediQ Hospital: ${fullMessage}`);
+        } catch (error) {
+          console.error('SMS waitlist update error:', error);
+          results.sms = { success: false, message: error.message };
+        }
+      }
+
+      if (this.whatsappEnabled && patientPhone) {
+        try {
+          results.whatsapp = await whatsappBotService.sendMessage(patientPhone, `MediQ Hospital: ${fullMessage}`);
+        } catch (error) {
+          console.error('WhatsApp waitlist update error:', error);
+          results.whatsapp = { success: false, message: error.message };
+        }
+      }
+
+      await this.createNotification({
+        recipient_id: entry.patient_id._id,
+        recipient_type: 'patient',
+        title,
+        message: fullMessage,
+        type: 'appointment',
+        priority: 'normal',
+        related_id: entry._id,
+        related_type: 'waitlist'
+      });
+
+      return results;
+    } catch (error) {
+      console.error('Waitlist update notification error:', error);
+      throw error;
+    }
+  }
+
+  async sendWaitlistOfferEmail(offerData) {
+    const {
+      patientName,
+      doctorName,
+      appointmentDate,
+      appointmentTime,
+      holdExpiresAt,
+      claimUrl,
+      email
+    } = offerData;
+
+    const subject = `Waitlist Slot Available - MediQ Hospital`;
+
+    const htmlContent = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Waitlist Slot Available</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .appointment-details { background: white; padding: 20px; border-radius: 8px; margin: 20px 0; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
+          .hold-info { background: #fff3cd; padding: 15px; border-left: 4px solid #ffc107; margin: 20px 0; }
+          .button { display: inline-block; background: #4CAF50; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; margin: 10px 5px; }
+        </style>
+      </head>
+      <body>
+        <div class="header">
+          <h1>🏥 MediQ Hospital</h1>
+          <h2>A Slot Is Available</h2>
+        </div>
+
+        <div class="content">
+          <p>Dear <strong>${patientName}</strong>,</p>
+
+          <p>A place has opened up in the session you were waitlisted for, and we are holding it for you.</p>
+
+          <div class="appointment-details">
+            <h3>📅 Offered Appointment</h3>
+            <p><strong>Date:</strong> ${appointmentDate}</p>
+            <p><strong>Time:</strong> ${appointmentTime}</p>
+            <p><strong>Doctor:</strong> Dr. ${doctorName}</p>
+          </div>
+
+          <div class="hold-info">
+            <p><strong>This slot is held until ${holdExpiresAt}.</strong> If it is not claimed by then, it will be offered to the next person on the waitlist.</p>
+          </div>
+
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${claimUrl}" class="button">Claim Slot</a>
+          </div>
+
+          <div class="footer">
+            <p>&copy; 2024 MediQ Hospital. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    const mailOptions = {
+      from: `"MediQ Hospital" <${process.env.EMAIL_USER}>`,
+      to: email,
+      subject: subject,
+      html: htmlContent
+    };
+
+    const result = await transporter.sendMail(mailOptions);
+    console.log('📧 Waitlist offer email sent:', result.messageId);
+
+    return {
+      success: true,
+      messageId: result.messageId,
+      message: 'Waitlist offer email sent successfully'
+    };
+  }
+
+  // Tell a patient a follow-up was prescribed, with the link to book it
+  async sendFollowUpPrescribed(followUpId) {
+    try {
+      const FollowUp = require('../models/FollowUp');
+      const followUpService = require('./followUpService');
+      const followUp = await FollowUp.findById(followUpId)
+        .populate('patient_id', 'name email phone')
+        .populate('doctor_id', 'name doctor_info')
+        .populate('family_member_id', 'name');
+
+      if (!followUp) {
+        throw new Error('Follow-up not found');
+      }
+
+      const patientName = followUp.family_member_id ?
+        followUp.family_member_id.name :
+        followUp.patient_id.name;
+
+      const doctorName = followUp.doctor_id.name;
+      const formatDate = date => new Date(date).toLocaleDateString('en-IN', {
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+      });
+      const dueDate = formatDate(followUp.due_date);
+      const windowEnd = formatDate(followUp.window_end);
+      const fee = followUp.doctor_id.doctor_info?.followup_fee || 0;
+      const bookingUrl = followUpService.getBookingUrl(followUp);
+      const patientEmail = followUp.patient_id.email;
+      const patientPhone = followUp.patient_id.phone;
+      const text = `MediQ Hospital: Dr. ${doctorName} has asked ${patientName} to come back for a follow-up around ${dueDate}. Book by ${windowEnd} for the follow-up fee of ₹${fee}: ${bookingUrl}`;
+
+      const results = {
+        email: { success: false, message: 'Not sent' },
+        sms: { success: false, message: 'Not sent' },
+        whatsapp: { success: false, message: 'Not sent' }
+      };
+
+      // Send email notification
+      if (this.emailEnabled && patientEmail) {
+        try {
+          results.email = await this.sendFollowUpEmail({
+            patientName,
+            doctorName,
+            dueDate,
+            windowEnd,
+            fee,
+            notes: followUp.notes,
+            bookingUrl,
+            email: patientEmail
+          });
+        } catch (error) {
+          console.error('Email follow-up error:', error);
+          results.email = { success: false, message: error.message };
+        }
+      }
+
+      // Send SMS notification
+      if (this.smsEnabled && patientPhone) {
+        try {
+          results.sms = await smsService.sendGeneric(patientPhone, text);
+        } catch (error) {
+          console.error('SMS follow-up error:', error);
+          results.sms = { success: false, message: error.message };
+        }
+      }
+
+      // Send WhatsApp notification
+      if (this.whatsappEnabled && patientPhone) {
+        try {
+          results.whatsapp = await whatsappBotService.sendMessage(patientPhone, text);
+        } catch (error) {
+          console.error('WhatsApp follow-up error:', error);
+          results.whatsapp = { success: false, message: error.message };
+        }
+      }
+
+      // Create in-app notification for patient
+      try {
+        await this.createNotification({
+          recipient_id: followUp.patient_id._id,
+          recipient_type: 'patient',
+          title: 'Follow-up Visit Recommended',
+          message: `Dr. ${doctorName} has asked ${patientName} to come back around ${dueDate}. Book by ${windowEnd} to pay the follow-up fee of ₹${fee}.`,
+          type: 'appointment',
+          priority: 'normal',
+          related_id: followUp._id,
+          related_type: 'followup',
+          metadata: {
+            doctorName,
+            dueDate: followUp.due_date,
+            windowEnd: followUp.window_end,
+            fee,
+            bookingUrl,
+            patientName
+          }
+        });
+      } catch (notificationError) {
+        console.error('Error creating follow-up notification:', notificationError);
+      }
+
+      console.log('📧📱💬 Follow-up notice sent:', results);
+      return results;
+
+    } catch (error) {
+      console.error('Follow-up notification error:', error);
+      throw error;
+    }
+  }
+
+  async sendFollowUpEmail(followUpData) {
+    const {
+      patientName,
+      doctorName,
+      dueDate,
+      windowEnd,
+      fee,
+      notes,
+      bookingUrl,
+      email
+    } = followUpData;
+
+    const subject = `Follow-up Visit - MediQ Hospital`;
+
+    const htmlContent = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Follow-up Visit</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .appointment-details { background: white; padding: 20px; border-radius: 8px; margin: 20px 0; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
+          .hold-info { background: #e8f4fd; padding: 15px; border-left: 4px solid #2196F3; margin: 20px 0; }
+          .button { display: inline-block; background: #4CAF50; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; margin: 10px 5px; }
+        </style>
+      </head>
+      <body>
+        <div class="header">
+          <h1>🏥 MediQ Hospital</h1>
+          <h2>Follow-up Visit</h2>
+        </div>
+
+        <div class="content">
+          <p>Dear <strong>${patientName}</strong>,</p>
+
+          <p>Dr. ${doctorName} would like to see you again for a follow-up visit.</p>
+
+          <div class="appointment-details">
+            <h3>📅 Follow-up Details</h3>
+            <p><strong>Recommended date:</strong> ${dueDate}</p>
+            <p><strong>Doctor:</strong> Dr. ${doctorName}</p>
+            <p><strong>Follow-up fee:</strong> ₹${fee}</p>
+            ${notes ? `<p><strong>Doctor's note:</strong> ${notes}</p>` : ''}
+          </div>
+
+          <div class="hold-info">
+            <p><strong>Book by ${windowEnd}</strong> to be charged the follow-up fee. Later visits are charged as a new consultation.</p>
+          </div>
+
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${bookingUrl}" class="button">Book Follow-up</a>
+          </div>
+
+          <div class="footer">
+            <p>&copy; 2024 MediQ Hospital. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    const mailOptions = {
+      from: `"MediQ Hospital" <${process.env.EMAIL_USER}>`,
+      to: email,
+      subject: subject,
+      html: htmlContent
+    };
+
+    const result = await transporter.sendMail(mailOptions);
+    console.log('📧 Follow-up email sent:', result.messageId);
+
+    return {
+      success: true,
+      messageId: result.messageId,
+      message: 'Follow-up email sent successfully'
+    };
+  }
+
+  // Notify the receiving doctor(s) of a new referral and send the patient the link to book it
+  async sendReferralCreated(referralId) {
+    try {
+      const Referral = require('../models/Referral');
+      const referralService = require('./referralService');
+      const referral = await Referral.findById(referralId)
+        .populate('patient_id', 'name email phone')
+        .populate('family_member_id', 'name')
+        .populate('referring_doctor_id', 'name')
+        .populate('to_doctor_id', 'name')
+        .populate('to_department_id', 'name');
+
+      if (!referral) {
+        throw new Error('Referral not found');
+      }
+
+      const patientName = referral.family_member_id ?
+        referral.family_member_id.name :
+        referral.patient_id.name;
+      const referringDoctorName = referral.referring_doctor_id.name;
+      const destination = referral.to_doctor_id
+        ? `Dr. ${referral.to_doctor_id.name} (${referral.to_department_id.name})`
+        : referral.to_department_id.name;
+      const bookingUrl = referralService.getBookingUrl(referral);
+      const patientEmail = referral.patient_id.email;
+      const patientPhone = referral.patient_id.phone;
+      const text = `MediQ Hospital: Dr. ${referringDoctorName} has referred ${patientName} to ${destination}. Book your appointment here: ${bookingUrl}`;
+
+      const results = {
+        email: { success: false, message: 'Not sent' },
+        sms: { success: false, message: 'Not sent' },
+        whatsapp: { success: false, message: 'Not sent' },
+        doctors: 0
+      };
+
+      // In-app notification for the receiving doctor(s)
+      const receivingDoctors = await referralService.getReceivingDoctors(referral);
+      for (const doctor of receivingDoctors) {
+        try {
+          await this.createNotification({
+            recipient_id: doctor._id,
+            recipient_type: 'doctor',
+            title: referral.urgency === 'routine' ? 'New Referral' : `New ${referral.urgency} Referral`,
+            message: `Dr. ${referringDoctorName} has referred ${patientName} to ${referral.to_doctor_id ? 'you' : referral.to_department_id.name}: ${referral.reason}`,
+            type: 'appointment',
+            priority: referral.urgency === 'routine' ? 'normal' : 'high',
+            related_id: referral._id,
+            related_type: 'referral',
+            metadata: {
+              patientName,
+              referringDoctorName,
+              urgency: referral.urgency,
+              reason: referral.reason
+            }
+          });
+          results.doctors += 1;
+        } catch (notificationError) {
+          console.error('Error creating referral notification for doctor:', notificationError);
+        }
+      }
+
+      // Send email notification
+      if (this.emailEnabled && patientEmail) {
+        try {
+          const mailOptions = {
+            from: `"MediQ Hospital" <${process.env.EMAIL_USER}>`,
+            to: patientEmail,
+            subject: 'Referral - MediQ Hospital',
+            html: `
+              <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+                <h2>🏥 MediQ Hospital</h2>
+                <p>Dear <strong>${patientName}</strong>,</p>
+                <p>Dr. ${referringDoctorName} has referred you to <strong>${destination}</strong>.</p>
+                <p><strong>Reason:</strong> ${referral.reason}</p>
+                ${referral.priority ? '<p>Your appointment will be booked with priority.</p>' : ''}
+                <p style="text-align: center; margin: 30px 0;">
+                  <a href="${bookingUrl}" style="display: inline-block; background: #4CAF50; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px;">Book Appointment</a>
+                </p>
+              </div>
+            `
+          };
+          const result = await transporter.sendMail(mailOptions);
+          results.email = { success: true, messageId: result.messageId, message: 'Referral email sent successfully' };
+        } catch (error) {
+          console.error('Email referral error:', error);
+          results.email = { success: false, message: error.message };
+        }
+      }
+
+      // Send SMS notification
+      if (this.smsEnabled && patientPhone) {
+        try {
+          results.sms = await smsService.sendGeneric(patientPhone, text);
+        } catch (error) {
+          console.error('SMS referral error:', error);
+          results.sms = { success: false, message: error.message };
+        }
+      }
+
+      // Send WhatsApp notification
+      if (this.whatsappEnabled && patientPhone) {
+        try {
+          results.whatsapp = await whatsappBotService.sendMessage(patientPhone, text);
+        } catch (error) {
+          console.error('WhatsApp referral error:', error);
+          results.whatsapp = { success: false, message: error.message };
+        }
+      }
+
+      // Create in-app notification for patient
+      try {
+        await this.createNotification({
+          recipient_id: referral.patient_id._id,
+          recipient_type: 'patient',
+          title: 'You Have Been Referred',
+          message: `Dr. ${referringDoctorName} has referred ${patientName} to ${destination}. Book an appointment to continue your care.`,
+          type: 'appointment',
+          priority: referral.urgency === 'routine' ? 'normal' : 'high',
+          related_id: referral._id,
+          related_type: 'referral',
+          metadata: {
+            referringDoctorName,
+            destination,
+            bookingUrl,
+            patientName
+          }
+        });
+      } catch (notificationError) {
+        console.error('Error creating referral notification for patient:', notificationError);
+      }
+
+      console.log('📧📱💬 Referral notifications sent:', results);
+      return results;
+
+    } catch (error) {
+      console.error('Referral notification error:', error);
+      throw error;
+    }
+  }
+
+  // Tell the patient a prescription is ready to view/print (skipped when they turned prescription notices off)
+  async sendPrescriptionIssued(prescriptionId) {
+    try {
+      const Prescription = require('../models/Prescription');
+      const prescriptionService = require('./prescriptionService');
+      const prescription = await Prescription.findById(prescriptionId)
+        .populate('patient_id', 'name email phone settings')
+        .populate('doctor_id', 'name')
+        .populate('family_member_id', 'name');
+
+      if (!prescription) {
+        throw new Error('Prescription not found');
+      }
+
+      const results = {
+        email: { success: false, message: 'Not sent' },
+        sms: { success: false, message: 'Not sent' },
+        whatsapp: { success: false, message: 'Not sent' }
+      };
+      const preferences = prescription.patient_id.settings?.notifications || {};
+      if (preferences.prescriptionReady === false) {
+        return results;
+      }
+
+      const patientName = prescription.family_member_id ?
+        prescription.family_member_id.name :
+        prescription.patient_id.name;
+      const doctorName = prescription.doctor_id.name;
+      const patientPhone = prescription.patient_id.phone;
+      const medicines = prescription.items.map(item => item.medication_name).join(', ');
+      const pdfUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/prescriptions/${prescription._id}`;
+      const text = `MediQ Hospital: Dr. ${doctorName} has issued prescription ${prescription.prescription_number} for ${patientName} (${medicines}). View or print it here: ${pdfUrl}`;
+
+      // Send SMS notification
+      if (this.smsEnabled && patientPhone && preferences.smsNotifications !== false) {
+        try {
+          results.sms = await smsService.sendGeneric(patientPhone, text);
+        } catch (error) {
+          console.error('SMS prescription error:', error);
+          results.sms = { success: false, message: error.message };
+        }
+      }
+
+      // Send WhatsApp notification
+      if (this.whatsappEnabled && patientPhone) {
+        try {
+          results.whatsapp = await whatsappBotService.sendMessage(patientPhone, text);
+        } catch (error) {
+          console.error('WhatsApp prescription error:', error);
+          results.whatsapp = { success: false, message: error.message };
+        }
+      }
+
+      // Create in-app notification for patient
+      try {
+        await this.createNotification({
+          recipient_id: prescription.patient_id._id,
+          recipient_type: 'patient',
+          title: 'Prescription Ready',
+          message: `Dr. ${doctorName} has issued a prescription for ${patientName}: ${medicines}.`,
+          type: 'appointment',
+          priority: 'normal',
+          related_id: prescription._id,
+          related_type: 'prescription',
+          metadata: {
+            doctorName,
+            patientName,
+            prescriptionNumber: prescription.prescription_number,
+            pdfPath: prescriptionService.getPdfPath(prescription)
+          }
+        });
+      } catch (notificationError) {
+        console.error('Error creating prescription notification:', notificationError);
+      }
+
+      console.log('📧📱💬 Prescription notice sent:', results);
+      return results;
+
+    } catch (error) {
+      console.error('Prescription notification error:', error);
+      throw error;
+    }
+  }
+
+  // Results of a lab/imaging order are in: ordering doctor in-app, patient in-app/SMS/WhatsApp.
+  // Values stay out of SMS/WhatsApp; abnormal results are raised as high priority.
+  async sendLabResultReady(labOrderId) {
+    try {
+      const LabOrder = require('../models/LabOrder');
+      const labOrderService = require('./labOrderService');
+      const order = await LabOrder.findById(labOrderId)
+        .populate('patient_id', 'name email phone')
+        .populate('doctor_id', 'name')
+        .populate('family_member_id', 'name');
+
+      if (!order) {
+        throw new Error('Lab order not found');
+      }
+
+      const patientName = order.family_member_id ?
+        order.family_member_id.name :
+        order.patient_id.name;
+      const doctorName = order.doctor_id.name;
+      const patientPhone = order.patient_id.phone;
+      const priority = order.is_abnormal ? 'high' : 'normal';
+      const reportPath = labOrderService.getReportPath(order);
+      const text = `MediQ Hospital: The ${order.test_name} report for ${patientName} is ready. You can download it from your MediQ account under Lab Reports.`;
+
+      const results = {
+        email: { success: false, message: 'Not sent' },
+        sms: { success: false, message: 'Not sent' },
+        whatsapp: { success: false, message: 'Not sent' }
+      };
+
+      // Notify the ordering doctor
+      try {
+        await this.createNotification({
+          recipient_id: order.doctor_id._id,
+          recipient_type: 'doctor',
+          title: order.is_abnormal ? 'Abnormal Lab Result' : 'Lab Result Ready',
+          message: `${order.test_name} for ${patientName} is ready${order.is_abnormal ? ' and has abnormal values' : ''}: ${labOrderService.summarizeResults(order) || 'see attached report'}`,
+          type: 'appointment',
+          priority,
+          related_id: order._id,
+          related_type: 'lab_order',
+          metadata: {
+            patientName,
+            testName: order.test_name,
+            isAbnormal: order.is_abnormal,
+            appointmentId: order.token_id
+          }
+        });
+      } catch (notificationError) {
+        console.error('Error creating lab result notification for doctor:', notificationError);
+      }
+
+      // Send SMS notification
+      if (this.smsEnabled && patientPhone) {
+        try {
+          results.sms = await smsService.sendGeneric(patientPhone, text);
+        } catch (error) {
+          console.error('SMS lab result error:', error);
+          results.sms = { success: false, message: error.message };
+        }
+      }
+
+      // Send WhatsApp notification
+      if (this.whatsappEnabled && patientPhone) {
+        try {
+          results.whatsapp = await whatsappBotService.sendMessage(patientPhone, text);
+        } catch (error) {
+          console.error('WhatsApp lab result error:', error);
+          results.whatsapp = { success: false, message: error.message };
+        }
+      }
+
+      // Create in-app notification for patient
+      try {
+        await this.createNotification({
+          recipient_id: order.patient_id._id,
+          recipient_type: 'patient',
+          title: 'Lab Report Ready',
+          message: `The ${order.test_name} report for ${patientName} ordered by Dr. ${doctorName} is ready to download.${order.is_abnormal ? ' Some values are outside the normal range - please review them with your doctor.' : ''}`,
+          type: 'appointment',
+          priority,
+          related_id: order._id,
+          related_type: 'lab_order',
+          metadata: {
+            doctorName,
+            patientName,
+            testName: order.test_name,
+            isAbnormal: order.is_abnormal,
+            reportPath
+          }
+        });
+      } catch (notificationError) {
+        console.error('Error creating lab result notification for patient:', notificationError);
+      }
+
+      console.log('📧📱💬 Lab result notifications sent:', results);
+      return results;
+
+    } catch (error) {
+      console.error('Lab result notification error:', error);
+      throw error;
+    }
+  }
+
   // Send admin message notification
   async sendAdminMessage(messageData) {
     const { recipientName, recipientEmail, subject, message, type, priority } = messageData;
@@ -0,0 +1,161 @@
+const { Token } = require('../models/User');
+const Department = require('../models/Department');
+
+const ROLES = ['receptionist', 'doctor', 'admin'];
+
+class OverbookingService {
+  // Department policy with defaults filled in (no overbooking, receptionists only, priority first)
+  getPolicy(department) {
+    const policy = (department && department.overbooking_policy) || {};
+    const allowedRoles = policy.allowed_roles && policy.allowed_roles.length > 0 ? [...policy.allowed_roles] : ['receptionist'];
+    return {
+      maxOverbookedPerSession: policy.max_overbooked_per_session || 0,
+      allowedRoles,
+      priorityJumpsQueue: policy.priority_jumps_queue !== false
+    };
+  }
+
+  isRoleAllowed(policy, role) {
+    return policy.maxOverbookedPerSession > 0 && policy.allowedRoles.includes(role);
+  }
+
+  // Policies keyed by department name, since tokens store the department name
+  async getPoliciesByName(names = null) {
+    const filter = names ? { name: { $in: [...new Set(names.filter(Boolean))] } } : {};
+    const departments = await Department.find(filter).select('name overbooking_policy');
+    return new Map(departments.map(department => [department.name, this.getPolicy(department)]));
+  }
+
+  async getPolicyForDoctor(doctor) {
+    const departmentId = doctor?.doctor_info?.department?._id || doctor?.doctor_info?.department;
+    if (!departmentId) return this.getPolicy(null);
+    const department = await Department.findById(departmentId).select('name overbooking_policy');
+    return this.getPolicy(department);
+  }
+
+  // Validate an admin policy update. Returns { errors, update }.
+  normalizePolicyPayload(body) {
+    const errors = [];
+    const update = {};
+
+    const max = body.maxOverbookedPerSession !== undefined ? body.maxOverbookedPerSession : body.max_overbooked_per_session;
+    if (max !== undefined) {
+      const value = Number(max);
+      if (!Number.isInteger(value) || value < 0) {
+        errors.push('maxOverbookedPerSession must be a non-negative integer');
+      } else {
+        update['overbooking_policy.max_overbooked_per_session'] = value;
+      }
+    }
+
+    const roles = body.allowedRoles !== undefined ? body.allowedRoles : body.allowed_roles;
+    if (roles !== undefined) {
+      if (!Array.isArray(roles) || roles.some(role => !ROLES.includes(role))) {
+        errors.push(`allowedRoles must be a list of: ${ROLES.join(', ')}`);
+      } else {
+        update['overbooking_policy.allowed_roles'] = [...new Set(roles)];
+      }
+    }
+
+    const jumps = body.priorityJumpsQueue !== undefined ? body.priorityJumpsQueue : body.priority_jumps_queue;
+    if (jumps !== undefined) {
+      if (typeof jumps !== 'boolean') {
+        errors.push('priorityJumpsQueue must be a boolean');
+      } else {
+        update['overbooking_policy.priority_jumps_queue'] = jumps;
+      }
+    }
+
+    return { errors, update };
+  }
+
+  // Overbooking usage between two dates: totals, per department (against its limit), per doctor session and per user
+  async getUsageReport({ from, to, departmentName = null }) {
+    const match = {
+      is_overbooked: true,
+      booking_date: { $gte: from, $lt: to }
+    };
+    if (departmentName) match.department = departmentName;
+
+    const [byDepartment, bySession, byUser, byStatus] = await Promise.all([
+      Token.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: '$department',
+            overbooked: { $sum: 1 },
+            priority: { $sum: { $cond: ['$priority_flag', 1, 0] } },
+            cancelled: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } }
+          }
+        },
+        { $sort: { overbooked: -1 } }
+      ]),
+      Token.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: {
+              doctor_id: '$doctor_id',
+              date: { $dateToString: { format: '%Y-%m-%d', date: '$booking_date', timezone: 'Asia/Kolkata' } },
+              session: '$session_type',
+              department: '$department'
+            },
+            overbooked: { $sum: 1 },
+            active: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 0, 1] } }
+          }
+        },
+        { $lookup: { from: 'users', localField: '_id.doctor_id', foreignField: '_id', as: 'doctor' } },
+        { $sort: { '_id.date': -1, overbooked: -1 } }
+      ]),
+      Token.aggregate([
+        { $match: match },
+        { $group: { _id: '$overbooked_by', overbooked: { $sum: 1 } } },
+        { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+        { $sort: { overbooked: -1 } }
+      ]),
+      Token.aggregate([
+        { $match: match },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const policies = await this.getPoliciesByName(byDepartment.map(row => row._id));
+
+    return {
+      totals: {
+        overbooked: byDepartment.reduce((sum, row) => sum + row.overbooked, 0),
+        priority: byDepartment.reduce((sum, row) => sum + row.priority, 0),
+        byStatus: byStatus.reduce((acc, row) => ({ ...acc, [row._id]: row.count }), {})
+      },
+      byDepartment: byDepartment.map(row => ({
+        department: row._id,
+        overbooked: row.overbooked,
+        priority: row.priority,
+        cancelled: row.cancelled,
+        policy: policies.get(row._id) || this.getPolicy(null)
+      })),
+      bySession: bySession.map(row => {
+        const limit = (policies.get(row._id.department) || this.getPolicy(null)).maxOverbookedPerSession;
+        return {
+          doctorId: row._id.doctor_id,
+          doctorName: row.doctor[0]?.name || 'Unknown Doctor',
+          department: row._id.department,
+          date: row._id.date,
+          session: row._id.session,
+          overbooked: row.overbooked,
+          active: row.active,
+          limit,
+          limitReached: limit > 0 && row.active >= limit
+        };
+      }),
+      byUser: byUser.map(row => ({
+        userId: row._id,
+        name: row.user[0]?.name || 'Unknown',
+        role: row.user[0]?.role || null,
+        overbooked: row.overbooked
+      }))
+    };
+  }
+}
+
+module.exports = new OverbookingService();
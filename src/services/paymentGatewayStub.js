@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+
+// Fixed test secrets: never the Razorpay ones, so nothing the stub signs can pass as a real payment
+const STUB_KEY_SECRET = 'stub_key_secret';
+const STUB_WEBHOOK_SECRET = 'stub_webhook_secret';
+
+// In-process stand-in for the Razorpay API (orders, payments, refunds), used only when PAYMENT_GATEWAY=stub
+// outside production. Signatures are real HMACs over the stub secrets, so the normal verification path is
+// exercised end to end (see src/scripts/checkPaymentStub.js).
+class PaymentGatewayStub {
+  constructor() {
+    this.keyId = 'rzp_test_stub';
+    this.keySecret = STUB_KEY_SECRET;
+    this.webhookSecret = STUB_WEBHOOK_SECRET;
+    this.orders = new Map();
+    this.payments = new Map();
+    this.refunds = new Map();
+    this.sequence = 0;
+
+    // Same call shapes as the Razorpay SDK
+    this.client = {
+      orders: { create: async (options) => this.createOrder(options) },
+      payments: {
+        fetch: async (paymentId) => this.fetchPayment(paymentId),
+        refund: async (paymentId, options) => this.refundPayment(paymentId, options),
+        fetchRefund: async (paymentId, refundId) => this.fetchRefund(paymentId, refundId)
+      }
+    };
+  }
+
+  nextId(prefix) {
+    this.sequence += 1;
+    return `${prefix}_stub${Date.now().toString(36)}${this.sequence}`;
+  }
+
+  createOrder({ amount, currency = 'INR', receipt, notes = {} }) {
+    const order = {
+      id: this.nextId('order'),
+      entity: 'order',
+      amount,
+      amount_paid: 0,
+      currency,
+      receipt,
+      notes,
+      status: 'created',
+      created_at: Math.floor(Date.now() / 1000)
+    };
+    this.orders.set(order.id, order);
+    return order;
+  }
+
+  fetchPayment(paymentId) {
+    const payment = this.payments.get(paymentId);
+    if (!payment) {
+      const error = new Error('The id provided does not exist');
+      error.statusCode = 400;
+      throw error;
+    }
+    return payment;
+  }
+
+  refundPayment(paymentId, { amount, notes = {} } = {}) {
+    const payment = this.fetchPayment(paymentId);
+    const refundable = payment.amount - payment.amount_refunded;
+    const value = amount === undefined ? refundable : amount;
+    if (value <= 0 || value > refundable) {
+      const error = new Error('The refund amount is invalid');
+      error.statusCode = 400;
+      throw error;
+    }
+    const refund = {
+      id: this.nextId('rfnd'),
+      entity: 'refund',
+      amount: value,
+      currency: payment.currency,
+      payment_id: paymentId,
+      notes,
+      status: 'pending',
+      created_at: Math.floor(Date.now() / 1000)
+    };
+    payment.amount_refunded += value;
+    payment.refund_status = payment.amount_refunded >= payment.amount ? 'full' : 'partial';
+    this.refunds.set(refund.id, refund);
+    return refund;
+  }
+
+  // A pending stub refund settles (as processed) the first time its status is fetched
+  fetchRefund(paymentId, refundId) {
+    const refund = this.refunds.get(refundId);
+    if (!refund || refund.payment_id !== paymentId) {
+      const error = new Error('The id provided does not exist');
+      error.statusCode = 400;
+      throw error;
+    }
+    if (refund.status === 'pending') this.settleRefund(refundId);
+    return refund;
+  }
+
+  // Move a pending refund to processed (or failed, returning the amount to the payment)
+  settleRefund(refundId, { fail = false } = {}) {
+    const refund = this.refunds.get(refundId);
+    if (!refund || refund.status !== 'pending') return refund || null;
+    refund.status = fail ? 'failed' : 'processed';
+    if (fail) {
+      const payment = this.payments.get(refund.payment_id);
+      payment.amount_refunded -= refund.amount;
+      payment.refund_status = payment.amount_refunded > 0 ? 'partial' : null;
+    }
+    return refund;
+  }
+
+  signPayment(orderId, paymentId) {
+    return crypto.createHmac('sha256', this.keySecret).update(`${orderId}|${paymentId}`).digest('hex');
+  }
+
+  // What Razorpay Checkout hands the browser after a payment: ids plus signature (or a failed payment)
+  completePayment(orderId, { method = 'card', fail = false } = {}) {
+    const order = this.orders.get(orderId);
+    if (!order) return null;
+    const payment = {
+      id: this.nextId('pay'),
+      entity: 'payment',
+      order_id: orderId,
+      amount: order.amount,
+      amount_refunded: 0,
+      currency: order.currency,
+      method,
+      status: fail ? 'failed' : 'captured',
+      error_description: fail ? 'Payment declined by stub gateway' : null,
+      created_at: Math.floor(Date.now() / 1000)
+    };
+    this.payments.set(payment.id, payment);
+    if (!fail) {
+      order.status = 'paid';
+      order.amount_paid = order.amount;
+    }
+    return {
+      payment,
+      razorpay_order_id: orderId,
+      razorpay_payment_id: payment.id,
+      razorpay_signature: fail ? null : this.signPayment(orderId, payment.id)
+    };
+  }
+
+  // A signed webhook request body for `event` (payment.captured, payment.failed, refund.processed, refund.failed)
+  buildWebhook(event, { payment = null, refund = null } = {}) {
+    const payload = {};
+    if (payment) payload.payment = { entity: payment };
+    if (refund) payload.refund = { entity: refund };
+    const body = JSON.stringify({ entity: 'event', event, payload, created_at: Math.floor(Date.now() / 1000) });
+    return {
+      body,
+      eventId: this.nextId('evt'),
+      signature: crypto.createHmac('sha256', this.webhookSecret).update(body).digest('hex')
+    };
+  }
+}
+
+module.exports = new PaymentGatewayStub();
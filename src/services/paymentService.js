@@ -0,0 +1,617 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { Token } = require('../models/User');
+const Payment = require('../models/Payment');
+const gatewayStub = require('./paymentGatewayStub');
+const walletService = require('./walletService');
+const invoiceService = require('./invoiceService');
+
+let Razorpay; try { Razorpay = require('razorpay'); } catch { Razorpay = null; }
+
+// Online appointment payments: gateway orders bound to a token and amount, checkout signature
+// verification, idempotent webhook handling and the Payment ledger
+class PaymentService {
+  constructor() {
+    this.gateway = null;
+  }
+
+  // The local stub only when opted into with PAYMENT_GATEWAY=stub (and never in production); otherwise
+  // Razorpay when its keys are configured. Returns null when payments are unavailable.
+  getGateway() {
+    if (this.gateway) return this.gateway;
+    const keyId = process.env.RAZORPAY_KEY_ID;
+    const keySecret = process.env.RAZORPAY_KEY_SECRET;
+    const useStub = process.env.PAYMENT_GATEWAY === 'stub';
+    if (useStub && process.env.NODE_ENV === 'production') {
+      console.error('❌ PAYMENT_GATEWAY=stub is ignored in production');
+    }
+
+    if (useStub && process.env.NODE_ENV !== 'production') {
+      this.gateway = {
+        name: 'stub',
+        client: gatewayStub.client,
+        keyId: gatewayStub.keyId,
+        keySecret: gatewayStub.keySecret,
+        webhookSecret: gatewayStub.webhookSecret
+      };
+    } else if (!useStub && keyId && keySecret && Razorpay) {
+      this.gateway = {
+        name: 'razorpay',
+        client: new Razorpay({ key_id: keyId, key_secret: keySecret }),
+        keyId,
+        keySecret,
+        webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET || ''
+      };
+    }
+    return this.gateway;
+  }
+
+  isStub() {
+    return this.getGateway()?.name === 'stub';
+  }
+
+  hmac(secret, data) {
+    return crypto.createHmac('sha256', secret).update(data).digest('hex');
+  }
+
+  safeEqual(expected, actual) {
+    const a = Buffer.from(String(expected || ''));
+    const b = Buffer.from(String(actual || ''));
+    return a.length > 0 && a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  // Checkout signature: HMAC-SHA256 of "order_id|payment_id" with the key secret
+  verifyCheckoutSignature(orderId, paymentId, signature) {
+    const gateway = this.getGateway();
+    if (!gateway) return false;
+    return this.safeEqual(this.hmac(gateway.keySecret, `${orderId}|${paymentId}`), signature);
+  }
+
+  // Webhook signature: HMAC-SHA256 of the raw request body with the webhook secret
+  verifyWebhookSignature(rawBody, signature) {
+    const gateway = this.getGateway();
+    if (!gateway || !gateway.webhookSecret || !rawBody) return false;
+    return this.safeEqual(this.hmac(gateway.webhookSecret, rawBody), signature);
+  }
+
+  // Amount due for an appointment in rupees: the fee fixed at booking (else the doctor's consultation fee)
+  // plus the video platform fee for video appointments
+  getAmountDue(token) {
+    const fee = token.consultation_fee !== null && token.consultation_fee !== undefined
+      ? token.consultation_fee
+      : token.doctor_id?.doctor_info?.consultation_fee ?? 500;
+    return fee + invoiceService.getVideoFee(token);
+  }
+
+  // Issue (or mark paid) the appointment's invoice after a payment; billing problems never undo a payment
+  async invoicePayment(tokenId, payment) {
+    try {
+      return await invoiceService.issueForToken(tokenId, { payment });
+    } catch (error) {
+      console.error(`Invoice update failed for appointment ${tokenId}:`, error);
+      return null;
+    }
+  }
+
+  // New gateway order for the patient's appointment, recorded in the ledger.
+  // Returns { success, status, message, payment, order }.
+  async createOrder(tokenId, patient) {
+    const gateway = this.getGateway();
+    if (!gateway) {
+      return { success: false, status: 503, message: 'Online payments are not configured' };
+    }
+    if (!mongoose.isValidObjectId(tokenId)) {
+      return { success: false, status: 400, message: 'Invalid appointment ID' };
+    }
+    const token = await Token.findOne({ _id: tokenId, patient_id: patient._id }).populate('doctor_id', 'doctor_info.consultation_fee');
+    if (!token) {
+      return { success: false, status: 404, message: 'Appointment not found' };
+    }
+    if (token.status === 'cancelled') {
+      return { success: false, status: 400, message: 'Appointment is cancelled' };
+    }
+    if (token.payment_status === 'paid') {
+      return { success: false, status: 400, message: 'Appointment is already paid' };
+    }
+    const amount = this.getAmountDue(token);
+    if (!amount || amount <= 0) {
+      return { success: false, status: 400, message: 'Nothing to pay for this appointment' };
+    }
+
+    const order = await gateway.client.orders.create({
+      amount: Math.round(amount * 100),
+      currency: 'INR',
+      receipt: `tok_${token._id}`,
+      notes: { token_id: token._id.toString(), patient_id: patient._id.toString() }
+    });
+    const payment = await Payment.create({
+      token_id: token._id,
+      patient_id: patient._id,
+      gateway: gateway.name,
+      order_id: order.id,
+      amount,
+      currency: order.currency || 'INR'
+    });
+    return { success: true, payment, order };
+  }
+
+  // Pay for an appointment from the patient's wallet. The debit is conditional on the balance, and is
+  // credited straight back if the appointment got paid some other way in the meantime.
+  // Returns { success, status, message, amount, transaction, balance }.
+  async payWithWallet(token, patient) {
+    if (token.status === 'cancelled') {
+      return { success: false, status: 400, message: 'Appointment is cancelled' };
+    }
+    if (token.payment_status === 'paid') {
+      return { success: false, status: 400, message: 'Appointment is already paid' };
+    }
+    const amount = this.getAmountDue(token);
+    if (!amount || amount <= 0) {
+      return { success: false, status: 400, message: 'Nothing to pay for this appointment' };
+    }
+
+    const debit = await walletService.debit(patient._id, amount, {
+      type: 'booking_debit',
+      tokenId: token._id,
+      reason: `Appointment ${token.token_number || token._id}`,
+      createdBy: patient._id,
+      createdByRole: 'patient'
+    });
+    if (!debit.success) {
+      return debit.message === 'Insufficient wallet balance'
+        ? { ...debit, message: `Insufficient wallet balance (₹${debit.balance} available, ₹${amount} due)` }
+        : debit;
+    }
+
+    const paid = await Token.findOneAndUpdate(
+      { _id: token._id, payment_status: 'pending' },
+      {
+        $set: {
+          payment_status: 'paid',
+          paid_amount: amount,
+          payment_method: 'wallet',
+          payment_reference: debit.transaction.reference,
+          paid_at: new Date()
+        }
+      },
+      { new: true }
+    );
+    if (!paid) {
+      const reversal = await walletService.credit(patient._id, amount, {
+        type: 'booking_reversal',
+        tokenId: token._id,
+        reason: `Reversal of ${debit.transaction.reference}: appointment no longer awaiting payment`
+      });
+      return { success: false, status: 409, message: 'Appointment is no longer awaiting payment; the wallet was not charged', balance: reversal.balance };
+    }
+    await this.invoicePayment(token._id, { method: 'wallet', reference: debit.transaction.reference, amount, paidAt: paid.paid_at });
+    return { success: true, transaction: debit.transaction, balance: debit.balance, amount };
+  }
+
+  // Record an event on the ledger entry unless it was already applied. Returns the updated payment,
+  // or null for a replay.
+  async claimEvent(payment, eventId, event) {
+    return Payment.findOneAndUpdate(
+      { _id: payment._id, 'events.event_id': { $ne: eventId } },
+      { $push: { events: { event_id: eventId, event, received_at: new Date() } } },
+      { new: true }
+    );
+  }
+
+  // Mark the attempt captured and the appointment paid. The capture is claimed on the ledger entry, so when
+  // the checkout callback and the webhook race only one applies it (the other gets null). A capture for an
+  // appointment no longer awaiting payment (paid another way, or cancelled) is refunded straight back, the
+  // way payWithWallet reverses its debit, and the entry comes back with `unapplied` set.
+  async markCaptured(payment, { paymentId, method = '', signatureVerified = false }) {
+    const fields = { status: 'captured', payment_id: paymentId, captured_at: new Date(), failure_reason: '' };
+    if (method) fields.method = method;
+    if (signatureVerified) fields.signature_verified = true;
+    // A failed attempt can still be followed by a successful one on the same order
+    const captured = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: { $in: ['created', 'failed'] } },
+      { $set: fields },
+      { new: true }
+    );
+    if (!captured) return null;
+
+    const paid = await Token.findOneAndUpdate(
+      { _id: captured.token_id, payment_status: 'pending', status: { $ne: 'cancelled' } },
+      {
+        $set: {
+          payment_status: 'paid',
+          paid_amount: captured.amount,
+          payment_method: captured.method || 'online',
+          payment_reference: paymentId,
+          paid_at: captured.captured_at
+        }
+      },
+      { new: true }
+    );
+    if (!paid) {
+      const unapplied = await Payment.findByIdAndUpdate(captured._id, { $set: { unapplied: true } }, { new: true });
+      return this.refundUnapplied(unapplied);
+    }
+    await this.invoicePayment(captured.token_id, {
+      method: captured.method || 'online',
+      reference: paymentId,
+      amount: captured.amount,
+      paidAt: captured.captured_at
+    });
+    return captured;
+  }
+
+  // Give back a capture the appointment could not take: a full gateway refund tracked on the ledger entry
+  // only. When the gateway rejects it the reason is kept on the entry for staff to settle by hand.
+  async refundUnapplied(payment) {
+    const gateway = this.getGateway();
+    const reason = 'Appointment was no longer awaiting payment';
+    try {
+      if (!gateway || gateway.name !== payment.gateway) {
+        throw new Error(`The ${payment.gateway} gateway is not available for refunds`);
+      }
+      const refundEntity = await gateway.client.payments.refund(payment.payment_id, {
+        amount: Math.round(payment.amount * 100),
+        notes: { token_id: payment.token_id.toString(), reason }
+      });
+      await Payment.updateOne(
+        { _id: payment._id, 'refunds.refund_id': { $ne: refundEntity.id } },
+        { $push: { refunds: { refund_id: refundEntity.id, amount: payment.amount, status: 'pending', reason } } }
+      );
+      if (refundEntity.status === 'processed' || refundEntity.status === 'failed') {
+        await this.applyRefund(await Payment.findById(payment._id), refundEntity);
+      }
+    } catch (error) {
+      const message = error.error?.description || error.message || 'Gateway refund failed';
+      console.error(`Refund of unapplied payment ${payment.payment_id} failed:`, message);
+      await Payment.updateOne({ _id: payment._id }, { $set: { failure_reason: `Automatic refund failed: ${message}` } });
+    }
+    return Payment.findById(payment._id);
+  }
+
+  // Checkout callback from the patient's browser. Returns { success, status, message, payment, alreadyCaptured }.
+  async verifyCheckout({ orderId, paymentId, signature, method = '' }, patient) {
+    if (!orderId || !paymentId || !signature) {
+      return { success: false, status: 400, message: 'razorpay_order_id, razorpay_payment_id and razorpay_signature are required' };
+    }
+    const payment = await Payment.findOne({ order_id: orderId, patient_id: patient._id });
+    if (!payment) {
+      return { success: false, status: 404, message: 'Payment order not found' };
+    }
+    if (!this.verifyCheckoutSignature(orderId, paymentId, signature)) {
+      await this.claimEvent(payment, `verify_failed:${paymentId}`, 'checkout.signature_mismatch');
+      return { success: false, status: 400, message: 'Payment signature verification failed' };
+    }
+
+    await this.claimEvent(payment, `verify:${paymentId}`, 'checkout.verified');
+    const captured = await this.markCaptured(payment, { paymentId, method, signatureVerified: true });
+    const current = captured || await Payment.findById(payment._id);
+    if (current.unapplied) {
+      return { success: false, status: 409, message: 'Appointment is no longer awaiting payment; this payment is being refunded' };
+    }
+    return { success: true, payment: current, alreadyCaptured: !captured };
+  }
+
+  // Apply a verified webhook. Unknown events and replays are acknowledged without changes.
+  // Returns { handled, duplicate, message }.
+  async handleWebhook(body, eventId) {
+    const event = body?.event;
+    const paymentEntity = body?.payload?.payment?.entity;
+    const refundEntity = body?.payload?.refund?.entity;
+    const id = eventId || `${event}:${refundEntity?.id || paymentEntity?.id || ''}`;
+
+    if (event === 'payment.captured' || event === 'payment.failed') {
+      if (!paymentEntity?.order_id) return { handled: false, message: 'No payment in payload' };
+      const payment = await Payment.findOne({ order_id: paymentEntity.order_id });
+      if (!payment) return { handled: false, message: 'Unknown order' };
+      const claimed = await this.claimEvent(payment, id, event);
+      if (!claimed) return { handled: true, duplicate: true };
+
+      if (event === 'payment.captured') {
+        await this.markCaptured(claimed, { paymentId: paymentEntity.id, method: paymentEntity.method });
+      } else {
+        // A failure never overrides a capture that arrived first
+        await Payment.updateOne({ _id: claimed._id, status: 'created' }, {
+          $set: {
+            status: 'failed',
+            payment_id: paymentEntity.id || claimed.payment_id,
+            method: paymentEntity.method || claimed.method,
+            failed_at: new Date(),
+            failure_reason: paymentEntity.error_description || paymentEntity.error_reason || 'Payment failed'
+          }
+        });
+      }
+      return { handled: true };
+    }
+
+    if (event === 'refund.processed' || event === 'refund.failed') {
+      if (!refundEntity?.payment_id) return { handled: false, message: 'No refund in payload' };
+      const payment = await Payment.findOne({ payment_id: refundEntity.payment_id });
+      if (!payment) return { handled: false, message: 'Unknown payment' };
+      const claimed = await this.claimEvent(payment, id, event);
+      if (!claimed) return { handled: true, duplicate: true };
+      await this.applyRefund(claimed, { ...refundEntity, status: event === 'refund.failed' ? 'failed' : 'processed' });
+      return { handled: true };
+    }
+
+    return { handled: false, message: `Ignored event ${event}` };
+  }
+
+  roundAmount(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  // Latest captured gateway payment for an appointment (null for cash/legacy payments); captures the
+  // appointment never took are not its payment
+  async findCaptured(tokenId) {
+    return Payment.findOne({ token_id: tokenId, status: { $in: ['captured', 'refunded'] }, unapplied: { $ne: true } }).sort({ captured_at: -1 });
+  }
+
+  // What can still be refunded: the amount paid less processed refunds and gateway refunds in flight
+  async getRefundable(token) {
+    const paid = token.paid_amount ?? this.getAmountDue(token);
+    const payment = await this.findCaptured(token._id);
+    const inFlight = token.refund_pending_amount || 0;
+    return { paid, payment, refundable: this.roundAmount(paid - (token.refund_amount || 0) - inFlight) };
+  }
+
+  // Reserve `value` of the appointment's refundable balance before any money moves: into refund_amount for
+  // wallet/cash refunds (settled at once) or refund_pending_amount for gateway refunds. The guard covers both,
+  // so concurrent refunds of any method cannot together exceed what was paid. Returns null when they would.
+  claimRefund(token, paid, value, field) {
+    const reserved = { $add: [{ $ifNull: ['$refund_amount', 0] }, { $ifNull: ['$refund_pending_amount', 0] }] };
+    return Token.findOneAndUpdate(
+      { _id: token._id, payment_status: 'paid', $expr: { $lte: [{ $add: [reserved, value] }, paid + 0.001] } },
+      { $inc: { [field]: value } },
+      { new: true }
+    );
+  }
+
+  // Take a settled or abandoned gateway refund out of refund_pending_amount (never below zero, for refunds
+  // sent before reservations were kept)
+  releasePendingRefund(tokenId, amount) {
+    return Token.updateOne({ _id: tokenId }, [{
+      $set: {
+        refund_pending_amount: {
+          $max: [0, { $round: [{ $subtract: [{ $ifNull: ['$refund_pending_amount', 0] }, amount] }, 2] }]
+        }
+      }
+    }]);
+  }
+
+  // Refund a paid appointment, fully (default) or partially.
+  //   method 'original' - back through the gateway; stays pending until a webhook or reconcileRefunds settles it
+  //   method 'wallet'   - credited to the patient's wallet at once
+  //   method 'cash'     - handed over at the counter, recorded as processed
+  // Defaults to 'original' for gateway payments and 'wallet' otherwise.
+  // Returns { success, status, message, refund: { id, amount, method, status } }.
+  async refund(token, { amount = null, reason = '', method = null } = {}) {
+    if (token.payment_status !== 'paid') {
+      return { success: false, status: 400, message: 'Only paid appointments can be refunded' };
+    }
+    const { paid, payment, refundable } = await this.getRefundable(token);
+    const value = amount === null || amount === undefined || amount === '' ? refundable : this.roundAmount(Number(amount));
+    if (!(value > 0)) {
+      return { success: false, status: 400, message: refundable > 0 ? 'Refund amount must be greater than zero' : 'Nothing left to refund' };
+    }
+    if (value > refundable) {
+      return { success: false, status: 400, message: `Refund amount exceeds the refundable balance of ₹${refundable} (paid ₹${paid})` };
+    }
+
+    const destination = method || (payment ? 'original' : 'wallet');
+    if (!['original', 'wallet', 'cash'].includes(destination)) {
+      return { success: false, status: 400, message: 'Refund method must be original, wallet or cash' };
+    }
+
+    const conflict = { success: false, status: 409, message: 'Another refund changed the refundable balance; please check and try again' };
+    if (destination !== 'original') {
+      if (!await this.claimRefund(token, paid, value, 'refund_amount')) return conflict;
+      const releaseClaim = () => Token.updateOne({ _id: token._id }, { $inc: { refund_amount: -value } });
+
+      let reference = `CSH${Date.now().toString().slice(-6)}${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+      if (destination === 'wallet') {
+        let credit;
+        try {
+          credit = await walletService.credit(token.patient_id?._id || token.patient_id, value, {
+            type: 'refund_credit',
+            tokenId: token._id,
+            reason: reason || 'Appointment refund'
+          });
+        } catch (error) {
+          await releaseClaim();
+          throw error;
+        }
+        if (!credit.success) {
+          await releaseClaim();
+          return credit;
+        }
+        reference = credit.transaction.reference;
+      }
+      await this.settleTokenRefund(token._id, value, { refund_method: destination, refund_reference: reference, refund_reason: reason }, { counted: true });
+      return { success: true, refund: { id: reference, amount: value, method: destination, status: 'processed' } };
+    }
+
+    const gateway = this.getGateway();
+    if (!payment) {
+      return { success: false, status: 400, message: 'No gateway payment to refund; use the wallet or cash method' };
+    }
+    if (!gateway || gateway.name !== payment.gateway) {
+      return { success: false, status: 503, message: `The ${payment.gateway} gateway is not available for refunds` };
+    }
+
+    if (!await this.claimRefund(token, paid, value, 'refund_pending_amount')) return conflict;
+
+    let refundEntity;
+    try {
+      refundEntity = await gateway.client.payments.refund(payment.payment_id, {
+        amount: Math.round(value * 100),
+        notes: { token_id: token._id.toString(), reason }
+      });
+    } catch (error) {
+      // The attempt is kept on the ledger as failed; earlier refunds of the appointment keep their state
+      const message = error.error?.description || error.message || 'Gateway refund failed';
+      await this.releasePendingRefund(token._id, value);
+      await Payment.updateOne({ _id: payment._id }, {
+        $push: {
+          refunds: {
+            refund_id: `failed_${Date.now()}${crypto.randomBytes(3).toString('hex')}`,
+            amount: value,
+            status: 'failed',
+            reason,
+            failure_reason: message,
+            processed_at: new Date()
+          }
+        }
+      });
+      return { success: false, status: 502, message: `Refund failed: ${message}` };
+    }
+
+    // A webhook for this refund may already have recorded (and settled) it, without the reservation
+    const recorded = await Payment.updateOne(
+      { _id: payment._id, 'refunds.refund_id': { $ne: refundEntity.id } },
+      { $push: { refunds: { refund_id: refundEntity.id, amount: value, status: 'pending', reason } } }
+    );
+    if (recorded.modifiedCount === 0) await this.releasePendingRefund(token._id, value);
+    await Token.findByIdAndUpdate(token._id, {
+      $set: { refund_status: 'pending', refund_method: 'original', refund_reference: refundEntity.id, refund_reason: reason }
+    });
+    const settled = refundEntity.status === 'processed' || refundEntity.status === 'failed';
+    if (settled) {
+      await this.applyRefund(await Payment.findById(payment._id), refundEntity);
+    }
+    return { success: true, refund: { id: refundEntity.id, amount: value, method: 'original', status: settled ? refundEntity.status : 'pending' } };
+  }
+
+  // Add a processed refund to the appointment's total (fully refunded appointments become 'refunded') and
+  // issue the matching credit note. `counted` means refund_amount already includes it (claimed up front).
+  async settleTokenRefund(tokenId, amount, fields = {}, { stillPending = false, reason = fields.refund_reason || '', counted = false } = {}) {
+    const update = { $set: { ...fields, refund_status: stillPending ? 'pending' : 'processed', refunded_at: new Date() } };
+    if (!counted) update.$inc = { refund_amount: amount };
+    const token = await Token.findByIdAndUpdate(tokenId, update, { new: true });
+    if (token && token.refund_amount >= (token.paid_amount ?? this.getAmountDue(token))) {
+      await Token.findByIdAndUpdate(tokenId, { $set: { payment_status: 'refunded' } });
+    }
+    try {
+      await invoiceService.issueCreditNote(tokenId, amount, { reference: fields.refund_reference, reason: reason || 'Refund' });
+    } catch (error) {
+      console.error(`Credit note failed for appointment ${tokenId}:`, error);
+    }
+    return token;
+  }
+
+  // Apply a gateway refund's final status (processed/failed) to the ledger and the appointment. Refunds made
+  // from the gateway dashboard are added to the ledger here. Already-settled refunds are left alone.
+  async applyRefund(payment, refundEntity) {
+    const status = refundEntity.status;
+    if (status !== 'processed' && status !== 'failed') return payment;
+    let refund = payment.refunds.find(item => item.refund_id === refundEntity.id);
+    // Refunds sent through refund() hold a reservation on the appointment; dashboard ones do not
+    const reserved = !!refund;
+    if (!refund) {
+      payment.refunds.push({ refund_id: refundEntity.id, amount: (refundEntity.amount || 0) / 100, status: 'pending' });
+      refund = payment.refunds[payment.refunds.length - 1];
+    }
+    if (refund.status !== 'pending') return payment;
+
+    refund.status = status;
+    refund.processed_at = new Date();
+    if (status === 'processed') {
+      payment.refunded_amount = this.roundAmount(payment.refunded_amount + refund.amount);
+      if (payment.refunded_amount >= payment.amount) payment.status = 'refunded';
+    } else {
+      refund.failure_reason = refundEntity.error_description || refundEntity.notes?.failure_reason || 'Refund failed at the gateway';
+    }
+    await payment.save();
+    if (payment.unapplied) return payment;
+
+    const stillPending = payment.refunds.some(item => item.status === 'pending');
+    if (status === 'processed') {
+      // Counted as refunded before the reservation is let go, so the balance is never briefly free
+      await this.settleTokenRefund(payment.token_id, refund.amount, { refund_method: 'original', refund_reference: refund.refund_id }, { stillPending, reason: refund.reason });
+    } else {
+      await Token.findByIdAndUpdate(payment.token_id, { $set: { refund_status: stillPending ? 'pending' : 'failed' } });
+    }
+    if (reserved) await this.releasePendingRefund(payment.token_id, refund.amount);
+    return payment;
+  }
+
+  // Poll the gateway for refunds still pending in the ledger, for when a webhook was missed.
+  // Returns { checked, processed, failed }.
+  async reconcileRefunds() {
+    const gateway = this.getGateway();
+    const result = { checked: 0, processed: 0, failed: 0 };
+    if (!gateway) return result;
+
+    const payments = await Payment.find({ gateway: gateway.name, 'refunds.status': 'pending' });
+    for (const payment of payments) {
+      for (const refund of payment.refunds.filter(item => item.status === 'pending')) {
+        result.checked += 1;
+        try {
+          const refundEntity = await gateway.client.payments.fetchRefund(payment.payment_id, refund.refund_id);
+          if (refundEntity.status === 'processed' || refundEntity.status === 'failed') {
+            await this.applyRefund(payment, refundEntity);
+            result[refundEntity.status] += 1;
+          }
+        } catch (error) {
+          console.error(`Refund reconciliation failed for ${refund.refund_id}:`, error.message || error);
+        }
+      }
+    }
+    return result;
+  }
+
+  // Full refund of the remaining balance when the hospital cancels a paid appointment (leave, admin,
+  // no-show sweep). Never throws; returns the refund summary used in cancellation notices.
+  async refundCancelled(token, reason) {
+    if (token.payment_status !== 'paid') {
+      return { eligible: false, amount: 0, method: null, status: 'none' };
+    }
+    try {
+      const result = await this.refund(token, { reason });
+      if (!result.success) {
+        console.error(`Auto-refund failed for appointment ${token._id}:`, result.message);
+        return { eligible: true, amount: 0, method: null, status: 'failed', message: result.message };
+      }
+      return { eligible: true, amount: result.refund.amount, method: result.refund.method, status: result.refund.status, reference: result.refund.id };
+    } catch (error) {
+      console.error(`Auto-refund error for appointment ${token._id}:`, error);
+      return { eligible: true, amount: 0, method: null, status: 'failed', message: 'Refund processing failed' };
+    }
+  }
+
+  async listForToken(tokenId) {
+    const payments = await Payment.find({ token_id: tokenId }).sort({ createdAt: -1 });
+    return payments.map(payment => this.formatPayment(payment));
+  }
+
+  formatPayment(payment) {
+    return {
+      id: payment._id,
+      appointmentId: payment.token_id,
+      gateway: payment.gateway,
+      orderId: payment.order_id,
+      paymentId: payment.payment_id,
+      amount: payment.amount,
+      currency: payment.currency,
+      status: payment.status,
+      method: payment.method,
+      signatureVerified: payment.signature_verified,
+      capturedAt: payment.captured_at,
+      failedAt: payment.failed_at,
+      failureReason: payment.failure_reason,
+      refundedAmount: payment.refunded_amount,
+      unapplied: payment.unapplied,
+      refunds: payment.refunds.map(refund => ({
+        refundId: refund.refund_id,
+        amount: refund.amount,
+        status: refund.status,
+        reason: refund.reason,
+        failureReason: refund.failure_reason,
+        createdAt: refund.created_at,
+        processedAt: refund.processed_at
+      })),
+      createdAt: payment.createdAt
+    };
+  }
+}
+
+module.exports = new PaymentService();
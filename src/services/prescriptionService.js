@@ -0,0 +1,483 @@
+const mongoose = require('mongoose');
+const { Token, Counter } = require('../models/User');
+const Diagnosis = require('../models/Diagnosis');
+const Medication = require('../models/Medication');
+const Prescription = require('../models/Prescription');
+const scheduleRuleService = require('./scheduleRuleService');
+const { escapeHtml: esc } = require('../utils/pdfUtils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// perDay is used to work out the quantity to dispense; null for lines that are not taken on a schedule
+const FREQUENCIES = {
+  OD: { label: 'Once a day', perDay: 1 },
+  BD: { label: 'Twice a day', perDay: 2 },
+  TDS: { label: 'Three times a day', perDay: 3 },
+  QID: { label: 'Four times a day', perDay: 4 },
+  HS: { label: 'At bedtime', perDay: 1 },
+  Q4H: { label: 'Every 4 hours', perDay: 6 },
+  Q6H: { label: 'Every 6 hours', perDay: 4 },
+  Q8H: { label: 'Every 8 hours', perDay: 3 },
+  WEEKLY: { label: 'Once a week', perDay: 1 / 7 },
+  SOS: { label: 'When required', perDay: null },
+  STAT: { label: 'Immediately, once', perDay: null }
+};
+const ROUTES = ['oral', 'sublingual', 'topical', 'inhalation', 'intravenous', 'intramuscular', 'subcutaneous', 'ophthalmic', 'otic', 'nasal', 'rectal', 'other'];
+const FORMS = ['tablet', 'capsule', 'syrup', 'suspension', 'injection', 'ointment', 'cream', 'drops', 'inhaler', 'powder', 'other'];
+const DURATION_DAYS = { days: 1, weeks: 7, months: 30 };
+const MAX_REFILLS = 12;
+
+// Structured prescriptions, the medication master list and the printable prescription
+class PrescriptionService {
+  getFrequencies() {
+    return Object.entries(FREQUENCIES).map(([code, { label }]) => ({ code, label }));
+  }
+
+  normalizeMedicationPayload(body) {
+    const pick = (camel, snake) => (body[camel] !== undefined ? body[camel] : body[snake]);
+    const payload = {
+      name: body.name,
+      generic_name: pick('genericName', 'generic_name'),
+      drug_class: pick('drugClass', 'drug_class'),
+      strength: body.strength,
+      form: body.form,
+      default_route: pick('defaultRoute', 'default_route'),
+      dose_unit: pick('doseUnit', 'dose_unit'),
+      is_active: pick('isActive', 'is_active')
+    };
+    Object.keys(payload).forEach(key => payload[key] === undefined && delete payload[key]);
+    return payload;
+  }
+
+  validateMedication(data) {
+    const errors = [];
+    if (!data.name || !String(data.name).trim()) errors.push('name is required');
+    if (data.form !== undefined && !FORMS.includes(data.form)) errors.push(`form must be one of: ${FORMS.join(', ')}`);
+    if (data.default_route !== undefined && !ROUTES.includes(data.default_route)) errors.push(`defaultRoute must be one of: ${ROUTES.join(', ')}`);
+    return errors;
+  }
+
+  // Catalogue entries matching a name or generic name (active only unless includeInactive); limit 0 lists all
+  async searchMedications(search = '', { includeInactive = false, limit = 20 } = {}) {
+    const query = includeInactive ? {} : { is_active: true };
+    const term = String(search || '').trim();
+    if (term) {
+      const pattern = new RegExp(term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$or = [{ name: pattern }, { generic_name: pattern }];
+    }
+    return Medication.find(query).sort({ name: 1 }).limit(limit);
+  }
+
+  normalizeItem(body) {
+    const pick = (camel, snake) => (body[camel] !== undefined ? body[camel] : body[snake]);
+    return {
+      medication_id: pick('medicationId', 'medication_id') || null,
+      medication_name: String(pick('medicationName', 'medication_name') || '').trim(),
+      strength: pick('strength', 'strength'),
+      form: pick('form', 'form'),
+      dose_amount: Number(pick('doseAmount', 'dose_amount')),
+      dose_unit: pick('doseUnit', 'dose_unit'),
+      route: pick('route', 'route'),
+      frequency: String(pick('frequency', 'frequency') || '').trim().toUpperCase(),
+      duration_value: Number(pick('durationValue', 'duration_value')),
+      duration_unit: pick('durationUnit', 'duration_unit') || 'days',
+      refills_allowed: Number(pick('refills', 'refills_allowed') || 0),
+      instructions: String(body.instructions || '').trim()
+    };
+  }
+
+  // Body is { items: [...], notes, diagnosisId } or a single line's fields
+  normalizePayload(body) {
+    const pick = (camel, snake) => (body[camel] !== undefined ? body[camel] : body[snake]);
+    const items = Array.isArray(body.items) ? body.items : [body];
+    return {
+      items: items.map(item => this.normalizeItem(item || {})),
+      notes: String(body.notes || '').trim(),
+      diagnosis_id: pick('diagnosisId', 'diagnosis_id') || null
+    };
+  }
+
+  // Days one fill lasts
+  getDurationDays(item) {
+    return item.frequency === 'STAT' ? 1 : item.duration_value * DURATION_DAYS[item.duration_unit];
+  }
+
+  // Units to dispense per fill; null when the line is taken as needed
+  getQuantity(item) {
+    if (item.frequency === 'STAT') return item.dose_amount;
+    const perDay = FREQUENCIES[item.frequency].perDay;
+    if (!perDay) return null;
+    return Math.ceil(item.dose_amount * perDay * this.getDurationDays(item));
+  }
+
+  // Check a prescription for `tokenId` written by `doctor`, filling lines from the medication master.
+  // Returns { errors, payload }.
+  async validatePrescription(doctor, tokenId, data) {
+    const errors = [];
+    if (!mongoose.isValidObjectId(tokenId)) return { errors: ['Appointment not found'], payload: null };
+    const token = await Token.findOne({ _id: tokenId, doctor_id: doctor._id })
+      .select('patient_id family_member_id status');
+    if (!token) return { errors: ['Appointment not found'], payload: null };
+    if (token.status === 'cancelled') return { errors: ['Cannot prescribe for a cancelled appointment'], payload: null };
+
+    if (data.items.length === 0) errors.push('Add at least one medication');
+    if (data.diagnosis_id && !mongoose.isValidObjectId(data.diagnosis_id)) errors.push('Invalid diagnosis ID');
+
+    const medicationIds = data.items.map(item => item.medication_id).filter(Boolean);
+    if (medicationIds.some(id => !mongoose.isValidObjectId(id))) {
+      return { errors: ['Invalid medication ID'], payload: null };
+    }
+    const medications = await Medication.find({ _id: { $in: medicationIds }, is_active: true });
+    const byId = new Map(medications.map(medication => [medication._id.toString(), medication]));
+
+    const start = scheduleRuleService.toDay(new Date());
+    const items = data.items.map((item, index) => {
+      const label = `Medication ${index + 1}`;
+      const line = { ...item };
+      if (item.medication_id) {
+        const medication = byId.get(item.medication_id.toString());
+        if (!medication) {
+          errors.push(`${label}: medication not found in the catalogue`);
+          return line;
+        }
+        line.medication_name = medication.name;
+        line.strength = item.strength || medication.strength;
+        line.form = item.form || medication.form;
+        line.route = item.route || medication.default_route;
+        line.dose_unit = item.dose_unit || medication.dose_unit;
+      }
+      line.strength = String(line.strength || '').trim();
+      line.form = String(line.form || '').trim();
+      line.route = line.route || 'oral';
+      line.dose_unit = String(line.dose_unit || '').trim();
+      // A one-off dose has no course length and nothing to refill
+      if (line.frequency === 'STAT') {
+        line.duration_value = 1;
+        line.duration_unit = 'days';
+        line.refills_allowed = 0;
+      }
+
+      if (!line.medication_name) errors.push(`${label}: medicationName or medicationId is required`);
+      if (!Number.isFinite(line.dose_amount) || line.dose_amount <= 0) errors.push(`${label}: doseAmount must be a positive number`);
+      if (!line.dose_unit) errors.push(`${label}: doseUnit is required`);
+      if (!ROUTES.includes(line.route)) errors.push(`${label}: route must be one of: ${ROUTES.join(', ')}`);
+      if (!FREQUENCIES[line.frequency]) errors.push(`${label}: frequency must be one of: ${Object.keys(FREQUENCIES).join(', ')}`);
+      if (!DURATION_DAYS[line.duration_unit]) errors.push(`${label}: durationUnit must be days, weeks or months`);
+      if (!Number.isInteger(line.duration_value) || line.duration_value < 1) errors.push(`${label}: durationValue must be a whole number of at least 1`);
+      if (!Number.isInteger(line.refills_allowed) || line.refills_allowed < 0 || line.refills_allowed > MAX_REFILLS) {
+        errors.push(`${label}: refills must be between 0 and ${MAX_REFILLS}`);
+      }
+      return line;
+    });
+    if (errors.length > 0) return { errors, payload: null };
+
+    items.forEach(line => {
+      line.quantity = this.getQuantity(line);
+      line.start_date = start;
+      line.end_date = new Date(start.getTime() + this.getDurationDays(line) * DAY_MS);
+    });
+
+    let diagnosisId = data.diagnosis_id;
+    if (diagnosisId) {
+      const diagnosis = await Diagnosis.findOne({ _id: diagnosisId, patient_id: token.patient_id }).select('_id');
+      if (!diagnosis) return { errors: ['Diagnosis not found for this patient'], payload: null };
+    } else {
+      const diagnosis = await Diagnosis.findOne({ appointment_id: token._id }).select('_id');
+      diagnosisId = diagnosis ? diagnosis._id : null;
+    }
+
+    return {
+      errors: [],
+      payload: {
+        token_id: token._id,
+        patient_id: token.patient_id,
+        family_member_id: token.family_member_id || null,
+        doctor_id: doctor._id,
+        diagnosis_id: diagnosisId,
+        items,
+        notes: data.notes
+      }
+    };
+  }
+
+  async nextPrescriptionNumber(date = new Date()) {
+    const year = date.getFullYear();
+    const counter = await Counter.findOneAndUpdate(
+      { key: `prescription_${year}` },
+      { $inc: { count: 1 } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+    return `RX-${year}-${counter.count.toString().padStart(6, '0')}`;
+  }
+
+  // Save the prescription, mirror its lines onto the token's prescriptions list and tell the patient
+  async create(payload) {
+    const prescription = await Prescription.create({
+      ...payload,
+      prescription_number: await this.nextPrescriptionNumber()
+    });
+
+    await Token.findByIdAndUpdate(payload.token_id, {
+      $push: {
+        prescriptions: {
+          $each: prescription.items.map(item => ({
+            medication_name: [item.medication_name, item.strength].filter(Boolean).join(' '),
+            dosage: `${item.dose_amount} ${item.dose_unit} (${item.route})`,
+            frequency: FREQUENCIES[item.frequency].label,
+            duration: `${item.duration_value} ${item.duration_unit}`,
+            instructions: item.instructions,
+            prescribed_at: prescription.createdAt
+          }))
+        }
+      }
+    });
+
+    try {
+      const notificationService = require('./notificationService');
+      await notificationService.sendPrescriptionIssued(prescription._id);
+    } catch (error) {
+      console.error('❌ Failed to send prescription notifications:', error);
+    }
+    return prescription;
+  }
+
+  async cancel(prescription, reason = '') {
+    if (prescription.status === 'cancelled') {
+      return { success: false, message: 'Prescription is already cancelled' };
+    }
+    prescription.status = 'cancelled';
+    prescription.cancelled_at = new Date();
+    prescription.cancel_reason = String(reason || '').trim();
+    await prescription.save();
+    return { success: true, prescription };
+  }
+
+  // Dispense one refill of a line: the new supply starts when the current one runs out (or today)
+  async refill(prescription, itemId) {
+    if (prescription.status !== 'active') {
+      return { success: false, message: 'Prescription is cancelled' };
+    }
+    const item = prescription.items.id(itemId);
+    if (!item) {
+      return { success: false, message: 'Medication not found on this prescription' };
+    }
+    if (item.refills_used >= item.refills_allowed) {
+      return { success: false, message: 'No refills left for this medication' };
+    }
+
+    const today = scheduleRuleService.toDay(new Date());
+    const from = item.end_date > today ? item.end_date : today;
+    item.refills_used += 1;
+    item.last_refilled_at = new Date();
+    item.end_date = new Date(from.getTime() + this.getDurationDays(item) * DAY_MS);
+    await prescription.save();
+    return { success: true, prescription, item };
+  }
+
+  populate(query) {
+    return query
+      .populate('patient_id', 'name patientId phone email gender age')
+      .populate('family_member_id', 'name relation age gender')
+      .populate('doctor_id', 'name doctor_info.qualifications doctor_info.license_number doctor_info.specialization')
+      .populate('token_id', 'booking_date time_slot token_number department patient_name')
+      .populate('diagnosis_id', 'assessment.primary_diagnosis doctor_signature doctor_name');
+  }
+
+  getPrintable(prescriptionId) {
+    return this.populate(Prescription.findById(prescriptionId));
+  }
+
+  async findForDoctor(prescriptionId, doctor) {
+    if (!mongoose.isValidObjectId(prescriptionId)) return null;
+    return Prescription.findOne({ _id: prescriptionId, doctor_id: doctor._id });
+  }
+
+  async findForPatient(prescriptionId, patientId) {
+    if (!mongoose.isValidObjectId(prescriptionId)) return null;
+    return Prescription.findOne({ _id: prescriptionId, patient_id: patientId });
+  }
+
+  async list(filter) {
+    const prescriptions = await this.populate(Prescription.find(filter)).sort({ createdAt: -1 });
+    return prescriptions.map(prescription => this.formatPrescription(prescription));
+  }
+
+  // Lines from every active prescription of the patient (and family) still being taken, or whose
+  // supply ran out with refills left. Newest prescription first.
+  async getActiveMedications(patientId) {
+    const today = scheduleRuleService.toDay(new Date());
+    const prescriptions = await this.populate(Prescription.find({ patient_id: patientId, status: 'active' }))
+      .sort({ createdAt: -1 });
+
+    const medications = [];
+    prescriptions.forEach(prescription => {
+      prescription.items.forEach(item => {
+        const refillsRemaining = Math.max(0, item.refills_allowed - item.refills_used);
+        const current = item.end_date > today;
+        if (!current && refillsRemaining === 0) return;
+        medications.push({
+          ...this.formatItem(item),
+          status: current ? 'active' : 'refill_due',
+          prescriptionId: prescription._id,
+          prescriptionNumber: prescription.prescription_number,
+          patientName: prescription.family_member_id?.name || prescription.patient_id?.name,
+          familyMemberId: prescription.family_member_id?._id || null,
+          doctorName: prescription.doctor_id?.name,
+          prescribedAt: prescription.createdAt
+        });
+      });
+    });
+    return medications;
+  }
+
+  getPdfPath(prescription, audience = 'patient') {
+    return `/api/${audience}/prescriptions/${prescription._id}/pdf`;
+  }
+
+  formatItem(item) {
+    return {
+      id: item._id,
+      medicationId: item.medication_id,
+      medicationName: item.medication_name,
+      strength: item.strength,
+      form: item.form,
+      dose: `${item.dose_amount} ${item.dose_unit}`,
+      doseAmount: item.dose_amount,
+      doseUnit: item.dose_unit,
+      route: item.route,
+      frequency: item.frequency,
+      frequencyLabel: FREQUENCIES[item.frequency]?.label || item.frequency,
+      durationValue: item.duration_value,
+      durationUnit: item.duration_unit,
+      quantity: item.quantity,
+      refillsAllowed: item.refills_allowed,
+      refillsUsed: item.refills_used,
+      refillsRemaining: Math.max(0, item.refills_allowed - item.refills_used),
+      instructions: item.instructions,
+      startDate: item.start_date,
+      endDate: item.end_date,
+      lastRefilledAt: item.last_refilled_at
+    };
+  }
+
+  formatPrescription(prescription) {
+    return {
+      id: prescription._id,
+      prescriptionNumber: prescription.prescription_number,
+      appointmentId: prescription.token_id?._id || prescription.token_id,
+      patientId: prescription.patient_id?._id || prescription.patient_id,
+      patientName: prescription.family_member_id?.name || prescription.patient_id?.name,
+      familyMemberId: prescription.family_member_id?._id || prescription.family_member_id,
+      doctorId: prescription.doctor_id?._id || prescription.doctor_id,
+      doctorName: prescription.doctor_id?.name,
+      diagnosisId: prescription.diagnosis_id?._id || prescription.diagnosis_id,
+      diagnosis: prescription.diagnosis_id?.assessment?.primary_diagnosis || null,
+      items: prescription.items.map(item => this.formatItem(item)),
+      notes: prescription.notes,
+      status: prescription.status,
+      cancelledAt: prescription.cancelled_at,
+      cancelReason: prescription.cancel_reason,
+      createdAt: prescription.createdAt
+    };
+  }
+
+  // Signature image (URL or data URI) when the doctor uploaded one, otherwise the signed name
+  renderSignature(signature, doctorName) {
+    if (signature && /^(https?:\/\/|data:image\/)/.test(signature)) {
+      return `<img src="${esc(signature)}" alt="Signature" style="max-height: 60px; max-width: 200px;" />`;
+    }
+    return `<div class="signature-text">${esc(signature || `Dr. ${doctorName}`)}</div>`;
+  }
+
+  // Printable prescription; expects a document loaded through populate()
+  renderHtml(prescription) {
+    const token = prescription.token_id || {};
+    const doctor = prescription.doctor_id || {};
+    const diagnosis = prescription.diagnosis_id || null;
+    const patientName = prescription.family_member_id?.name || token.patient_name || prescription.patient_id?.name;
+    const person = prescription.family_member_id || prescription.patient_id || {};
+    const age = person.age;
+    const gender = person.gender;
+    const issuedOn = new Date(prescription.createdAt).toLocaleDateString('en-IN', { year: 'numeric', month: 'long', day: 'numeric' });
+
+    const rows = prescription.items.map((item, index) => `
+                <tr>
+                    <td>${index + 1}</td>
+                    <td><strong>${esc(item.medication_name)}</strong>${item.strength ? ` ${esc(item.strength)}` : ''}${item.form ? `<br><span class="muted">${esc(item.form)}</span>` : ''}</td>
+                    <td>${esc(item.dose_amount)} ${esc(item.dose_unit)}<br><span class="muted">${esc(item.route)}</span></td>
+                    <td>${esc(FREQUENCIES[item.frequency]?.label || item.frequency)}</td>
+                    <td>${item.frequency === 'STAT' ? 'Once' : `${esc(item.duration_value)} ${esc(item.duration_unit)}`}</td>
+                    <td>${item.quantity ?? '-'}</td>
+                    <td>${esc(item.refills_allowed)}</td>
+                    <td>${esc(item.instructions)}</td>
+                </tr>`).join('');
+
+    return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <meta charset="utf-8">
+        <title>Prescription ${esc(prescription.prescription_number)}</title>
+        <style>
+            body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; color: #1f2937; font-size: 13px; }
+            .header { display: flex; justify-content: space-between; border-bottom: 3px solid #3b82f6; padding-bottom: 12px; }
+            .hospital { font-size: 22px; font-weight: 700; color: #1d4ed8; }
+            .doctor { text-align: right; }
+            .muted { color: #6b7280; font-size: 11px; }
+            .patient { display: flex; justify-content: space-between; background: #f3f4f6; padding: 10px 14px; border-radius: 6px; margin: 16px 0; }
+            .rx { font-size: 28px; font-weight: 700; color: #1d4ed8; margin: 8px 0; }
+            table { width: 100%; border-collapse: collapse; }
+            th, td { border-bottom: 1px solid #e5e7eb; padding: 8px 6px; text-align: left; vertical-align: top; }
+            th { background: #eff6ff; font-size: 12px; }
+            .notes { margin-top: 16px; }
+            .signature { margin-top: 48px; text-align: right; }
+            .signature-text { font-family: 'Brush Script MT', cursive; font-size: 24px; }
+            .cancelled { color: #dc2626; font-size: 18px; font-weight: 700; text-align: center; border: 2px solid #dc2626; padding: 6px; margin-bottom: 12px; }
+        </style>
+    </head>
+    <body>
+        ${prescription.status === 'cancelled' ? '<div class="cancelled">CANCELLED - NOT VALID FOR DISPENSING</div>' : ''}
+        <div class="header">
+            <div>
+                <div class="hospital">🏥 MediQ Hospital</div>
+                <div class="muted">Prescription ${esc(prescription.prescription_number)} · ${issuedOn}</div>
+            </div>
+            <div class="doctor">
+                <strong>Dr. ${esc(doctor.name)}</strong><br>
+                ${doctor.doctor_info?.qualifications ? `${esc(doctor.doctor_info.qualifications)}<br>` : ''}
+                ${token.department ? `${esc(token.department)}<br>` : ''}
+                ${doctor.doctor_info?.license_number ? `<span class="muted">Reg. No. ${esc(doctor.doctor_info.license_number)}</span>` : ''}
+            </div>
+        </div>
+
+        <div class="patient">
+            <div><strong>${esc(patientName)}</strong>${age ? ` · ${esc(age)} yrs` : ''}${gender ? ` · ${esc(gender)}` : ''}</div>
+            <div>${token.booking_date ? `Visit: ${new Date(token.booking_date).toLocaleDateString('en-IN')}` : ''}${token.token_number ? ` · Token #${esc(token.token_number)}` : ''}</div>
+        </div>
+
+        ${diagnosis?.assessment?.primary_diagnosis ? `<p><strong>Diagnosis:</strong> ${esc(diagnosis.assessment.primary_diagnosis)}</p>` : ''}
+
+        <div class="rx">℞</div>
+        <table>
+            <thead>
+                <tr>
+                    <th>#</th><th>Medication</th><th>Dose</th><th>Frequency</th><th>Duration</th><th>Qty</th><th>Refills</th><th>Instructions</th>
+                </tr>
+            </thead>
+            <tbody>${rows}
+            </tbody>
+        </table>
+
+        ${prescription.notes ? `<div class="notes"><strong>Advice:</strong> ${esc(prescription.notes)}</div>` : ''}
+
+        <div class="signature">
+            ${this.renderSignature(diagnosis?.doctor_signature, doctor.name)}
+            <div>Dr. ${esc(doctor.name)}</div>
+            <div class="muted">Digitally issued on ${issuedOn}</div>
+        </div>
+    </body>
+    </html>`;
+  }
+}
+
+module.exports = new PrescriptionService();
@@ -0,0 +1,312 @@
+const { User, Token } = require('../models/User');
+const overbookingService = require('./overbookingService');
+const scheduleRuleService = require('./scheduleRuleService');
+const waitTimeService = require('./waitTimeService');
+const { parseTime } = require('../utils/bookingUtils');
+
+const ACTIVE_STATUSES = ['booked', 'in_queue'];
+// Default positions are slot minutes * POSITION_GAP, leaving room to insert skipped/moved tokens in between
+const POSITION_GAP = 1000;
+
+// Day queue per doctor. Every active token carries an explicit queue_position; tokens that have none yet
+// are placed by slot time (priority tokens ahead of the waiting regular ones when the department allows it).
+// Skips, re-calls and manual moves only rewrite the moved token's position.
+class QueueService {
+  constructor() {
+    // Minutes after the slot time before a patient counts as late
+    this.graceMinutes = parseInt(process.env.CHECKIN_GRACE_MINUTES, 10) || 15;
+  }
+
+  dayRange(date) {
+    const start = scheduleRuleService.toDay(date || new Date());
+    const end = new Date(start);
+    end.setDate(end.getDate() + 1);
+    return { start, end };
+  }
+
+  // The doctor has called the patient in: consultation/start sets in_queue together with
+  // consultation_started_at. Staff also set in_queue by hand as a plain "waiting" state, so the status
+  // alone (as on older tokens) still counts as waiting.
+  isInConsultation(token) {
+    return token.status === 'in_queue' && !!token.consultation_started_at;
+  }
+
+  isSkipped(token) {
+    return !!token.skipped_at && (!token.recalled_at || token.recalled_at < token.skipped_at);
+  }
+
+  defaultPosition(token) {
+    const minutes = token.time_slot ? parseTime(token.time_slot) : 24 * 60;
+    return (Number.isFinite(minutes) ? minutes : 24 * 60) * POSITION_GAP;
+  }
+
+  positionBetween(before, after) {
+    if (before == null && after == null) return POSITION_GAP;
+    if (before == null) return after - POSITION_GAP;
+    if (after == null) return before + POSITION_GAP;
+    return (before + after) / 2;
+  }
+
+  slotTime(token) {
+    const day = scheduleRuleService.toDay(token.booking_date);
+    return new Date(day.getTime() + parseTime(token.time_slot) * 60 * 1000);
+  }
+
+  compare(a, b, deferred) {
+    const consulting = Number(this.isInConsultation(b)) - Number(this.isInConsultation(a));
+    if (consulting !== 0) return consulting;
+    const waitingOnArrival = Number(deferred.has(a._id.toString())) - Number(deferred.has(b._id.toString()));
+    if (waitingOnArrival !== 0) return waitingOnArrival;
+    if (a.queue_position !== b.queue_position) return a.queue_position - b.queue_position;
+    return this.compareIssueOrder(a, b);
+  }
+
+  // Booking order within a slot: the in-scope token sequence, falling back to creation time for
+  // tokens issued before scoped numbering (or from different scopes, e.g. after a reschedule)
+  compareIssueOrder(a, b) {
+    if (a.token_scope && a.token_scope === b.token_scope && a.token_sequence != null && b.token_sequence != null) {
+      return a.token_sequence - b.token_sequence;
+    }
+    return new Date(a.createdAt) - new Date(b.createdAt);
+  }
+
+  async assignMissingPositions(doctorId, tokens) {
+    const missing = tokens.filter(token => token.queue_position == null);
+    if (missing.length === 0) return;
+
+    const doctor = await User.findById(doctorId).select('doctor_info');
+    const policy = await overbookingService.getPolicyForDoctor(doctor);
+    const jumps = token => policy.priorityJumpsQueue && token.priority_flag;
+    const used = new Set(tokens.filter(token => token.queue_position != null).map(token => token.queue_position));
+
+    // Regular tokens by slot time; tokens sharing a slot keep their token number order
+    missing
+      .filter(token => !jumps(token))
+      .sort((a, b) => this.defaultPosition(a) - this.defaultPosition(b) || this.compareIssueOrder(a, b))
+      .forEach(token => {
+        let position = this.defaultPosition(token);
+        while (used.has(position)) position += 1;
+        used.add(position);
+        token.queue_position = position;
+      });
+
+    // Priority tokens go ahead of every waiting regular token, behind earlier priority tokens
+    missing.filter(jumps).forEach(token => {
+      const waiting = tokens
+        .filter(other => other !== token && other.queue_position != null && !this.isInConsultation(other))
+        .sort((a, b) => a.queue_position - b.queue_position);
+      const firstRegularIndex = waiting.findIndex(other => !other.priority_flag);
+      const before = firstRegularIndex === -1 ? waiting[waiting.length - 1] : waiting[firstRegularIndex - 1];
+      const after = firstRegularIndex === -1 ? null : waiting[firstRegularIndex];
+      token.queue_position = this.positionBetween(before?.queue_position, after?.queue_position);
+    });
+
+    await Token.bulkWrite(missing.map(token => ({
+      updateOne: {
+        filter: { _id: token._id, queue_position: null },
+        update: { $set: { queue_position: token.queue_position } }
+      }
+    })));
+  }
+
+  // Ordered active queue for a doctor/day: [{ token, position, state, arrived, arrivalOverdue }].
+  // `position` counts waiting patients from 1; patients in consultation have position 0.
+  // Once reception is checking patients in that day, patients who are past their slot's grace period
+  // without checking in drop behind everyone else until they arrive.
+  async getQueue(doctorId, date = new Date()) {
+    const { start, end } = this.dayRange(date);
+    const tokens = await Token.find({
+      doctor_id: doctorId,
+      booking_date: { $gte: start, $lt: end },
+      status: { $in: ACTIVE_STATUSES }
+    })
+      .populate('patient_id', 'name phone patient_info account_settings.preferences.language')
+      .populate('family_member_id', 'name relation')
+      .sort({ time_slot: 1, token_sequence: 1, createdAt: 1 });
+
+    await this.assignMissingPositions(doctorId, tokens);
+
+    const now = Date.now();
+    const checkInInUse = tokens.some(token => token.checked_in_at);
+    const deferred = new Set(tokens
+      .filter(token => checkInInUse && !token.checked_in_at && !this.isInConsultation(token))
+      .filter(token => now > this.slotTime(token).getTime() + this.graceMinutes * 60 * 1000)
+      .map(token => token._id.toString()));
+
+    let waitingRank = 0;
+    return tokens.sort((a, b) => this.compare(a, b, deferred)).map(token => {
+      const inConsultation = this.isInConsultation(token);
+      return {
+        token,
+        position: inConsultation ? 0 : ++waitingRank,
+        state: inConsultation ? 'in_consultation' : (this.isSkipped(token) ? 'skipped' : 'waiting'),
+        arrived: !!token.checked_in_at,
+        arrivalOverdue: deferred.has(token._id.toString())
+      };
+    });
+  }
+
+  // Next patient to call: the first waiting patient who has checked in, else the first waiting one
+  async getNextPatient(doctorId) {
+    const queue = await this.getQueue(doctorId);
+    const waiting = queue.filter(entry => entry.state !== 'in_consultation');
+    return waiting.find(entry => entry.arrived) || waiting[0] || queue[0] || null;
+  }
+
+  // Where a token stands: { entry, ahead, totalInQueue } (null entry when it is not in today's active queue)
+  async getPositionForToken(token) {
+    const queue = await this.getQueue(token.doctor_id?._id || token.doctor_id, token.booking_date);
+    const index = queue.findIndex(entry => entry.token._id.toString() === token._id.toString());
+    return {
+      entry: index === -1 ? null : queue[index],
+      ahead: Math.max(0, index),
+      totalInQueue: queue.length,
+      queue
+    };
+  }
+
+  async findWaitingEntry(doctorId, tokenId) {
+    const token = await Token.findOne({ _id: tokenId, doctor_id: doctorId });
+    if (!token) return { error: 'Appointment not found', notFound: true };
+
+    const queue = await this.getQueue(doctorId, token.booking_date);
+    const entry = queue.find(item => item.token._id.toString() === token._id.toString());
+    if (!entry) return { error: 'Patient is not in the queue' };
+    if (entry.state === 'in_consultation') return { error: 'Patient is already in consultation' };
+
+    const others = queue.filter(item => item.state !== 'in_consultation' && item !== entry);
+    return { token, entry, others };
+  }
+
+  // Put a waiting patient back behind the next `after` waiting patients
+  async skip(doctorId, tokenId, after = 3) {
+    const { token, error, notFound, others } = await this.findWaitingEntry(doctorId, tokenId);
+    if (error) return { success: false, message: error, notFound };
+
+    const count = Math.max(0, Math.min(parseInt(after, 10) || 0, others.length));
+    const position = this.positionBetween(others[count - 1]?.token.queue_position, others[count]?.token.queue_position);
+
+    await Token.updateOne(
+      { _id: token._id },
+      { $set: { queue_position: position, skipped_at: new Date() }, $inc: { skip_count: 1 } }
+    );
+    await this.broadcast(doctorId, token.booking_date);
+    return { success: true, placedAfter: count };
+  }
+
+  // Call a skipped patient again: they go to the front of the waiting queue
+  async recall(doctorId, tokenId) {
+    const { token, entry, error, notFound, others } = await this.findWaitingEntry(doctorId, tokenId);
+    if (error) return { success: false, message: error, notFound };
+    if (entry.state !== 'skipped') return { success: false, message: 'Patient has not been skipped' };
+
+    const position = this.positionBetween(null, others[0]?.token.queue_position);
+    await Token.updateOne({ _id: token._id }, { $set: { queue_position: position, recalled_at: new Date() } });
+    await this.broadcast(doctorId, token.booking_date);
+    return { success: true };
+  }
+
+  // Move a waiting patient to a 1-based position among waiting patients
+  async move(doctorId, tokenId, targetPosition) {
+    const target = parseInt(targetPosition, 10);
+    if (!Number.isInteger(target) || target < 1) {
+      return { success: false, message: 'position must be a positive integer' };
+    }
+
+    const { token, error, notFound, others } = await this.findWaitingEntry(doctorId, tokenId);
+    if (error) return { success: false, message: error, notFound };
+
+    const index = Math.min(target - 1, others.length);
+    const position = this.positionBetween(others[index - 1]?.token.queue_position, others[index]?.token.queue_position);
+    await Token.updateOne({ _id: token._id }, { $set: { queue_position: position } });
+    await this.broadcast(doctorId, token.booking_date);
+    return { success: true, position: index + 1 };
+  }
+
+  // Reception check-in (arrived = true) or undo (arrived = false). Checking in twice keeps the first time.
+  // method: 'qr' (scanned token) or 'manual'; arrivals past the grace period are flagged late.
+  async setArrival(tokenId, arrived = true, { method = 'manual', by = null } = {}) {
+    const token = await Token.findOne({ _id: tokenId, status: { $in: ACTIVE_STATUSES } });
+    if (!token) return { success: false, message: 'Active appointment not found', notFound: true };
+
+    if (arrived) {
+      const now = new Date();
+      if (scheduleRuleService.dateKey(token.booking_date) !== scheduleRuleService.dateKey(now)) {
+        return { success: false, message: `This appointment is for ${scheduleRuleService.dateKey(token.booking_date)}, not today` };
+      }
+      if (token.checked_in_at) {
+        return { success: true, token, alreadyCheckedIn: true };
+      }
+
+      const lateBy = Math.floor((now - this.slotTime(token)) / (60 * 1000));
+      token.checked_in_at = now;
+      token.check_in_method = method;
+      token.checked_in_by = by;
+      token.late_by_minutes = Math.max(0, lateBy);
+      token.is_late_arrival = lateBy > this.graceMinutes;
+    } else {
+      token.checked_in_at = null;
+      token.check_in_method = null;
+      token.checked_in_by = null;
+      token.late_by_minutes = 0;
+      token.is_late_arrival = false;
+    }
+    await token.save();
+
+    await this.broadcast(token.doctor_id, token.booking_date);
+    return { success: true, token };
+  }
+
+  formatEntry(entry, estimate = null) {
+    const { token } = entry;
+    return {
+      tokenId: token._id,
+      tokenNumber: token.token_number,
+      position: entry.position,
+      state: entry.state,
+      arrived: entry.arrived,
+      arrivalOverdue: entry.arrivalOverdue,
+      checkedInAt: token.checked_in_at || null,
+      isLateArrival: !!token.is_late_arrival,
+      lateByMinutes: token.late_by_minutes || 0,
+      timeSlot: token.time_slot,
+      sessionType: token.session_type,
+      isPriority: !!token.priority_flag,
+      isOverbooked: !!token.is_overbooked,
+      skipCount: token.skip_count || 0,
+      estimatedWaitTime: estimate ? estimate.waitMinutes : null,
+      expectedStartAt: estimate ? estimate.expectedStartAt : null
+    };
+  }
+
+  // The queue moved: refresh every waiting token's ETA and push the new order to doctor/admin clients.
+  // Never throws.
+  async broadcast(doctorId, date = new Date()) {
+    try {
+      const queue = await this.getQueue(doctorId, date);
+      const estimates = await waitTimeService.refresh(doctorId, date, queue);
+      if (!global.realtimeSyncService) return;
+      await global.realtimeSyncService.emitQueueUpdate(doctorId, {
+        date: scheduleRuleService.dateKey(this.dayRange(date).start),
+        queue: queue.map(entry => this.formatEntry(entry, estimates.get(entry.token._id.toString())))
+      });
+    } catch (error) {
+      console.error('Error broadcasting queue update:', error);
+    }
+  }
+
+  // Periodic refresh of today's queues so ETAs follow the clock (late start, overrunning consultations)
+  async broadcastAllToday() {
+    const { start, end } = this.dayRange(new Date());
+    const doctorIds = await Token.distinct('doctor_id', {
+      booking_date: { $gte: start, $lt: end },
+      status: { $in: ACTIVE_STATUSES }
+    });
+    for (const doctorId of doctorIds) {
+      await this.broadcast(doctorId, start);
+    }
+    return doctorIds.length;
+  }
+}
+
+module.exports = new QueueService();
@@ -1,7 +1,8 @@
-const Token = require('../models/User');
+const { Token } = require('../models/User');
 const DoctorSchedule = require('../models/DoctorSchedule');
 const LeaveRequest = require('../models/LeaveRequest');
 const Department = require('../models/Department');
+const slotReservationService = require('./slotReservationService');
 
 class RealtimeSyncService {
   constructor(io) {
@@ -142,15 +143,18 @@ class RealtimeSyncService {
   // Cancel affected appointments when leave is approved
   async cancelAffectedAppointments(doctorId, startDate, endDate, reason) {
     try {
-      const result = await Token.updateMany(
-        {
-          doctor_id: doctorId,
-          booking_date: {
-            $gte: new Date(startDate),
-            $lte: new Date(endDate)
-          },
-          status: { $in: ['booked', 'in_queue', 'confirmed'] }
+      const affectedQuery = {
+        doctor_id: doctorId,
+        booking_date: {
+          $gte: new Date(startDate),
+          $lte: new Date(endDate)
         },
+        status: { $in: ['booked', 'in_queue', 'confirmed'] }
+      };
+      const affectedTokens = await Token.find(affectedQuery).select('doctor_id booking_date is_overbooked');
+
+      const result = await Token.updateMany(
+        affectedQuery,
         {
           $set: {
             status: 'cancelled_by_hospital',
@@ -161,6 +165,10 @@ class RealtimeSyncService {
         }
       );
 
+      for (const token of affectedTokens) {
+        await slotReservationService.releaseToken(token);
+      }
+
       console.log(`📡 Cancelled ${result.modifiedCount} appointments due to leave approval`);
       return result.modifiedCount;
     } catch (error) {
@@ -189,6 +197,41 @@ class RealtimeSyncService {
     }
   }
 
+  // Emit waiting-room display board updates (token numbers only)
+  async emitDisplayUpdate(rooms, displayData) {
+    try {
+      const eventData = {
+        ...displayData,
+        timestamp: new Date()
+      };
+
+      rooms.forEach(room => this.io.to(room).emit('display-updated', eventData));
+
+      console.log(`📡 Display board update broadcasted to ${rooms.join(', ')}`);
+    } catch (error) {
+      console.error('Error emitting display update:', error);
+    }
+  }
+
+  // Emit live wait-time estimates to each waiting patient
+  async emitWaitTimeUpdates(updates) {
+    try {
+      updates.forEach(update => {
+        this.io.to(`patient-${update.patientId}`).emit('your-wait-time-updated', {
+          appointmentId: update.appointmentId,
+          queuePosition: update.queuePosition,
+          estimatedWaitTime: update.estimatedWaitTime,
+          expectedStartAt: update.expectedStartAt,
+          timestamp: new Date()
+        });
+      });
+
+      console.log(`📡 Wait time updates broadcasted to ${updates.length} patients`);
+    } catch (error) {
+      console.error('Error emitting wait time updates:', error);
+    }
+  }
+
   // Emit real-time appointment updates
   async emitAppointmentUpdate(doctorId, appointmentData) {
     try {
@@ -0,0 +1,298 @@
+const mongoose = require('mongoose');
+const { User, Token } = require('../models/User');
+const Department = require('../models/Department');
+const Diagnosis = require('../models/Diagnosis');
+const Referral = require('../models/Referral');
+
+const URGENCIES = ['routine', 'urgent', 'emergency'];
+
+// Doctor-to-doctor referrals and the bookings that fulfil them
+class ReferralService {
+  normalizePayload(body) {
+    const pick = (camel, snake) => (body[camel] !== undefined ? body[camel] : body[snake]);
+    const priority = pick('priority', 'priority');
+    return {
+      source_token_id: pick('tokenId', 'source_token_id'),
+      to_department_id: pick('departmentId', 'to_department_id') || null,
+      to_doctor_id: pick('doctorId', 'to_doctor_id') || null,
+      diagnosis_id: pick('diagnosisId', 'diagnosis_id') || null,
+      reason: String(body.reason || '').trim(),
+      urgency: body.urgency || 'routine',
+      priority: priority === true || priority === 'true'
+    };
+  }
+
+  // Check a new referral from `doctor` and fill in what can be derived (department of a named doctor,
+  // the consultation's Diagnosis, patient). Returns { errors, payload }.
+  async validateReferral(doctor, data) {
+    const errors = [];
+    if (!data.source_token_id || !mongoose.isValidObjectId(data.source_token_id)) errors.push('tokenId is required');
+    if (!data.to_department_id && !data.to_doctor_id) errors.push('Provide departmentId or doctorId to refer to');
+    if (!data.reason) errors.push('reason is required');
+    if (!URGENCIES.includes(data.urgency)) errors.push(`urgency must be one of: ${URGENCIES.join(', ')}`);
+    ['to_department_id', 'to_doctor_id', 'diagnosis_id'].forEach(field => {
+      if (data[field] && !mongoose.isValidObjectId(data[field])) errors.push(`Invalid ${field.replace(/_id$/, '').replace(/_/g, ' ')} ID`);
+    });
+    if (errors.length > 0) return { errors, payload: null };
+
+    const token = await Token.findOne({ _id: data.source_token_id, doctor_id: doctor._id }).select('patient_id family_member_id');
+    if (!token) return { errors: ['Appointment not found'], payload: null };
+
+    const payload = {
+      ...data,
+      patient_id: token.patient_id,
+      family_member_id: token.family_member_id || null,
+      referring_doctor_id: doctor._id
+    };
+
+    if (data.to_doctor_id) {
+      if (data.to_doctor_id.toString() === doctor._id.toString()) {
+        return { errors: ['You cannot refer a patient to yourself'], payload: null };
+      }
+      const target = await User.findOne({ _id: data.to_doctor_id, role: 'doctor', isActive: { $ne: false } }).select('doctor_info.department');
+      if (!target) return { errors: ['Doctor not found'], payload: null };
+      const targetDepartment = target.doctor_info?.department?.toString() || null;
+      if (data.to_department_id && targetDepartment !== data.to_department_id.toString()) {
+        return { errors: ['The selected doctor is not in the selected department'], payload: null };
+      }
+      payload.to_department_id = data.to_department_id || targetDepartment;
+    }
+
+    const department = payload.to_department_id ? await Department.findById(payload.to_department_id).select('_id isActive') : null;
+    if (!department || department.isActive === false) return { errors: ['Department not found'], payload: null };
+
+    if (data.diagnosis_id) {
+      const diagnosis = await Diagnosis.findOne({ _id: data.diagnosis_id, patient_id: token.patient_id }).select('_id');
+      if (!diagnosis) return { errors: ['Diagnosis not found for this patient'], payload: null };
+    } else {
+      const diagnosis = await Diagnosis.findOne({ appointment_id: token._id }).select('_id');
+      payload.diagnosis_id = diagnosis ? diagnosis._id : null;
+    }
+
+    return { errors: [], payload };
+  }
+
+  async create(payload) {
+    const referral = await Referral.create(payload);
+    try {
+      const notificationService = require('./notificationService');
+      await notificationService.sendReferralCreated(referral._id);
+    } catch (error) {
+      console.error('❌ Failed to send referral notifications:', error);
+    }
+    return referral;
+  }
+
+  // Doctors on the receiving end: the named doctor, or every active doctor of the department
+  async getReceivingDoctors(referral) {
+    if (referral.to_doctor_id) {
+      const doctor = await User.findById(referral.to_doctor_id?._id || referral.to_doctor_id).select('name email');
+      return doctor ? [doctor] : [];
+    }
+    return User.find({
+      role: 'doctor',
+      'doctor_info.department': referral.to_department_id?._id || referral.to_department_id,
+      isActive: { $ne: false }
+    }).select('name email');
+  }
+
+  // Filter for a doctor's inbox: referrals to them by name, or to their department with no doctor named
+  inboxFilter(doctor) {
+    const or = [{ to_doctor_id: doctor._id }];
+    if (doctor.doctor_info?.department) {
+      or.push({ to_doctor_id: null, to_department_id: doctor.doctor_info.department });
+    }
+    return { $or: or };
+  }
+
+  canView(referral, doctor) {
+    const id = doctor._id.toString();
+    const ref = value => (value?._id || value)?.toString();
+    return ref(referral.referring_doctor_id) === id
+      || ref(referral.to_doctor_id) === id
+      || (!referral.to_doctor_id && ref(referral.to_department_id) === doctor.doctor_info?.department?.toString());
+  }
+
+  // Referral the doctor is party to (as referrer or receiver), or null
+  async findForDoctor(referralId, doctor) {
+    if (!mongoose.isValidObjectId(referralId)) return null;
+    const referral = await Referral.findById(referralId);
+    return referral && this.canView(referral, doctor) ? referral : null;
+  }
+
+  async list(filter, { status = null } = {}) {
+    const query = { ...filter };
+    if (status) query.status = status;
+    const referrals = await Referral.find(query)
+      .populate('patient_id', 'name patientId')
+      .populate('family_member_id', 'name relation')
+      .populate('referring_doctor_id', 'name')
+      .populate('to_doctor_id', 'name')
+      .populate('to_department_id', 'name')
+      .populate('booked_token_id', 'booking_date time_slot token_number status doctor_id')
+      .sort({ createdAt: -1 });
+    return referrals.map(referral => this.formatReferral(referral));
+  }
+
+  // Referral a new booking fulfils. An explicit referralId must belong to the patient, be pending and
+  // match the department (and doctor, when one was named); otherwise a pending referral for the same
+  // person into this department is picked up automatically. Returns { success, status, message, referral }.
+  async resolveForBooking({ referralId = null, patientId, familyMemberId = null, doctorId, departmentId }) {
+    if (referralId) {
+      const referral = mongoose.isValidObjectId(referralId)
+        ? await Referral.findOne({ _id: referralId, patient_id: patientId }).populate('to_doctor_id', 'name')
+        : null;
+      if (!referral) {
+        return { success: false, status: 404, message: 'Referral not found' };
+      }
+      if (referral.status !== 'pending') {
+        return { success: false, status: 400, message: `This referral is already ${referral.status}` };
+      }
+      if (String(referral.family_member_id || '') !== String(familyMemberId || '')) {
+        return { success: false, status: 400, message: 'This referral was made for a different family member' };
+      }
+      if (referral.to_department_id.toString() !== String(departmentId)) {
+        return { success: false, status: 400, message: 'This referral is for a different department' };
+      }
+      if (referral.to_doctor_id && referral.to_doctor_id._id.toString() !== String(doctorId)) {
+        return { success: false, status: 400, message: `This referral must be booked with Dr. ${referral.to_doctor_id.name}` };
+      }
+      return { success: true, referral };
+    }
+
+    const referral = await Referral.findOne({
+      patient_id: patientId,
+      family_member_id: familyMemberId || null,
+      to_department_id: departmentId,
+      $or: [{ to_doctor_id: null }, { to_doctor_id: doctorId }],
+      status: 'pending'
+    }).sort({ createdAt: 1 });
+    return { success: true, referral };
+  }
+
+  // Pending referral of a patient, for filling in the doctor/department from a booking link
+  async findForPatient(referralId, patientId) {
+    if (!mongoose.isValidObjectId(referralId)) return null;
+    return Referral.findOne({ _id: referralId, patient_id: patientId, status: 'pending' });
+  }
+
+  // Token fields for a booking that fulfils `referral`
+  getTokenFields(referral) {
+    if (!referral) return {};
+    return referral.priority ? { referral_id: referral._id, priority_flag: true } : { referral_id: referral._id };
+  }
+
+  // Claim a pending referral for the token being booked; null when another booking got it first
+  async markBooked(referral, token) {
+    if (!referral) return null;
+    return Referral.findOneAndUpdate(
+      { _id: referral._id, status: 'pending' },
+      { $set: { status: 'booked', booked_token_id: token._id, booked_at: new Date() } },
+      { new: true }
+    );
+  }
+
+  // Undo markBooked when the booking it was claimed for is not saved
+  async releaseBooking(referral, tokenId) {
+    if (!referral) return null;
+    return Referral.findOneAndUpdate(
+      { _id: referral._id, status: 'booked', booked_token_id: tokenId },
+      { $set: { status: 'pending', booked_token_id: null, booked_at: null } },
+      { new: true }
+    );
+  }
+
+  // Bring a referral in line with its booked token: consulted -> seen, cancelled/no-show -> pending again
+  async syncWithToken(token) {
+    if (!token || !token.referral_id) return null;
+    const referral = await Referral.findById(token.referral_id);
+    if (!referral || referral.status !== 'booked' || referral.booked_token_id?.toString() !== token._id.toString()) {
+      return referral;
+    }
+
+    if (token.status === 'consulted') {
+      referral.status = 'seen';
+      referral.seen_by = token.doctor_id?._id || token.doctor_id;
+      referral.seen_at = token.consultation_completed_at || new Date();
+    } else if (['cancelled', 'missed'].includes(token.status)) {
+      referral.status = 'pending';
+      referral.booked_token_id = null;
+      referral.booked_at = null;
+    } else {
+      return referral;
+    }
+    await referral.save();
+    return referral;
+  }
+
+  // Cron sweep: settle booked referrals whose token was completed or dropped outside the routes that sync directly
+  async settleBooked() {
+    const booked = await Referral.find({ status: 'booked' }).select('booked_token_id');
+    const tokens = await Token.find({
+      _id: { $in: booked.map(referral => referral.booked_token_id).filter(Boolean) },
+      status: { $in: ['consulted', 'cancelled', 'missed'] }
+    }).select('status referral_id doctor_id consultation_completed_at');
+    for (const token of tokens) {
+      await this.syncWithToken(token);
+    }
+    return { settled: tokens.length };
+  }
+
+  async close(referral, doctor, note = '') {
+    if (referral.status === 'closed') {
+      return { success: false, message: 'Referral is already closed' };
+    }
+    referral.status = 'closed';
+    referral.closed_by = doctor._id;
+    referral.closed_at = new Date();
+    referral.closing_note = String(note || '').trim();
+    await referral.save();
+    return { success: true, referral };
+  }
+
+  getBookingUrl(referral) {
+    const params = new URLSearchParams({
+      referralId: referral._id.toString(),
+      departmentId: (referral.to_department_id?._id || referral.to_department_id).toString()
+    });
+    if (referral.to_doctor_id) params.set('doctorId', (referral.to_doctor_id?._id || referral.to_doctor_id).toString());
+    return `${process.env.FRONTEND_URL || 'http://localhost:5173'}/booking?${params.toString()}`;
+  }
+
+  formatReferral(referral) {
+    const booked = referral.booked_token_id && referral.booked_token_id.booking_date ? referral.booked_token_id : null;
+    return {
+      id: referral._id,
+      patientId: referral.patient_id?._id || referral.patient_id,
+      patientName: referral.family_member_id?.name || referral.patient_id?.name,
+      familyMemberId: referral.family_member_id?._id || referral.family_member_id,
+      referringDoctorId: referral.referring_doctor_id?._id || referral.referring_doctor_id,
+      referringDoctorName: referral.referring_doctor_id?.name,
+      toDepartmentId: referral.to_department_id?._id || referral.to_department_id,
+      toDepartmentName: referral.to_department_id?.name,
+      toDoctorId: referral.to_doctor_id?._id || referral.to_doctor_id,
+      toDoctorName: referral.to_doctor_id?.name || null,
+      sourceAppointmentId: referral.source_token_id,
+      diagnosisId: referral.diagnosis_id,
+      reason: referral.reason,
+      urgency: referral.urgency,
+      priority: referral.priority,
+      status: referral.status,
+      bookedAppointment: booked ? {
+        id: booked._id,
+        date: booked.booking_date,
+        time: booked.time_slot,
+        tokenNumber: booked.token_number,
+        status: booked.status
+      } : null,
+      bookedAt: referral.booked_at,
+      seenAt: referral.seen_at,
+      closedAt: referral.closed_at,
+      closingNote: referral.closing_note,
+      createdAt: referral.createdAt,
+      bookingUrl: referral.status === 'pending' ? this.getBookingUrl(referral) : null
+    };
+  }
+}
+
+module.exports = new ReferralService();
@@ -0,0 +1,327 @@
+const { User, Token } = require('../models/User');
+const Room = require('../models/Room');
+const RoomAssignment = require('../models/RoomAssignment');
+const scheduleRuleService = require('./scheduleRuleService');
+const sessionTemplateService = require('./sessionTemplateService');
+const { parseTime } = require('../utils/bookingUtils');
+
+const DAYS_OF_WEEK = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+class RoomService {
+  rangesOverlap(aFrom, aUntil, bFrom, bUntil) {
+    return (!aUntil || aUntil >= bFrom) && (!bUntil || bUntil >= aFrom);
+  }
+
+  // Session template behind an assignment: its time window and the weekdays it actually runs
+  async getSessionWindow(doctorId, sessionCode) {
+    const { templates } = await sessionTemplateService.getTemplatesForDoctor(doctorId);
+    const template = templates.find(t => t.code === sessionCode);
+    if (!template) return null;
+    return {
+      start: parseTime(template.start_time),
+      end: parseTime(template.end_time),
+      startTime: template.start_time,
+      endTime: template.end_time,
+      days: template.days_of_week && template.days_of_week.length > 0 ? template.days_of_week : DAYS_OF_WEEK
+    };
+  }
+
+  // Days an assignment is really in use: its own weekdays that the session also runs on
+  effectiveDays(assignment, window) {
+    const days = assignment.days_of_week && assignment.days_of_week.length > 0 ? assignment.days_of_week : DAYS_OF_WEEK;
+    return days.filter(day => window.days.includes(day));
+  }
+
+  // Active assignments that would clash with `candidate`: another doctor in the same room at an
+  // overlapping time, or the same doctor session already placed in a different room
+  async findConflicts(candidate, excludeId = null) {
+    const window = await this.getSessionWindow(candidate.doctor_id, candidate.session_code);
+    if (!window) return [];
+    const candidateDays = this.effectiveDays(candidate, window);
+
+    const filter = {
+      is_active: true,
+      $or: [
+        { room_id: candidate.room_id, doctor_id: { $ne: candidate.doctor_id } },
+        { doctor_id: candidate.doctor_id, session_code: candidate.session_code, room_id: { $ne: candidate.room_id } }
+      ]
+    };
+    if (excludeId) filter._id = { $ne: excludeId };
+
+    const others = await RoomAssignment.find(filter)
+      .populate('doctor_id', 'name')
+      .populate('room_id', 'name');
+
+    const conflicts = [];
+    for (const other of others) {
+      if (!this.rangesOverlap(candidate.effective_from, candidate.effective_until, other.effective_from, other.effective_until)) continue;
+
+      const otherWindow = await this.getSessionWindow(other.doctor_id._id, other.session_code);
+      if (!otherWindow) continue;
+      const days = this.effectiveDays(other, otherWindow).filter(day => candidateDays.includes(day));
+      if (days.length === 0) continue;
+
+      const sameRoom = other.room_id._id.toString() === candidate.room_id.toString();
+      if (sameRoom && !(window.start < otherWindow.end && otherWindow.start < window.end)) continue;
+
+      conflicts.push({
+        assignmentId: other._id,
+        type: sameRoom ? 'room_occupied' : 'doctor_already_assigned',
+        roomName: other.room_id.name,
+        doctorName: other.doctor_id.name,
+        sessionCode: other.session_code,
+        time: `${otherWindow.startTime}-${otherWindow.endTime}`,
+        days,
+        effectiveFrom: scheduleRuleService.dateKey(other.effective_from),
+        effectiveUntil: other.effective_until ? scheduleRuleService.dateKey(other.effective_until) : null
+      });
+    }
+    return conflicts;
+  }
+
+  // Validate an assignment payload. Returns { errors, conflicts }.
+  async validateAssignment(data, excludeId = null) {
+    const errors = [];
+    if (!data.room_id) errors.push('roomId is required');
+    if (!data.doctor_id) errors.push('doctorId is required');
+    if (!data.session_code) errors.push('sessionCode is required');
+    if (!data.effective_from) errors.push('effectiveFrom is required');
+    if (data.effective_from && data.effective_until && data.effective_until < data.effective_from) {
+      errors.push('effectiveUntil must not be before effectiveFrom');
+    }
+    if (data.days_of_week && data.days_of_week.some(day => !DAYS_OF_WEEK.includes(day))) {
+      errors.push(`daysOfWeek must only contain ${DAYS_OF_WEEK.join(', ')}`);
+    }
+    if (errors.length > 0) return { errors, conflicts: [] };
+
+    const [room, doctor] = await Promise.all([
+      Room.findById(data.room_id).select('department_id is_active'),
+      User.findOne({ _id: data.doctor_id, role: 'doctor' }).select('doctor_info.department')
+    ]);
+    if (!room || !room.is_active) errors.push('Room not found or inactive');
+    if (!doctor) errors.push('Doctor not found');
+    if (room && doctor && doctor.doctor_info?.department?.toString() !== room.department_id.toString()) {
+      errors.push("Room belongs to a different department than the doctor");
+    }
+    if (doctor && !(await this.getSessionWindow(doctor._id, data.session_code))) {
+      const { templates } = await sessionTemplateService.getTemplatesForDoctor(doctor._id);
+      errors.push(`Unknown session "${data.session_code}" (available: ${templates.map(t => t.code).join(', ')})`);
+    }
+    if (errors.length > 0) return { errors, conflicts: [] };
+
+    return { errors, conflicts: await this.findConflicts(data, excludeId) };
+  }
+
+  validateRoom(data) {
+    const errors = [];
+    if (!data.name || !String(data.name).trim()) errors.push('name is required');
+    if (!data.department_id) errors.push('departmentId is required');
+    ['available_from', 'available_until'].forEach(field => {
+      if (data[field] !== undefined && !TIME_PATTERN.test(data[field])) errors.push(`${field} must be HH:MM`);
+    });
+    if (data.available_from && data.available_until && parseTime(data.available_until) <= parseTime(data.available_from)) {
+      errors.push('available_until must be after available_from');
+    }
+    return errors;
+  }
+
+  normalizeRoomPayload(body) {
+    const pick = (camel, snake) => (body[camel] !== undefined ? body[camel] : body[snake]);
+    const payload = {
+      name: body.name,
+      department_id: pick('departmentId', 'department_id'),
+      floor: body.floor,
+      available_from: pick('availableFrom', 'available_from'),
+      available_until: pick('availableUntil', 'available_until'),
+      is_active: pick('isActive', 'is_active'),
+      notes: body.notes
+    };
+    Object.keys(payload).forEach(key => payload[key] === undefined && delete payload[key]);
+    return payload;
+  }
+
+  normalizeAssignmentPayload(body) {
+    const pick = (camel, snake) => (body[camel] !== undefined ? body[camel] : body[snake]);
+    const days = pick('daysOfWeek', 'days_of_week');
+    const from = pick('effectiveFrom', 'effective_from');
+    const until = pick('effectiveUntil', 'effective_until');
+    const code = pick('sessionCode', 'session_code');
+    const payload = {
+      room_id: pick('roomId', 'room_id'),
+      doctor_id: pick('doctorId', 'doctor_id'),
+      session_code: code !== undefined ? String(code).trim().toLowerCase() : undefined,
+      days_of_week: Array.isArray(days) ? days : undefined,
+      effective_from: from !== undefined ? scheduleRuleService.toDay(from) : undefined,
+      effective_until: until !== undefined ? scheduleRuleService.toDay(until) : undefined,
+      is_active: pick('isActive', 'is_active'),
+      notes: body.notes
+    };
+    Object.keys(payload).forEach(key => payload[key] === undefined && delete payload[key]);
+    return payload;
+  }
+
+  // Active assignments in force on a date (weekday and effective range), optionally filtered
+  async getAssignmentsForDate(date, filter = {}) {
+    const day = scheduleRuleService.toDay(date);
+    const dayName = DAYS_OF_WEEK[day.getDay()];
+    return RoomAssignment.find({
+      ...filter,
+      is_active: true,
+      days_of_week: dayName,
+      effective_from: { $lte: day },
+      $or: [{ effective_until: null }, { effective_until: { $gte: day } }]
+    })
+      .populate('room_id', 'name floor department_id is_active')
+      .sort({ effective_from: -1, createdAt: -1 });
+  }
+
+  async getRoomForSession(doctorId, date, sessionCode) {
+    const [assignment] = await this.getAssignmentsForDate(date, { doctor_id: doctorId, session_code: sessionCode });
+    if (!assignment || !assignment.room_id || assignment.room_id.is_active === false) return null;
+    return this.formatRoomSummary(assignment.room_id);
+  }
+
+  // Memoized lookup for list endpoints that resolve the room of many tokens
+  createResolver() {
+    const cache = new Map();
+    return (doctorId, date, sessionCode) => {
+      const key = `${doctorId}:${scheduleRuleService.dateKey(date)}:${sessionCode}`;
+      if (!cache.has(key)) cache.set(key, this.getRoomForSession(doctorId, date, sessionCode));
+      return cache.get(key);
+    };
+  }
+
+  formatRoomSummary(room) {
+    return { id: room._id, name: room.name, floor: room.floor || '' };
+  }
+
+  formatRoom(room) {
+    return {
+      id: room._id,
+      departmentId: room.department_id?._id || room.department_id,
+      departmentName: room.department_id?.name,
+      name: room.name,
+      floor: room.floor,
+      availableFrom: room.available_from,
+      availableUntil: room.available_until,
+      isActive: room.is_active,
+      notes: room.notes,
+      createdAt: room.createdAt,
+      updatedAt: room.updatedAt
+    };
+  }
+
+  formatAssignment(assignment) {
+    return {
+      id: assignment._id,
+      roomId: assignment.room_id?._id || assignment.room_id,
+      roomName: assignment.room_id?.name,
+      doctorId: assignment.doctor_id?._id || assignment.doctor_id,
+      doctorName: assignment.doctor_id?.name,
+      sessionCode: assignment.session_code,
+      daysOfWeek: assignment.days_of_week,
+      effectiveFrom: scheduleRuleService.dateKey(assignment.effective_from),
+      effectiveUntil: assignment.effective_until ? scheduleRuleService.dateKey(assignment.effective_until) : null,
+      isActive: assignment.is_active,
+      notes: assignment.notes
+    };
+  }
+
+  // Per-room occupancy for a day: assigned session minutes against the room's opening window,
+  // plus tokens and actual consultation time for the doctors placed there
+  async getUtilization(date, departmentId = null) {
+    const day = scheduleRuleService.toDay(date);
+    const nextDay = new Date(day);
+    nextDay.setDate(nextDay.getDate() + 1);
+
+    const roomFilter = { is_active: true };
+    if (departmentId) roomFilter.department_id = departmentId;
+    const rooms = await Room.find(roomFilter).populate('department_id', 'name').sort({ name: 1 });
+
+    const assignments = await this.getAssignmentsForDate(day, { room_id: { $in: rooms.map(room => room._id) } });
+    const doctors = await User.find({ _id: { $in: [...new Set(assignments.map(a => a.doctor_id.toString()))] } }).select('name');
+    const doctorNames = new Map(doctors.map(doctor => [doctor._id.toString(), doctor.name]));
+
+    // The latest assignment wins for a doctor session, as in getRoomForSession
+    const seen = new Set();
+    const effective = assignments.filter(assignment => {
+      const key = `${assignment.doctor_id}:${assignment.session_code}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+    const bookings = await Token.aggregate([
+      {
+        $match: {
+          doctor_id: { $in: effective.map(a => a.doctor_id) },
+          booking_date: { $gte: day, $lt: nextDay },
+          status: { $ne: 'cancelled' }
+        }
+      },
+      {
+        $group: {
+          _id: { doctor_id: '$doctor_id', session: '$session_type' },
+          tokens: { $sum: 1 },
+          consulted: { $sum: { $cond: [{ $eq: ['$status', 'consulted'] }, 1, 0] } },
+          consultationMs: {
+            $sum: {
+              $cond: [
+                { $and: ['$consultation_started_at', '$consultation_completed_at'] },
+                { $subtract: ['$consultation_completed_at', '$consultation_started_at'] },
+                0
+              ]
+            }
+          }
+        }
+      }
+    ]);
+    const bookingsByKey = new Map(bookings.map(row => [`${row._id.doctor_id}:${row._id.session}`, row]));
+
+    const sessionsByDoctor = new Map();
+    for (const doctorId of new Set(effective.map(a => a.doctor_id.toString()))) {
+      sessionsByDoctor.set(doctorId, await sessionTemplateService.getSessionsForDate(doctorId, day));
+    }
+
+    return rooms.map(room => {
+      const openMinutes = Math.max(0, parseTime(room.available_until) - parseTime(room.available_from));
+      const sessions = effective
+        .filter(assignment => assignment.room_id._id.toString() === room._id.toString())
+        .map(assignment => {
+          const doctorId = assignment.doctor_id.toString();
+          const session = (sessionsByDoctor.get(doctorId) || []).find(s => s.id === assignment.session_code);
+          const booking = bookingsByKey.get(`${doctorId}:${assignment.session_code}`);
+          const running = !!session && session.available !== false;
+          return {
+            assignmentId: assignment._id,
+            doctorId,
+            doctorName: doctorNames.get(doctorId) || 'Unknown Doctor',
+            sessionCode: assignment.session_code,
+            time: session ? `${session.startTime}-${session.endTime}` : null,
+            running,
+            scheduledMinutes: running ? Math.max(0, parseTime(session.endTime) - parseTime(session.startTime)) : 0,
+            tokens: booking?.tokens || 0,
+            consulted: booking?.consulted || 0,
+            consultationMinutes: Math.round((booking?.consultationMs || 0) / 60000)
+          };
+        });
+
+      const scheduledMinutes = sessions.reduce((sum, s) => sum + s.scheduledMinutes, 0);
+      const consultationMinutes = sessions.reduce((sum, s) => sum + s.consultationMinutes, 0);
+      return {
+        room: this.formatRoom(room),
+        openMinutes,
+        scheduledMinutes,
+        consultationMinutes,
+        // Share of the opening window booked for sessions / actually spent in consultation
+        scheduledUtilization: openMinutes > 0 ? Math.round((scheduledMinutes / openMinutes) * 1000) / 10 : 0,
+        actualUtilization: openMinutes > 0 ? Math.round((consultationMinutes / openMinutes) * 1000) / 10 : 0,
+        tokens: sessions.reduce((sum, s) => sum + s.tokens, 0),
+        sessions
+      };
+    });
+  }
+}
+
+module.exports = new RoomService();
@@ -0,0 +1,305 @@
+const { User, Token } = require('../models/User');
+const DoctorSchedule = require('../models/DoctorSchedule');
+const ScheduleRequest = require('../models/ScheduleRequest');
+const scheduleRuleService = require('./scheduleRuleService');
+const slotReservationService = require('./slotReservationService');
+const waitlistService = require('./waitlistService');
+const notificationService = require('./notificationService');
+
+const ACTIVE_TOKEN_STATUSES = ['booked', 'in_queue'];
+
+class ScheduleRequestService {
+  async findActiveTokens(doctorId, date) {
+    const day = scheduleRuleService.toDay(date);
+    const nextDay = new Date(day);
+    nextDay.setDate(nextDay.getDate() + 1);
+
+    return Token.find({
+      doctor_id: doctorId,
+      booking_date: { $gte: day, $lt: nextDay },
+      status: { $in: ACTIVE_TOKEN_STATUSES }
+    }).sort({ time_slot: 1 });
+  }
+
+  // Accept camelCase (frontend) or snake_case time blocks
+  normalizeTimeBlock(block) {
+    if (!block) return undefined;
+    return {
+      start_time: block.start_time || block.startTime,
+      end_time: block.end_time || block.endTime
+    };
+  }
+
+  normalizeNewSchedule(newSchedule) {
+    if (!newSchedule) return undefined;
+    return {
+      date: scheduleRuleService.toDay(newSchedule.date),
+      is_available: newSchedule.isAvailable !== undefined ? newSchedule.isAvailable : (newSchedule.is_available !== undefined ? newSchedule.is_available : true),
+      working_hours: this.normalizeTimeBlock(newSchedule.workingHours || newSchedule.working_hours),
+      break_time: this.normalizeTimeBlock(newSchedule.breakTime || newSchedule.break_time),
+      slot_duration: newSchedule.slotDuration || newSchedule.slot_duration,
+      max_patients_per_slot: newSchedule.maxPatientsPerSlot || newSchedule.max_patients_per_slot,
+      leave_reason: newSchedule.leaveReason || newSchedule.leave_reason
+    };
+  }
+
+  // Validate and store a doctor's request. Returns { success, message, request }.
+  async createRequest({ doctorId, type, scheduleId, date, reason, newSchedule }) {
+    if (!['cancel', 'reschedule'].includes(type)) {
+      return { success: false, message: "Type must be 'cancel' or 'reschedule'" };
+    }
+    if (!reason || !String(reason).trim()) {
+      return { success: false, message: 'Reason is required' };
+    }
+
+    // Days generated from a weekly rule have no schedule document, so a date alone is enough
+    let schedule = null;
+    if (scheduleId) {
+      schedule = await DoctorSchedule.findOne({ _id: scheduleId, doctor_id: doctorId });
+      if (!schedule) {
+        return { success: false, message: 'Schedule not found' };
+      }
+    }
+    const day = scheduleRuleService.toDay(schedule ? schedule.date : date);
+    if (!day) {
+      return { success: false, message: 'A scheduleId or a valid date is required' };
+    }
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    if (day < today) {
+      return { success: false, message: 'Cannot change a schedule in the past' };
+    }
+
+    const target = type === 'reschedule' ? this.normalizeNewSchedule(newSchedule) : undefined;
+    if (type === 'reschedule') {
+      if (!target || !target.date) {
+        return { success: false, message: 'newSchedule.date is required for a reschedule request' };
+      }
+      if (target.date < today) {
+        return { success: false, message: 'Cannot reschedule to a past date' };
+      }
+      if (target.date.getTime() === day.getTime()) {
+        return { success: false, message: 'New date must differ from the original date' };
+      }
+    }
+
+    const nextDay = new Date(day);
+    nextDay.setDate(nextDay.getDate() + 1);
+    const duplicate = await ScheduleRequest.findOne({
+      doctor_id: doctorId,
+      date: { $gte: day, $lt: nextDay },
+      status: 'pending'
+    });
+    if (duplicate) {
+      return { success: false, message: 'A pending request already exists for this date' };
+    }
+
+    const tokens = await this.findActiveTokens(doctorId, day);
+    const request = await ScheduleRequest.create({
+      doctor_id: doctorId,
+      type,
+      schedule_id: schedule ? schedule._id : null,
+      date: day,
+      reason: String(reason).trim(),
+      new_schedule: target,
+      status_history: [{ status: 'pending', changed_by: doctorId, comment: String(reason).trim() }],
+      affected_tokens: tokens.map(token => ({
+        token_id: token._id,
+        token_number: token.token_number,
+        patient_id: token.patient_id,
+        patient_name: token.patient_name,
+        time_slot: token.time_slot,
+        session_type: token.session_type,
+        status: token.status
+      }))
+    });
+
+    console.log(`📝 Schedule request ${request._id} (${type}) for doctor ${doctorId} on ${scheduleRuleService.dateKey(day)}: ${tokens.length} tokens affected`);
+    return { success: true, request };
+  }
+
+  // Apply an approved request: close the original day, open the new one, cancel and notify affected tokens
+  async approve(request, adminId, comment = '') {
+    if (request.status !== 'pending') {
+      return { success: false, message: `Request is already ${request.status}` };
+    }
+
+    const doctorId = request.doctor_id;
+    const originalKey = scheduleRuleService.dateKey(request.date);
+    const target = request.new_schedule && request.new_schedule.date ? request.new_schedule : null;
+    const targetKey = target ? scheduleRuleService.dateKey(target.date) : null;
+
+    // Keep an explicit unavailable day rather than deleting it, so a weekly rule or the defaults
+    // don't silently reopen the date
+    const existing = await scheduleRuleService.getScheduleForDate(doctorId, request.date);
+    const originalSchedule = await slotReservationService.ensureScheduleDocument(doctorId, request.date, existing);
+    originalSchedule.is_available = false;
+    originalSchedule.leave_reason = request.type === 'reschedule'
+      ? `Rescheduled to ${targetKey}: ${request.reason}`
+      : request.reason;
+    originalSchedule.notes = `Schedule request ${request._id} approved`;
+    await originalSchedule.save();
+
+    let newSchedule = null;
+    if (request.type === 'reschedule' && target) {
+      const fields = { is_available: target.is_available !== false, notes: `Rescheduled from ${originalKey}` };
+      if (target.working_hours && target.working_hours.start_time) fields.working_hours = target.working_hours;
+      if (target.break_time && target.break_time.start_time) fields.break_time = target.break_time;
+      if (target.slot_duration) fields.slot_duration = target.slot_duration;
+      if (target.max_patients_per_slot) fields.max_patients_per_slot = target.max_patients_per_slot;
+      if (target.leave_reason) fields.leave_reason = target.leave_reason;
+
+      const current = await scheduleRuleService.getScheduleForDate(doctorId, target.date);
+      newSchedule = await slotReservationService.ensureScheduleDocument(doctorId, target.date, current);
+      newSchedule.set(fields);
+      // The rule's session whitelist does not apply to a day moved here from elsewhere
+      newSchedule.session_codes = [];
+      await newSchedule.save();
+    }
+
+    // Cancel what is still booked on the original day (the snapshot may be out of date by now)
+    const doctor = await User.findById(doctorId).select('name doctor_info');
+    const tokens = await this.findActiveTokens(doctorId, request.date);
+    const cancellationReason = request.type === 'reschedule'
+      ? `Doctor's schedule moved to ${targetKey}: ${request.reason}`
+      : `Doctor unavailable: ${request.reason}`;
+
+    for (const token of tokens) {
+      token.status = 'cancelled';
+      token.cancelled_at = new Date();
+      token.cancelled_by = 'admin';
+      token.cancellation_reason = cancellationReason;
+      if (token.payment_status === 'paid') {
+        token.refund_status = 'pending';
+        token.refund_amount = doctor?.doctor_info?.consultation_fee || 500;
+      }
+      await token.save();
+      await slotReservationService.releaseToken(token);
+      await waitlistService.promoteForToken(token);
+
+      notificationService.sendScheduleChangeNotification(token._id, {
+        type: request.type,
+        reason: request.reason,
+        newDate: targetKey
+      }).catch(error => {
+        console.error('❌ Failed to send schedule change notification:', error);
+      });
+    }
+
+    request.status = 'approved';
+    request.reviewed_by = adminId;
+    request.reviewed_at = new Date();
+    request.cancelled_token_ids = tokens.map(token => token._id);
+    request.status_history.push({ status: 'approved', changed_by: adminId, comment });
+    if (comment) request.admin_comments.push({ author_id: adminId, comment });
+    await request.save();
+
+    await this.notifyDoctor(request, comment);
+
+    console.log(`✅ Schedule request ${request._id} approved: ${originalKey} closed${targetKey ? `, ${targetKey} opened` : ''}, ${tokens.length} tokens cancelled`);
+    return { success: true, request, originalSchedule, newSchedule, cancelledCount: tokens.length };
+  }
+
+  async reject(request, adminId, comment = '') {
+    if (request.status !== 'pending') {
+      return { success: false, message: `Request is already ${request.status}` };
+    }
+
+    request.status = 'rejected';
+    request.reviewed_by = adminId;
+    request.reviewed_at = new Date();
+    request.status_history.push({ status: 'rejected', changed_by: adminId, comment });
+    if (comment) request.admin_comments.push({ author_id: adminId, comment });
+    await request.save();
+
+    await this.notifyDoctor(request, comment);
+    return { success: true, request };
+  }
+
+  async addComment(request, adminId, comment) {
+    if (!comment || !String(comment).trim()) {
+      return { success: false, message: 'Comment is required' };
+    }
+    request.admin_comments.push({ author_id: adminId, comment: String(comment).trim() });
+    await request.save();
+    return { success: true, request };
+  }
+
+  async notifyDoctor(request, comment) {
+    try {
+      const dateKey = scheduleRuleService.dateKey(request.date);
+      await notificationService.createNotification({
+        recipient_id: request.doctor_id,
+        recipient_type: 'doctor',
+        title: `Schedule Request ${request.status === 'approved' ? 'Approved' : 'Rejected'}`,
+        message: `Your ${request.type} request for ${dateKey} has been ${request.status}.${comment ? ` Comment: ${comment}` : ''}`,
+        type: 'schedule_change',
+        priority: 'normal',
+        related_id: request._id,
+        related_type: 'schedule',
+        metadata: {
+          requestType: request.type,
+          date: dateKey,
+          cancelledTokens: request.cancelled_token_ids.length
+        }
+      });
+    } catch (error) {
+      console.error('Error creating schedule request notification:', error);
+    }
+  }
+
+  formatRequest(request) {
+    const doctor = request.doctor_id && request.doctor_id.name ? request.doctor_id : null;
+    const target = request.new_schedule && request.new_schedule.date ? request.new_schedule : null;
+
+    return {
+      id: request._id,
+      doctorId: doctor ? doctor._id : request.doctor_id,
+      doctorName: doctor ? doctor.name : undefined,
+      doctorEmail: doctor ? doctor.email : undefined,
+      type: request.type,
+      scheduleId: request.schedule_id,
+      date: scheduleRuleService.dateKey(request.date),
+      reason: request.reason,
+      newSchedule: target ? {
+        date: scheduleRuleService.dateKey(target.date),
+        isAvailable: target.is_available,
+        workingHours: target.working_hours,
+        breakTime: target.break_time,
+        slotDuration: target.slot_duration,
+        maxPatientsPerSlot: target.max_patients_per_slot,
+        leaveReason: target.leave_reason
+      } : null,
+      status: request.status,
+      statusHistory: (request.status_history || []).map(entry => ({
+        status: entry.status,
+        changedBy: entry.changed_by?.name || entry.changed_by,
+        changedAt: entry.changed_at,
+        comment: entry.comment
+      })),
+      adminComments: (request.admin_comments || []).map(entry => ({
+        id: entry._id,
+        author: entry.author_id?.name || entry.author_id,
+        comment: entry.comment,
+        createdAt: entry.created_at
+      })),
+      affectedTokens: (request.affected_tokens || []).map(token => ({
+        tokenId: token.token_id,
+        tokenNumber: token.token_number,
+        patientName: token.patient_name,
+        timeSlot: token.time_slot,
+        sessionType: token.session_type,
+        status: token.status
+      })),
+      affectedTokenCount: (request.affected_tokens || []).length,
+      cancelledTokenCount: (request.cancelled_token_ids || []).length,
+      reviewedBy: request.reviewed_by?.name || request.reviewed_by,
+      reviewedAt: request.reviewed_at,
+      createdAt: request.createdAt,
+      updatedAt: request.updatedAt
+    };
+  }
+}
+
+module.exports = new ScheduleRequestService();
@@ -0,0 +1,366 @@
+const { Token } = require('../models/User');
+const ScheduleRule = require('../models/ScheduleRule');
+const DoctorSchedule = require('../models/DoctorSchedule');
+const sessionTemplateService = require('./sessionTemplateService');
+const { findSessionForTime } = require('../utils/bookingUtils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAYS_OF_WEEK = ScheduleRule.DAYS_OF_WEEK;
+
+class ScheduleRuleService {
+  // Parse a date (YYYY-MM-DD strings are taken as local dates) and drop the time part
+  toDay(value) {
+    if (!value) return null;
+    const parts = String(value).split('-').map(Number);
+    const day = (typeof value === 'string' && parts.length === 3 && parts.every(n => !Number.isNaN(n)))
+      ? new Date(parts[0], parts[1] - 1, parts[2])
+      : new Date(value);
+    if (Number.isNaN(day.getTime())) return null;
+    day.setHours(0, 0, 0, 0);
+    return day;
+  }
+
+  dateKey(date) {
+    const d = new Date(date);
+    const month = String(d.getMonth() + 1).padStart(2, '0');
+    const day = String(d.getDate()).padStart(2, '0');
+    return `${d.getFullYear()}-${month}-${day}`;
+  }
+
+  // Whole weeks between the (Sunday-starting) weeks containing two dates
+  weeksBetween(from, date) {
+    const a = this.toDay(from);
+    a.setDate(a.getDate() - a.getDay());
+    const b = this.toDay(date);
+    b.setDate(b.getDate() - b.getDay());
+    return Math.round((b - a) / (7 * DAY_MS));
+  }
+
+  // Active rules for the given doctors overlapping [start, end]; `end` null means open-ended
+  async getRulesForDoctors(doctorIds, start, end = null) {
+    const query = {
+      doctor_id: { $in: doctorIds },
+      is_active: true,
+      $or: [{ effective_until: null }, { effective_until: { $gte: this.toDay(start) } }]
+    };
+    if (end) query.effective_from = { $lte: end };
+    return ScheduleRule.find(query).lean();
+  }
+
+  // What a single rule says about a date: null when the date is outside the rule,
+  // otherwise { isAvailable, sessionCodes, reason } (empty sessionCodes = every session)
+  resolveRuleForDate(rule, date) {
+    const day = this.toDay(date);
+    if (this.toDay(rule.effective_from) > day) return null;
+    if (rule.effective_until && this.toDay(rule.effective_until) < day) return null;
+
+    const key = this.dateKey(day);
+    const exception = (rule.exceptions || []).find(e => this.dateKey(e.date) === key);
+    if (exception) {
+      return {
+        isAvailable: exception.is_available,
+        sessionCodes: exception.session_codes || [],
+        reason: exception.reason || ''
+      };
+    }
+
+    const dayName = DAYS_OF_WEEK[day.getDay()];
+    const weeks = this.weeksBetween(rule.effective_from, day);
+    const entries = (rule.entries || []).filter(entry =>
+      entry.day_of_week === dayName && weeks % (entry.every_n_weeks || 1) === 0
+    );
+    if (entries.length === 0) return null;
+
+    const allSessions = entries.some(entry => !entry.session_codes || entry.session_codes.length === 0);
+    return {
+      isAvailable: true,
+      sessionCodes: allSessions ? [] : [...new Set(entries.flatMap(entry => entry.session_codes))],
+      reason: ''
+    };
+  }
+
+  // Materialize a DoctorSchedule-shaped object for a date from a doctor's rules.
+  // If any rule works that day the day is available; a day-off exception only applies when no other rule covers it.
+  buildVirtualSchedule(doctorId, date, rules) {
+    const day = this.toDay(date);
+    let workingRule = null;
+    let leave = null;
+    let allSessions = false;
+    const sessionCodes = new Set();
+
+    for (const rule of rules) {
+      const resolved = this.resolveRuleForDate(rule, day);
+      if (!resolved) continue;
+      if (!resolved.isAvailable) {
+        leave = leave || { rule, reason: resolved.reason };
+        continue;
+      }
+      workingRule = workingRule || rule;
+      if (resolved.sessionCodes.length === 0) allSessions = true;
+      resolved.sessionCodes.forEach(code => sessionCodes.add(code));
+    }
+
+    const base = workingRule || (leave && leave.rule);
+    if (!base) return null;
+
+    return {
+      _id: null,
+      doctor_id: doctorId,
+      date: day,
+      is_available: !!workingRule,
+      working_hours: base.working_hours,
+      break_time: base.break_time,
+      slot_duration: base.slot_duration,
+      max_patients_per_slot: base.max_patients_per_slot,
+      booked_slots: [],
+      leave_reason: workingRule ? '' : (leave.reason || 'Exception to weekly schedule'),
+      notes: '',
+      session_overrides: [],
+      // Whitelist applied by sessionTemplateService; empty means every session
+      session_codes: allSessions ? [] : [...sessionCodes],
+      is_virtual: true,
+      rule_id: base._id
+    };
+  }
+
+  // Schedule for a doctor on a date: an explicit DoctorSchedule wins, otherwise it is materialized from rules.
+  // Pass `rules` to evaluate a candidate rule set (e.g. an edit that has not been saved yet).
+  async getScheduleForDate(doctorId, date, options = {}) {
+    const day = this.toDay(date);
+    const nextDay = new Date(day);
+    nextDay.setDate(nextDay.getDate() + 1);
+
+    let schedule = await DoctorSchedule.findOne({
+      doctor_id: doctorId,
+      date: { $gte: day, $lt: nextDay }
+    });
+
+    if (!schedule) {
+      const rules = options.rules || await this.getRulesForDoctors([doctorId], day, day);
+      schedule = this.buildVirtualSchedule(doctorId, day, rules);
+    }
+
+    if (options.availableOnly && (!schedule || !schedule.is_available)) {
+      return null;
+    }
+    return schedule;
+  }
+
+  // Explicit and rule-generated schedules for one or more doctors between two dates (inclusive), sorted by date
+  async getSchedulesInRange(doctorIds, start, end, options = {}) {
+    const ids = Array.isArray(doctorIds) ? doctorIds : [doctorIds];
+    const from = this.toDay(start);
+    const to = new Date(end);
+
+    const [explicit, rules] = await Promise.all([
+      DoctorSchedule.find({
+        doctor_id: { $in: ids },
+        date: { $gte: from, $lte: to }
+      }).sort({ date: 1 }),
+      options.rules || this.getRulesForDoctors(ids, from, to)
+    ]);
+
+    const explicitKeys = new Set(explicit.map(s => `${s.doctor_id}:${this.dateKey(s.date)}`));
+    const rulesByDoctor = new Map();
+    rules.forEach(rule => {
+      const key = rule.doctor_id.toString();
+      if (!rulesByDoctor.has(key)) rulesByDoctor.set(key, []);
+      rulesByDoctor.get(key).push(rule);
+    });
+
+    const schedules = [...explicit];
+    for (const [doctorKey, doctorRules] of rulesByDoctor) {
+      for (let date = new Date(from); date <= to; date.setDate(date.getDate() + 1)) {
+        if (explicitKeys.has(`${doctorKey}:${this.dateKey(date)}`)) continue;
+        const virtual = this.buildVirtualSchedule(doctorRules[0].doctor_id, date, doctorRules);
+        if (virtual) schedules.push(virtual);
+      }
+    }
+
+    return schedules
+      .filter(schedule => !options.availableOnly || schedule.is_available)
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+  }
+
+  // Upcoming booked tokens that the doctor's schedule (optionally a candidate rule set) no longer covers
+  async findTokensOutsidePattern(doctorId, options = {}) {
+    const today = this.toDay(new Date());
+    const rules = options.rules || await this.getRulesForDoctors([doctorId], today);
+
+    const tokens = await Token.find({
+      doctor_id: doctorId,
+      booking_date: { $gte: today },
+      status: { $in: ['booked', 'in_queue'] }
+    })
+      .populate('patient_id', 'name phone')
+      .sort({ booking_date: 1, time_slot: 1 });
+
+    const days = new Map();
+    const outside = [];
+
+    for (const token of tokens) {
+      const key = this.dateKey(token.booking_date);
+      if (!days.has(key)) {
+        const schedule = await this.getScheduleForDate(doctorId, token.booking_date, { rules });
+        const sessions = schedule && schedule.is_available
+          ? await sessionTemplateService.getSessionsForDate(doctorId, token.booking_date, schedule)
+          : [];
+        days.set(key, { schedule, sessions });
+      }
+
+      const { schedule, sessions } = days.get(key);
+      let reason = null;
+      if (!schedule) {
+        reason = 'Date is not in the schedule';
+      } else if (!schedule.is_available) {
+        reason = schedule.leave_reason || 'Doctor not available';
+      } else {
+        const session = sessions.find(s => s.id === token.session_type) || findSessionForTime(sessions, token.time_slot);
+        if (!session) {
+          reason = `No session at ${token.time_slot}`;
+        } else if (!session.available) {
+          reason = `${session.name} is not in the schedule`;
+        }
+      }
+
+      if (reason) {
+        outside.push({
+          tokenId: token._id,
+          tokenNumber: token.token_number,
+          date: key,
+          timeSlot: token.time_slot,
+          sessionType: token.session_type,
+          status: token.status,
+          patientName: token.patient_id?.name || 'Unknown',
+          patientPhone: token.patient_id?.phone || '',
+          reason
+        });
+      }
+    }
+
+    return outside;
+  }
+
+  // Tokens outside the pattern once rule `ruleId` is replaced by `candidate` (null when the rule is removed)
+  async findTokensOutsideRuleChange(doctorId, ruleId, candidate) {
+    const today = this.toDay(new Date());
+    const rules = (await this.getRulesForDoctors([doctorId], today))
+      .filter(rule => !ruleId || rule._id.toString() !== ruleId.toString());
+    if (candidate && candidate.is_active !== false) {
+      rules.push(candidate);
+    }
+    return this.findTokensOutsidePattern(doctorId, { rules });
+  }
+
+  // Validate a rule payload; session codes must exist in the doctor's session templates
+  async validateRule(data) {
+    const errors = [];
+    if (!data.doctor_id) errors.push('doctor_id is required');
+    if (!data.effective_from) errors.push('effective_from is required');
+    if (data.effective_from && data.effective_until && data.effective_until < data.effective_from) {
+      errors.push('effective_until must not be before effective_from');
+    }
+    if (!Array.isArray(data.entries) || data.entries.length === 0) {
+      errors.push('At least one weekly entry is required');
+    }
+
+    (data.entries || []).forEach((entry, index) => {
+      if (!DAYS_OF_WEEK.includes(entry.day_of_week)) {
+        errors.push(`entries[${index}].day_of_week must be one of ${DAYS_OF_WEEK.join(', ')}`);
+      }
+      if (!Number.isInteger(entry.every_n_weeks) || entry.every_n_weeks < 1) {
+        errors.push(`entries[${index}].every_n_weeks must be a positive whole number`);
+      }
+    });
+
+    const exceptionKeys = new Set();
+    (data.exceptions || []).forEach((exception, index) => {
+      if (!exception.date) {
+        errors.push(`exceptions[${index}].date is invalid`);
+        return;
+      }
+      const key = this.dateKey(exception.date);
+      if (exceptionKeys.has(key)) errors.push(`Duplicate exception for ${key}`);
+      exceptionKeys.add(key);
+    });
+
+    if (errors.length > 0) return errors;
+
+    const { templates } = await sessionTemplateService.getTemplatesForDoctor(data.doctor_id);
+    const knownCodes = templates.map(t => t.code);
+    const usedCodes = [
+      ...data.entries.flatMap(entry => entry.session_codes || []),
+      ...(data.exceptions || []).flatMap(exception => exception.session_codes || [])
+    ];
+    [...new Set(usedCodes)]
+      .filter(code => !knownCodes.includes(code))
+      .forEach(code => errors.push(`Unknown session "${code}" (available: ${knownCodes.join(', ')})`));
+
+    return errors;
+  }
+
+  // Map request body (camelCase or snake_case) to rule fields
+  normalizePayload(body) {
+    const pick = (source, camel, snake) => (source[camel] !== undefined ? source[camel] : source[snake]);
+    const codes = (value) => (Array.isArray(value) ? value.map(code => String(code).trim().toLowerCase()) : []);
+
+    const entries = pick(body, 'entries', 'entries');
+    const exceptions = pick(body, 'exceptions', 'exceptions');
+    const effectiveUntil = pick(body, 'effectiveUntil', 'effective_until');
+
+    const payload = {
+      name: body.name,
+      entries: Array.isArray(entries) ? entries.map(entry => ({
+        day_of_week: pick(entry, 'dayOfWeek', 'day_of_week'),
+        session_codes: codes(pick(entry, 'sessionCodes', 'session_codes')),
+        every_n_weeks: Number(pick(entry, 'everyNWeeks', 'every_n_weeks') || 1)
+      })) : undefined,
+      effective_from: pick(body, 'effectiveFrom', 'effective_from') !== undefined
+        ? this.toDay(pick(body, 'effectiveFrom', 'effective_from'))
+        : undefined,
+      effective_until: effectiveUntil !== undefined ? this.toDay(effectiveUntil) : undefined,
+      working_hours: pick(body, 'workingHours', 'working_hours'),
+      break_time: pick(body, 'breakTime', 'break_time'),
+      slot_duration: pick(body, 'slotDuration', 'slot_duration'),
+      max_patients_per_slot: pick(body, 'maxPatientsPerSlot', 'max_patients_per_slot'),
+      exceptions: Array.isArray(exceptions) ? exceptions.map(exception => ({
+        date: this.toDay(exception.date),
+        is_available: !!pick(exception, 'isAvailable', 'is_available'),
+        session_codes: codes(pick(exception, 'sessionCodes', 'session_codes')),
+        reason: exception.reason || ''
+      })) : undefined,
+      is_active: pick(body, 'isActive', 'is_active')
+    };
+    Object.keys(payload).forEach(key => payload[key] === undefined && delete payload[key]);
+    return payload;
+  }
+
+  formatRule(rule) {
+    return {
+      id: rule._id,
+      doctorId: rule.doctor_id,
+      name: rule.name,
+      entries: (rule.entries || []).map(entry => ({
+        dayOfWeek: entry.day_of_week,
+        sessionCodes: entry.session_codes,
+        everyNWeeks: entry.every_n_weeks
+      })),
+      effectiveFrom: rule.effective_from,
+      effectiveUntil: rule.effective_until,
+      workingHours: rule.working_hours,
+      breakTime: rule.break_time,
+      slotDuration: rule.slot_duration,
+      maxPatientsPerSlot: rule.max_patients_per_slot,
+      exceptions: (rule.exceptions || []).map(exception => ({
+        id: exception._id,
+        date: this.dateKey(exception.date),
+        isAvailable: exception.is_available,
+        sessionCodes: exception.session_codes,
+        reason: exception.reason
+      })),
+      isActive: rule.is_active
+    };
+  }
+}
+
+module.exports = new ScheduleRuleService();
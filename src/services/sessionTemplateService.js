@@ -0,0 +1,168 @@
+const { User } = require('../models/User');
+const SessionTemplate = require('../models/SessionTemplate');
+const { DEFAULT_SESSION_TEMPLATES, toSession, parseTime, findSessionForTime } = require('../utils/bookingUtils');
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+class SessionTemplateService {
+  // Resolve the templates that apply to a doctor: own templates first, then the department's, then defaults
+  async getTemplatesForDoctor(doctorId, departmentId = null) {
+    const doctorTemplates = await SessionTemplate.find({ doctor_id: doctorId, is_active: true })
+      .sort({ start_time: 1 })
+      .lean();
+    if (doctorTemplates.length > 0) {
+      return { source: 'doctor', templates: doctorTemplates };
+    }
+
+    let deptId = departmentId;
+    if (!deptId) {
+      const doctor = await User.findById(doctorId).select('doctor_info.department');
+      deptId = doctor?.doctor_info?.department || null;
+    }
+
+    if (deptId) {
+      const departmentTemplates = await SessionTemplate.find({ department_id: deptId, is_active: true })
+        .sort({ start_time: 1 })
+        .lean();
+      if (departmentTemplates.length > 0) {
+        return { source: 'department', templates: departmentTemplates };
+      }
+    }
+
+    return { source: 'default', templates: DEFAULT_SESSION_TEMPLATES };
+  }
+
+  // Sessions a doctor runs on a given date, with per-date schedule overrides applied.
+  // Pass `schedule` when the caller already loaded it; `null` means "no schedule for that date".
+  async getSessionsForDate(doctorId, date, schedule, departmentId = null) {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+
+    let daySchedule = schedule;
+    if (daySchedule === undefined) {
+      // Required lazily: scheduleRuleService depends on this service
+      const scheduleRuleService = require('./scheduleRuleService');
+      daySchedule = await scheduleRuleService.getScheduleForDate(doctorId, day);
+    }
+
+    const { source, templates } = await this.getTemplatesForDoctor(doctorId, departmentId);
+    const dayName = DAY_NAMES[day.getDay()];
+
+    return templates
+      .filter(t => !t.days_of_week || t.days_of_week.length === 0 || t.days_of_week.includes(dayName))
+      .map(t => this.applyScheduleOverrides({ ...toSession(t), source }, daySchedule));
+  }
+
+  // Apply DoctorSchedule overrides (leave, capacity changes) to a resolved session
+  applyScheduleOverrides(session, schedule) {
+    if (!schedule) return session;
+
+    const resolved = { ...session };
+    if (schedule.is_available === false) {
+      resolved.available = false;
+    }
+
+    // Days materialized from a weekly ScheduleRule only run the sessions the rule lists
+    if (schedule.session_codes && schedule.session_codes.length > 0 && !schedule.session_codes.includes(resolved.type)) {
+      resolved.available = false;
+    }
+
+    // Legacy morning_session/afternoon_session blocks: leave approval toggles availability there,
+    // and their capacity still drives the built-in defaults
+    const legacy = schedule[`${resolved.type}_session`];
+    if (legacy) {
+      if (legacy.available === false) resolved.available = false;
+      if (resolved.source === 'default' && Number.isFinite(legacy.max_patients)) {
+        resolved.maxPatients = legacy.max_patients;
+      }
+    }
+
+    const override = (schedule.session_overrides || []).find(o => o.code === resolved.type);
+    if (override) {
+      if (override.available === false) resolved.available = false;
+      if (Number.isFinite(override.max_patients)) resolved.maxPatients = override.max_patients;
+    }
+
+    return resolved;
+  }
+
+  // Resolve the session containing a time slot for a doctor/date
+  async getSessionForTime(doctorId, date, timeSlot, schedule) {
+    const sessions = await this.getSessionsForDate(doctorId, date, schedule);
+    return findSessionForTime(sessions, timeSlot);
+  }
+
+  // Validate a template payload and check it does not overlap the owner's other active templates
+  async validateTemplate(data, excludeId = null) {
+    const errors = [];
+    if (!data.code) errors.push('code is required');
+    if (!data.name) errors.push('name is required');
+    if (!data.start_time || !data.end_time) errors.push('start_time and end_time are required');
+    if (data.start_time && data.end_time && parseTime(data.start_time) >= parseTime(data.end_time)) {
+      errors.push('start_time must be before end_time');
+    }
+    if (data.days_of_week && !data.days_of_week.every(d => DAY_NAMES.includes(d))) {
+      errors.push(`days_of_week must only contain ${DAY_NAMES.join(', ')}`);
+    }
+    if (errors.length > 0 || data.is_active === false) return errors;
+
+    const ownerQuery = data.doctor_id
+      ? { doctor_id: data.doctor_id }
+      : { department_id: data.department_id, doctor_id: null };
+    const siblings = await SessionTemplate.find({
+      ...ownerQuery,
+      is_active: true,
+      ...(excludeId ? { _id: { $ne: excludeId } } : {})
+    }).lean();
+
+    const days = data.days_of_week && data.days_of_week.length ? data.days_of_week : DAY_NAMES;
+    const start = parseTime(data.start_time);
+    const end = parseTime(data.end_time);
+    for (const other of siblings) {
+      const otherDays = other.days_of_week && other.days_of_week.length ? other.days_of_week : DAY_NAMES;
+      const sharesDay = days.some(d => otherDays.includes(d));
+      const overlaps = start < parseTime(other.end_time) && parseTime(other.start_time) < end;
+      if (sharesDay && overlaps) {
+        errors.push(`Overlaps with session "${other.name}" (${other.start_time}-${other.end_time})`);
+      }
+    }
+
+    return errors;
+  }
+
+  // Map request body (camelCase or snake_case) to template fields
+  normalizePayload(body) {
+    const pick = (camel, snake) => (body[camel] !== undefined ? body[camel] : body[snake]);
+    const payload = {
+      code: body.code,
+      name: body.name,
+      start_time: pick('startTime', 'start_time'),
+      end_time: pick('endTime', 'end_time'),
+      max_patients: pick('maxPatients', 'max_patients'),
+      booking_cutoff_minutes: pick('bookingCutoffMinutes', 'booking_cutoff_minutes'),
+      days_of_week: pick('daysOfWeek', 'days_of_week'),
+      is_active: pick('isActive', 'is_active')
+    };
+    if (typeof payload.code === 'string') payload.code = payload.code.trim().toLowerCase();
+    Object.keys(payload).forEach(key => payload[key] === undefined && delete payload[key]);
+    return payload;
+  }
+
+  formatTemplate(template) {
+    return {
+      id: template._id,
+      doctorId: template.doctor_id,
+      departmentId: template.department_id,
+      code: template.code,
+      name: template.name,
+      startTime: template.start_time,
+      endTime: template.end_time,
+      maxPatients: template.max_patients,
+      bookingCutoffMinutes: template.booking_cutoff_minutes,
+      daysOfWeek: template.days_of_week,
+      isActive: template.is_active
+    };
+  }
+}
+
+module.exports = new SessionTemplateService();
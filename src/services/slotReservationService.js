@@ -0,0 +1,356 @@
+const { Token } = require('../models/User');
+const DoctorSchedule = require('../models/DoctorSchedule');
+const scheduleRuleService = require('./scheduleRuleService');
+const { parseTime, formatTime } = require('../utils/bookingUtils');
+
+const ACTIVE_STATUSES = ['booked', 'in_queue'];
+
+class SlotReservationService {
+  // Persistent schedule document for a day so slot capacity can be tracked on it.
+  // Rule-generated days are written out with the rule's session list; days without any schedule get model defaults.
+  async ensureScheduleDocument(doctorId, date, schedule) {
+    if (schedule && !schedule.is_virtual) return schedule;
+
+    const day = scheduleRuleService.toDay(date);
+    const fields = schedule ? {
+      is_available: schedule.is_available,
+      working_hours: schedule.working_hours,
+      break_time: schedule.break_time,
+      slot_duration: schedule.slot_duration,
+      max_patients_per_slot: schedule.max_patients_per_slot,
+      session_codes: schedule.session_codes,
+      rule_id: schedule.rule_id
+    } : {};
+
+    try {
+      return await DoctorSchedule.findOneAndUpdate(
+        { doctor_id: doctorId, date: day },
+        { $setOnInsert: { doctor_id: doctorId, date: day, ...fields } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+    } catch (error) {
+      // A concurrent booking wrote the same day out first
+      if (error.code === 11000) {
+        return DoctorSchedule.findOne({ doctor_id: doctorId, date: day });
+      }
+      throw error;
+    }
+  }
+
+  // Slot start times inside a session window
+  getSessionSlotTimes(session, slotDuration) {
+    const times = [];
+    const end = parseTime(session.endTime);
+    for (let minutes = parseTime(session.startTime); minutes + slotDuration <= end; minutes += slotDuration) {
+      times.push(formatTime(minutes));
+    }
+    return times;
+  }
+
+  // Start of the slot containing `time`
+  alignToSlot(time, session, slotDuration) {
+    const start = parseTime(session.startTime);
+    const offset = Math.max(0, parseTime(time) - start);
+    return formatTime(start + Math.floor(offset / slotDuration) * slotDuration);
+  }
+
+  // Active tokens per time slot for a doctor/day, including bookings made before slots were tracked
+  async countActiveTokensBySlot(doctorId, date, excludeTokenId = null) {
+    const day = scheduleRuleService.toDay(date);
+    const nextDay = new Date(day);
+    nextDay.setDate(nextDay.getDate() + 1);
+
+    const tokens = await Token.find({
+      doctor_id: doctorId,
+      booking_date: { $gte: day, $lt: nextDay },
+      status: { $in: ACTIVE_STATUSES },
+      is_overbooked: { $ne: true },
+      ...(excludeTokenId ? { _id: { $ne: excludeTokenId } } : {})
+    }).select('time_slot');
+
+    return tokens.reduce((counts, token) => {
+      counts[token.time_slot] = (counts[token.time_slot] || 0) + 1;
+      return counts;
+    }, {});
+  }
+
+  // Add active tokens missing from booked_slots (booked before slots were tracked) to their slot, so the
+  // atomic slot and session bounds in reserveSlot count them too. A token is only ever added once.
+  // Returns the schedule as it is afterwards.
+  async trackUntrackedTokens(scheduleDoc, excludeTokenId = null) {
+    const day = scheduleRuleService.toDay(scheduleDoc.date);
+    const nextDay = new Date(day);
+    nextDay.setDate(nextDay.getDate() + 1);
+
+    const tracked = new Set((scheduleDoc.booked_slots || []).flatMap(slot => (slot.appointments || []).map(id => id.toString())));
+    const tokens = await Token.find({
+      doctor_id: scheduleDoc.doctor_id,
+      booking_date: { $gte: day, $lt: nextDay },
+      status: { $in: ACTIVE_STATUSES },
+      is_overbooked: { $ne: true },
+      ...(excludeTokenId ? { _id: { $ne: excludeTokenId } } : {})
+    }).select('time_slot');
+    const untracked = tokens.filter(token => token.time_slot && !tracked.has(token._id.toString()));
+
+    for (const token of untracked) {
+      const notTracked = { _id: scheduleDoc._id, 'booked_slots.appointments': { $ne: token._id } };
+      for (let attempt = 1; attempt <= 2; attempt++) {
+        const added = await DoctorSchedule.updateOne(
+          { ...notTracked, 'booked_slots.time': token.time_slot },
+          {
+            $inc: { 'booked_slots.$[slot].patient_count': 1 },
+            $push: { 'booked_slots.$[slot].appointments': token._id }
+          },
+          { arrayFilters: [{ 'slot.time': token.time_slot }] }
+        );
+        if (added.matchedCount > 0) break;
+        // No entry for the slot yet (or the token got tracked meanwhile, which this no-ops on too)
+        const created = await DoctorSchedule.updateOne(
+          { ...notTracked, 'booked_slots.time': { $ne: token.time_slot } },
+          { $push: { booked_slots: { time: token.time_slot, patient_count: 1, appointments: [token._id] } } }
+        );
+        if (created.matchedCount > 0) break;
+      }
+    }
+
+    return untracked.length > 0 ? DoctorSchedule.findById(scheduleDoc._id) : scheduleDoc;
+  }
+
+  // Booked places in a session according to booked_slots
+  sessionBookedCount(schedule, session) {
+    return (schedule.booked_slots || [])
+      .filter(slot => slot.time >= session.startTime && slot.time < session.endTime)
+      .reduce((sum, slot) => sum + (slot.patient_count || 0), 0);
+  }
+
+  // Atomically take one place in a slot. The slot (max_patients_per_slot) and its session (maxPatients)
+  // are both checked inside a single-document update, so two requests for the last place cannot both win.
+  async reserveSlot(scheduleId, { time, session, tokenId, perSlotMax }) {
+    const sessionHasRoom = {
+      $lt: [
+        {
+          $sum: {
+            $map: {
+              input: {
+                $filter: {
+                  input: { $ifNull: ['$booked_slots', []] },
+                  as: 'slot',
+                  cond: {
+                    $and: [
+                      { $gte: ['$$slot.time', session.startTime] },
+                      { $lt: ['$$slot.time', session.endTime] }
+                    ]
+                  }
+                }
+              },
+              as: 'slot',
+              in: '$$slot.patient_count'
+            }
+          }
+        },
+        session.maxPatients
+      ]
+    };
+
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      // Slot already has bookings and room left
+      const incremented = await DoctorSchedule.findOneAndUpdate(
+        {
+          _id: scheduleId,
+          booked_slots: { $elemMatch: { time, patient_count: { $lt: perSlotMax } } },
+          $expr: sessionHasRoom
+        },
+        {
+          $inc: { 'booked_slots.$.patient_count': 1 },
+          $push: { 'booked_slots.$.appointments': tokenId }
+        },
+        { new: true }
+      );
+      if (incremented) return true;
+
+      // First booking in this slot
+      const created = await DoctorSchedule.findOneAndUpdate(
+        {
+          _id: scheduleId,
+          'booked_slots.time': { $ne: time },
+          $expr: sessionHasRoom
+        },
+        { $push: { booked_slots: { time, patient_count: 1, appointments: [tokenId] } } },
+        { new: true }
+      );
+      if (created) return true;
+
+      // Neither matched: the slot or session is full, or the slot entry appeared between the two updates
+      const current = await DoctorSchedule.findById(scheduleId).select('booked_slots');
+      if (!current) return false;
+      const entry = current.booked_slots.find(slot => slot.time === time);
+      if (!entry || entry.patient_count >= perSlotMax || this.sessionBookedCount(current, session) >= session.maxPatients) {
+        return false;
+      }
+    }
+
+    return false;
+  }
+
+  // Reserve the requested slot, or (unless exactTime) the next free one in the same session.
+  // Returns { schedule, time } or null when there is no room left.
+  async reserveInSession({ doctorId, date, schedule, session, preferredTime, tokenId, exactTime = false }) {
+    const scheduleDoc = await this.ensureScheduleDocument(doctorId, date, schedule);
+    const slotDuration = scheduleDoc.slot_duration || 30;
+    const perSlotMax = scheduleDoc.max_patients_per_slot || 1;
+
+    const times = this.getSessionSlotTimes(session, slotDuration);
+    const preferred = this.alignToSlot(preferredTime, session, slotDuration);
+    const startIndex = Math.max(0, times.indexOf(preferred));
+    if (exactTime && !times.includes(preferred)) return null;
+    const ordered = exactTime
+      ? [preferred]
+      : [...times.slice(startIndex), ...times.slice(0, startIndex)];
+
+    // Tokens booked before slot tracking existed go into booked_slots first, so every bound below counts them
+    const current = await this.trackUntrackedTokens(scheduleDoc, tokenId);
+
+    for (const time of ordered) {
+      const entry = (current?.booked_slots || []).find(slot => slot.time === time);
+      if ((entry?.patient_count || 0) >= perSlotMax) continue;
+
+      const reserved = await this.reserveSlot(scheduleDoc._id, { time, session, tokenId, perSlotMax });
+      if (reserved) {
+        console.log(`🎟️ Reserved slot ${time} for token ${tokenId} (schedule ${scheduleDoc._id})`);
+        return { schedule: scheduleDoc, time };
+      }
+    }
+
+    return null;
+  }
+
+  // Give a token's place back. Only slots that recorded the token are touched, so this is safe to call
+  // more than once and for tokens booked before slot tracking existed. Pass `time` when the token may
+  // briefly hold two slots on the same day (reschedule).
+  async releaseSlot({ doctorId, date, tokenId, time = null }) {
+    const day = scheduleRuleService.toDay(date);
+    const nextDay = new Date(day);
+    nextDay.setDate(nextDay.getDate() + 1);
+
+    const result = await DoctorSchedule.updateOne(
+      {
+        doctor_id: doctorId,
+        date: { $gte: day, $lt: nextDay },
+        booked_slots: { $elemMatch: time ? { time, appointments: tokenId } : { appointments: tokenId } }
+      },
+      {
+        $inc: { 'booked_slots.$.patient_count': -1 },
+        $pull: { 'booked_slots.$.appointments': tokenId }
+      }
+    );
+
+    return result.modifiedCount > 0;
+  }
+
+  // Take one of the session's over-capacity places, atomically bounded by the department's limit
+  async reserveOverbooking({ doctorId, date, schedule, session, tokenId, limit }) {
+    const scheduleDoc = await this.ensureScheduleDocument(doctorId, date, schedule);
+
+    const updated = await DoctorSchedule.findOneAndUpdate(
+      {
+        _id: scheduleDoc._id,
+        $expr: {
+          $lt: [
+            {
+              $size: {
+                $filter: {
+                  input: { $ifNull: ['$overbooked_tokens', []] },
+                  as: 'entry',
+                  cond: { $eq: ['$$entry.session_code', session.id] }
+                }
+              }
+            },
+            limit
+          ]
+        }
+      },
+      { $push: { overbooked_tokens: { session_code: session.id, token_id: tokenId } } },
+      { new: true }
+    );
+
+    if (updated) {
+      console.log(`🚨 Overbooked ${session.id} for token ${tokenId} (schedule ${scheduleDoc._id})`);
+    }
+    return !!updated;
+  }
+
+  async releaseOverbooking({ doctorId, date, tokenId }) {
+    const day = scheduleRuleService.toDay(date);
+    const nextDay = new Date(day);
+    nextDay.setDate(nextDay.getDate() + 1);
+
+    const result = await DoctorSchedule.updateOne(
+      {
+        doctor_id: doctorId,
+        date: { $gte: day, $lt: nextDay },
+        'overbooked_tokens.token_id': tokenId
+      },
+      { $pull: { overbooked_tokens: { token_id: tokenId } } }
+    );
+
+    return result.modifiedCount > 0;
+  }
+
+  // Hand a held place over to another id (waitlist hold -> token) without freeing it in between
+  async transferSlot({ doctorId, date, fromId, toId }) {
+    const day = scheduleRuleService.toDay(date);
+    const nextDay = new Date(day);
+    nextDay.setDate(nextDay.getDate() + 1);
+
+    const result = await DoctorSchedule.updateOne(
+      {
+        doctor_id: doctorId,
+        date: { $gte: day, $lt: nextDay },
+        'booked_slots.appointments': fromId
+      },
+      { $set: { 'booked_slots.$[slot].appointments.$[held]': toId } },
+      { arrayFilters: [{ 'slot.appointments': fromId }, { held: fromId }] }
+    );
+
+    return result.modifiedCount > 0;
+  }
+
+  // Release using a token document (doctor_id may be populated)
+  async releaseToken(token) {
+    if (!token) return false;
+    try {
+      const place = {
+        doctorId: token.doctor_id?._id || token.doctor_id,
+        date: token.booking_date,
+        tokenId: token._id
+      };
+      return token.is_overbooked
+        ? await this.releaseOverbooking(place)
+        : await this.releaseSlot(place);
+    } catch (error) {
+      console.error(`❌ Error releasing slot for token ${token._id}:`, error);
+      return false;
+    }
+  }
+
+  // Per-slot capacity for a day: { 'HH:MM': { booked, max, remaining } }
+  async getSlotCapacity(doctorId, date, schedule) {
+    const perSlotMax = schedule?.max_patients_per_slot || 1;
+    const tokensBySlot = await this.countActiveTokensBySlot(doctorId, date);
+    const capacity = {};
+
+    const times = new Set([
+      ...Object.keys(tokensBySlot),
+      ...((schedule && schedule.booked_slots) || []).map(slot => slot.time)
+    ]);
+    times.forEach(time => {
+      const entry = ((schedule && schedule.booked_slots) || []).find(slot => slot.time === time);
+      const booked = Math.max(entry?.patient_count || 0, tokensBySlot[time] || 0);
+      capacity[time] = { booked, max: perSlotMax, remaining: Math.max(0, perSlotMax - booked) };
+    });
+
+    return { perSlotMax, slots: capacity };
+  }
+}
+
+module.exports = new SlotReservationService();
@@ -69,6 +69,7 @@ class SMSService {
       appointmentDate,
       appointmentTime,
       tokenNumber,
+      room,
       phoneNumber
     } = appointmentData;
 
@@ -79,6 +80,7 @@ class SMSService {
       `🕐 Time: ${appointmentTime}\n` +
       `👨‍⚕️ Doctor: Dr. ${doctorName}\n` +
       `🏥 Department: ${department}\n` +
+      (room ? `🚪 Room: ${room.name}${room.floor ? ` (${room.floor})` : ''}\n` : '') +
       `🎫 Token: #${tokenNumber}\n\n` +
       `Please arrive 15 minutes early.\n` +
       `For queries, call: +91-9876543210\n\n` +
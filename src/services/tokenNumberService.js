@@ -0,0 +1,136 @@
+const { User, Token, Counter } = require('../models/User');
+const Department = require('../models/Department');
+const scheduleRuleService = require('./scheduleRuleService');
+
+const SCHEMES = ['global', 'department', 'doctor', 'session'];
+const DEFAULT_SCHEME = SCHEMES.includes(process.env.TOKEN_NUMBER_SCHEME) ? process.env.TOKEN_NUMBER_SCHEME : 'doctor';
+const DEFAULT_PADDING = 3;
+const MAX_RETRIES = 10;
+
+// Daily token numbers. Each department picks the scope its numbers run in:
+//   global     - one hospital-wide sequence (T001, T002, ...)
+//   department - one sequence per department under its prefix (CARD-012)
+//   doctor     - one sequence per doctor (T003 is the doctor's third patient)
+//   session    - one sequence per doctor session, lettered by session (M003, A001)
+// Counters live in `Counter` keyed by scope and day, so numbers are issued atomically and never capped.
+class TokenNumberService {
+  // Department scheme with defaults filled in
+  getScheme(department) {
+    const config = (department && department.token_numbering) || {};
+    return {
+      scheme: SCHEMES.includes(config.scheme) ? config.scheme : DEFAULT_SCHEME,
+      prefix: config.prefix || '',
+      padding: config.padding || DEFAULT_PADDING
+    };
+  }
+
+  // Upper-case letters of the department name, e.g. Cardiology -> CARD
+  derivePrefix(departmentName) {
+    const letters = String(departmentName || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return letters.slice(0, 4) || 'T';
+  }
+
+  // Counter key (also stored on the token as token_scope) and number format for one booking
+  resolveScope(scheme, { department, doctorId, sessionType, date }) {
+    const day = scheduleRuleService.dateKey(date);
+    const session = String(sessionType || 'other').toLowerCase();
+    switch (scheme.scheme) {
+      case 'global': {
+        // Derived exactly as the old hospital-wide sequence did (UTC date of local midnight, which is the
+        // previous calendar day in IST), so a running day carries on from its last number
+        const start = new Date(date);
+        start.setHours(0, 0, 0, 0);
+        return { key: `token_${start.toISOString().split('T')[0]}`, prefix: scheme.prefix || 'T', separator: '' };
+      }
+      case 'department':
+        return {
+          key: `token_department_${department?._id || 'none'}_${day}`,
+          prefix: scheme.prefix || this.derivePrefix(department?.name),
+          separator: '-'
+        };
+      case 'session':
+        return {
+          key: `token_session_${doctorId}_${session}_${day}`,
+          prefix: `${scheme.prefix ? `${scheme.prefix}-` : ''}${session.charAt(0).toUpperCase()}`,
+          separator: ''
+        };
+      default:
+        return { key: `token_doctor_${doctorId}_${day}`, prefix: scheme.prefix || 'T', separator: '' };
+    }
+  }
+
+  format(scope, sequence, padding) {
+    return `${scope.prefix}${scope.separator}${sequence.toString().padStart(padding, '0')}`;
+  }
+
+  // Next token number for a doctor/date/session. Returns { tokenNumber, sequence, scope }:
+  // `sequence` is the in-scope number and `scope` the counter key, both stored on the token.
+  async issue(doctorId, appointmentDate, sessionType) {
+    const doctor = await User.findById(doctorId).select('doctor_info.department');
+    const department = doctor?.doctor_info?.department
+      ? await Department.findById(doctor.doctor_info.department).select('name token_numbering')
+      : null;
+    const scheme = this.getScheme(department);
+    const scope = this.resolveScope(scheme, { department, doctorId, sessionType, date: appointmentDate });
+
+    for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+      const counter = await Counter.findOneAndUpdate(
+        { key: scope.key },
+        { $inc: { count: 1 } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+      const sequence = counter.count;
+      const tokenNumber = this.format(scope, sequence, scheme.padding);
+
+      // A number can already be taken if a counter was reset by hand or the padding changed mid-day
+      const taken = await Token.exists({ token_scope: scope.key, token_number: tokenNumber });
+      if (!taken) {
+        return { tokenNumber, sequence, scope: scope.key };
+      }
+      console.log(`[TOKEN-GEN] Token ${tokenNumber} already exists in ${scope.key}, retrying...`);
+    }
+    throw new Error(`Failed to generate unique token number after ${MAX_RETRIES} attempts. Please try again.`);
+  }
+
+  // Validate an admin scheme update. Returns { errors, update }.
+  normalizeSchemePayload(body) {
+    const errors = [];
+    const update = {};
+
+    if (body.scheme !== undefined) {
+      if (!SCHEMES.includes(body.scheme)) {
+        errors.push(`scheme must be one of: ${SCHEMES.join(', ')}`);
+      } else {
+        update['token_numbering.scheme'] = body.scheme;
+      }
+    }
+
+    if (body.prefix !== undefined) {
+      const prefix = String(body.prefix || '').trim().toUpperCase();
+      if (prefix && !/^[A-Z0-9]{1,6}$/.test(prefix)) {
+        errors.push('prefix must be 1-6 letters or digits');
+      } else {
+        update['token_numbering.prefix'] = prefix;
+      }
+    }
+
+    if (body.padding !== undefined) {
+      const padding = Number(body.padding);
+      if (!Number.isInteger(padding) || padding < 1 || padding > 6) {
+        errors.push('padding must be an integer between 1 and 6');
+      } else {
+        update['token_numbering.padding'] = padding;
+      }
+    }
+
+    return { errors, update };
+  }
+
+  // Sample numbers so admins can see what a scheme produces before saving it
+  preview(department, scheme = this.getScheme(department)) {
+    const scope = this.resolveScope(scheme, { department, doctorId: 'doctor', sessionType: 'morning', date: new Date() });
+    return [1, 2, 12].map(sequence => this.format(scope, sequence, scheme.padding));
+  }
+}
+
+module.exports = new TokenNumberService();
@@ -0,0 +1,193 @@
+const mongoose = require('mongoose');
+const { User } = require('../models/User');
+const FamilyMember = require('../models/FamilyMember');
+const ClinicalNote = require('../models/ClinicalNote');
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+// Reference ranges by age group: [low, high] is normal, beyond [criticalLow, criticalHigh] is critical.
+// Temperature is in °C; BMI is only graded for adults (children need growth-chart percentiles).
+const AGE_GROUPS = [
+  {
+    key: 'infant', label: 'Infant (under 1)', maxAge: 1,
+    heart_rate: [100, 160, 80, 200], respiratory_rate: [30, 60, 20, 70],
+    systolic: [70, 100, 60, 120], diastolic: [50, 70, 35, 85]
+  },
+  {
+    key: 'toddler', label: 'Toddler (1-2)', maxAge: 3,
+    heart_rate: [90, 150, 70, 190], respiratory_rate: [24, 40, 16, 60],
+    systolic: [80, 110, 70, 130], diastolic: [50, 80, 40, 90]
+  },
+  {
+    key: 'preschool', label: 'Preschool (3-5)', maxAge: 6,
+    heart_rate: [80, 140, 60, 180], respiratory_rate: [22, 34, 14, 50],
+    systolic: [80, 110, 70, 135], diastolic: [50, 80, 40, 95]
+  },
+  {
+    key: 'school_age', label: 'School age (6-12)', maxAge: 13,
+    heart_rate: [70, 120, 50, 160], respiratory_rate: [18, 30, 10, 40],
+    systolic: [90, 120, 75, 150], diastolic: [60, 80, 45, 100]
+  },
+  {
+    key: 'adolescent', label: 'Adolescent (13-17)', maxAge: 18,
+    heart_rate: [60, 100, 45, 150], respiratory_rate: [12, 20, 8, 30],
+    systolic: [90, 130, 80, 170], diastolic: [60, 85, 45, 110]
+  },
+  {
+    key: 'adult', label: 'Adult (18-64)', maxAge: 65,
+    heart_rate: [60, 100, 40, 150], respiratory_rate: [12, 20, 8, 30],
+    systolic: [90, 139, 80, 180], diastolic: [60, 89, 45, 120]
+  },
+  {
+    key: 'older_adult', label: 'Older adult (65+)', maxAge: Infinity,
+    heart_rate: [60, 100, 40, 150], respiratory_rate: [12, 20, 8, 30],
+    systolic: [90, 149, 80, 180], diastolic: [60, 89, 45, 120]
+  }
+];
+const SHARED_RANGES = {
+  oxygen_saturation: [95, 100, 90, 101],
+  temperature: [36.1, 37.5, 35, 40]
+};
+
+// Vital signs over time from a person's clinical notes, flagged against age-appropriate ranges
+class VitalsService {
+  getAgeGroup(age) {
+    if (age === null || age === undefined) return AGE_GROUPS.find(group => group.key === 'adult');
+    return AGE_GROUPS.find(group => age < group.maxAge);
+  }
+
+  // Age on `date`, from the date of birth or, failing that, the age recorded today
+  getAgeAt(person, date) {
+    if (!person) return null;
+    if (person.dob) {
+      return Math.max(0, Math.floor((new Date(date) - new Date(person.dob)) / YEAR_MS));
+    }
+    if (person.age === null || person.age === undefined) return null;
+    return Math.max(0, person.age - Math.floor((Date.now() - new Date(date)) / YEAR_MS));
+  }
+
+  // 'normal', 'low', 'high', 'critical' or null when there is no value/range
+  flag(value, range) {
+    if (value === null || value === undefined || !range) return null;
+    const [low, high, criticalLow, criticalHigh] = range;
+    if (value < criticalLow || value > criticalHigh) return 'critical';
+    if (value < low) return 'low';
+    if (value > high) return 'high';
+    return 'normal';
+  }
+
+  // Temperatures above 45 were entered in °F
+  toCelsius(value) {
+    if (value === null || value === undefined) return null;
+    return value > 45 ? Math.round(((value - 32) * 5 / 9) * 10) / 10 : value;
+  }
+
+  // BMI from kg and cm; graded with the adult WHO bands only from 18 years
+  computeBmi(weight, height, age) {
+    if (!weight || !height) return { value: null, category: null, flag: null };
+    const value = Math.round((weight / Math.pow(height / 100, 2)) * 10) / 10;
+    if (age !== null && age < 18) return { value, category: null, flag: null };
+    if (value < 18.5) return { value, category: 'underweight', flag: 'low' };
+    if (value < 25) return { value, category: 'normal', flag: 'normal' };
+    if (value < 30) return { value, category: 'overweight', flag: 'high' };
+    return { value, category: 'obese', flag: value >= 40 ? 'critical' : 'high' };
+  }
+
+  async getPerson(patientId, familyMemberId = null) {
+    if (familyMemberId) {
+      return FamilyMember.findOne({ _id: familyMemberId, patient_id: patientId }).select('name age gender');
+    }
+    return User.findById(patientId).select('name age dob gender');
+  }
+
+  // Time series of one person's vitals across all visits, oldest first (?from/?to limit the range).
+  // Height is carried forward from the last visit that recorded it so BMI can be shown when only
+  // weight was taken. Returns null when the person does not exist.
+  async getTrend({ patientId, familyMemberId = null, from = null, to = null }) {
+    if (!mongoose.isValidObjectId(patientId) || (familyMemberId && !mongoose.isValidObjectId(familyMemberId))) return null;
+    const person = await this.getPerson(patientId, familyMemberId);
+    if (!person) return null;
+
+    const query = { patient_id: patientId, family_member_id: familyMemberId || null };
+    if (from || to) {
+      query.consultation_date = {};
+      if (from) query.consultation_date.$gte = new Date(from);
+      if (to) query.consultation_date.$lte = new Date(to);
+    }
+    const notes = await ClinicalNote.find(query)
+      .select('token_id doctor_id consultation_date content.vital_signs status')
+      .populate('doctor_id', 'name')
+      .sort({ consultation_date: 1 });
+
+    let lastHeight = null;
+    const points = [];
+    notes.forEach(note => {
+      const vitals = note.content?.vital_signs || {};
+      const systolic = vitals.blood_pressure?.systolic ?? null;
+      const diastolic = vitals.blood_pressure?.diastolic ?? null;
+      const values = [systolic, diastolic, vitals.heart_rate, vitals.respiratory_rate, vitals.oxygen_saturation, vitals.temperature, vitals.weight, vitals.height];
+      if (values.every(value => value === null || value === undefined)) return;
+
+      const age = this.getAgeAt(person, note.consultation_date);
+      const group = this.getAgeGroup(age);
+      const temperature = this.toCelsius(vitals.temperature ?? null);
+      const height = vitals.height ?? null;
+      if (height) lastHeight = height;
+      const usedHeight = height || lastHeight;
+      const bmi = this.computeBmi(vitals.weight ?? null, usedHeight, age);
+
+      points.push({
+        noteId: note._id,
+        appointmentId: note.token_id,
+        date: note.consultation_date,
+        doctorName: note.doctor_id?.name || null,
+        age,
+        ageGroup: group.key,
+        bloodPressure: {
+          systolic,
+          diastolic,
+          systolicFlag: this.flag(systolic, group.systolic),
+          diastolicFlag: this.flag(diastolic, group.diastolic)
+        },
+        heartRate: { value: vitals.heart_rate ?? null, flag: this.flag(vitals.heart_rate ?? null, group.heart_rate) },
+        respiratoryRate: { value: vitals.respiratory_rate ?? null, flag: this.flag(vitals.respiratory_rate ?? null, group.respiratory_rate) },
+        oxygenSaturation: { value: vitals.oxygen_saturation ?? null, flag: this.flag(vitals.oxygen_saturation ?? null, SHARED_RANGES.oxygen_saturation) },
+        temperature: { value: temperature, unit: 'C', flag: this.flag(temperature, SHARED_RANGES.temperature) },
+        weight: { value: vitals.weight ?? null, unit: 'kg' },
+        height: { value: usedHeight, unit: 'cm', carriedForward: !height && !!usedHeight },
+        bmi
+      });
+    });
+
+    const currentAge = this.getAgeAt(person, new Date());
+    const currentGroup = this.getAgeGroup(currentAge);
+    const abnormal = point => [
+      point.bloodPressure.systolicFlag, point.bloodPressure.diastolicFlag, point.heartRate.flag, point.respiratoryRate.flag,
+      point.oxygenSaturation.flag, point.temperature.flag, point.bmi.flag
+    ].some(flag => flag && flag !== 'normal');
+    const flagged = points.map(point => ({ ...point, hasAbnormal: abnormal(point) }));
+
+    return {
+      person: {
+        name: person.name,
+        age: currentAge,
+        gender: person.gender || null,
+        ageGroup: currentGroup.key,
+        ageGroupLabel: currentGroup.label
+      },
+      // Reference ranges for today's age group, for shading chart bands
+      ranges: {
+        systolic: currentGroup.systolic.slice(0, 2),
+        diastolic: currentGroup.diastolic.slice(0, 2),
+        heartRate: currentGroup.heart_rate.slice(0, 2),
+        respiratoryRate: currentGroup.respiratory_rate.slice(0, 2),
+        oxygenSaturation: SHARED_RANGES.oxygen_saturation.slice(0, 2),
+        temperature: SHARED_RANGES.temperature.slice(0, 2),
+        bmi: currentAge !== null && currentAge < 18 ? null : [18.5, 24.9]
+      },
+      points: flagged,
+      latest: flagged.length > 0 ? flagged[flagged.length - 1] : null
+    };
+  }
+}
+
+module.exports = new VitalsService();
@@ -0,0 +1,266 @@
+const mongoose = require('mongoose');
+const { Token } = require('../models/User');
+const Diagnosis = require('../models/Diagnosis');
+const scheduleRuleService = require('./scheduleRuleService');
+const sessionTemplateService = require('./sessionTemplateService');
+const { parseTime } = require('../utils/bookingUtils');
+
+const MINUTE = 60 * 1000;
+const LOOKBACK_DAYS = 30;
+const MAX_SAMPLES = 300;
+const PROFILE_TTL_MS = 10 * MINUTE;
+// Prior used until a doctor has enough history (the old fixed estimate)
+const DEFAULT_CONSULTATION_MINUTES = 15;
+const PRIOR_WEIGHT = 5;
+const MIN_NO_SHOW_SAMPLES = 10;
+// Durations/lateness outside these bounds are data errors (consultation never closed, etc.)
+const MAX_CONSULTATION_MINUTES = 120;
+const MAX_LATE_START_MINUTES = 180;
+
+class WaitTimeService {
+  constructor() {
+    this.profiles = new Map();
+  }
+
+  // Trimmed mean of consultation durations, pulled towards the default while samples are few
+  averageDuration(durations) {
+    const sorted = durations
+      .filter(minutes => minutes >= 1 && minutes <= MAX_CONSULTATION_MINUTES)
+      .sort((a, b) => a - b);
+    const trim = Math.floor(sorted.length * 0.1);
+    const kept = sorted.slice(trim, sorted.length - trim);
+    const sum = kept.reduce((total, minutes) => total + minutes, 0);
+    return {
+      averageMinutes: (sum + DEFAULT_CONSULTATION_MINUTES * PRIOR_WEIGHT) / (kept.length + PRIOR_WEIGHT),
+      samples: sorted.length
+    };
+  }
+
+  // Learned behaviour of a doctor over the last LOOKBACK_DAYS: consultation length, no-show rate, late start
+  async getProfile(doctorId, { refresh = false } = {}) {
+    const key = doctorId.toString();
+    const cached = this.profiles.get(key);
+    if (!refresh && cached && cached.expiresAt > Date.now()) return cached.profile;
+
+    const today = scheduleRuleService.toDay(new Date());
+    const since = new Date(today);
+    since.setDate(since.getDate() - LOOKBACK_DAYS);
+
+    const consulted = await Token.find({
+      doctor_id: doctorId,
+      status: 'consulted',
+      consultation_started_at: { $gte: since },
+      consultation_completed_at: { $ne: null }
+    })
+      .select('booking_date time_slot consultation_started_at consultation_completed_at')
+      .sort({ consultation_started_at: -1 })
+      .limit(MAX_SAMPLES);
+
+    // Diagnoses fill in consultations whose token was never started/completed through the queue
+    const diagnoses = await Diagnosis.find({
+      doctor_id: doctorId,
+      consultation_status: 'completed',
+      consultation_start_time: { $gte: since },
+      consultation_end_time: { $ne: null },
+      appointment_id: { $nin: consulted.map(token => token._id) }
+    })
+      .select('consultation_start_time consultation_end_time')
+      .limit(MAX_SAMPLES);
+
+    const durations = [
+      ...consulted.map(token => (token.consultation_completed_at - token.consultation_started_at) / MINUTE),
+      ...diagnoses.map(diagnosis => diagnosis.consultation_duration).filter(minutes => minutes != null)
+    ];
+    const { averageMinutes, samples } = this.averageDuration(durations);
+
+    const outcomes = await Token.aggregate([
+      { $match: { doctor_id: new mongoose.Types.ObjectId(doctorId.toString()), booking_date: { $gte: since, $lt: today }, status: { $in: ['consulted', 'missed'] } } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    const attended = outcomes.find(row => row._id === 'consulted')?.count || 0;
+    const missed = outcomes.find(row => row._id === 'missed')?.count || 0;
+    const noShowRate = attended + missed >= MIN_NO_SHOW_SAMPLES ? missed / (attended + missed) : 0;
+
+    // Late start: first consultation of each past day against that day's first slot
+    const firstByDay = new Map();
+    consulted.forEach(token => {
+      const dayKey = scheduleRuleService.dateKey(token.booking_date);
+      const current = firstByDay.get(dayKey);
+      if (!current || token.consultation_started_at < current.consultation_started_at) firstByDay.set(dayKey, token);
+    });
+    const lateness = [...firstByDay.values()]
+      .filter(token => token.booking_date < today && token.time_slot)
+      .map(token => {
+        const scheduled = scheduleRuleService.toDay(token.booking_date).getTime() + parseTime(token.time_slot) * MINUTE;
+        return Math.max(0, (token.consultation_started_at - scheduled) / MINUTE);
+      })
+      .filter(minutes => minutes <= MAX_LATE_START_MINUTES);
+    const lateStartMinutes = lateness.length > 0
+      ? lateness.reduce((total, minutes) => total + minutes, 0) / lateness.length
+      : 0;
+
+    const profile = {
+      averageConsultationMinutes: Math.round(averageMinutes * 10) / 10,
+      durationSamples: samples,
+      noShowRate: Math.round(noShowRate * 1000) / 1000,
+      noShowSamples: attended + missed,
+      lateStartMinutes: Math.round(lateStartMinutes * 10) / 10,
+      lateStartSamples: lateness.length
+    };
+    this.profiles.set(key, { profile, expiresAt: Date.now() + PROFILE_TTL_MS });
+    return profile;
+  }
+
+  // Expected start for every waiting entry of a day queue (queueService.getQueue order).
+  // Returns Map tokenId -> { waitMinutes, expectedStartAt }.
+  async estimateQueue(doctorId, date, queue, now = new Date()) {
+    const estimates = new Map();
+    if (queue.length === 0) return estimates;
+
+    const day = scheduleRuleService.toDay(date);
+    const nextDay = new Date(day);
+    nextDay.setDate(nextDay.getDate() + 1);
+
+    const [profile, sessions, startedSessions] = await Promise.all([
+      this.getProfile(doctorId),
+      sessionTemplateService.getSessionsForDate(doctorId, day),
+      Token.distinct('session_type', {
+        doctor_id: doctorId,
+        booking_date: { $gte: day, $lt: nextDay },
+        consultation_started_at: { $ne: null }
+      })
+    ]);
+    const average = profile.averageConsultationMinutes * MINUTE;
+
+    // Time left on whoever is with the doctor now
+    let clock = now.getTime();
+    queue.filter(entry => entry.state === 'in_consultation').forEach(entry => {
+      const elapsed = now - (entry.token.consultation_started_at || now);
+      clock = Math.max(clock, now.getTime() + Math.max(MINUTE, average - elapsed));
+    });
+
+    queue.filter(entry => entry.state !== 'in_consultation').forEach(entry => {
+      const { token } = entry;
+      // Nobody is seen before their slot, nor before the doctor (typically late) starts the session
+      let notBefore = day.getTime() + parseTime(token.time_slot) * MINUTE;
+      const session = sessions.find(item => item.id === token.session_type);
+      if (session && !startedSessions.includes(session.id)) {
+        notBefore = Math.max(notBefore, day.getTime() + (parseTime(session.startTime) + profile.lateStartMinutes) * MINUTE);
+      }
+      clock = Math.max(clock, notBefore);
+
+      estimates.set(token._id.toString(), {
+        waitMinutes: Math.max(0, Math.round((clock - now) / MINUTE)),
+        expectedStartAt: new Date(clock)
+      });
+
+      // Patients who have not checked in may not turn up at all
+      clock += average * (entry.arrived ? 1 : 1 - profile.noShowRate);
+    });
+
+    return estimates;
+  }
+
+  // Recompute and store ETAs for today's queue. The first ETA a token gets is kept for accuracy reporting.
+  async refresh(doctorId, date, queue) {
+    const now = new Date();
+    if (scheduleRuleService.dateKey(date) !== scheduleRuleService.dateKey(now)) return new Map();
+
+    const estimates = await this.estimateQueue(doctorId, date, queue, now);
+    const operations = [];
+    estimates.forEach((estimate, tokenId) => {
+      operations.push({
+        updateOne: {
+          filter: { _id: tokenId },
+          update: { $set: { estimated_wait_time: estimate.waitMinutes, estimated_start_at: estimate.expectedStartAt } }
+        }
+      });
+      operations.push({
+        updateOne: {
+          filter: { _id: tokenId, first_estimated_at: null },
+          update: { $set: { first_estimated_at: now, first_estimated_start_at: estimate.expectedStartAt } }
+        }
+      });
+    });
+    if (operations.length > 0) await Token.bulkWrite(operations, { ordered: false });
+
+    if (global.realtimeSyncService) {
+      await global.realtimeSyncService.emitWaitTimeUpdates(queue
+        .filter(entry => estimates.has(entry.token._id.toString()))
+        .map(entry => ({
+          patientId: entry.token.patient_id?._id || entry.token.patient_id,
+          appointmentId: entry.token._id,
+          queuePosition: entry.position,
+          estimatedWaitTime: estimates.get(entry.token._id.toString()).waitMinutes,
+          expectedStartAt: estimates.get(entry.token._id.toString()).expectedStartAt
+        })));
+    }
+    return estimates;
+  }
+
+  // Predicted (first ETA of the day) vs actual consultation start, overall and per doctor
+  async getAccuracyReport({ from, to, doctorId = null }) {
+    const match = {
+      booking_date: { $gte: from, $lt: to },
+      first_estimated_start_at: { $ne: null },
+      consultation_started_at: { $ne: null }
+    };
+    if (doctorId) match.doctor_id = new mongoose.Types.ObjectId(doctorId.toString());
+
+    const minutes = (a, b) => ({ $divide: [{ $subtract: [a, b] }, MINUTE] });
+    const errorMinutes = minutes('$consultation_started_at', '$first_estimated_start_at');
+    const stages = [
+      { $match: match },
+      {
+        $project: {
+          doctor_id: 1,
+          predicted: minutes('$first_estimated_start_at', '$first_estimated_at'),
+          actual: minutes('$consultation_started_at', '$first_estimated_at'),
+          error: errorMinutes,
+          absError: { $abs: errorMinutes }
+        }
+      }
+    ];
+    const summary = {
+      count: { $sum: 1 },
+      avgPredictedWait: { $avg: '$predicted' },
+      avgActualWait: { $avg: '$actual' },
+      meanError: { $avg: '$error' },
+      meanAbsoluteError: { $avg: '$absError' },
+      within10: { $sum: { $cond: [{ $lte: ['$absError', 10] }, 1, 0] } }
+    };
+
+    const [totals] = await Token.aggregate([...stages, { $group: { _id: null, ...summary } }]);
+    const byDoctor = await Token.aggregate([
+      ...stages,
+      { $group: { _id: '$doctor_id', ...summary } },
+      { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'doctor' } },
+      { $sort: { meanAbsoluteError: -1 } }
+    ]);
+
+    const round = value => (value == null ? null : Math.round(value * 10) / 10);
+    const format = row => ({
+      samples: row.count,
+      avgPredictedWait: round(row.avgPredictedWait),
+      avgActualWait: round(row.avgActualWait),
+      // Positive = patients were seen later than predicted
+      meanError: round(row.meanError),
+      meanAbsoluteError: round(row.meanAbsoluteError),
+      within10MinutesRate: row.count > 0 ? round((row.within10 / row.count) * 100) : null
+    });
+
+    const doctors = await Promise.all(byDoctor.map(async row => ({
+      doctorId: row._id,
+      doctorName: row.doctor[0]?.name || 'Unknown Doctor',
+      ...format(row),
+      profile: await this.getProfile(row._id)
+    })));
+
+    return {
+      totals: totals ? format(totals) : format({ count: 0 }),
+      byDoctor: doctors
+    };
+  }
+}
+
+module.exports = new WaitTimeService();
@@ -0,0 +1,460 @@
+const mongoose = require('mongoose');
+const { User, Token } = require('../models/User');
+const Department = require('../models/Department');
+const FamilyMember = require('../models/FamilyMember');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const sessionTemplateService = require('./sessionTemplateService');
+const scheduleRuleService = require('./scheduleRuleService');
+const slotReservationService = require('./slotReservationService');
+const notificationService = require('./notificationService');
+const checkInService = require('./checkInService');
+const { isSessionBookable, parseTime, generateSequentialTokenNumber } = require('../utils/bookingUtils');
+
+const ACTIVE_STATUSES = ['waiting', 'offered'];
+
+class WaitlistService {
+  constructor() {
+    this.holdMinutes = parseInt(process.env.WAITLIST_HOLD_MINUTES, 10) || 30;
+    this.isSweeping = false;
+  }
+
+  keyFilter(doctorId, date, sessionCode) {
+    const day = scheduleRuleService.toDay(date);
+    const nextDay = new Date(day);
+    nextDay.setDate(nextDay.getDate() + 1);
+    return {
+      doctor_id: doctorId,
+      date: { $gte: day, $lt: nextDay },
+      session_code: sessionCode
+    };
+  }
+
+  // The day's schedule and the named session with schedule overrides applied
+  async resolveSession(doctorId, date, sessionCode, departmentId = null) {
+    const schedule = await scheduleRuleService.getScheduleForDate(doctorId, date);
+    const sessions = await sessionTemplateService.getSessionsForDate(doctorId, date, schedule || null, departmentId);
+    return { schedule, session: sessions.find(s => s.id === sessionCode) || null };
+  }
+
+  isSessionOpen(session, date) {
+    return !!session && session.available && isSessionBookable(date, session);
+  }
+
+  // Whether a new booking could still get a place in the session (session total and per-slot limits)
+  async hasFreePlace(doctorId, date, schedule, session) {
+    const capacity = await slotReservationService.getSlotCapacity(doctorId, date, schedule);
+    const times = slotReservationService.getSessionSlotTimes(session, schedule?.slot_duration || 30);
+    const booked = times.reduce((sum, time) => sum + (capacity.slots[time]?.booked || 0), 0);
+    if (booked >= session.maxPatients) return false;
+    return times.some(time => !capacity.slots[time] || capacity.slots[time].remaining > 0);
+  }
+
+  // Hold lasts WAITLIST_HOLD_MINUTES, but never past the session's booking cutoff
+  computeHoldExpiry(date, session) {
+    const expiry = new Date(Date.now() + this.holdMinutes * 60 * 1000);
+    if (session.bookingCutoff) {
+      const cutoff = scheduleRuleService.toDay(date);
+      cutoff.setHours(0, parseTime(session.bookingCutoff), 0, 0);
+      if (cutoff > new Date() && cutoff < expiry) return cutoff;
+    }
+    return expiry;
+  }
+
+  async getPosition(entry) {
+    if (entry.status !== 'waiting') return null;
+    const ahead = await WaitlistEntry.countDocuments({
+      ...this.keyFilter(entry.doctor_id?._id || entry.doctor_id, entry.date, entry.session_code),
+      status: 'waiting',
+      createdAt: { $lt: entry.createdAt }
+    });
+    return ahead + 1;
+  }
+
+  // Join the waitlist for a full session. Returns { success, message, entry, position }.
+  async join({ patient, doctorId, departmentId, date, sessionCode, familyMemberId = null, symptoms, appointmentType = 'in-person' }) {
+    const day = scheduleRuleService.toDay(date);
+    if (!day) {
+      return { success: false, message: 'Invalid date' };
+    }
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    if (day < today) {
+      return { success: false, message: 'Cannot join the waitlist for a past date' };
+    }
+
+    const { schedule, session } = await this.resolveSession(doctorId, day, sessionCode, departmentId);
+    if (!session) {
+      return { success: false, message: `Doctor has no ${sessionCode} session on ${scheduleRuleService.dateKey(day)}` };
+    }
+    if (!this.isSessionOpen(session, day)) {
+      return { success: false, message: `Doctor's ${session.name} on ${scheduleRuleService.dateKey(day)} is not open for booking` };
+    }
+    if (await this.hasFreePlace(doctorId, day, schedule, session)) {
+      return { success: false, message: `Doctor's ${session.name} still has free places. Please book an appointment directly.` };
+    }
+
+    let familyMember = null;
+    if (familyMemberId && familyMemberId !== 'self') {
+      familyMember = await FamilyMember.findOne({ _id: familyMemberId, patient_id: patient._id, isActive: true });
+      if (!familyMember) {
+        return { success: false, message: 'Family member not found' };
+      }
+    }
+    const forWhom = familyMember ? familyMember.name : 'you';
+
+    const nextDay = new Date(day);
+    nextDay.setDate(nextDay.getDate() + 1);
+    const existingToken = await Token.findOne({
+      patient_id: patient._id,
+      family_member_id: familyMember ? familyMember._id : null,
+      doctor_id: doctorId,
+      booking_date: { $gte: day, $lt: nextDay },
+      status: { $in: ['booked', 'in_queue'] }
+    });
+    if (existingToken) {
+      return { success: false, message: `${forWhom} already have an appointment with this doctor on this date` };
+    }
+
+    const existingEntry = await WaitlistEntry.findOne({
+      ...this.keyFilter(doctorId, day, sessionCode),
+      patient_id: patient._id,
+      family_member_id: familyMember ? familyMember._id : null,
+      status: { $in: ACTIVE_STATUSES }
+    });
+    if (existingEntry) {
+      return { success: false, message: `${forWhom} are already on the waitlist for this session` };
+    }
+
+    const entry = await WaitlistEntry.create({
+      patient_id: patient._id,
+      family_member_id: familyMember ? familyMember._id : null,
+      doctor_id: doctorId,
+      department_id: departmentId,
+      date: day,
+      session_code: sessionCode,
+      symptoms: symptoms && String(symptoms).trim().length > 0 ? symptoms : 'Not provided',
+      appointment_type: appointmentType
+    });
+
+    const position = await this.getPosition(entry);
+    console.log(`📝 Waitlist: ${entry._id} joined ${doctorId} ${scheduleRuleService.dateKey(day)} ${sessionCode} at position ${position}`);
+    return { success: true, entry, position };
+  }
+
+  // Offer a freed place to the next waiting person. The slot is reserved under the entry's id,
+  // so nobody else can take it while the hold is open. Returns the offered entry or null.
+  async promoteNext(doctorId, date, sessionCode, preferredTime = null) {
+    const day = scheduleRuleService.toDay(date);
+    const filter = this.keyFilter(doctorId, day, sessionCode);
+    if (!(await WaitlistEntry.exists({ ...filter, status: 'waiting' }))) return null;
+
+    const { schedule, session } = await this.resolveSession(doctorId, day, sessionCode);
+    if (!this.isSessionOpen(session, day)) {
+      await this.closeWaitlist(doctorId, day, sessionCode, 'The session is no longer open for booking');
+      return null;
+    }
+
+    while (true) {
+      const next = await WaitlistEntry.findOne({ ...filter, status: 'waiting' }).sort({ createdAt: 1 });
+      if (!next) return null;
+
+      const reservation = await slotReservationService.reserveInSession({
+        doctorId,
+        date: day,
+        schedule,
+        session,
+        preferredTime: preferredTime || session.startTime,
+        tokenId: next._id
+      });
+      // The freed place was taken by a direct booking
+      if (!reservation) return null;
+
+      const offered = await WaitlistEntry.findOneAndUpdate(
+        { _id: next._id, status: 'waiting' },
+        {
+          $set: {
+            status: 'offered',
+            offered_slot_time: reservation.time,
+            offered_at: new Date(),
+            hold_expires_at: this.computeHoldExpiry(day, session)
+          }
+        },
+        { new: true }
+      );
+      if (!offered) {
+        // Entry left the waitlist in the meantime; give the place to the next one
+        await slotReservationService.releaseSlot({ doctorId, date: day, tokenId: next._id });
+        continue;
+      }
+
+      console.log(`🎫 Waitlist: offered ${reservation.time} to entry ${offered._id} until ${offered.hold_expires_at.toISOString()}`);
+      notificationService.sendWaitlistOffer(offered._id).catch(error => {
+        console.error('❌ Failed to send waitlist offer notifications:', error);
+      });
+      return offered;
+    }
+  }
+
+  // Promote after a token gave up its place. Never throws, so cancellation flows are not affected.
+  async promoteForToken(token) {
+    try {
+      if (!token) return null;
+      const doctorId = token.doctor_id?._id || token.doctor_id;
+      let sessionCode = token.session_type;
+      if (!sessionCode && token.time_slot) {
+        const session = await sessionTemplateService.getSessionForTime(doctorId, token.booking_date, token.time_slot);
+        sessionCode = session?.id;
+      }
+      if (!sessionCode) return null;
+      return await this.promoteNext(doctorId, token.booking_date, sessionCode, token.time_slot);
+    } catch (error) {
+      console.error(`❌ Error promoting waitlist for token ${token?._id}:`, error);
+      return null;
+    }
+  }
+
+  // Move an active entry to a closed status. An open hold is released and, unless `promote` is false,
+  // offered to the next person. Returns the entry as it was before closing, or null if it was not active.
+  async closeEntry(entry, status, reason, { promote = true } = {}) {
+    const previous = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: { $in: ACTIVE_STATUSES } },
+      { $set: { status, closed_reason: reason, closed_at: new Date() } }
+    );
+    if (!previous) return null;
+
+    if (previous.status === 'offered') {
+      await slotReservationService.releaseSlot({ doctorId: previous.doctor_id, date: previous.date, tokenId: previous._id });
+      if (promote) {
+        await this.promoteNext(previous.doctor_id, previous.date, previous.session_code, previous.offered_slot_time);
+      }
+    }
+    return previous;
+  }
+
+  // Close every active entry for a session (doctor on leave, session over) and tell the patients
+  async closeWaitlist(doctorId, date, sessionCode, reason) {
+    const entries = await WaitlistEntry.find({ ...this.keyFilter(doctorId, date, sessionCode), status: { $in: ACTIVE_STATUSES } });
+    let closedCount = 0;
+
+    for (const entry of entries) {
+      const closed = await this.closeEntry(entry, 'cancelled', reason, { promote: false });
+      if (!closed) continue;
+      closedCount++;
+      notificationService.sendWaitlistUpdate(entry._id, {
+        title: 'Waitlist Closed',
+        message: `Your waitlist request has been closed: ${reason}.`
+      }).catch(error => console.error('❌ Failed to send waitlist closure notifications:', error));
+    }
+
+    if (closedCount > 0) {
+      console.log(`🚫 Waitlist: closed ${closedCount} entries for ${doctorId} ${scheduleRuleService.dateKey(date)} ${sessionCode}`);
+    }
+    return closedCount;
+  }
+
+  // Turn an open offer into a booked token. The held slot is handed over to the token directly.
+  async claimOffer(entry) {
+    if (entry.status !== 'offered') {
+      return { success: false, message: 'There is no open offer for this waitlist entry' };
+    }
+
+    const now = new Date();
+    if (entry.hold_expires_at <= now) {
+      await this.expireOffer(entry);
+      return { success: false, message: 'This offer has expired and was passed to the next person on the waitlist' };
+    }
+
+    // Lock the offer so a double submit cannot create two tokens
+    const locked = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'offered', hold_expires_at: { $gt: now } },
+      { $set: { status: 'booked', closed_at: now } },
+      { new: true }
+    );
+    if (!locked) {
+      return { success: false, message: 'This offer is no longer available' };
+    }
+
+    const doctorId = locked.doctor_id;
+    const [patient, department, familyMember, { session }] = await Promise.all([
+      User.findById(locked.patient_id).select('name email'),
+      Department.findById(locked.department_id),
+      locked.family_member_id ? FamilyMember.findById(locked.family_member_id) : null,
+      this.resolveSession(doctorId, locked.date, locked.session_code, locked.department_id)
+    ]);
+
+    let tokenNumber, tokenSequence, tokenScope;
+    try {
+      ({ tokenNumber, sequence: tokenSequence, scope: tokenScope } = await generateSequentialTokenNumber(doctorId, locked.date, locked.session_code, locked.patient_id, locked.family_member_id));
+    } catch (error) {
+      console.error('❌ Waitlist token generation error:', error);
+      await WaitlistEntry.updateOne({ _id: locked._id }, { $set: { status: 'offered', closed_at: null } });
+      return { success: false, message: error.message || 'Failed to generate token number. Please try again.' };
+    }
+
+    const tokenId = new mongoose.Types.ObjectId();
+    const transferred = await slotReservationService.transferSlot({
+      doctorId,
+      date: locked.date,
+      fromId: locked._id,
+      toId: tokenId
+    });
+    if (!transferred) {
+      await WaitlistEntry.updateOne({ _id: locked._id }, { $set: { status: 'expired', closed_reason: 'Held slot was no longer available' } });
+      return { success: false, message: 'The held slot is no longer available' };
+    }
+
+    const token = new Token({
+      _id: tokenId,
+      patient_id: locked.patient_id,
+      patient_name: familyMember ? familyMember.name : patient?.name,
+      patient_email: patient?.email,
+      family_member_id: locked.family_member_id,
+      doctor_id: doctorId,
+      department: department?.name,
+      symptoms: locked.symptoms,
+      booking_date: locked.date,
+      time_slot: locked.offered_slot_time,
+      session_type: locked.session_code,
+      session_time_range: session?.displayTime,
+      appointment_type: locked.appointment_type,
+      status: 'booked',
+      token_number: tokenNumber,
+      token_sequence: tokenSequence,
+      token_scope: tokenScope,
+      payment_status: 'pending',
+      created_by: 'patient',
+      estimated_wait_time: Math.floor(Math.random() * 30) + 15,
+      token_pdf_url: checkInService.tokenPdfPath(tokenId)
+    });
+
+    try {
+      await token.save();
+    } catch (error) {
+      await slotReservationService.releaseSlot({ doctorId, date: locked.date, tokenId });
+      await WaitlistEntry.updateOne({ _id: locked._id }, { $set: { status: 'expired', closed_reason: 'Booking failed' } });
+      await this.promoteNext(doctorId, locked.date, locked.session_code, locked.offered_slot_time);
+      throw error;
+    }
+
+    locked.token_id = token._id;
+    await locked.save();
+
+    await User.findByIdAndUpdate(locked.patient_id, { $push: { 'patient_info.booking_history': token._id } });
+
+    notificationService.sendBookingConfirmation(token._id).catch(error => {
+      console.error('❌ Failed to send booking confirmation notifications:', error);
+    });
+
+    console.log(`✅ Waitlist: entry ${locked._id} claimed as token ${tokenNumber}`);
+    return { success: true, entry: locked, token };
+  }
+
+  async declineOffer(entry) {
+    if (entry.status !== 'offered') {
+      return { success: false, message: 'There is no open offer for this waitlist entry' };
+    }
+    const closed = await this.closeEntry(entry, 'declined', 'Offer declined by patient');
+    if (!closed) {
+      return { success: false, message: 'This offer is no longer available' };
+    }
+    return { success: true };
+  }
+
+  async leave(entry) {
+    const closed = await this.closeEntry(entry, 'cancelled', 'Left the waitlist');
+    if (!closed) {
+      return { success: false, message: 'This waitlist entry is no longer active' };
+    }
+    return { success: true };
+  }
+
+  async expireOffer(entry) {
+    const closed = await this.closeEntry(entry, 'expired', 'Offer was not claimed in time');
+    if (closed) {
+      notificationService.sendWaitlistUpdate(entry._id, {
+        title: 'Waitlist Offer Expired',
+        message: `The slot held for you at ${closed.offered_slot_time} was not claimed in time and has been offered to the next person.`
+      }).catch(error => console.error('❌ Failed to send waitlist expiry notifications:', error));
+    }
+    return closed;
+  }
+
+  // Periodic sweep: roll unclaimed holds over to the next person and close waitlists for sessions
+  // that can no longer be booked
+  async processExpiredHolds() {
+    if (this.isSweeping) {
+      console.log('⏰ Waitlist sweep already running, skipping...');
+      return { expired: 0, closed: 0 };
+    }
+
+    this.isSweeping = true;
+    try {
+      const expiredOffers = await WaitlistEntry.find({ status: 'offered', hold_expires_at: { $lte: new Date() } });
+      let expired = 0;
+      for (const entry of expiredOffers) {
+        if (await this.expireOffer(entry)) expired++;
+      }
+
+      const endOfToday = new Date();
+      endOfToday.setHours(23, 59, 59, 999);
+      const staleKeys = await WaitlistEntry.aggregate([
+        { $match: { status: 'waiting', date: { $lte: endOfToday } } },
+        { $group: { _id: { doctor_id: '$doctor_id', date: '$date', session_code: '$session_code' } } }
+      ]);
+
+      let closed = 0;
+      for (const { _id: key } of staleKeys) {
+        const { session } = await this.resolveSession(key.doctor_id, key.date, key.session_code);
+        if (!this.isSessionOpen(session, key.date) || key.date < scheduleRuleService.toDay(new Date())) {
+          closed += await this.closeWaitlist(key.doctor_id, key.date, key.session_code, 'The session is no longer open for booking');
+        }
+      }
+
+      if (expired > 0 || closed > 0) {
+        console.log(`✅ Waitlist sweep: ${expired} holds expired, ${closed} entries closed`);
+      }
+      return { expired, closed };
+    } catch (error) {
+      console.error('❌ Error in waitlist sweep:', error);
+      return { expired: 0, closed: 0 };
+    } finally {
+      this.isSweeping = false;
+    }
+  }
+
+  async getEntriesForPatient(patientId, { activeOnly = false } = {}) {
+    const entries = await WaitlistEntry.find({
+      patient_id: patientId,
+      ...(activeOnly ? { status: { $in: ACTIVE_STATUSES } } : {})
+    })
+      .populate('doctor_id', 'name')
+      .populate('department_id', 'name')
+      .populate('family_member_id', 'name relation')
+      .sort({ createdAt: -1 });
+
+    return Promise.all(entries.map(async entry => this.formatEntry(entry, await this.getPosition(entry))));
+  }
+
+  formatEntry(entry, position = null) {
+    return {
+      id: entry._id,
+      doctorId: entry.doctor_id?._id || entry.doctor_id,
+      doctorName: entry.doctor_id?.name,
+      departmentId: entry.department_id?._id || entry.department_id,
+      departmentName: entry.department_id?.name,
+      date: scheduleRuleService.dateKey(entry.date),
+      sessionCode: entry.session_code,
+      familyMemberId: entry.family_member_id?._id || entry.family_member_id,
+      familyMemberName: entry.family_member_id?.name || null,
+      status: entry.status,
+      position,
+      offeredSlotTime: entry.offered_slot_time,
+      holdExpiresAt: entry.hold_expires_at,
+      tokenId: entry.token_id,
+      closedReason: entry.closed_reason || null,
+      createdAt: entry.createdAt
+    };
+  }
+}
+
+module.exports = new WaitlistService();
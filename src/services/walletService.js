@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { User } = require('../models/User');
+const WalletTransaction = require('../models/WalletTransaction');
+
+const BALANCE_PATH = 'patient_info.wallet_balance';
+
+// Patient wallet: the balance lives on the user (so a single conditional $inc keeps it from going
+// negative under concurrent requests) and every change is appended to the WalletTransaction ledger
+class WalletService {
+  roundAmount(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  parseAmount(value) {
+    const amount = this.roundAmount(Number(value));
+    return Number.isFinite(amount) && amount > 0 ? amount : null;
+  }
+
+  newReference() {
+    return `WAL${Date.now().toString().slice(-6)}${crypto.randomBytes(2).toString('hex').toUpperCase()}`;
+  }
+
+  async getBalance(patientId) {
+    const patient = await User.findById(patientId).select(BALANCE_PATH);
+    return patient?.patient_info?.wallet_balance || 0;
+  }
+
+  // Move the balance by `delta` and append the ledger entry. Debits only apply while the balance covers
+  // them. Returns { success, status, message, transaction, balance }.
+  async apply(patientId, delta, { type, tokenId = null, reason = '', createdBy = null, createdByRole = 'system' }) {
+    const filter = { _id: patientId, role: 'patient' };
+    if (delta < 0) filter[BALANCE_PATH] = { $gte: -delta };
+    const patient = await User.findOneAndUpdate(filter, { $inc: { [BALANCE_PATH]: delta } }, { new: true }).select(BALANCE_PATH);
+    if (!patient) {
+      const exists = await User.exists({ _id: patientId, role: 'patient' });
+      if (!exists) return { success: false, status: 404, message: 'Patient not found' };
+      return { success: false, status: 400, message: 'Insufficient wallet balance', balance: await this.getBalance(patientId) };
+    }
+
+    const balance = this.roundAmount(patient.patient_info.wallet_balance);
+    try {
+      const transaction = await WalletTransaction.create({
+        patient_id: patientId,
+        type,
+        direction: delta > 0 ? 'credit' : 'debit',
+        amount: Math.abs(delta),
+        balance_after: balance,
+        token_id: tokenId,
+        reference: this.newReference(),
+        reason,
+        created_by: createdBy,
+        created_by_role: createdByRole
+      });
+      return { success: true, transaction, balance };
+    } catch (error) {
+      // Never leave a balance change without its ledger entry
+      await User.findByIdAndUpdate(patientId, { $inc: { [BALANCE_PATH]: -delta } });
+      throw error;
+    }
+  }
+
+  async credit(patientId, amount, options) {
+    const value = this.parseAmount(amount);
+    if (!value) return { success: false, status: 400, message: 'Amount must be greater than zero' };
+    return this.apply(patientId, value, options);
+  }
+
+  async debit(patientId, amount, options) {
+    const value = this.parseAmount(amount);
+    if (!value) return { success: false, status: 400, message: 'Amount must be greater than zero' };
+    return this.apply(patientId, -value, options);
+  }
+
+  // Admin correction: positive amounts credit, negative amounts debit; a reason is mandatory and the
+  // admin is recorded on the entry
+  async adjust(patientId, amount, reason, admin) {
+    const value = Number(amount);
+    if (!String(reason || '').trim()) {
+      return { success: false, status: 400, message: 'A reason is required for wallet adjustments' };
+    }
+    if (!Number.isFinite(value) || this.roundAmount(value) === 0) {
+      return { success: false, status: 400, message: 'Adjustment amount must be a non-zero number' };
+    }
+    const options = { type: 'admin_adjustment', reason: String(reason).trim(), createdBy: admin._id, createdByRole: 'admin' };
+    return value > 0 ? this.credit(patientId, value, options) : this.debit(patientId, -value, options);
+  }
+
+  // Newest first. Returns { balance, transactions, total }.
+  async listTransactions(patientId, { page = 1, limit = 20, type = null } = {}) {
+    const query = { patient_id: patientId };
+    if (type) query.type = type;
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+
+    const [balance, total, transactions] = await Promise.all([
+      this.getBalance(patientId),
+      WalletTransaction.countDocuments(query),
+      WalletTransaction.find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((pageNum - 1) * pageSize)
+        .limit(pageSize)
+        .populate('token_id', 'token_number booking_date doctor_id')
+        .populate('created_by', 'name role')
+    ]);
+    return {
+      balance,
+      total,
+      page: pageNum,
+      limit: pageSize,
+      transactions: transactions.map(transaction => this.formatTransaction(transaction))
+    };
+  }
+
+  formatTransaction(transaction) {
+    const token = transaction.token_id;
+    const populatedToken = token && !(token instanceof mongoose.Types.ObjectId);
+    return {
+      id: transaction._id,
+      reference: transaction.reference,
+      type: transaction.type,
+      direction: transaction.direction,
+      amount: transaction.amount,
+      balanceAfter: transaction.balance_after,
+      reason: transaction.reason,
+      appointmentId: populatedToken ? token._id : token,
+      tokenNumber: populatedToken ? token.token_number : null,
+      createdBy: transaction.created_by?.name
+        ? { id: transaction.created_by._id, name: transaction.created_by.name }
+        : null,
+      createdByRole: transaction.created_by_role,
+      createdAt: transaction.createdAt
+    };
+  }
+}
+
+module.exports = new WalletService();
@@ -2,13 +2,63 @@
  * Booking utility functions for session management and time-based cutoffs
  */
 
+/**
+ * Built-in session templates used when neither the doctor nor the department
+ * has configured their own (see SessionTemplate model)
+ */
+const DEFAULT_SESSION_TEMPLATES = [
+  {
+    code: 'morning',
+    name: 'Morning Session',
+    start_time: '09:00',
+    end_time: '13:00',
+    max_patients: 10,
+    booking_cutoff_minutes: 60,
+    days_of_week: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+  },
+  {
+    code: 'afternoon',
+    name: 'Afternoon Session',
+    start_time: '14:00',
+    end_time: '18:00',
+    max_patients: 10,
+    booking_cutoff_minutes: 60,
+    days_of_week: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+  }
+];
+
+/**
+ * Convert a session template (DB document or default) into the session shape used by routes
+ * @param {object} template - SessionTemplate document or plain object
+ * @returns {object} - Normalized session
+ */
+function toSession(template) {
+  const cutoffMinutes = Number.isFinite(template.booking_cutoff_minutes) ? template.booking_cutoff_minutes : 60;
+  return {
+    id: template.code,
+    templateId: template._id || null,
+    type: template.code,
+    name: template.name,
+    startTime: template.start_time,
+    endTime: template.end_time,
+    maxPatients: template.max_patients,
+    bookingCutoffMinutes: cutoffMinutes,
+    bookingCutoff: formatTime(Math.max(0, parseTime(template.start_time) - cutoffMinutes)),
+    daysOfWeek: template.days_of_week || [],
+    displayTime: formatTimeRange(template.start_time, template.end_time),
+    available: true
+  };
+}
+
+const DEFAULT_SESSIONS = DEFAULT_SESSION_TEMPLATES.map(toSession);
+
 /**
  * Check if a session is still bookable based on current time
  * @param {string|Date} date - The appointment date (YYYY-MM-DD format or Date object)
- * @param {string} sessionType - 'morning' or 'afternoon'
+ * @param {string|object} session - Session object (with bookingCutoff) or a default session code ('morning'/'afternoon')
  * @returns {boolean} - True if session is still bookable, false otherwise
  */
-function isSessionBookable(date, sessionType) {
+function isSessionBookable(date, session) {
   const now = new Date();
   const today = new Date(now);
   today.setHours(0, 0, 0, 0);
@@ -34,41 +84,33 @@ function isSessionBookable(date, sessionType) {
   
   // For today, check if session has passed the booking cutoff
   const currentTime = now.toTimeString().slice(0, 5); // HH:MM format
-  
-  if (sessionType === 'morning') {
-    // Morning session booking cutoff: 8:00 AM (1 hour before 9:00 AM start)
-    return currentTime < '08:00';
-  } else if (sessionType === 'afternoon') {
-    // Afternoon session booking cutoff: 1:00 PM (1 hour before 2:00 PM start)
-    return currentTime < '13:00';
+  const resolved = typeof session === 'string'
+    ? DEFAULT_SESSIONS.find(s => s.type === session)
+    : session;
+
+  if (!resolved || !resolved.bookingCutoff) {
+    return true;
   }
-  
-  return true;
+
+  return currentTime < resolved.bookingCutoff;
 }
 
 /**
  * Get session information for a given time
  * @param {string} timeSlot - Time slot in HH:MM format
+ * @param {Array<object>} [sessions] - Sessions to match against (defaults to the built-in templates)
  * @returns {object} - Session information
  */
-function getSessionInfo(timeSlot) {
-  const time = parseTime(timeSlot);
-  
-  if (time >= parseTime('09:00') && time < parseTime('13:00')) {
-    return {
-      type: 'morning',
-      name: 'Morning Session',
-      startTime: '09:00',
-      endTime: '13:00',
-      bookingCutoff: '08:00'
-    };
-  } else if (time >= parseTime('14:00') && time < parseTime('18:00')) {
+function getSessionInfo(timeSlot, sessions = DEFAULT_SESSIONS) {
+  const session = findSessionForTime(sessions, timeSlot);
+
+  if (session) {
     return {
-      type: 'afternoon',
-      name: 'Afternoon Session',
-      startTime: '14:00',
-      endTime: '18:00',
-      bookingCutoff: '13:00'
+      type: session.type,
+      name: session.name,
+      startTime: session.startTime,
+      endTime: session.endTime,
+      bookingCutoff: session.bookingCutoff
     };
   }
   
@@ -81,6 +123,18 @@ function getSessionInfo(timeSlot) {
   };
 }
 
+/**
+ * Find the session whose window contains the given time
+ * @param {Array<object>} sessions - Normalized sessions
+ * @param {string} timeSlot - Time in HH:MM format
+ * @returns {object|null} - Matching session or null
+ */
+function findSessionForTime(sessions, timeSlot) {
+  if (!timeSlot || !Array.isArray(sessions)) return null;
+  const time = parseTime(timeSlot);
+  return sessions.find(s => time >= parseTime(s.startTime) && time < parseTime(s.endTime)) || null;
+}
+
 /**
  * Parse time string to minutes since midnight
  * @param {string} timeStr - Time in HH:MM format
@@ -103,115 +157,71 @@ function formatTime(minutes) {
   return `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
 }
 
+/**
+ * Format a session window for display (12-hour clock)
+ * @param {string} startTime - Start time in HH:MM format
+ * @param {string} endTime - End time in HH:MM format
+ * @returns {string} - e.g. "9:00 AM - 1:00 PM"
+ */
+function formatTimeRange(startTime, endTime) {
+  const toDisplay = (timeStr) => {
+    const minutes = parseTime(timeStr);
+    const hours = Math.floor(minutes / 60);
+    const mins = minutes % 60;
+    const period = hours >= 12 ? 'PM' : 'AM';
+    const displayHours = hours > 12 ? hours - 12 : hours === 0 ? 12 : hours;
+    return `${displayHours}:${mins.toString().padStart(2, '0')} ${period}`;
+  };
+  return `${toDisplay(startTime)} - ${toDisplay(endTime)}`;
+}
+
 /**
  * Get booking cutoff error message
- * @param {string} sessionName - Name of the session
+ * @param {string|object} session - Session object, or a default session name
  * @param {string} currentTime - Current time in HH:MM format
  * @returns {string} - Error message
  */
-function getBookingCutoffMessage(sessionName, currentTime) {
-  if (sessionName === 'Morning Session') {
-    return `Morning session booking has closed. Booking for morning sessions closes at 8:00 AM. Current time: ${currentTime}`;
-  } else if (sessionName === 'Afternoon Session') {
-    return `Afternoon session booking has closed. Booking for afternoon sessions closes at 1:00 PM. Current time: ${currentTime}`;
+function getBookingCutoffMessage(session, currentTime) {
+  const resolved = typeof session === 'string'
+    ? DEFAULT_SESSIONS.find(s => s.name === session)
+    : session;
+
+  if (resolved && resolved.bookingCutoff) {
+    return `${resolved.name} booking has closed. Booking for this session closes at ${resolved.bookingCutoff}. Current time: ${currentTime}`;
   }
   return `Session booking has closed. Current time: ${currentTime}`;
 }
 
 /**
- * Generate sequential token number based on existing appointments
- * Token numbers are continuous across all departments for each day (T001, T002, T003...)
+ * Generate the next token number for a booking, in the numbering scheme of the doctor's department
+ * (hospital-wide, per department, per doctor or per doctor session; see tokenNumberService)
  * @param {string} doctorId - Doctor ID
  * @param {Date} appointmentDate - Appointment date
- * @param {string} sessionType - 'morning', 'afternoon', or 'evening'
- * @returns {Promise<string>} - Sequential token number (T001-T999)
+ * @param {string} sessionType - Session template code ('morning', 'afternoon', ...)
+ * @param {string} patientId - Patient ID
+ * @param {string} familyMemberId - Family member ID, if booking for one
+ * @returns {Promise<{tokenNumber: string, sequence: number, scope: string}>} - Number to show, its
+ *   position in the scope's daily sequence and the scope key (stored as token_sequence / token_scope)
  */
 async function generateSequentialTokenNumber(doctorId, appointmentDate, sessionType, patientId, familyMemberId = null) {
-  const { Token, Counter } = require('../models/User');
-  const mongoose = require('mongoose');
-  
-  // Normalize appointment date to start of day for consistent comparison
-  const appointmentDay = new Date(appointmentDate);
-  appointmentDay.setHours(0, 0, 0, 0);
-  
-  // Determine the user identifier (patient or family member)
+  const tokenNumberService = require('../services/tokenNumberService');
+
   const userId = familyMemberId || patientId;
   const userType = familyMemberId ? 'family_member' : 'patient';
-  
-  console.log(`[TOKEN-GEN] Generating global token for ${userType} ${userId} with doctor ${doctorId} on ${appointmentDay.toDateString()} for ${sessionType} session`);
-  
-  // Create a unique counter key for the date (global across all departments)
-  const counterKey = `token_${appointmentDay.toISOString().split('T')[0]}`;
-  
-  // Use atomic findAndModify to get the next sequential number
-  const maxRetries = 10;
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      console.log(`[TOKEN-GEN] Attempt ${attempt}: Getting next token number for counter: ${counterKey}`);
-      
-      // Atomically increment the counter and get the new value
-      const counter = await Counter.findOneAndUpdate(
-        { key: counterKey },
-        { $inc: { count: 1 } },
-        { 
-          upsert: true, 
-          new: true, 
-          setDefaultsOnInsert: true 
-        }
-      );
-      
-      const nextNumber = counter.count;
-      console.log(`[TOKEN-GEN] Counter returned number: ${nextNumber}`);
-      
-      // Ensure we don't exceed reasonable limits (T001-T999)
-      if (nextNumber > 999) {
-        throw new Error(`No more tokens available for ${appointmentDay.toDateString()}. Maximum 999 tokens per day.`);
-      }
-      
-      const tokenNumber = `T${nextNumber.toString().padStart(3, '0')}`;
-      console.log(`[TOKEN-GEN] Generated token: ${tokenNumber} for ${userType} ${userId} (attempt ${attempt})`);
-      
-      // Verify the token number is unique by attempting to find an existing one
-      const existingToken = await Token.findOne({ token_number: tokenNumber });
-      if (existingToken) {
-        console.log(`[TOKEN-GEN] Token ${tokenNumber} already exists, retrying...`);
-        if (attempt === maxRetries) {
-          throw new Error(`Failed to generate unique token number after ${maxRetries} attempts. Please try again.`);
-        }
-        // Wait a bit before retrying
-        await new Promise(resolve => setTimeout(resolve, 50 * attempt));
-        continue;
-      }
-      
-      return tokenNumber;
-      
-    } catch (error) {
-      console.error(`[TOKEN-GEN] Attempt ${attempt} failed:`, error.message);
-      
-      if (error.code === 11000 && error.keyPattern?.token_number) {
-        // Duplicate key error - token number already exists
-        console.log(`[TOKEN-GEN] Duplicate token number detected, retrying...`);
-        if (attempt === maxRetries) {
-          throw new Error(`Failed to generate unique token number after ${maxRetries} attempts. Please try again.`);
-        }
-        // Wait a bit before retrying to avoid race conditions
-        await new Promise(resolve => setTimeout(resolve, 100 * attempt));
-        continue;
-      } else if (attempt === maxRetries) {
-        // Final attempt failed
-        throw new Error(`Failed to generate token number: ${error.message}`);
-      } else {
-        // Wait before retrying for other errors
-        await new Promise(resolve => setTimeout(resolve, 100 * attempt));
-        continue;
-      }
-    }
-  }
+
+  const issued = await tokenNumberService.issue(doctorId, appointmentDate, sessionType);
+  console.log(`[TOKEN-GEN] Generated token: ${issued.tokenNumber} (${issued.scope}) for ${userType} ${userId} with doctor ${doctorId}`);
+  return issued;
 }
 
 module.exports = {
+  DEFAULT_SESSION_TEMPLATES,
+  DEFAULT_SESSIONS,
+  toSession,
   isSessionBookable,
   getSessionInfo,
+  findSessionForTime,
+  formatTimeRange,
   parseTime,
   formatTime,
   getBookingCutoffMessage,
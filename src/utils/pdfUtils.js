@@ -0,0 +1,51 @@
+/**
+ * PDF rendering shared by printable documents (prescriptions, lab reports)
+ */
+
+const PDF_MARGIN = { top: '15mm', right: '15mm', bottom: '15mm', left: '15mm' };
+
+/**
+ * Escape text for interpolation into HTML templates
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render HTML to a PDF (A4 unless `format` says otherwise) with html-pdf-node, falling back to Puppeteer
+ * like the invoice download
+ */
+async function generatePdf(htmlContent, { format = 'A4' } = {}) {
+  try {
+    const htmlPdf = require('html-pdf-node');
+    return await htmlPdf.generatePdf({ content: htmlContent }, {
+      format,
+      margin: PDF_MARGIN,
+      printBackground: true,
+      args: ['--no-sandbox', '--disable-setuid-sandbox']
+    });
+  } catch (htmlPdfError) {
+    console.log('html-pdf-node failed, trying Puppeteer...', htmlPdfError.message);
+    const puppeteer = require('puppeteer');
+    const browser = await puppeteer.launch({
+      headless: true,
+      args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage', '--disable-gpu']
+    });
+    try {
+      const page = await browser.newPage();
+      await page.setContent(htmlContent, { waitUntil: 'networkidle0', timeout: 30000 });
+      return await page.pdf({ format, printBackground: true, margin: PDF_MARGIN, timeout: 30000 });
+    } finally {
+      await browser.close();
+    }
+  }
+}
+
+module.exports = {
+  escapeHtml,
+  generatePdf
+};